@@ -1,5 +1,6 @@
 import crypto from 'crypto';
 import { config } from '../config.js';
+import { counter } from '../core/metrics.js';
 
 // --- Speed optimization: reuse HTTP agent with keep-alive ---
 const RECV_WINDOW = '5000';
@@ -9,6 +10,30 @@ function sign(timestamp, params) {
   return crypto.createHmac('sha256', config.apiSecret).update(raw).digest('hex');
 }
 
+// Optional in-process exchange (backtest / paper simulator). Any call it implements is
+// served locally instead of hitting Bybit; everything else falls through to REST.
+let exchange = null;
+
+export function setExchange(impl) {
+  exchange = impl;
+}
+
+const apiErrors = counter('liqbot_api_errors_total', 'Bybit responses with a non-zero retCode or HTTP error, by endpoint and code');
+const apiRequests = counter('liqbot_api_requests_total', 'Bybit REST requests by endpoint');
+
+// Parse a REST response, counting it (and its error code, if any) per endpoint
+async function parse(res) {
+  const endpoint = new URL(res.url).pathname;
+  apiRequests.inc({ endpoint });
+  if (!res.ok) {
+    apiErrors.inc({ endpoint, code: `http_${res.status}` });
+    return res.json();
+  }
+  const body = await res.json();
+  if (body.retCode !== 0) apiErrors.inc({ endpoint, code: String(body.retCode) });
+  return body;
+}
+
 // Pre-built headers template (avoid object creation in hot path)
 function authHeaders(timestamp, signature) {
   return {
@@ -21,6 +46,7 @@ function authHeaders(timestamp, signature) {
 }
 
 export async function switchToOneWayMode(symbol) {
+  if (exchange?.switchToOneWayMode) return exchange.switchToOneWayMode(symbol);
   const timestamp = Date.now().toString();
   const body = {
     category: 'linear',
@@ -35,10 +61,11 @@ export async function switchToOneWayMode(symbol) {
     headers: authHeaders(timestamp, signature),
     body: bodyStr,
   });
-  return res.json();
+  return parse(res);
 }
 
 export async function placeOrder(symbol, side, qty, orderType = 'Market', extraParams = {}) {
+  if (exchange?.placeOrder) return exchange.placeOrder(symbol, side, qty, orderType, extraParams);
   const timestamp = Date.now().toString();
   const body = {
     category: 'linear',
@@ -58,10 +85,11 @@ export async function placeOrder(symbol, side, qty, orderType = 'Market', extraP
     headers: authHeaders(timestamp, signature),
     body: bodyStr,
   });
-  return res.json();
+  return parse(res);
 }
 
 export async function setLeverage(symbol, leverage) {
+  if (exchange?.setLeverage) return exchange.setLeverage(symbol, leverage);
   const timestamp = Date.now().toString();
   const body = {
     category: 'linear',
@@ -77,10 +105,11 @@ export async function setLeverage(symbol, leverage) {
     headers: authHeaders(timestamp, signature),
     body: bodyStr,
   });
-  return res.json();
+  return parse(res);
 }
 
 export async function setTradingStop(symbol, { takeProfit, stopLoss, trailingStop, activePrice, tpOrderType, tpLimitPrice } = {}) {
+  if (exchange?.setTradingStop) return exchange.setTradingStop(symbol, { takeProfit, stopLoss, trailingStop, activePrice, tpOrderType, tpLimitPrice });
   const timestamp = Date.now().toString();
   const body = {
     category: 'linear',
@@ -102,10 +131,11 @@ export async function setTradingStop(symbol, { takeProfit, stopLoss, trailingSto
     headers: authHeaders(timestamp, signature),
     body: bodyStr,
   });
-  return res.json();
+  return parse(res);
 }
 
 export async function getPositions() {
+  if (exchange?.getPositions) return exchange.getPositions();
   const timestamp = Date.now().toString();
   const params = 'category=linear&settleCoin=USDT';
   const signature = sign(timestamp, params);
@@ -114,10 +144,11 @@ export async function getPositions() {
     method: 'GET',
     headers: authHeaders(timestamp, signature),
   });
-  return res.json();
+  return parse(res);
 }
 
 export async function getWalletBalance() {
+  if (exchange?.getWalletBalance) return exchange.getWalletBalance();
   const timestamp = Date.now().toString();
   const params = 'accountType=UNIFIED';
   const signature = sign(timestamp, params);
@@ -126,28 +157,42 @@ export async function getWalletBalance() {
     method: 'GET',
     headers: authHeaders(timestamp, signature),
   });
-  return res.json();
+  return parse(res);
 }
 
 export async function getTickers(symbol) {
+  if (exchange?.getTickers) return exchange.getTickers(symbol);
   const res = await fetch(`${config.endpoints.rest}/v5/market/tickers?category=linear&symbol=${symbol}`);
-  return res.json();
+  return parse(res);
 }
 
 export async function getAllTickers() {
+  if (exchange?.getAllTickers) return exchange.getAllTickers();
   const res = await fetch(`${config.endpoints.rest}/v5/market/tickers?category=linear`);
-  return res.json();
+  return parse(res);
+}
+
+// Open interest history, newest first — intervalTime: 5min, 15min, 30min, 1h, 4h, 1d
+export async function getOpenInterest(symbol, intervalTime = '5min', limit = 12) {
+  if (exchange?.getOpenInterest) return exchange.getOpenInterest(symbol, intervalTime, limit);
+  const params = `category=linear&symbol=${symbol}&intervalTime=${intervalTime}&limit=${limit}`;
+  const res = await fetch(`${config.endpoints.rest}/v5/market/open-interest?${params}`);
+  return parse(res);
 }
 
 export async function getInstrumentsInfo() {
+  if (exchange?.getInstrumentsInfo) return exchange.getInstrumentsInfo();
   const res = await fetch(`${config.endpoints.rest}/v5/market/instruments-info?category=linear&limit=1000`);
-  return res.json();
+  return parse(res);
 }
 
-export async function getKlines(symbol, interval = '1', limit = 20) {
-  const params = `category=linear&symbol=${symbol}&interval=${interval}&limit=${limit}`;
+export async function getKlines(symbol, interval = '1', limit = 20, { start, end } = {}) {
+  if (exchange?.getKlines) return exchange.getKlines(symbol, interval, limit);
+  let params = `category=linear&symbol=${symbol}&interval=${interval}&limit=${limit}`;
+  if (start != null) params += `&start=${start}`;
+  if (end != null) params += `&end=${end}`;
   const res = await fetch(`${config.endpoints.rest}/v5/market/kline?${params}`);
-  return res.json();
+  return parse(res);
 }
 
 export async function closePosition(symbol, side, qty, orderType = 'Market', price = null) {
@@ -161,6 +206,7 @@ export async function closePosition(symbol, side, qty, orderType = 'Market', pri
 }
 
 export async function cancelOrder(symbol, orderId) {
+  if (exchange?.cancelOrder) return exchange.cancelOrder(symbol, orderId);
   const timestamp = Date.now().toString();
   const body = {
     category: 'linear',
@@ -175,10 +221,11 @@ export async function cancelOrder(symbol, orderId) {
     headers: authHeaders(timestamp, signature),
     body: bodyStr,
   });
-  return res.json();
+  return parse(res);
 }
 
 export async function getExecutionList(symbol, orderId = null, limit = 20) {
+  if (exchange?.getExecutionList) return exchange.getExecutionList(symbol, orderId, limit);
   const timestamp = Date.now().toString();
   let params = `category=linear&symbol=${symbol}&limit=${limit}`;
   if (orderId) params += `&orderId=${orderId}`;
@@ -188,10 +235,11 @@ export async function getExecutionList(symbol, orderId = null, limit = 20) {
     method: 'GET',
     headers: authHeaders(timestamp, signature),
   });
-  return res.json();
+  return parse(res);
 }
 
 export async function getOrderDetail(symbol, orderId) {
+  if (exchange?.getOrderDetail) return exchange.getOrderDetail(symbol, orderId);
   const timestamp = Date.now().toString();
   const params = `category=linear&symbol=${symbol}&orderId=${orderId}`;
   const signature = sign(timestamp, params);
@@ -200,16 +248,18 @@ export async function getOrderDetail(symbol, orderId) {
     method: 'GET',
     headers: authHeaders(timestamp, signature),
   });
-  return res.json();
+  return parse(res);
 }
 
 export async function getOrderbook(symbol, limit = 5) {
+  if (exchange?.getOrderbook) return exchange.getOrderbook(symbol, limit);
   const params = `category=linear&symbol=${symbol}&limit=${limit}`;
   const res = await fetch(`${config.endpoints.rest}/v5/market/orderbook?${params}`);
-  return res.json();
+  return parse(res);
 }
 
 export async function getClosedPnl(symbol, limit = 5) {
+  if (exchange?.getClosedPnl) return exchange.getClosedPnl(symbol, limit);
   const timestamp = Date.now().toString();
   let params = `category=linear&limit=${limit}`;
   if (symbol) params += `&symbol=${symbol}`;
@@ -219,5 +269,5 @@ export async function getClosedPnl(symbol, limit = 5) {
     method: 'GET',
     headers: authHeaders(timestamp, signature),
   });
-  return res.json();
+  return parse(res);
 }
@@ -0,0 +1,189 @@
+import { config } from '../config.js';
+import { getKlines } from './bybit.js';
+import { INTERVAL_MS, parseKlines } from '../core/indicators.js';
+import { createLogger } from '../core/logger.js';
+import { createTopicStream } from './ws-public-topics.js';
+
+/**
+ * Streaming Kline Store
+ *
+ * One candle series per (symbol, interval), shared by ATR and VWAP. A series
+ * is backfilled from REST the first time it's read, then kept current by the
+ * public kline.{interval}.{symbol} stream — later reads need no network call.
+ *
+ * Watched series:
+ * - pinned: symbols with open positions (setPinnedKlines)
+ * - recent: symbols with a liquidation (watchKlines) or a read, kept for
+ *   KLINE_WATCH_MIN minutes, at most KLINE_MAX_SERIES (oldest dropped first)
+ *
+ * A series goes stale when the stream drops or skips a candle; the next read
+ * backfills it again. Without a stream (backtests, paper tape replay) every
+ * read goes to REST, which the simulated exchange serves.
+ */
+
+const log = createLogger('KLINE');
+
+const MAX_KLINES = 1000; // Bybit kline page limit
+
+const series = new Map();  // `${symbol}:${interval}` -> { symbol, interval, candles, depth, ready, backfill, closedAt }
+const stats = { backfills: 0, updates: 0, closes: 0, gaps: 0, memoryReads: 0, restReads: 0 };
+
+const keyOf = (symbol, interval) => `${symbol}:${interval}`;
+
+const topics = createTopicStream({
+  stream: 'kline',
+  log,
+  topicPrefix: 'kline.',
+  topicOf: (key) => {
+    const [symbol, interval] = key.split(':');
+    return `kline.${interval}.${symbol}`;
+  },
+  watchMin: () => config.klineWatchMin,
+  maxRecent: () => config.klineMaxSeries,
+  onMessage: applyMessage,
+  onWatch: (key) => {
+    const [symbol, interval] = key.split(':');
+    series.set(key, { symbol, interval, candles: [], depth: 0, ready: false, backfill: null, closedAt: 0 });
+  },
+  onUnwatch: key => series.delete(key),
+  onDisconnect: () => {
+    // Candles may be missed while down — backfill again on the next read
+    for (const s of series.values()) s.ready = false;
+  },
+});
+
+export function connectKlineWs() {
+  topics.connect();
+}
+
+// Merge candles by start time, oldest first, keeping KLINE_STORE_BARS or the deepest read
+function merge(s, incoming) {
+  const byStart = new Map(s.candles.map(c => [c.start, c]));
+  for (const c of incoming) byStart.set(c.start, c);
+  s.candles = [...byStart.values()].sort((a, b) => a.start - b.start).slice(-Math.max(config.klineStoreBars, s.depth));
+}
+
+function applyMessage(msg) {
+  const [, interval, symbol] = msg.topic.split('.');
+  const s = series.get(keyOf(symbol, interval));
+  if (!s) return; // late message for an unwatched series
+
+  for (const k of msg.data) {
+    const candle = {
+      start: k.start,
+      open: parseFloat(k.open),
+      high: parseFloat(k.high),
+      low: parseFloat(k.low),
+      close: parseFloat(k.close),
+      volume: parseFloat(k.volume),
+    };
+    const last = s.candles[s.candles.length - 1];
+    if (s.ready && last && candle.start > last.start + INTERVAL_MS[interval]) {
+      stats.gaps++;
+      log.warn(`${symbol} ${interval}m gap (${last.start} -> ${candle.start}) — backfilling on next read`, { symbol });
+      s.ready = false;
+    }
+    merge(s, [candle]);
+    stats.updates++;
+
+    if (k.confirm) {
+      s.closedAt = candle.start;
+      stats.closes++;
+    }
+  }
+}
+
+async function fetchRest(symbol, interval, limit) {
+  const res = await getKlines(symbol, interval, Math.min(limit, MAX_KLINES));
+  if (res.retCode !== 0 || !res.result?.list?.length) {
+    log.error(`Failed to fetch klines for ${symbol}: ${res.retMsg}`, { symbol });
+    return null;
+  }
+  return parseKlines(res.result.list);
+}
+
+async function backfill(s) {
+  const candles = await fetchRest(s.symbol, s.interval, Math.max(s.depth, config.klineStoreBars));
+  stats.backfills++;
+  if (!candles) return;
+  merge(s, candles);
+  s.ready = true;
+}
+
+/**
+ * The last `limit` candles of `symbol` on `interval`, oldest first — the newest
+ * is the forming one. Served from the store when the series is live, otherwise
+ * fetched from REST (and, with the stream up, kept live from then on).
+ * Returns { candles, source: 'ws' | 'rest' } or null.
+ */
+export async function getCandles(symbol, interval, limit) {
+  if (!topics.isConnected()) {
+    stats.restReads++;
+    const candles = await fetchRest(symbol, interval, limit);
+    return candles ? { candles, source: 'rest' } : null;
+  }
+
+  const key = keyOf(symbol, interval);
+  topics.watch(key);
+  const s = series.get(key);
+  s.depth = Math.max(s.depth, Math.min(limit, MAX_KLINES));
+  if (!s.ready || s.candles.length < s.depth) {
+    // Concurrent first reads share one backfill
+    if (!s.backfill) s.backfill = backfill(s).finally(() => { s.backfill = null; });
+    await s.backfill;
+    stats.restReads++;
+    if (!s.ready) return null;
+    return { candles: s.candles.slice(-limit), source: 'rest' };
+  }
+  stats.memoryReads++;
+  return { candles: s.candles.slice(-limit), source: 'ws' };
+}
+
+/**
+ * Start of the newest closed candle the stream has delivered, 0 if none yet —
+ * lets callers keep a computed value until the next close.
+ */
+export function getLastClose(symbol, interval) {
+  const s = series.get(keyOf(symbol, interval));
+  return s?.ready ? s.closedAt : 0;
+}
+
+export function isSeriesLive(symbol, interval) {
+  return topics.isConnected() && !!series.get(keyOf(symbol, interval))?.ready;
+}
+
+/**
+ * Keep `symbol` live and backfill it in the background, so a trade on it later
+ * reads candles from memory.
+ */
+export function watchKlines(symbol, interval) {
+  if (!topics.isConnected()) return;
+  const key = keyOf(symbol, interval);
+  topics.watch(key);
+  const s = series.get(key);
+  if (!s.ready && !s.backfill) {
+    s.backfill = backfill(s).catch(() => {}).finally(() => { s.backfill = null; });
+  }
+}
+
+/**
+ * [[symbol, interval], ...] of open positions — kept live while listed.
+ */
+export function setPinnedKlines(pairs) {
+  topics.setPinned(pairs.map(([symbol, interval]) => keyOf(symbol, interval)));
+}
+
+export function getKlineStats() {
+  return {
+    connected: topics.isConnected(),
+    series: series.size,
+    live: [...series.values()].filter(s => s.ready).length,
+    pinned: topics.pinnedCount(),
+    ...stats,
+  };
+}
+
+export function disconnectKlineWs() {
+  topics.disconnect();
+  series.clear();
+}
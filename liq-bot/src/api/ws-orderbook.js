@@ -0,0 +1,201 @@
+import { config } from '../config.js';
+import { now } from '../core/clock.js';
+import { createLogger } from '../core/logger.js';
+import { createTopicStream } from './ws-public-topics.js';
+
+/**
+ * Local Order Book Mirror
+ *
+ * Keeps an L2 book per watched symbol from the public orderbook.50.{SYMBOL}
+ * stream (snapshot, then deltas) so entries can read best bid/ask, spread and
+ * depth synchronously instead of a REST round trip.
+ *
+ * Watched symbols:
+ * - pinned: symbols with open positions (setPinnedOrderbooks)
+ * - recent: symbols with a qualifying liquidation, kept for ORDERBOOK_WATCH_MIN
+ *   minutes, at most ORDERBOOK_MAX_SYMBOLS (oldest dropped first)
+ *
+ * Each delta's update ID must follow the previous one. On a gap or a crossed
+ * book the symbol is resubscribed for a fresh snapshot and reads return null
+ * until it arrives — callers fall back to REST getOrderbook.
+ */
+
+const log = createLogger('ORDERBOOK');
+
+const DEPTH = 50;
+
+const books = new Map();   // symbol -> { bids: Map, asks: Map, u, synced, updatedAt }
+const stats = { snapshots: 0, deltas: 0, resyncs: 0 };
+
+const emptyBook = () => ({ bids: new Map(), asks: new Map(), u: 0, synced: false, updatedAt: 0 });
+
+const topics = createTopicStream({
+  stream: 'orderbook',
+  log,
+  topicPrefix: 'orderbook.',
+  topicOf: symbol => `orderbook.${DEPTH}.${symbol}`,
+  watchMin: () => config.orderbookWatchMin,
+  maxRecent: () => config.orderbookMaxSymbols,
+  onMessage: applyMessage,
+  onWatch: symbol => books.set(symbol, emptyBook()),
+  onUnwatch: symbol => books.delete(symbol),
+  onDisconnect: () => {
+    for (const book of books.values()) book.synced = false;
+  },
+});
+
+export function connectOrderbookWs() {
+  topics.connect();
+}
+
+// Fresh snapshot — reads return null until it arrives
+function resync(symbol, reason) {
+  stats.resyncs++;
+  log.warn(`${symbol} ${reason} — resyncing`, { symbol });
+  books.set(symbol, emptyBook());
+  topics.resubscribe(symbol);
+}
+
+function applyLevels(side, levels) {
+  for (const [p, s] of levels) {
+    const size = parseFloat(s);
+    if (size === 0) side.delete(p);
+    else side.set(p, size);
+  }
+}
+
+function applyMessage(msg) {
+  const d = msg.data;
+  const book = books.get(d.s);
+  if (!book) return; // late message for an unwatched symbol
+
+  if (msg.type === 'snapshot') {
+    // u=1 is also how Bybit signals a service restart
+    book.bids.clear();
+    book.asks.clear();
+    applyLevels(book.bids, d.b);
+    applyLevels(book.asks, d.a);
+    book.synced = true;
+    stats.snapshots++;
+  } else {
+    if (!book.synced) return;
+    if (d.u !== book.u + 1) {
+      resync(d.s, `sequence gap (${book.u} -> ${d.u})`);
+      return;
+    }
+    applyLevels(book.bids, d.b);
+    applyLevels(book.asks, d.a);
+    stats.deltas++;
+  }
+  book.u = d.u;
+  book.updatedAt = msg.cts || msg.ts || now();
+
+  const top = bestOf(book);
+  if (top && top.bid >= top.ask) resync(d.s, `crossed book (${top.bid} >= ${top.ask})`);
+}
+
+function bestOf(book) {
+  let bid = -Infinity, bidSize = 0;
+  let ask = Infinity, askSize = 0;
+  for (const [p, size] of book.bids) {
+    const price = parseFloat(p);
+    if (price > bid) { bid = price; bidSize = size; }
+  }
+  for (const [p, size] of book.asks) {
+    const price = parseFloat(p);
+    if (price < ask) { ask = price; askSize = size; }
+  }
+  if (bid === -Infinity || ask === Infinity) return null;
+  return { bid, ask, bidSize, askSize };
+}
+
+/**
+ * Start (or refresh) mirroring `symbol` after a qualifying liquidation.
+ */
+export function watchOrderbook(symbol) {
+  topics.watch(symbol);
+}
+
+/**
+ * Symbols with open positions — mirrored for as long as they stay in the list.
+ */
+export function setPinnedOrderbooks(symbols) {
+  topics.setPinned(symbols);
+}
+
+function syncedBook(symbol) {
+  const book = books.get(symbol);
+  if (!book?.synced || !topics.isConnected()) return null;
+  return book;
+}
+
+/**
+ * { bid, ask, bidSize, askSize, mid, spread, spreadPct } from the local book,
+ * or null if it isn't synced.
+ */
+export function getBestBidAsk(symbol) {
+  const book = syncedBook(symbol);
+  if (!book) return null;
+  const top = bestOf(book);
+  if (!top) return null;
+  const mid = (top.bid + top.ask) / 2;
+  return {
+    ...top,
+    mid,
+    spread: top.ask - top.bid,
+    spreadPct: ((top.ask - top.bid) / mid) * 100,
+    updatedAt: book.updatedAt,
+  };
+}
+
+/**
+ * Sorted levels (best first) — { bids: [[price, size]], asks: [[price, size]] }.
+ */
+export function getOrderbookLevels(symbol, limit = DEPTH) {
+  const book = syncedBook(symbol);
+  if (!book) return null;
+  const toLevels = side => [...side].map(([p, s]) => [parseFloat(p), s]);
+  return {
+    bids: toLevels(book.bids).sort((a, b) => b[0] - a[0]).slice(0, limit),
+    asks: toLevels(book.asks).sort((a, b) => a[0] - b[0]).slice(0, limit),
+    u: book.u,
+    updatedAt: book.updatedAt,
+  };
+}
+
+/**
+ * Resting USD notional within `pct`% of mid on each side.
+ */
+export function getDepth(symbol, pct = 0.5) {
+  const top = getBestBidAsk(symbol);
+  if (!top) return null;
+  const book = books.get(symbol);
+  const lo = top.mid * (1 - pct / 100);
+  const hi = top.mid * (1 + pct / 100);
+  let bidUsd = 0;
+  let askUsd = 0;
+  for (const [p, s] of book.bids) {
+    const price = parseFloat(p);
+    if (price >= lo) bidUsd += price * s;
+  }
+  for (const [p, s] of book.asks) {
+    const price = parseFloat(p);
+    if (price <= hi) askUsd += price * s;
+  }
+  return { pct, bidUsd, askUsd };
+}
+
+export function getOrderbookStats() {
+  return {
+    connected: topics.isConnected(),
+    watched: topics.watchedCount(),
+    synced: [...books.values()].filter(b => b.synced).length,
+    pinned: topics.pinnedCount(),
+    ...stats,
+  };
+}
+
+export function disconnectOrderbookWs() {
+  topics.disconnect();
+  books.clear();
+}
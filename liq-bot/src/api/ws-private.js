@@ -0,0 +1,218 @@
+import crypto from 'crypto';
+import WebSocket from 'ws';
+import { EventEmitter } from 'events';
+import { config } from '../config.js';
+import { getPositions } from './bybit.js';
+import { createLogger } from '../core/logger.js';
+import { counter } from '../core/metrics.js';
+import { notify } from '../core/notifier.js';
+
+/**
+ * Private WebSocket Stream
+ *
+ * Subscribes to position, order, execution and wallet updates so the monitor
+ * learns about fills and closes in real time with exact order IDs, fees and
+ * maker/taker flags. Keeps a small cache of each:
+ * - positions: latest open position per symbol (seeded from REST on every connect)
+ * - orders: latest state per orderId
+ * - executions: recent fills per symbol
+ * - wallet: latest account snapshot
+ *
+ * onPrivateEvent(topic, fn) fires after the cache is updated.
+ */
+
+const log = createLogger('WS-PRIVATE');
+const wsReconnects = counter('liqbot_ws_reconnects_total', 'WebSocket disconnects (each followed by a reconnect), by stream');
+
+const TOPICS = ['position', 'order', 'execution', 'wallet'];
+const MAX_ORDERS = 1000;
+const MAX_EXECUTIONS_PER_SYMBOL = 200;
+
+let ws = null;
+let ready = false;
+let reconnectTimer = null;
+let reconnectDelay = 1000;
+let pingInterval = null;
+
+const events = new EventEmitter();
+const positions = new Map();  // symbol -> position (REST shape)
+const orders = new Map();     // orderId -> order
+const executions = new Map(); // symbol -> [execution, ...] oldest first
+let wallet = null;
+
+export function isPrivateWsReady() {
+  return ws && ws.readyState === WebSocket.OPEN && ready;
+}
+
+export function onPrivateEvent(topic, fn) {
+  events.on(topic, fn);
+}
+
+export function connectPrivateWs() {
+  const url = config.endpoints.ws_private;
+  if (!url || !config.apiKey || !config.apiSecret) return;
+  if (ws && (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING)) {
+    return;
+  }
+
+  log.info(`Connecting to ${url}...`);
+  ws = new WebSocket(url);
+
+  ws.on('open', () => {
+    log.info('Connected. Authenticating...');
+    reconnectDelay = 1000;
+    authenticate();
+  });
+
+  ws.on('message', async (data) => {
+    try {
+      const msg = JSON.parse(data.toString());
+
+      if (msg.op === 'auth') {
+        if (msg.success) {
+          ws.send(JSON.stringify({ op: 'subscribe', args: TOPICS }));
+        } else {
+          log.error(`Auth failed: ${msg.retMsg}`);
+        }
+        return;
+      }
+
+      if (msg.op === 'subscribe') {
+        if (!msg.success) {
+          log.error(`Subscribe failed: ${msg.retMsg}`);
+          return;
+        }
+        // Positions only stream on change — start from a full REST snapshot
+        await seedPositions();
+        ready = true;
+        log.info(`Subscribed to ${TOPICS.join(', ')}. Streaming account updates.`);
+        return;
+      }
+
+      if (msg.op === 'pong' || !msg.topic) return;
+      handleTopic(msg.topic, msg.data || []);
+    } catch (err) {
+      log.error(`Parse error: ${err.message}`);
+    }
+  });
+
+  ws.on('close', () => {
+    wsReconnects.inc({ stream: 'private' });
+    if (ready) {
+      log.info('Disconnected. Falling back to REST polling.');
+      notify('disconnect', { stream: 'private', message: 'position / order updates fall back to REST polling' });
+    }
+    ready = false;
+    clearInterval(pingInterval);
+    scheduleReconnect();
+  });
+
+  ws.on('error', (err) => {
+    log.error(`Error: ${err.message}`);
+  });
+
+  clearInterval(pingInterval);
+  pingInterval = setInterval(() => {
+    if (ws && ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ op: 'ping' }));
+    }
+  }, 20000);
+}
+
+function authenticate() {
+  const expires = Date.now() + 10000;
+  const signature = crypto
+    .createHmac('sha256', config.apiSecret)
+    .update(`GET/realtime${expires}`)
+    .digest('hex');
+
+  ws.send(JSON.stringify({
+    op: 'auth',
+    args: [config.apiKey, expires, signature],
+  }));
+}
+
+function scheduleReconnect() {
+  if (reconnectTimer) return;
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    reconnectDelay = Math.min(reconnectDelay * 2, 30000);
+    connectPrivateWs();
+  }, reconnectDelay);
+}
+
+async function seedPositions() {
+  try {
+    const res = await getPositions();
+    if (res.retCode !== 0) return;
+    positions.clear();
+    for (const p of res.result.list) {
+      if (parseFloat(p.size) > 0) positions.set(p.symbol, p);
+    }
+  } catch (err) {
+    log.warn(`Position seed failed: ${err.message}`);
+  }
+}
+
+function handleTopic(topic, items) {
+  if (topic === 'position') {
+    for (const p of items) {
+      if (p.category && p.category !== 'linear') continue;
+      // The stream calls it entryPrice, REST calls it avgPrice
+      const pos = { ...p, avgPrice: p.avgPrice ?? p.entryPrice };
+      if (parseFloat(pos.size) > 0) positions.set(pos.symbol, pos);
+      else positions.delete(pos.symbol);
+    }
+  } else if (topic === 'order') {
+    for (const o of items) {
+      orders.delete(o.orderId); // re-insert so the oldest entry is evicted first
+      orders.set(o.orderId, o);
+    }
+    while (orders.size > MAX_ORDERS) orders.delete(orders.keys().next().value);
+  } else if (topic === 'execution') {
+    for (const e of items) {
+      if (e.execType && e.execType !== 'Trade') continue; // skip funding / ADL / bust
+      if (!executions.has(e.symbol)) executions.set(e.symbol, []);
+      const list = executions.get(e.symbol);
+      list.push(e);
+      if (list.length > MAX_EXECUTIONS_PER_SYMBOL) list.shift();
+    }
+  } else if (topic === 'wallet') {
+    wallet = items[0] || wallet;
+  }
+  events.emit(topic, items);
+}
+
+/**
+ * Open positions in the same shape as REST getPositions().result.list.
+ */
+export function getStreamPositions() {
+  return [...positions.values()];
+}
+
+export function getStreamOrder(orderId) {
+  return orders.get(orderId) || null;
+}
+
+/**
+ * Fills for `symbol` since `since` (ms), oldest first.
+ */
+export function getStreamExecutions(symbol, since = 0) {
+  return (executions.get(symbol) || []).filter(e => parseInt(e.execTime) >= since);
+}
+
+export function getStreamWallet() {
+  return wallet;
+}
+
+export function disconnectPrivateWs() {
+  if (reconnectTimer) { clearTimeout(reconnectTimer); reconnectTimer = null; }
+  clearInterval(pingInterval);
+  if (ws) { ws.removeAllListeners(); ws.close(); ws = null; }
+  ready = false;
+  positions.clear();
+  orders.clear();
+  executions.clear();
+  wallet = null;
+  log.info('Disconnected for account switch.');
+}
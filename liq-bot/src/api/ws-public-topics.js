@@ -0,0 +1,182 @@
+import WebSocket from 'ws';
+import { config } from '../config.js';
+import { now } from '../core/clock.js';
+import { counter } from '../core/metrics.js';
+
+/**
+ * Public Topic Subscriptions
+ *
+ * The connection side of the public stream mirrors (order book, klines,
+ * tickers): one socket to the public endpoint with ping and reconnect backoff,
+ * and the set of watched keys, each subscribed as one topic.
+ *
+ * Watched keys:
+ * - pinned: keys of open positions (setPinned)
+ * - recent: keys passed to watch(), kept for watchMin() minutes, at most
+ *   maxRecent() (oldest dropped first)
+ *
+ * The caller owns the per-key state: onWatch / onUnwatch run as keys are
+ * subscribed and dropped, onMessage gets every message on a `topicPrefix`
+ * topic, onDisconnect runs when the socket closes.
+ */
+
+const wsReconnects = counter('liqbot_ws_reconnects_total', 'WebSocket disconnects (each followed by a reconnect), by stream');
+
+const EXPIRE_CHECK_MS = 30000;
+const PING_MS = 20000;
+const MAX_ARGS = 10; // Bybit allows max 10 args per subscribe message
+
+export function createTopicStream({
+  stream, log, topicPrefix, topicOf, watchMin, maxRecent,
+  onMessage, onWatch = () => {}, onUnwatch = () => {}, onDisconnect = () => {},
+}) {
+  let ws = null;
+  let reconnectTimer = null;
+  let reconnectDelay = 1000;
+  let pingInterval = null;
+  let expireInterval = null;
+
+  const active = new Set();  // subscribed keys
+  const pinned = new Set();
+  const recent = new Map();  // key -> last watch()
+
+  function connect() {
+    const url = config.endpoints.ws_public;
+    if (!url) return;
+    if (ws && (ws.readyState === WebSocket.OPEN || ws.readyState === WebSocket.CONNECTING)) {
+      return;
+    }
+
+    ws = new WebSocket(url, { perMessageDeflate: false, skipUTF8Validation: true });
+
+    ws.on('open', () => {
+      log.info('Connected.');
+      reconnectDelay = 1000;
+      send('subscribe', [...active]);
+    });
+
+    ws.on('message', (raw) => {
+      try {
+        const msg = JSON.parse(raw);
+        if (msg.op === 'subscribe' && !msg.success) {
+          log.error(`Subscribe failed: ${msg.ret_msg || msg.retMsg}`);
+          return;
+        }
+        if (!msg.topic || !msg.topic.startsWith(topicPrefix)) return;
+        onMessage(msg);
+      } catch (err) {
+        log.error(`Parse error: ${err.message}`);
+      }
+    });
+
+    ws.on('close', () => {
+      wsReconnects.inc({ stream });
+      log.info('Disconnected. Reconnecting...');
+      clearInterval(pingInterval);
+      onDisconnect();
+      scheduleReconnect();
+    });
+
+    ws.on('error', (err) => {
+      log.error(`WS error: ${err.message}`);
+    });
+
+    clearInterval(pingInterval);
+    pingInterval = setInterval(() => {
+      if (ws && ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify({ op: 'ping' }));
+      }
+    }, PING_MS);
+
+    if (!expireInterval) expireInterval = setInterval(expireRecent, EXPIRE_CHECK_MS);
+  }
+
+  function scheduleReconnect() {
+    if (reconnectTimer) return;
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      reconnectDelay = Math.min(reconnectDelay * 2, 30000);
+      connect();
+    }, reconnectDelay);
+  }
+
+  function isConnected() {
+    return !!ws && ws.readyState === WebSocket.OPEN;
+  }
+
+  function send(op, keys) {
+    if (!isConnected() || keys.length === 0) return;
+    const args = keys.map(topicOf);
+    for (let i = 0; i < args.length; i += MAX_ARGS) {
+      ws.send(JSON.stringify({ op, args: args.slice(i, i + MAX_ARGS) }));
+    }
+  }
+
+  function syncSubscriptions() {
+    const want = new Set([...pinned, ...recent.keys()]);
+    const drop = [...active].filter(k => !want.has(k));
+    send('unsubscribe', drop);
+    for (const k of drop) {
+      active.delete(k);
+      onUnwatch(k);
+    }
+
+    const add = [...want].filter(k => !active.has(k));
+    for (const k of add) {
+      active.add(k);
+      onWatch(k);
+    }
+    send('subscribe', add);
+  }
+
+  function expireRecent() {
+    const cutoff = now() - watchMin() * 60 * 1000;
+    let changed = false;
+    for (const [key, t] of recent) {
+      if (t < cutoff) { recent.delete(key); changed = true; }
+    }
+    if (changed) syncSubscriptions();
+  }
+
+  return {
+    connect,
+    isConnected,
+
+    // Start (or refresh) watching `key`; its state exists once this returns
+    watch(key) {
+      recent.delete(key); // re-insert so the oldest entry is dropped first
+      recent.set(key, now());
+      while (recent.size > maxRecent()) {
+        recent.delete(recent.keys().next().value);
+      }
+      syncSubscriptions();
+    },
+
+    // Keys watched for as long as they stay in the list
+    setPinned(keys) {
+      const next = new Set(keys);
+      if (next.size === pinned.size && [...next].every(k => pinned.has(k))) return;
+      pinned.clear();
+      for (const k of next) pinned.add(k);
+      syncSubscriptions();
+    },
+
+    // Unsubscribe + subscribe makes Bybit send a fresh snapshot
+    resubscribe(key) {
+      send('unsubscribe', [key]);
+      send('subscribe', [key]);
+    },
+
+    watchedCount: () => active.size,
+    pinnedCount: () => pinned.size,
+
+    disconnect() {
+      if (reconnectTimer) { clearTimeout(reconnectTimer); reconnectTimer = null; }
+      clearInterval(pingInterval);
+      clearInterval(expireInterval);
+      expireInterval = null;
+      if (ws) { ws.removeAllListeners(); ws.close(); ws = null; }
+      active.clear();
+    },
+  };
+}
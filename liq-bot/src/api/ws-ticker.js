@@ -0,0 +1,166 @@
+import { config } from '../config.js';
+import { getTickers, getOpenInterest } from './bybit.js';
+import { now } from '../core/clock.js';
+import { createLogger } from '../core/logger.js';
+import { createTopicStream } from './ws-public-topics.js';
+
+/**
+ * Open Interest / Funding Tracker
+ *
+ * Keeps open interest samples and the current funding rate per watched symbol
+ * from the public tickers.{SYMBOL} stream (snapshot, then deltas carrying only
+ * changed fields). A symbol is seeded from REST when first watched — 5-minute
+ * open interest history plus the ticker — so OI change over the window is
+ * available before the stream has built up its own history.
+ *
+ * Watched symbols:
+ * - pinned: symbols with open positions (setPinnedTickers)
+ * - recent: symbols with a liquidation, kept for CONTEXT_WATCH_MIN minutes,
+ *   at most CONTEXT_MAX_SYMBOLS (oldest dropped first)
+ *
+ * Without a stream (backtests, paper tape replay) reads go to REST each time.
+ */
+
+const log = createLogger('TICKER');
+
+const SAMPLE_MS = 1000;      // at most one OI sample per second
+const REST_OI_STEP_MS = 300_000;
+
+const markets = new Map(); // symbol -> { oi: [{ t, oi }], fundingRate, nextFundingTime, streaming, seeded, seed, updatedAt }
+const stats = { snapshots: 0, deltas: 0, seeds: 0, restReads: 0 };
+
+const topics = createTopicStream({
+  stream: 'ticker',
+  log,
+  topicPrefix: 'tickers.',
+  topicOf: symbol => `tickers.${symbol}`,
+  watchMin: () => config.contextWatchMin,
+  maxRecent: () => config.contextMaxSymbols,
+  onMessage: applyMessage,
+  onWatch: (symbol) => {
+    markets.set(symbol, emptyMarket());
+    seed(symbol, markets.get(symbol));
+  },
+  onUnwatch: symbol => markets.delete(symbol),
+  onDisconnect: () => {
+    // OI history has a hole now — seed again on the next read
+    for (const m of markets.values()) { m.streaming = false; m.seeded = false; m.oi = []; }
+  },
+});
+
+export function connectTickerWs() {
+  topics.connect();
+}
+
+function emptyMarket() {
+  return { oi: [], fundingRate: null, nextFundingTime: null, streaming: false, seeded: false, seed: null, updatedAt: 0 };
+}
+
+// Keep one window (plus a sample before it as the baseline)
+function trim(m, t) {
+  const cutoff = t - config.contextOiWindowMin * 60 * 1000 - REST_OI_STEP_MS;
+  while (m.oi.length > 2 && m.oi[1].t < cutoff) m.oi.shift();
+}
+
+function addSample(m, t, oi) {
+  const last = m.oi[m.oi.length - 1];
+  if (last && t < last.t) return;
+  if (last && t - last.t < SAMPLE_MS) last.oi = oi;
+  else m.oi.push({ t, oi });
+  trim(m, t);
+}
+
+function applyMessage(msg) {
+  const d = msg.data;
+  const m = markets.get(d.symbol);
+  if (!m) return; // late message for an unwatched symbol
+
+  const t = msg.ts || now();
+  if (d.openInterest != null) addSample(m, t, parseFloat(d.openInterest));
+  if (d.fundingRate != null) m.fundingRate = parseFloat(d.fundingRate);
+  if (d.nextFundingTime != null) m.nextFundingTime = parseInt(d.nextFundingTime);
+  m.streaming = true;
+  m.updatedAt = t;
+  if (msg.type === 'snapshot') stats.snapshots++;
+  else stats.deltas++;
+}
+
+async function fetchRest(symbol, m) {
+  const [ticker, history] = await Promise.all([
+    getTickers(symbol).catch(() => null),
+    getOpenInterest(symbol, '5min', Math.ceil(config.contextOiWindowMin / 5) + 1).catch(() => null),
+  ]);
+  const t = ticker?.retCode === 0 ? ticker.result?.list?.[0] : null;
+  if (t?.fundingRate) m.fundingRate = parseFloat(t.fundingRate);
+  if (t?.nextFundingTime) m.nextFundingTime = parseInt(t.nextFundingTime);
+
+  // Newest first: [{ openInterest, timestamp }]
+  const rows = history?.retCode === 0 ? history.result?.list || [] : [];
+  const samples = rows.map(r => ({ t: parseInt(r.timestamp), oi: parseFloat(r.openInterest) })).reverse();
+  if (t?.openInterest) samples.push({ t: now(), oi: parseFloat(t.openInterest) });
+  // Stream samples already collected are newer than the history
+  const firstLive = m.oi[0]?.t ?? Infinity;
+  m.oi = [...samples.filter(s => s.t < firstLive), ...m.oi];
+  m.updatedAt = now();
+}
+
+function seed(symbol, m) {
+  if (!m.seed) {
+    m.seed = fetchRest(symbol, m)
+      .then(() => { m.seeded = true; stats.seeds++; })
+      .catch(() => {})
+      .finally(() => { m.seed = null; });
+  }
+  return m.seed;
+}
+
+/**
+ * Start tracking `symbol` after a liquidation (seeds it from REST in the background).
+ */
+export function watchTicker(symbol) {
+  if (!topics.isConnected()) return;
+  topics.watch(symbol);
+}
+
+/**
+ * Symbols with open positions — tracked for as long as they stay in the list.
+ */
+export function setPinnedTickers(symbols) {
+  topics.setPinned(symbols);
+}
+
+/**
+ * { oi: [{ t, oi }] oldest first, fundingRate, nextFundingTime, source } or
+ * null if nothing is known. From memory while the symbol is streaming.
+ */
+export async function getMarketData(symbol) {
+  let m = markets.get(symbol);
+  let source = 'ws';
+  if (!m || !topics.isConnected()) {
+    // Not tracked — one-off REST read
+    m = emptyMarket();
+    await fetchRest(symbol, m).catch(() => {});
+    stats.restReads++;
+    source = 'rest';
+  } else if (!m.seeded) {
+    await seed(symbol, m);
+    source = 'rest';
+  }
+  if (m.oi.length === 0 && m.fundingRate == null) return null;
+  return { oi: m.oi, fundingRate: m.fundingRate, nextFundingTime: m.nextFundingTime, source };
+}
+
+export function getTickerStats() {
+  return {
+    connected: topics.isConnected(),
+    watched: topics.watchedCount(),
+    streaming: [...markets.values()].filter(m => m.streaming).length,
+    pinned: topics.pinnedCount(),
+    ...stats,
+  };
+}
+
+export function disconnectTickerWs() {
+  topics.disconnect();
+  markets.clear();
+}
@@ -1,6 +1,9 @@
 import crypto from 'crypto';
 import WebSocket from 'ws';
 import { config } from '../config.js';
+import { createLogger } from '../core/logger.js';
+import { counter } from '../core/metrics.js';
+import { notify } from '../core/notifier.js';
 
 /**
  * WebSocket Trade Client
@@ -10,6 +13,10 @@ import { config } from '../config.js';
  * Falls back to REST (via callback) if WS is not connected.
  */
 
+const log = createLogger('WS-TRADE');
+const wsReconnects = counter('liqbot_ws_reconnects_total', 'WebSocket disconnects (each followed by a reconnect), by stream');
+const apiErrors = counter('liqbot_api_errors_total', 'Bybit responses with a non-zero retCode or HTTP error, by endpoint and code');
+
 let ws = null;
 let authenticated = false;
 let reconnectTimer = null;
@@ -30,12 +37,12 @@ export function connectTradeWs() {
   }
 
   const url = config.endpoints.ws_trade;
-  console.log(`[WS-TRADE] Connecting to ${url}...`);
+  log.info(`Connecting to ${url}...`);
 
   ws = new WebSocket(url);
 
   ws.on('open', () => {
-    console.log('[WS-TRADE] Connected. Authenticating...');
+    log.info('Connected. Authenticating...');
     reconnectAttempts = 0;
     authenticate();
   });
@@ -48,9 +55,9 @@ export function connectTradeWs() {
       if (msg.op === 'auth') {
         if (msg.success) {
           authenticated = true;
-          console.log('[WS-TRADE] Authenticated. Ready for orders.');
+          log.info('Authenticated. Ready for orders.');
         } else {
-          console.error('[WS-TRADE] Auth failed:', msg.retMsg);
+          log.error(`Auth failed: ${msg.retMsg}`);
           authenticated = false;
         }
         return;
@@ -62,6 +69,8 @@ export function connectTradeWs() {
         clearTimeout(pending.timer);
         pendingOrders.delete(msg.reqId);
 
+        if (msg.retCode !== 0) apiErrors.inc({ endpoint: 'ws:order.create', code: String(msg.retCode) });
+
         // Format response to match REST API shape
         pending.resolve({
           retCode: msg.retCode,
@@ -75,25 +84,27 @@ export function connectTradeWs() {
       if (msg.op === 'pong') return;
 
     } catch (err) {
-      console.error('[WS-TRADE] Parse error:', err.message);
+      log.error(`Parse error: ${err.message}`);
     }
   });
 
   ws.on('close', () => {
+    wsReconnects.inc({ stream: 'trade' });
+    if (authenticated) notify('disconnect', { stream: 'trade', message: 'orders go via REST until it reconnects' });
     authenticated = false;
     rejectAllPending('WebSocket disconnected');
     reconnectAttempts++;
     if (reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
       disabled = true;
-      console.log('[WS-TRADE] Endpoint unavailable after 3 attempts — using REST only.');
+      log.info('Endpoint unavailable after 3 attempts — using REST only.');
     } else {
-      console.log(`[WS-TRADE] Disconnected. Retry ${reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS}...`);
+      log.info(`Disconnected. Retry ${reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS}...`);
       scheduleReconnect();
     }
   });
 
   ws.on('error', (err) => {
-    if (!disabled) console.error('[WS-TRADE] Error:', err.message);
+    if (!disabled) log.error(`Error: ${err.message}`);
     authenticated = false;
   });
 
@@ -143,7 +154,7 @@ export function disconnectTradeWs() {
   disabled = false;
   reconnectAttempts = 0;
   rejectAllPending('Account switch — WS disconnected');
-  console.log('[WS-TRADE] Disconnected for account switch.');
+  log.info('Disconnected for account switch.');
 }
 
 /**
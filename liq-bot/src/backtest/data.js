@@ -0,0 +1,102 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { config } from '../config.js';
+import { getKlines, getInstrumentsInfo } from '../api/bybit.js';
+
+/**
+ * Historical data loading shared by the backtester and paper tape replay:
+ * liquidation tapes, instrument info and 1m klines (cached on disk).
+ */
+
+const KLINE_PAGE = 1000;
+
+export function eventTime(ev) {
+  return parseInt(ev.updatedTime || ev.timestamp);
+}
+
+/**
+ * Recorded liqEvents: NDJSON (optionally .gz), a JSON array, or a recorder
+ * tape directory (every day file in order).
+ */
+export function readEvents(file) {
+  if (fs.statSync(file).isDirectory()) {
+    return fs.readdirSync(file)
+      .filter(name => name.endsWith('.ndjson.gz'))
+      .sort()
+      .flatMap(name => readEvents(path.join(file, name)));
+  }
+  let raw = fs.readFileSync(file);
+  if (file.endsWith('.gz')) raw = zlib.gunzipSync(raw, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+  const text = raw.toString('utf8').trim();
+  if (text.startsWith('[')) return JSON.parse(text);
+  return text.split('\n').filter(Boolean).flatMap((line) => {
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      return []; // partial trailing line from an interrupted append
+    }
+  });
+}
+
+// Candles needed before the first event so ATR/VWAP are warm
+export function warmupMs() {
+  const intervalMs = (parseInt(config.atrInterval) || 1440) * 60_000;
+  return Math.max(config.atrPeriod + 1, 50) * intervalMs + 60 * 60 * 1000;
+}
+
+/**
+ * Instruments-info list from `file`, fetched from Bybit and cached there if missing.
+ * Must run before a simulated exchange is installed (it serves its own list).
+ */
+export async function loadInstruments(file) {
+  if (fs.existsSync(file)) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  const res = await getInstrumentsInfo();
+  if (res.retCode !== 0) throw new Error(`Failed to fetch instruments: ${res.retMsg}`);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(res.result.list));
+  console.log(`[DATA] Cached ${res.result.list.length} instruments → ${file}`);
+  return res.result.list;
+}
+
+async function fetchKlines(symbol, from, to) {
+  const rows = new Map();
+  let end = to;
+  while (end > from) {
+    const res = await getKlines(symbol, '1', KLINE_PAGE, { start: from, end });
+    if (res.retCode !== 0 || !res.result?.list?.length) break;
+    for (const c of res.result.list) rows.set(c[0], c);
+    const oldest = parseInt(res.result.list[res.result.list.length - 1][0]);
+    if (oldest >= end) break;
+    end = oldest - 1;
+    await new Promise(r => setTimeout(r, 100)); // stay well under public rate limits
+  }
+  return [...rows.values()];
+}
+
+/**
+ * Load {SYMBOL}.json 1m klines from `dir` into the simulated exchange.
+ * With `fetch`, missing symbols are downloaded for [from, to] and cached.
+ */
+export async function loadKlines(exchange, symbols, dir, { fetch = false, from = 0, to = Date.now() } = {}) {
+  fs.mkdirSync(dir, { recursive: true });
+  for (const symbol of symbols) {
+    const file = path.join(dir, `${symbol}.json`);
+    let list = null;
+    if (fs.existsSync(file)) {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      list = Array.isArray(saved) ? saved : saved.list;
+    } else if (fetch) {
+      list = await fetchKlines(symbol, from, to);
+      fs.writeFileSync(file, JSON.stringify(list));
+      console.log(`[DATA] Fetched ${list.length} 1m klines for ${symbol}`);
+    }
+    if (list?.length) {
+      exchange.loadCandles(symbol, list);
+    } else {
+      console.warn(`[DATA] No klines for ${symbol} — its events will fail to fill`);
+    }
+  }
+}
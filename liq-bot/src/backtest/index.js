@@ -0,0 +1,122 @@
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { config } from '../config.js';
+import { CONFIG_SCHEMA, parseEnvValue } from '../config-schema.js';
+import { DATA_DIR } from '../core/persistence.js';
+import { SimExchange } from '../sim/exchange.js';
+import { runBacktest } from './runner.js';
+import { hydrateProfiles } from '../core/profiles.js';
+import { readEvents, eventTime, warmupMs, loadInstruments, loadKlines } from './data.js';
+
+/**
+ * Backtest CLI
+ *
+ *   npm run backtest -- --liqs tape.ndjson --klines data/klines [--fetch]
+ *                       [--set slAtrMultiplier=1.2 --set entryOrderType=Market]
+ *
+ * --liqs         Recorded liqEvents: NDJSON (optionally .gz), a JSON array, or a
+ *                recorder tape directory (data/tape). Repeatable.
+ * --klines       Directory of {SYMBOL}.json files, each a Bybit 1m kline list.
+ * --instruments  Bybit instruments-info list (default: <klines>/instruments.json,
+ *                fetched from Bybit and cached there if missing).
+ * --fetch        Download missing 1m klines from Bybit public REST into --klines.
+ * --balance      Starting wallet balance (default 10000).
+ * --maker-fee / --taker-fee   Fee rates (default 0.0002 / 0.00055).
+ * --set key=val  Override any setting (src/config-schema.js) for this run,
+ *                written like its env var. Repeatable.
+ * --profiles     JSON file of per-symbol / tag profiles (same shape as the
+ *                `profiles` key of config_overrides.json).
+ * --out          Output dir (default <DATA_DIR>/backtests/<timestamp>).
+ * --quiet        Suppress executor/monitor logs during the replay.
+ */
+
+const TAIL_MS = 6 * 60 * 60 * 1000;
+
+const { values } = parseArgs({
+  options: {
+    liqs: { type: 'string', multiple: true },
+    klines: { type: 'string' },
+    instruments: { type: 'string' },
+    fetch: { type: 'boolean', default: false },
+    balance: { type: 'string', default: '10000' },
+    'maker-fee': { type: 'string', default: '0.0002' },
+    'taker-fee': { type: 'string', default: '0.00055' },
+    set: { type: 'string', multiple: true },
+    profiles: { type: 'string' },
+    out: { type: 'string' },
+    quiet: { type: 'boolean', default: false },
+  },
+});
+
+function applyOverrides(pairs = []) {
+  for (const pair of pairs) {
+    const idx = pair.indexOf('=');
+    const key = pair.slice(0, idx);
+    const raw = pair.slice(idx + 1);
+    if (idx < 1 || !CONFIG_SCHEMA[key]) throw new Error(`Unknown config key in --set ${pair}`);
+    // Parsed like its env var: "true", "1,15", "BTCUSDT=500000"
+    const { value, error } = parseEnvValue(key, raw);
+    if (error) throw new Error(`--set ${pair}: ${error}`);
+    config[key] = value;
+    console.log(`[BACKTEST] Override ${key} = ${JSON.stringify(value)}`);
+  }
+}
+
+async function main() {
+  if (!values.liqs?.length || !values.klines) {
+    console.error('Usage: npm run backtest -- --liqs <file> --klines <dir> [--fetch] [--set key=value]');
+    process.exit(1);
+  }
+
+  applyOverrides(values.set);
+  if (values.profiles) hydrateProfiles(JSON.parse(fs.readFileSync(values.profiles, 'utf8')));
+
+  const events = values.liqs.flatMap(readEvents);
+  const symbols = [...new Set(events.map(e => e.symbol))];
+  const times = events.map(eventTime);
+  const from = Math.min(...times) - warmupMs();
+  const to = Math.max(...times) + TAIL_MS;
+  console.log(`[BACKTEST] ${events.length} liquidation events, ${symbols.length} symbols`);
+
+  const instruments = await loadInstruments(values.instruments || path.join(values.klines, 'instruments.json'));
+
+  const exchange = new SimExchange({
+    balance: parseFloat(values.balance),
+    makerFee: parseFloat(values['maker-fee']),
+    takerFee: parseFloat(values['taker-fee']),
+    instruments,
+  });
+  await loadKlines(exchange, symbols, values.klines, { fetch: values.fetch, from, to });
+
+  const log = console.log;
+  if (values.quiet) console.log = () => {};
+  let result;
+  try {
+    result = await runBacktest(events, exchange);
+  } finally {
+    console.log = log;
+  }
+
+  const outDir = values.out || path.join(DATA_DIR, 'backtests', new Date().toISOString().replace(/[:.]/g, '-'));
+  fs.mkdirSync(outDir, { recursive: true });
+  fs.writeFileSync(path.join(outDir, 'pnl_history.json'), JSON.stringify(result.pnlHistory));
+  fs.writeFileSync(path.join(outDir, 'trade_log.json'), JSON.stringify(result.tradeLog));
+  fs.writeFileSync(path.join(outDir, 'summary.json'), JSON.stringify(result.summary, null, 2));
+
+  console.log('===========================================');
+  console.log('  BACKTEST SUMMARY');
+  for (const [key, value] of Object.entries(result.summary)) {
+    console.log(`  ${key}: ${value}`);
+  }
+  if (result.openPositions.length > 0) {
+    console.log(`  Still open at end of data: ${result.openPositions.map(p => p.symbol).join(', ')}`);
+  }
+  console.log('===========================================');
+  console.log(`[BACKTEST] Results written to ${outDir}`);
+}
+
+main().catch((err) => {
+  console.error('[FATAL]', err);
+  process.exit(1);
+});
@@ -0,0 +1,204 @@
+import { setClock } from '../core/clock.js';
+import { setExchange, getWalletBalance } from '../api/bybit.js';
+import { instrumentCache } from '../core/instruments.js';
+import { fetchVolumes } from '../core/volume-filter.js';
+import { executeTrade, setInitialBalance, getActivePositions, getTradeLog, resetExecutorState } from '../core/executor.js';
+import { syncPositions, getPnlHistory, getStats, resetMonitorState } from '../core/monitor.js';
+import { resetRisk } from '../core/risk.js';
+import { resetCooldowns } from '../core/cooldown.js';
+import { LiquidationClusterer, tradesSingles, tradesClusters } from '../core/cluster.js';
+import { evaluateLiq, resetThresholds } from '../core/threshold.js';
+import { eventTime } from './data.js';
+
+/**
+ * Backtest Runner
+ *
+ * Replays recorded liquidation events through the live executeTrade/executeDCA
+ * and syncPositions code against a SimExchange, on a virtual clock:
+ * - While flat, time jumps straight to the next event
+ * - While positions or orders are open, time steps at the monitor's 2s poll
+ *   interval and syncPositions runs after every step
+ * - Executor/monitor sleeps (limit fill wait, close settle) advance the clock
+ * - `qualifies` is re-evaluated against the symbol's threshold (threshold.js),
+ *   so threshold changes can be tested on the same tape
+ * - Every event also feeds a LiquidationClusterer; LIQ_TRIGGER_MODE decides
+ *   whether singles, clusters or both are traded
+ */
+
+const MONITOR_INTERVAL_MS = 2000;
+const VOLUME_REFRESH_MS = 5 * 60 * 1000;
+
+class VirtualClock {
+  constructor(start, exchange) {
+    this.t = start;
+    this.exchange = exchange;
+  }
+
+  now() {
+    return this.t;
+  }
+
+  sleep(ms) {
+    this.advance(this.t + ms);
+    return Promise.resolve();
+  }
+
+  advance(ts) {
+    if (ts > this.t) this.t = ts;
+    this.exchange.advanceTo(this.t);
+  }
+}
+
+export async function runBacktest(events, exchange, { endTime = null } = {}) {
+  const sorted = [...events].sort((a, b) => eventTime(a) - eventTime(b));
+  if (sorted.length === 0) throw new Error('No liquidation events to replay');
+
+  const start = eventTime(sorted[0]);
+  const end = endTime ?? exchange.lastCandleTime();
+  const clock = new VirtualClock(start, exchange);
+
+  setExchange(exchange);
+  setClock(clock);
+  resetExecutorState();
+  resetMonitorState();
+  resetRisk({ resetPeak: true });
+  resetCooldowns();
+  resetThresholds();
+
+  try {
+    clock.advance(start);
+    await instrumentCache.load();
+    await fetchVolumes();
+
+    const startBalance = exchange.balance;
+    let lastBalance = 0;
+    let nextVolumeRefresh = start + VOLUME_REFRESH_MS;
+
+    // Keep executor sizing in sync with the simulated wallet (index.js does this every 5s)
+    const refreshBalance = async () => {
+      const res = await getWalletBalance();
+      const balance = parseFloat(res.result?.list?.[0]?.totalWalletBalance || '0');
+      if (balance > 0 && balance !== lastBalance) {
+        setInitialBalance(balance);
+        lastBalance = balance;
+      }
+    };
+
+    const isBusy = () => getActivePositions().size > 0 || exchange.positions.size > 0 || exchange.resting.size > 0;
+
+    const stepTo = async (ts) => {
+      while (clock.now() < ts) {
+        const busy = isBusy();
+        clock.advance(busy ? Math.min(ts, clock.now() + MONITOR_INTERVAL_MS) : ts);
+        if (busy) await syncPositions();
+        if (clock.now() >= nextVolumeRefresh) {
+          await fetchVolumes();
+          nextVolumeRefresh = clock.now() + VOLUME_REFRESH_MS;
+        }
+        await refreshBalance();
+      }
+    };
+
+    await refreshBalance();
+
+    const clusterer = new LiquidationClusterer();
+    let qualifying = 0;
+    let clusters = 0;
+    for (const ev of sorted) {
+      await stepTo(eventTime(ev));
+
+      const usdValue = ev.usdValue ?? ev.price * ev.qty;
+      const { qualifies, threshold } = evaluateLiq(ev.symbol, usdValue);
+      const liqEvent = {
+        symbol: ev.symbol,
+        side: ev.side,
+        price: ev.price,
+        qty: ev.qty,
+        usdValue,
+        qualifies,
+        threshold,
+        timestamp: clock.now(),
+        updatedTime: ev.updatedTime,
+      };
+      const cluster = clusterer.add(liqEvent);
+
+      const triggers = [];
+      if (liqEvent.qualifies) {
+        qualifying++;
+        if (tradesSingles()) triggers.push(liqEvent);
+      }
+      if (cluster) {
+        clusters++;
+        if (tradesClusters()) triggers.push(cluster);
+      }
+
+      for (const trigger of triggers) {
+        await executeTrade(trigger);
+        await refreshBalance();
+      }
+    }
+
+    // Let open positions play out until they close or the data runs out
+    while (isBusy() && clock.now() < end) {
+      await stepTo(Math.min(end, clock.now() + MONITOR_INTERVAL_MS));
+    }
+
+    const pnlHistory = getPnlHistory();
+    return {
+      pnlHistory,
+      tradeLog: getTradeLog(),
+      openPositions: [...getActivePositions().values()],
+      summary: summarize(pnlHistory, startBalance, exchange.balance, {
+        from: start,
+        to: clock.now(),
+        events: sorted.length,
+        qualifying,
+        clusters,
+      }),
+    };
+  } finally {
+    setClock(null);
+    setExchange(null);
+  }
+}
+
+/**
+ * getStats() plus equity-curve metrics over the closed trades.
+ */
+function summarize(pnlHistory, startBalance, endBalance, meta) {
+  const chronological = [...pnlHistory].reverse(); // pnlHistory is newest first
+  let equity = startBalance;
+  let peak = startBalance;
+  let maxDrawdownUsd = 0;
+  let maxDrawdownPct = 0;
+  for (const p of chronological) {
+    equity += p.pnl;
+    peak = Math.max(peak, equity);
+    if (peak - equity > maxDrawdownUsd) {
+      maxDrawdownUsd = peak - equity;
+      maxDrawdownPct = (maxDrawdownUsd / peak) * 100;
+    }
+  }
+
+  const wins = pnlHistory.filter(p => p.pnl > 0);
+  const losses = pnlHistory.filter(p => p.pnl < 0);
+  const grossWin = wins.reduce((s, p) => s + p.pnl, 0);
+  const grossLoss = -losses.reduce((s, p) => s + p.pnl, 0);
+  const avgHoldMs = pnlHistory.length > 0
+    ? pnlHistory.reduce((s, p) => s + (p.holdTimeMs || 0), 0) / pnlHistory.length
+    : 0;
+
+  return {
+    ...getStats(),
+    ...meta,
+    startBalance: startBalance.toFixed(2),
+    endBalance: endBalance.toFixed(2),
+    returnPct: (((endBalance - startBalance) / startBalance) * 100).toFixed(2),
+    maxDrawdownUsd: maxDrawdownUsd.toFixed(2),
+    maxDrawdownPct: maxDrawdownPct.toFixed(2),
+    profitFactor: grossLoss > 0 ? (grossWin / grossLoss).toFixed(2) : null,
+    avgWin: wins.length > 0 ? (grossWin / wins.length).toFixed(4) : '0',
+    avgLoss: losses.length > 0 ? (-grossLoss / losses.length).toFixed(4) : '0',
+    avgHoldSec: (avgHoldMs / 1000).toFixed(0),
+  };
+}
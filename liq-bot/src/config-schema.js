@@ -0,0 +1,582 @@
+import { ATR_SMOOTHING, INTERVAL_MS } from './core/indicators.js';
+
+/**
+ * Config Schema
+ *
+ * Every setting in config.js, declared once:
+ *
+ *   key: { env, type, default, group, label, description, unit?, min?, max?, gt?, values?, pattern?, hot?, profile?, secret? }
+ *
+ * - type: 'number' | 'int' | 'boolean' | 'string' | 'enum' (one of `values`) |
+ *   'list' (comma separated in the env; `values` limits the items, otherwise they
+ *   are upper-cased symbols / globs) | 'table' ("SYMBOL=number,..." in the env)
+ * - min / max are inclusive, gt is an exclusive lower bound
+ * - hot: read on every use, so POST /api/config changes it at runtime. The rest
+ *   are read once at startup — change the env var and restart.
+ * - profile: a symbol profile may override it (src/core/profiles.js)
+ * - secret: never sent by the API
+ *
+ * config.js parses the env with it; the API validates changes and the restored
+ * config_overrides.json against it; the dashboard builds its settings form
+ * from GET /api/config/schema.
+ */
+
+const INTERVALS = Object.keys(INTERVAL_MS);
+const ORDER_TYPES = ['Market', 'Limit'];
+const ALERT_EVENTS = ['fill', 'dca', 'close', 'protection', 'disconnect', 'risk', 'trading'];
+
+export const CONFIG_SCHEMA = {
+  // Exchange
+  network: {
+    env: 'NETWORK', type: 'enum', values: ['testnet', 'demo', 'mainnet', 'paper'], default: 'testnet',
+    group: 'Exchange', label: 'Network', description: 'Bybit environment; paper = simulated account on mainnet data',
+  },
+  apiKey: { env: 'BYBIT_API_KEY', type: 'string', default: null, secret: true, group: 'Exchange', label: 'API key', description: 'Bybit API key' },
+  apiSecret: { env: 'BYBIT_API_SECRET', type: 'string', default: null, secret: true, group: 'Exchange', label: 'API secret', description: 'Bybit API secret' },
+
+  // Trading
+  positionSizeUsd: {
+    env: 'POSITION_SIZE_USD', type: 'number', gt: 0, default: 50, unit: 'USD', hot: true, profile: true,
+    group: 'Trading', label: 'Position size', description: 'Margin per trade; the DCA budget is the larger of this × leverage and the min position %',
+  },
+  takeProfitPct: {
+    env: 'TAKE_PROFIT_PCT', type: 'number', gt: 0, default: 0.3, unit: '%', hot: true, profile: true,
+    group: 'Trading', label: 'TP fallback', description: 'Take profit used when ATR is unavailable',
+  },
+  totalRiskPct: {
+    env: 'TOTAL_RISK_PCT', type: 'number', gt: 0, max: 100, default: 5, unit: '%', hot: true,
+    group: 'Trading', label: 'Total risk budget', description: 'Max loss across all positions, as % of balance',
+  },
+  maxPositions: {
+    env: 'MAX_POSITIONS', type: 'int', min: 1, default: 5, hot: true,
+    group: 'Trading', label: 'Max positions', description: 'Open positions at once',
+  },
+  minLiqValueUsd: {
+    env: 'MIN_LIQ_VALUE_USD', type: 'number', min: 0, default: 10000, unit: 'USD', hot: true,
+    group: 'Trading', label: 'Min liq value', description: 'Smallest liquidation that triggers a trade (fixed threshold mode)',
+  },
+  minTurnover24h: {
+    env: 'MIN_TURNOVER_24H', type: 'number', min: 0, default: 5000000, unit: 'USD', hot: true,
+    group: 'Trading', label: 'Min 24h turnover', description: 'Skip symbols trading less than this',
+  },
+  leverage: {
+    env: 'LEVERAGE', type: 'int', min: 1, max: 100, default: 5, unit: 'x', hot: true, profile: true,
+    group: 'Trading', label: 'Leverage', description: 'Set on the symbol before each entry',
+  },
+  minPositionPct: {
+    env: 'MIN_POSITION_PCT', type: 'number', min: 0, max: 100, default: 50, unit: '%', hot: true, profile: true,
+    group: 'Trading', label: 'Min position', description: 'Total DCA budget as % of balance, at least',
+  },
+  minTpPct: {
+    env: 'MIN_TP_PCT', type: 'number', min: 0, default: 1, unit: '%', hot: true, profile: true,
+    group: 'Trading', label: 'Min TP profit', description: 'Min profit as % of trade value',
+  },
+
+  // Liquidation triggers
+  liqTriggerMode: {
+    env: 'LIQ_TRIGGER_MODE', type: 'enum', values: ['single', 'cluster', 'both'], default: 'single', hot: true,
+    group: 'Liquidations', label: 'Trigger mode', description: 'Trade single liquidations, clusters, or both',
+  },
+  clusterWindowSec: {
+    env: 'CLUSTER_WINDOW_SEC', type: 'number', gt: 0, default: 30, unit: 'sec', hot: true,
+    group: 'Liquidations', label: 'Cluster window', description: 'Same-side liquidations per symbol are summed over this window',
+  },
+  clusterMinValueUsd: {
+    env: 'CLUSTER_MIN_VALUE_USD', type: 'number', min: 0, default: 0, unit: 'USD', hot: true,
+    group: 'Liquidations', label: 'Cluster min value', description: 'Cluster total that triggers a trade (0 = the symbol threshold)',
+  },
+  clusterMinCount: {
+    env: 'CLUSTER_MIN_COUNT', type: 'int', min: 1, default: 2, hot: true,
+    group: 'Liquidations', label: 'Cluster min count', description: 'Liquidations needed for a cluster',
+  },
+  liqThresholdMode: {
+    env: 'LIQ_THRESHOLD_MODE', type: 'enum', values: ['fixed', 'turnover', 'percentile'], default: 'fixed', hot: true,
+    group: 'Liquidations', label: 'Threshold mode', description: 'fixed = min liq value, turnover = % of 24h turnover, percentile = of the symbol\'s own liq sizes',
+  },
+  liqTurnoverPct: {
+    env: 'LIQ_TURNOVER_PCT', type: 'number', gt: 0, default: 0.1, unit: '%', hot: true,
+    group: 'Liquidations', label: 'Turnover threshold', description: 'Threshold as % of 24h turnover (turnover mode)',
+  },
+  liqPercentile: {
+    env: 'LIQ_PERCENTILE', type: 'number', min: 0, max: 100, default: 95, hot: true,
+    group: 'Liquidations', label: 'Percentile', description: 'Percentile of the symbol\'s liquidation sizes (percentile mode)',
+  },
+  liqPercentileSamples: {
+    env: 'LIQ_PERCENTILE_SAMPLES', type: 'int', min: 1, default: 500, hot: true,
+    group: 'Liquidations', label: 'Percentile samples', description: 'Liquidation sizes kept per symbol',
+  },
+  liqPercentileMinSamples: {
+    env: 'LIQ_PERCENTILE_MIN_SAMPLES', type: 'int', min: 1, default: 30, hot: true,
+    group: 'Liquidations', label: 'Percentile min samples', description: 'Below this the fixed threshold applies',
+  },
+  liqThresholdFloorUsd: {
+    env: 'LIQ_THRESHOLD_FLOOR_USD', type: 'number', min: 0, default: 2000, unit: 'USD', hot: true,
+    group: 'Liquidations', label: 'Threshold floor', description: 'Relative modes never go lower',
+  },
+  liqThresholdOverrides: {
+    env: 'LIQ_THRESHOLD_OVERRIDES', type: 'table', min: 0, default: {}, unit: 'USD', hot: true,
+    group: 'Liquidations', label: 'Threshold overrides', description: 'SYMBOL=usd — always wins over the mode',
+  },
+
+  // Symbol filters — runtime edits go through /api/filters
+  filterAllow: {
+    env: 'FILTER_ALLOW', type: 'list', default: [],
+    group: 'Filters', label: 'Allow', description: 'Symbols or globs to trade (empty = every symbol); runtime edits: /api/filters',
+  },
+  filterDeny: {
+    env: 'FILTER_DENY', type: 'list', default: ['*USDC*'],
+    group: 'Filters', label: 'Deny', description: 'Symbols or globs never traded, wins over allow',
+  },
+  filterMinMaxLeverage: {
+    env: 'FILTER_MIN_MAX_LEVERAGE', type: 'number', min: 0, default: 0, unit: 'x',
+    group: 'Filters', label: 'Min max leverage', description: 'Skip symbols whose max leverage is lower (0 = off)',
+  },
+  filterMaxTickPct: {
+    env: 'FILTER_MAX_TICK_PCT', type: 'number', min: 0, default: 0, unit: '%',
+    group: 'Filters', label: 'Max tick size', description: 'Skip symbols whose tick is a larger % of price (0 = off)',
+  },
+  filterNewListingDays: {
+    env: 'FILTER_NEW_LISTING_DAYS', type: 'number', min: 0, default: 0, unit: 'days',
+    group: 'Filters', label: 'New listing days', description: 'Skip symbols listed more recently (0 = off)',
+  },
+
+  // Risk
+  dailyLossLimitPct: {
+    env: 'DAILY_LOSS_LIMIT_PCT', type: 'number', min: 0, max: 100, default: 0, unit: '%', hot: true,
+    group: 'Risk', label: 'Daily loss limit', description: 'Halt after losing this % of the day start balance (0 = off)',
+  },
+  maxDrawdownPct: {
+    env: 'MAX_DRAWDOWN_PCT', type: 'number', min: 0, max: 100, default: 0, unit: '%', hot: true,
+    group: 'Risk', label: 'Max drawdown', description: 'Halt this % below peak equity (0 = off)',
+  },
+  riskFlattenOnHalt: {
+    env: 'RISK_FLATTEN_ON_HALT', type: 'boolean', default: false, hot: true,
+    group: 'Risk', label: 'Flatten on halt', description: 'Close open positions when trading halts',
+  },
+
+  // Market context (src/core/context.js)
+  contextMaxOiRisePct: {
+    env: 'CONTEXT_MAX_OI_RISE_PCT', type: 'number', min: 0, default: 0, unit: '%', hot: true, profile: true,
+    group: 'Market context', label: 'Max OI rise', description: 'Skip while open interest rose more than this (0 = off)',
+  },
+  contextOiWindowMin: {
+    env: 'CONTEXT_OI_WINDOW_MIN', type: 'number', gt: 0, default: 5, unit: 'min', hot: true,
+    group: 'Market context', label: 'OI window', description: 'Window the OI rise is measured over',
+  },
+  contextFunding: {
+    env: 'CONTEXT_FUNDING', type: 'enum', values: ['off', 'crowded'], default: 'off', hot: true, profile: true,
+    group: 'Market context', label: 'Funding rule', description: 'crowded = only fade the side paying funding beyond the min',
+  },
+  contextMinFundingPct: {
+    env: 'CONTEXT_MIN_FUNDING_PCT', type: 'number', min: 0, default: 0.01, unit: '%', hot: true, profile: true,
+    group: 'Market context', label: 'Min funding', description: 'Crowded = funding beyond ± this',
+  },
+  contextRequireData: {
+    env: 'CONTEXT_REQUIRE_DATA', type: 'boolean', default: false, hot: true, profile: true,
+    group: 'Market context', label: 'Require data', description: 'Skip when OI / funding are unknown',
+  },
+  contextWatchMin: {
+    env: 'CONTEXT_WATCH_MIN', type: 'number', gt: 0, default: 30, unit: 'min', hot: true,
+    group: 'Market context', label: 'Watch time', description: 'How long a liquidated symbol\'s ticker stays subscribed',
+  },
+  contextMaxSymbols: {
+    env: 'CONTEXT_MAX_SYMBOLS', type: 'int', min: 1, default: 100, hot: true,
+    group: 'Market context', label: 'Max symbols', description: 'Tickers subscribed at once',
+  },
+
+  // Re-entry cooldowns
+  cooldownAfterCloseSec: {
+    env: 'COOLDOWN_AFTER_CLOSE_SEC', type: 'number', min: 0, default: 0, unit: 'sec', hot: true,
+    group: 'Cooldowns', label: 'After close', description: 'No re-entry on a symbol for this long after a close',
+  },
+  cooldownAfterLossSec: {
+    env: 'COOLDOWN_AFTER_LOSS_SEC', type: 'number', min: 0, default: 0, unit: 'sec', hot: true,
+    group: 'Cooldowns', label: 'After loss', description: 'No re-entry for this long after a losing close',
+  },
+  lossStreakLimit: {
+    env: 'LOSS_STREAK_LIMIT', type: 'int', min: 0, default: 0, hot: true,
+    group: 'Cooldowns', label: 'Loss streak limit', description: 'Consecutive losses that lock a symbol out (0 = never)',
+  },
+  lossStreakLockoutHours: {
+    env: 'LOSS_STREAK_LOCKOUT_HOURS', type: 'number', min: 0, default: 24, unit: 'h', hot: true,
+    group: 'Cooldowns', label: 'Lockout', description: 'How long a loss streak locks the symbol out',
+  },
+
+  // ATR-based TP / SL / trailing
+  atrPeriod: {
+    env: 'ATR_PERIOD', type: 'int', min: 1, default: 14, unit: 'bars', hot: true, profile: true,
+    group: 'ATR', label: 'ATR period', description: 'Candles in the ATR',
+  },
+  atrInterval: {
+    env: 'ATR_INTERVAL', type: 'enum', values: INTERVALS, default: '1', hot: true, profile: true,
+    group: 'ATR', label: 'ATR interval', description: 'Candle interval (minutes, D or W)',
+  },
+  atrSmoothing: {
+    env: 'ATR_SMOOTHING', type: 'enum', values: ATR_SMOOTHING, default: 'legacy', hot: true, profile: true,
+    group: 'ATR', label: 'ATR smoothing', description: 'Average of the true range; legacy = mean high-low',
+  },
+  atrClosedOnly: {
+    env: 'ATR_CLOSED_ONLY', type: 'boolean', default: false, hot: true, profile: true,
+    group: 'ATR', label: 'Closed candles only', description: 'Leave out the forming candle',
+  },
+  atrWarmupBars: {
+    env: 'ATR_WARMUP_BARS', type: 'int', min: 0, default: 100, unit: 'bars', hot: true,
+    group: 'ATR', label: 'Warmup bars', description: 'Extra candles for wilder / ema to settle',
+  },
+  tpAtrMultiplier: {
+    env: 'TP_ATR_MULTIPLIER', type: 'number', gt: 0, default: 1.5, unit: 'ATR', hot: true, profile: true,
+    group: 'ATR', label: 'TP', description: 'Take profit distance',
+  },
+  slAtrMultiplier: {
+    env: 'SL_ATR_MULTIPLIER', type: 'number', gt: 0, default: 1, unit: 'ATR', hot: true, profile: true,
+    group: 'ATR', label: 'SL', description: 'Stop loss distance',
+  },
+  trailingAtrMultiplier: {
+    env: 'TRAILING_ATR_MULTIPLIER', type: 'number', gt: 0, default: 1.5, unit: 'ATR', hot: true, profile: true,
+    group: 'ATR', label: 'Trailing stop', description: 'Trailing stop distance',
+  },
+  dcaVwapSdMultiplier: {
+    env: 'DCA_VWAP_SD', type: 'number', min: 0, default: 2, unit: 'SD', hot: true, profile: true,
+    group: 'ATR', label: 'DCA VWAP band', description: 'DCA adds beyond this many standard deviations from VWAP',
+  },
+
+  // VWAP bands for DCA adds (src/core/vwap.js)
+  vwapInterval: {
+    env: 'VWAP_INTERVAL', type: 'enum', values: INTERVALS, default: '1', hot: true, profile: true,
+    group: 'VWAP', label: 'VWAP interval', description: 'Candle interval of the bands',
+  },
+  vwapAnchor: {
+    env: 'VWAP_ANCHOR', type: 'enum', values: ['rolling', 'session', 'position', 'cluster'], default: 'rolling', hot: true, profile: true,
+    group: 'VWAP', label: 'VWAP anchor', description: 'Where the VWAP window starts',
+  },
+  vwapLookback: {
+    env: 'VWAP_LOOKBACK', type: 'int', min: 1, default: 50, unit: 'bars', hot: true,
+    group: 'VWAP', label: 'Rolling lookback', description: 'Rolling window length',
+  },
+  vwapMinBars: {
+    env: 'VWAP_MIN_BARS', type: 'int', min: 1, default: 10, unit: 'bars', hot: true,
+    group: 'VWAP', label: 'Min bars', description: 'Anchored windows span at least this many',
+  },
+  dcaVwapTimeframes: {
+    env: 'DCA_VWAP_TIMEFRAMES', type: 'list', values: INTERVALS, default: [], hot: true, profile: true,
+    group: 'VWAP', label: 'DCA timeframes', description: 'Price must be beyond the band on all of them (empty = VWAP interval)',
+  },
+
+  // Orders
+  entryOrderType: {
+    env: 'ENTRY_ORDER_TYPE', type: 'enum', values: ORDER_TYPES, default: 'Limit', hot: true, profile: true,
+    group: 'Orders', label: 'Entry order', description: 'Limit uses PostOnly for maker fees',
+  },
+  tpOrderType: {
+    env: 'TP_ORDER_TYPE', type: 'enum', values: ORDER_TYPES, default: 'Limit', hot: true, profile: true,
+    group: 'Orders', label: 'TP order', description: 'Limit uses PostOnly for maker fees',
+  },
+  entryChaseMs: {
+    env: 'ENTRY_CHASE_MS', type: 'int', min: 0, default: 2000, unit: 'ms', hot: true, profile: true,
+    group: 'Orders', label: 'Chase time', description: 'Time budget for re-quoting a limit entry',
+  },
+  entryChaseIntervalMs: {
+    env: 'ENTRY_CHASE_INTERVAL_MS', type: 'int', min: 1, default: 250, unit: 'ms', hot: true,
+    group: 'Orders', label: 'Chase interval', description: 'Fill check / re-quote interval',
+  },
+  entryChaseMaxTicks: {
+    env: 'ENTRY_CHASE_MAX_TICKS', type: 'number', min: 0, default: 10, unit: 'ticks', hot: true, profile: true,
+    group: 'Orders', label: 'Chase max ticks', description: 'Max distance from the first quote (0 = no cap)',
+  },
+  entryChaseMaxAtr: {
+    env: 'ENTRY_CHASE_MAX_ATR', type: 'number', min: 0, default: 0.25, unit: 'ATR', hot: true, profile: true,
+    group: 'Orders', label: 'Chase max ATR', description: 'Max distance as ATR fraction (0 = no cap)',
+  },
+  entryChaseMarketFallback: {
+    env: 'ENTRY_CHASE_MARKET_FALLBACK', type: 'boolean', default: false, hot: true, profile: true,
+    group: 'Orders', label: 'Market fallback', description: 'Market the unfilled rest when the chase ends',
+  },
+  tpLadder: {
+    env: 'TP_LADDER', type: 'string', default: '', pattern: /^(\d+(\.\d+)?@\d+(\.\d+)?(,\d+(\.\d+)?@\d+(\.\d+)?)*)?$/, hot: true, profile: true,
+    group: 'Orders', label: 'TP ladder', description: 'Partial TPs as pct@atrMultiple, e.g. "40@1,30@2" (empty = trailing stop only)',
+  },
+
+  // Streams and sync
+  restSyncIntervalSec: {
+    env: 'REST_SYNC_INTERVAL_SEC', type: 'int', min: 1, default: 30, unit: 'sec', hot: true,
+    group: 'Streams', label: 'REST sync', description: 'Position reconciliation interval while the private stream is up',
+  },
+  orderbookWatchMin: {
+    env: 'ORDERBOOK_WATCH_MIN', type: 'number', gt: 0, default: 15, unit: 'min', hot: true,
+    group: 'Streams', label: 'Order book watch', description: 'How long a liquidated symbol\'s order book stays mirrored',
+  },
+  orderbookMaxSymbols: {
+    env: 'ORDERBOOK_MAX_SYMBOLS', type: 'int', min: 1, default: 30, hot: true,
+    group: 'Streams', label: 'Order book symbols', description: 'Order books mirrored at once',
+  },
+  klineWatchMin: {
+    env: 'KLINE_WATCH_MIN', type: 'number', gt: 0, default: 30, unit: 'min', hot: true,
+    group: 'Streams', label: 'Kline watch', description: 'How long a candle series stays live',
+  },
+  klineMaxSeries: {
+    env: 'KLINE_MAX_SERIES', type: 'int', min: 1, default: 100, hot: true,
+    group: 'Streams', label: 'Kline series', description: 'Series (symbol + interval) live at once',
+  },
+  klineStoreBars: {
+    env: 'KLINE_STORE_BARS', type: 'int', min: 1, default: 200, unit: 'bars', hot: true,
+    group: 'Streams', label: 'Kline bars', description: 'Candles kept per series',
+  },
+
+  // Liquidation tape recorder (data/tape/*.ndjson.gz)
+  recordLiquidations: {
+    env: 'RECORD_LIQUIDATIONS', type: 'boolean', default: true,
+    group: 'Recorder', label: 'Record tape', description: 'Record every liquidation to data/tape',
+  },
+  tapeRetentionDays: {
+    env: 'TAPE_RETENTION_DAYS', type: 'int', min: 1, default: 30, unit: 'days', hot: true,
+    group: 'Recorder', label: 'Retention', description: 'Older tape files are deleted',
+  },
+
+  // Logging (src/core/logger.js)
+  logLevel: {
+    env: 'LOG_LEVEL', type: 'enum', values: ['debug', 'info', 'warn', 'error'], default: 'info', hot: true,
+    group: 'Logging', label: 'Level', description: 'Lowest level logged',
+  },
+  logFormat: {
+    env: 'LOG_FORMAT', type: 'enum', values: ['text', 'json'], default: 'text', hot: true,
+    group: 'Logging', label: 'Format', description: 'Console format: text ([COMPONENT] msg) or json',
+  },
+  logBufferSize: {
+    env: 'LOG_BUFFER_SIZE', type: 'int', min: 1, default: 2000, hot: true,
+    group: 'Logging', label: 'Buffer', description: 'Records kept for /api/logs',
+  },
+  logFile: {
+    env: 'LOG_FILE', type: 'boolean', default: false,
+    group: 'Logging', label: 'Log file', description: 'Also write data/logs/bot.log',
+  },
+  logFileMaxMb: {
+    env: 'LOG_FILE_MAX_MB', type: 'number', gt: 0, default: 10, unit: 'MB', hot: true,
+    group: 'Logging', label: 'File size', description: 'Rotate the log file at this size',
+  },
+  logFileKeep: {
+    env: 'LOG_FILE_KEEP', type: 'int', min: 1, default: 5, hot: true,
+    group: 'Logging', label: 'Files kept', description: 'Rotated files kept',
+  },
+
+  // Alerts (src/core/notifier.js) — runtime edits go through /api/alerts
+  alertWebhookUrl: {
+    env: 'ALERT_WEBHOOK_URL', type: 'string', default: null, secret: true,
+    group: 'Alerts', label: 'Webhook URL', description: 'POST alerts as JSON here',
+  },
+  alertTelegramToken: {
+    env: 'ALERT_TELEGRAM_TOKEN', type: 'string', default: null, secret: true,
+    group: 'Alerts', label: 'Telegram token', description: 'Bot token',
+  },
+  alertTelegramChatId: {
+    env: 'ALERT_TELEGRAM_CHAT_ID', type: 'string', default: null, secret: true,
+    group: 'Alerts', label: 'Telegram chat', description: 'Chat the bot posts to',
+  },
+  alertTelegramApi: {
+    env: 'ALERT_TELEGRAM_API', type: 'string', default: 'https://api.telegram.org',
+    group: 'Alerts', label: 'Telegram API', description: 'Bot API base URL',
+  },
+  alertDiscordWebhookUrl: {
+    env: 'ALERT_DISCORD_WEBHOOK_URL', type: 'string', default: null, secret: true,
+    group: 'Alerts', label: 'Discord webhook', description: 'Discord channel webhook URL',
+  },
+  alertEvents: {
+    env: 'ALERT_EVENTS', type: 'list', values: ALERT_EVENTS, default: ALERT_EVENTS,
+    group: 'Alerts', label: 'Events', description: 'Events sent; runtime edits: /api/alerts',
+  },
+  alertWebhookEvents: {
+    env: 'ALERT_WEBHOOK_EVENTS', type: 'list', values: ALERT_EVENTS, default: [],
+    group: 'Alerts', label: 'Webhook events', description: 'Events for the webhook (empty = all of Events)',
+  },
+  alertTelegramEvents: {
+    env: 'ALERT_TELEGRAM_EVENTS', type: 'list', values: ALERT_EVENTS, default: [],
+    group: 'Alerts', label: 'Telegram events', description: 'Events for Telegram (empty = all of Events)',
+  },
+  alertDiscordEvents: {
+    env: 'ALERT_DISCORD_EVENTS', type: 'list', values: ALERT_EVENTS, default: [],
+    group: 'Alerts', label: 'Discord events', description: 'Events for Discord (empty = all of Events)',
+  },
+  alertRatePerMin: {
+    env: 'ALERT_RATE_PER_MIN', type: 'int', min: 0, default: 20,
+    group: 'Alerts', label: 'Rate limit', description: 'Messages per channel per minute (0 = unlimited)',
+  },
+  alertDedupeSec: {
+    env: 'ALERT_DEDUPE_SEC', type: 'int', min: 0, default: 60, unit: 'sec',
+    group: 'Alerts', label: 'Dedupe', description: 'Drop a repeat protection / disconnect / risk alert (0 = off)',
+  },
+
+  // Dashboard / API auth (src/core/auth.js, src/core/audit.js)
+  authUsers: {
+    env: 'AUTH_USERS', type: 'string', default: '', secret: true,
+    group: 'Auth', label: 'Users', description: '"name:role:password,..."',
+  },
+  authSessionHours: {
+    env: 'AUTH_SESSION_HOURS', type: 'number', gt: 0, default: 24, unit: 'h', hot: true,
+    group: 'Auth', label: 'Session length', description: 'Login sessions expire after this',
+  },
+  authDisabled: {
+    env: 'AUTH_DISABLED', type: 'boolean', default: false,
+    group: 'Auth', label: 'Auth disabled', description: 'Everyone is admin — only behind another auth layer',
+  },
+  auditBufferSize: {
+    env: 'AUDIT_BUFFER_SIZE', type: 'int', min: 1, default: 1000, hot: true,
+    group: 'Auth', label: 'Audit buffer', description: 'Records kept for /api/audit',
+  },
+  configHistoryMax: {
+    env: 'CONFIG_HISTORY_MAX', type: 'int', min: 1, default: 500, hot: true,
+    group: 'Auth', label: 'Config versions', description: 'Config versions kept (src/core/config-history.js)',
+  },
+
+  // Paper trading (NETWORK=paper)
+  paperBalance: {
+    env: 'PAPER_BALANCE', type: 'number', gt: 0, default: 10000, unit: 'USD',
+    group: 'Paper', label: 'Balance', description: 'Simulated starting balance',
+  },
+  paperMakerFee: {
+    env: 'PAPER_MAKER_FEE', type: 'number', min: 0, default: 0.0002,
+    group: 'Paper', label: 'Maker fee', description: 'Fee rate for maker fills',
+  },
+  paperTakerFee: {
+    env: 'PAPER_TAKER_FEE', type: 'number', min: 0, default: 0.00055,
+    group: 'Paper', label: 'Taker fee', description: 'Fee rate for taker fills',
+  },
+  paperTape: {
+    env: 'PAPER_TAPE', type: 'string', default: null,
+    group: 'Paper', label: 'Tape', description: 'Replay a recorded tape instead of live data',
+  },
+  paperSpeed: {
+    env: 'PAPER_SPEED', type: 'number', gt: 0, default: 1, unit: 'x',
+    group: 'Paper', label: 'Replay speed', description: 'Tape replay speed',
+  },
+
+  // Ports
+  dashboardPort: {
+    env: 'DASHBOARD_PORT', type: 'int', min: 1, max: 65535, default: 3000,
+    group: 'Ports', label: 'Dashboard port', description: 'Dashboard and API',
+  },
+  botPort: {
+    env: 'BOT_PORT', type: 'int', min: 1, max: 65535, default: 3001,
+    group: 'Ports', label: 'Bot port', description: 'Reserved',
+  },
+};
+
+export const HOT_KEYS = Object.keys(CONFIG_SCHEMA).filter(key => CONFIG_SCHEMA[key].hot);
+export const PROFILE_KEYS = Object.keys(CONFIG_SCHEMA).filter(key => CONFIG_SCHEMA[key].profile);
+
+const clone = value => (value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value);
+
+function describeRange(spec) {
+  const parts = [];
+  if (spec.gt != null) parts.push(`> ${spec.gt}`);
+  if (spec.min != null) parts.push(`≥ ${spec.min}`);
+  if (spec.max != null) parts.push(`≤ ${spec.max}`);
+  return parts.join(' and ');
+}
+
+function checkNumber(spec, value) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+  if (spec.type === 'int' && !Number.isInteger(value)) return 'must be an integer';
+  if ((spec.gt != null && value <= spec.gt) || (spec.min != null && value < spec.min) || (spec.max != null && value > spec.max)) {
+    return `must be ${describeRange(spec)}`;
+  }
+  return null;
+}
+
+// Enum / list values match case-insensitively and come back in the schema's case
+function canonical(spec, value) {
+  const s = String(value).trim();
+  return spec.values.find(v => v.toLowerCase() === s.toLowerCase());
+}
+
+/**
+ * Check and normalize `value` for setting `key`. Returns { value } or { error }.
+ * Table values may be null (removes the symbol) when `allowNull` is set.
+ */
+export function checkConfigValue(key, value, { allowNull = false } = {}) {
+  const spec = CONFIG_SCHEMA[key];
+  if (!spec) return { error: `Unknown setting: ${key}` };
+  const fail = reason => ({ error: `${key} ${reason}` });
+
+  switch (spec.type) {
+    case 'number':
+    case 'int': {
+      const err = checkNumber(spec, value);
+      return err ? fail(err) : { value };
+    }
+    case 'boolean':
+      return typeof value === 'boolean' ? { value } : fail('must be true or false');
+    case 'enum': {
+      const match = (typeof value === 'string' || typeof value === 'number') ? canonical(spec, value) : undefined;
+      return match !== undefined ? { value: match } : fail(`must be one of: ${spec.values.join(', ')}`);
+    }
+    case 'list': {
+      if (!Array.isArray(value) || !value.every(v => typeof v === 'string' || typeof v === 'number')) {
+        return fail('must be an array');
+      }
+      if (!spec.values) return { value: value.map(v => String(v).trim().toUpperCase()).filter(Boolean) };
+      const items = value.map(v => canonical(spec, v));
+      return items.includes(undefined) ? fail(`items must be any of: ${spec.values.join(', ')}`) : { value: items };
+    }
+    case 'table': {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return fail('must be an object of SYMBOL: number');
+      const table = {};
+      for (const [symbol, v] of Object.entries(value)) {
+        if (!/^[A-Za-z0-9]+$/.test(symbol)) return fail(`has an invalid symbol: ${symbol}`);
+        if (v === null && allowNull) {
+          table[symbol.toUpperCase()] = null;
+          continue;
+        }
+        const err = checkNumber(spec, v);
+        if (err) return fail(`.${symbol} ${err}`);
+        table[symbol.toUpperCase()] = v;
+      }
+      return { value: table };
+    }
+    default: {
+      if (value === null && spec.default === null) return { value };
+      if (typeof value !== 'string') return fail('must be a string');
+      const s = spec.pattern ? value.replace(/\s+/g, '') : value;
+      if (spec.pattern && !spec.pattern.test(s)) return fail(`has an invalid format — ${spec.description}`);
+      return { value: s };
+    }
+  }
+}
+
+/**
+ * Value of setting `key` from its raw env string. Unset (or empty, except for
+ * lists where "" means none) gives the default. Returns { value } or { error }.
+ */
+export function parseEnvValue(key, raw) {
+  const spec = CONFIG_SCHEMA[key];
+  if (raw === undefined || (raw === '' && spec.type !== 'list')) return { value: clone(spec.default) };
+
+  let value = raw;
+  if (spec.type === 'number' || spec.type === 'int') {
+    value = Number(raw);
+  } else if (spec.type === 'boolean') {
+    value = raw === 'true' ? true : raw === 'false' ? false : raw;
+  } else if (spec.type === 'list') {
+    value = raw.split(',').map(s => s.trim()).filter(Boolean);
+  } else if (spec.type === 'table') {
+    // "BTCUSDT=500000,ETHUSDT=200000" -> { BTCUSDT: 500000, ETHUSDT: 200000 }
+    value = {};
+    for (const entry of raw.split(',').map(s => s.trim()).filter(Boolean)) {
+      const [symbol, v] = entry.split('=').map(s => s.trim());
+      if (!symbol || !v) return { error: `${spec.env} entry "${entry}" is not SYMBOL=number` };
+      value[symbol] = Number(v);
+    }
+  }
+  const result = checkConfigValue(key, value);
+  return result.error ? { error: `${spec.env}=${raw}: ${result.error}` } : result;
+}
+
+/**
+ * Schema as JSON for the dashboard — patterns as strings.
+ */
+export function describeConfigSchema() {
+  return Object.entries(CONFIG_SCHEMA).map(([key, { pattern, ...spec }]) => ({
+    key,
+    ...spec,
+    hot: !!spec.hot,
+    ...(pattern ? { pattern: pattern.source } : {}),
+  }));
+}
@@ -1,6 +1,5 @@
 import 'dotenv/config';
-
-const NETWORK = process.env.NETWORK || 'testnet';
+import { CONFIG_SCHEMA, parseEnvValue, checkConfigValue } from './config-schema.js';
 
 const ENDPOINTS = {
   testnet: {
@@ -21,41 +20,104 @@ const ENDPOINTS = {
     ws_private: 'wss://stream.bybit.com/v5/private',
     ws_trade: 'wss://stream.bybit.com/v5/trade',
   },
+  // Simulated account (src/sim/paper.js) on mainnet public market data
+  paper: {
+    rest: 'https://api.bybit.com',
+    ws_public: 'wss://stream.bybit.com/v5/public/linear',
+    ws_private: null,
+    ws_trade: null,
+  },
 };
 
-export const config = {
-  network: NETWORK,
-  apiKey: process.env.BYBIT_API_KEY,
-  apiSecret: process.env.BYBIT_API_SECRET,
-
-  endpoints: ENDPOINTS[NETWORK],
-
-  // Trading params
-  positionSizeUsd: parseFloat(process.env.POSITION_SIZE_USD || '50'),
-  takeProfitPct: parseFloat(process.env.TAKE_PROFIT_PCT || '0.3'),
-  totalRiskPct: parseFloat(process.env.TOTAL_RISK_PCT || '5'),
-  maxPositions: parseInt(process.env.MAX_POSITIONS || '5'),
-  minLiqValueUsd: parseFloat(process.env.MIN_LIQ_VALUE_USD || '10000'),
-  minTurnover24h: parseFloat(process.env.MIN_TURNOVER_24H || '5000000'),
-  leverage: parseInt(process.env.LEVERAGE || '5'),
-
-  // Funded trader rules
-  minPositionPct: parseFloat(process.env.MIN_POSITION_PCT || '50'),  // Total DCA budget = 50% of balance (first entry = 5%)
-  minTpPct: parseFloat(process.env.MIN_TP_PCT || '1'),               // Min profit = 1% of trade value
-
-  // ATR-based TP/SL/Trailing params
-  atrPeriod: parseInt(process.env.ATR_PERIOD || '14'),
-  atrInterval: process.env.ATR_INTERVAL || '1',
-  tpAtrMultiplier: parseFloat(process.env.TP_ATR_MULTIPLIER || '1.5'),
-  slAtrMultiplier: parseFloat(process.env.SL_ATR_MULTIPLIER || '1'),
-  trailingAtrMultiplier: parseFloat(process.env.TRAILING_ATR_MULTIPLIER || '1.5'),
-  dcaVwapSdMultiplier: parseFloat(process.env.DCA_VWAP_SD || '2'),
-
-  // Order types: 'Market' or 'Limit' (Limit uses PostOnly for maker fees)
-  entryOrderType: process.env.ENTRY_ORDER_TYPE || 'Limit',
-  tpOrderType: process.env.TP_ORDER_TYPE || 'Limit',
-
-  // Ports
-  dashboardPort: parseInt(process.env.DASHBOARD_PORT || '3000'),
-  botPort: parseInt(process.env.BOT_PORT || '3001'),
-};
+const clone = value => (value && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value);
+
+// Every schema setting from the env; a value that fails its check falls back to the default
+function fromEnv() {
+  const values = {};
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    const { value, error } = parseEnvValue(key, process.env[spec.env]);
+    if (error) console.warn(`[CONFIG] ${error} — using the default ${JSON.stringify(spec.default)}`);
+    values[key] = error ? clone(spec.default) : value;
+  }
+  return values;
+}
+
+/**
+ * Settings are declared in src/config-schema.js (type, range, unit, default,
+ * env var, hot or restart-required) and read from the env here.
+ */
+export const config = fromEnv();
+config.endpoints = ENDPOINTS[config.network];
+
+/**
+ * Check a runtime update ({ key: value, ... }). Only hot settings may change;
+ * tables merge into the current one (null or 0 removes a symbol). Returns
+ * { updates } with normalized values, or { error }.
+ */
+export function validateConfigUpdate(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return { error: 'Config update must be an object' };
+  const updates = {};
+  for (const [key, value] of Object.entries(body)) {
+    const spec = CONFIG_SCHEMA[key];
+    if (!spec || spec.secret) return { error: `Unknown setting: ${key}` };
+    if (!spec.hot) return { error: `${key} is read at startup — set ${spec.env} and restart` };
+    const result = checkConfigValue(key, value, { allowNull: true });
+    if (result.error) return { error: result.error };
+    updates[key] = result.value;
+    if (spec.type === 'table') {
+      updates[key] = { ...config[key] };
+      for (const [symbol, v] of Object.entries(result.value)) {
+        if (v === null || v === 0) delete updates[key][symbol];
+        else updates[key][symbol] = v;
+      }
+    }
+  }
+  if (Object.keys(updates).length === 0) return { error: 'No config fields provided' };
+  return { updates };
+}
+
+/**
+ * Apply validated updates. Returns what changed as [{ key, from, to }].
+ */
+export function applyConfigUpdate(updates) {
+  const changes = [];
+  for (const [key, value] of Object.entries(updates)) {
+    const from = config[key];
+    if (JSON.stringify(from) === JSON.stringify(value)) continue;
+    config[key] = value;
+    changes.push({ key, from, to: value });
+  }
+  return changes;
+}
+
+/**
+ * Apply the settings saved in config_overrides.json (profiles aside). Saved
+ * tables replace the env ones. Returns { restored: [key], errors: [message] }
+ * — a value that no longer passes its check is left out.
+ */
+export function restoreConfigOverrides(saved) {
+  const restored = [];
+  const errors = [];
+  for (const [key, value] of Object.entries(saved || {})) {
+    if (key === 'profiles') continue;
+    const result = CONFIG_SCHEMA[key]?.hot ? checkConfigValue(key, value) : { error: `${key} is not a runtime setting` };
+    if (result.error) {
+      errors.push(result.error);
+      continue;
+    }
+    config[key] = result.value;
+    restored.push(key);
+  }
+  return { restored, errors };
+}
+
+/**
+ * Every setting but the secrets.
+ */
+export function getPublicConfig() {
+  const values = {};
+  for (const [key, spec] of Object.entries(CONFIG_SCHEMA)) {
+    if (!spec.secret) values[key] = config[key];
+  }
+  return values;
+}
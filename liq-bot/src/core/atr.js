@@ -1,55 +1,101 @@
-import { getKlines } from '../api/bybit.js';
-import { config } from '../config.js';
+import { getCandles, isSeriesLive, getLastClose } from '../api/ws-kline.js';
+import { getSymbolConfig } from './profiles.js';
+import { now } from './clock.js';
+import { closedCandles, computeATR, ATR_SMOOTHING } from './indicators.js';
+import { createLogger } from './logger.js';
 
 /**
  * ATR (Average True Range) calculator with per-symbol caching.
  * Used for dynamic TP and trailing stop sizing.
+ *
+ * ATR_SMOOTHING picks the average: 'legacy' (default), the original mean of
+ * high - low, or 'wilder', 'ema' or 'sma' of the true range. Smoothed modes
+ * fetch ATR_WARMUP_BARS extra candles so the average has settled. With
+ * ATR_CLOSED_ONLY the still-forming newest candle is left out.
+ *
+ * Candles come from the shared kline store (api/ws-kline.js). While a series
+ * is live the value is recomputed from memory when a candle closes (every read
+ * if the forming candle counts); otherwise it's cached for 60s.
  */
 
-const atrCache = new Map(); // symbol -> { atr, timestamp }
+const log = createLogger('ATR');
+
+const atrCache = new Map(); // `${symbol}:${params}` -> { atr, timestamp, closedAt }
 const CACHE_TTL_MS = 60_000; // 60s cache
 
-export async function getATR(symbol, period = config.atrPeriod, interval = config.atrInterval) {
+async function fetchCandles(symbol, interval, count, closedOnly) {
+  // One extra for the forming candle we'll drop
+  const res = await getCandles(symbol, interval, count + (closedOnly ? 1 : 0));
+  if (!res) return null;
+  return closedOnly ? closedCandles(res.candles, interval, now()) : res.candles;
+}
+
+function isFresh(entry, symbol, interval, closedOnly) {
+  // Values from a series that has since gone stale aren't reused
+  if (!isSeriesLive(symbol, interval)) return entry.closedAt == null && now() - entry.timestamp < CACHE_TTL_MS;
+  return closedOnly && entry.closedAt === getLastClose(symbol, interval);
+}
+
+// Candles needed: legacy averages `period` ranges; true range needs a previous close
+function candlesNeeded(period, smoothing, warmupBars) {
+  if (smoothing === 'legacy') return period;
+  if (smoothing === 'sma') return period + 1;
+  return period + 1 + warmupBars;
+}
+
+export async function getATR(symbol, period = getSymbolConfig(symbol).atrPeriod, interval = getSymbolConfig(symbol).atrInterval) {
+  const cfg = getSymbolConfig(symbol);
+  const smoothing = cfg.atrSmoothing;
+  const key = `${symbol}:${interval}:${period}:${smoothing}:${cfg.atrClosedOnly}:${cfg.atrWarmupBars}`;
+
   // Check cache
-  const cached = atrCache.get(symbol);
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL_MS) {
+  const cached = atrCache.get(key);
+  if (cached && isFresh(cached, symbol, interval, cfg.atrClosedOnly)) {
     return cached.atr;
   }
 
   try {
-    // Fetch enough candles for the ATR period (+ 1 spare)
-    const res = await getKlines(symbol, interval, period + 1);
-
-    if (res.retCode !== 0 || !res.result?.list?.length) {
-      console.error(`[ATR] Failed to fetch klines for ${symbol}:`, res.retMsg);
-      return null;
-    }
-
-    const candles = res.result.list;
+    const candles = await fetchCandles(symbol, interval, candlesNeeded(period, smoothing, cfg.atrWarmupBars), cfg.atrClosedOnly);
+    if (!candles) return null;
 
-    // Bybit returns candles newest-first: [timestamp, open, high, low, close, volume, turnover]
-    // We need at least `period` candles
-    if (candles.length < period) {
-      console.error(`[ATR] Not enough candles for ${symbol}: got ${candles.length}, need ${period}`);
+    // Short history (new listing) still works — just with less warm-up
+    const atr = computeATR(candles, period, smoothing);
+    if (atr == null) {
+      log.error(`Not enough candles for ${symbol}: got ${candles.length}, need ${candlesNeeded(period, smoothing, 0)}`, { symbol });
       return null;
     }
 
-    // Calculate ATR = average of (high - low) over N candles
-    let sumRange = 0;
-    for (let i = 0; i < period; i++) {
-      const high = parseFloat(candles[i][2]);
-      const low = parseFloat(candles[i][3]);
-      sumRange += high - low;
-    }
-
-    const atr = sumRange / period;
-
     // Cache result
-    atrCache.set(symbol, { atr, timestamp: Date.now() });
+    const closedAt = isSeriesLive(symbol, interval) ? getLastClose(symbol, interval) : null;
+    atrCache.set(key, { atr, timestamp: now(), closedAt });
 
     return atr;
   } catch (err) {
-    console.error(`[ATR] Error calculating ATR for ${symbol}:`, err.message);
+    log.error(`Error calculating ATR for ${symbol}: ${err.message}`, { symbol });
     return null;
   }
 }
+
+/**
+ * ATR of `symbol` under every smoothing mode, from one kline fetch (uncached),
+ * for comparing the legacy calculation against the others.
+ */
+export async function compareATR(symbol) {
+  const cfg = getSymbolConfig(symbol);
+  const { atrPeriod: period, atrInterval: interval } = cfg;
+  const candles = await fetchCandles(symbol, interval, candlesNeeded(period, 'wilder', cfg.atrWarmupBars), cfg.atrClosedOnly);
+  if (!candles) return null;
+
+  const values = {};
+  for (const smoothing of ATR_SMOOTHING) values[smoothing] = computeATR(candles, period, smoothing);
+  return {
+    symbol,
+    period,
+    interval,
+    closedOnly: cfg.atrClosedOnly,
+    candles: candles.length,
+    warmupBars: Math.max(0, candles.length - (period + 1)),
+    smoothing: cfg.atrSmoothing,
+    atr: values,
+  };
+}
@@ -0,0 +1,97 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config.js';
+import { createLogger } from './logger.js';
+import { clientIp } from './auth.js';
+
+/**
+ * Audit Log
+ *
+ * One record per API request that could change something (anything but
+ * GET / HEAD / OPTIONS), refused ones included:
+ *
+ *   { t, user, role, via, ip, method, path, status, body }
+ *
+ * Passwords and tokens in the body are masked. The newest AUDIT_BUFFER_SIZE
+ * records are kept for GET /api/audit; after startAuditLog() each one is also
+ * appended to <data>/audit.log (JSON lines, never trimmed). Times are wall
+ * clock (Date.now()), like the auth sessions.
+ */
+
+const log = createLogger('AUDIT');
+
+const SECRET_KEYS = /pass|token|secret|key/i;
+const buffer = [];
+let stream = null;
+
+function mask(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return body ?? null;
+  const out = {};
+  for (const [key, value] of Object.entries(body)) {
+    out[key] = SECRET_KEYS.test(key) ? '***' : value;
+  }
+  return Object.keys(out).length > 0 ? out : null;
+}
+
+function record(entry) {
+  buffer.push(entry);
+  if (buffer.length > config.auditBufferSize) buffer.splice(0, buffer.length - config.auditBufferSize);
+  if (stream) stream.write(JSON.stringify(entry) + '\n');
+
+  const who = entry.user ? `${entry.user} (${entry.role})` : 'anonymous';
+  const line = `${who} ${entry.method} ${entry.path} → ${entry.status}`;
+  if (entry.status >= 400) log.warn(line);
+  else log.info(line);
+}
+
+/**
+ * Express middleware (after authenticate) — records the request once the
+ * response is sent.
+ */
+export function auditRequests(req, res, next) {
+  if (req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS') return next();
+  const started = Date.now();
+  res.on('finish', () => {
+    record({
+      t: started,
+      user: req.auth?.user ?? null,
+      role: req.auth?.role ?? null,
+      via: req.auth?.via ?? null,
+      ip: clientIp(req),
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      body: mask(req.body),
+    });
+  });
+  next();
+}
+
+/**
+ * Buffered records, oldest first; at most `limit` of the newest, optionally
+ * only those of `user` or since `since`.
+ */
+export function getAuditLog({ user, since, limit = 200 } = {}) {
+  return buffer.filter(r => (!user || r.user === user) && (!since || r.t > since)).slice(-limit);
+}
+
+/**
+ * Start appending records to `<dataDir>/audit.log`.
+ */
+export function startAuditLog(dataDir) {
+  if (stream) return;
+  stream = fs.createWriteStream(path.join(dataDir, 'audit.log'), { flags: 'a' });
+  stream.on('error', (err) => {
+    log.error(`Audit file error: ${err.message}`);
+    stream = null;
+  });
+}
+
+/**
+ * Close `audit.log`; resolves once buffered records are on disk.
+ */
+export function stopAuditLog() {
+  const closing = stream;
+  stream = null;
+  return new Promise(resolve => (closing ? closing.end(resolve) : resolve()));
+}
@@ -0,0 +1,275 @@
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Dashboard / API Auth
+ *
+ * Three roles, each allowed everything the one before it is:
+ * - viewer: GET requests — stats, positions, logs, the SSE stream, /metrics
+ * - operator: changes — config, profiles, filters, alerts, manual position
+ *   controls, the kill switch, clearing a risk halt
+ * - admin: wiping data (/api/reset), API tokens, the audit log
+ *
+ * People log in with a user from AUTH_USERS ("name:role:password", comma
+ * separated; the password may be stored as "scrypt:<salt>:<hash>") and get an
+ * HttpOnly session cookie valid for AUTH_SESSION_HOURS. Scripts and scrapers
+ * send an API token (Authorization: Bearer ...) that an admin created at
+ * /api/auth/tokens — only its SHA-256 is kept.
+ *
+ * Without AUTH_USERS, requests from localhost are admin and everything else
+ * needs a token, so a fresh deploy is never open to the internet.
+ * AUTH_DISABLED=true lets everyone in as admin (e.g. behind another auth proxy).
+ *
+ * Expiry and "last used" use Date.now(), not the bot clock — tape replay runs
+ * that at PAPER_SPEED.
+ */
+
+const log = createLogger('AUTH');
+
+export const ROLES = ['viewer', 'operator', 'admin'];
+export const SESSION_COOKIE = 'liqbot_session';
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+const users = parseUsers(config.authUsers);
+const sessions = new Map(); // sid -> { user, role, expires }
+const tokens = new Map(); // id -> { id, name, role, hash, createdAt, createdBy, lastUsedAt }
+const loginFailures = new Map(); // ip -> { count, since }
+
+function parseUsers(raw) {
+  const map = new Map();
+  for (const entry of (raw || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const [name, role, ...rest] = entry.split(':');
+    const password = rest.join(':');
+    if (!name || !ROLES.includes(role) || !password) {
+      log.warn(`Ignoring AUTH_USERS entry "${name}" — expected name:role:password with role ${ROLES.join('/')}`);
+      continue;
+    }
+    map.set(name, { name, role, password });
+  }
+  return map;
+}
+
+export function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+// 'disabled' | 'local' (no users: localhost is admin) | 'on'
+export function getAuthMode() {
+  if (config.authDisabled) return 'disabled';
+  return users.size > 0 ? 'on' : 'local';
+}
+
+const sha256 = value => crypto.createHash('sha256').update(value).digest();
+
+function verifyPassword(stored, given) {
+  if (stored.startsWith('scrypt:')) {
+    const [, salt, hash] = stored.split(':');
+    const expected = Buffer.from(hash || '', 'hex');
+    if (!salt || expected.length === 0) return false;
+    return crypto.timingSafeEqual(crypto.scryptSync(given, salt, expected.length), expected);
+  }
+  return crypto.timingSafeEqual(sha256(stored), sha256(given));
+}
+
+// "scrypt:<salt>:<hash>" for AUTH_USERS
+export function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return `scrypt:${salt}:${crypto.scryptSync(password, salt, 32).toString('hex')}`;
+}
+
+// --- Sessions ---
+
+/**
+ * Check a username / password. Returns { sid, user, role, expires } or
+ * { error, status } (401 wrong credentials, 429 too many failures from `ip`).
+ */
+export function login(username, password, ip) {
+  const failures = loginFailures.get(ip);
+  if (failures && Date.now() - failures.since > LOGIN_LOCKOUT_MS) loginFailures.delete(ip);
+  if (loginFailures.get(ip)?.count >= LOGIN_MAX_FAILURES) {
+    return { error: 'Too many failed logins — try again later', status: 429 };
+  }
+
+  const user = users.get(username);
+  if (!user || typeof password !== 'string' || !verifyPassword(user.password, password)) {
+    const entry = loginFailures.get(ip) || { count: 0, since: Date.now() };
+    entry.count++;
+    loginFailures.set(ip, entry);
+    log.warn(`Failed login for "${username}" from ${ip} (${entry.count}/${LOGIN_MAX_FAILURES})`);
+    return { error: 'Invalid username or password', status: 401 };
+  }
+
+  loginFailures.delete(ip);
+  for (const [sid, s] of sessions) {
+    if (s.expires < Date.now()) sessions.delete(sid);
+  }
+  const sid = crypto.randomBytes(32).toString('hex');
+  const session = { user: user.name, role: user.role, expires: Date.now() + config.authSessionHours * 3600000 };
+  sessions.set(sid, session);
+  log.info(`${user.name} (${user.role}) logged in from ${ip}`);
+  return { sid, ...session };
+}
+
+export function logout(sid) {
+  const session = sessions.get(sid);
+  if (!session) return;
+  sessions.delete(sid);
+  log.info(`${session.user} logged out`);
+}
+
+// --- API tokens ---
+
+/**
+ * New API token. The secret is only in the return value — store it now.
+ */
+export function createToken(name, role, createdBy) {
+  const secret = `lbt_${crypto.randomBytes(24).toString('hex')}`;
+  const token = {
+    id: crypto.randomBytes(4).toString('hex'),
+    name,
+    role,
+    hash: sha256(secret).toString('hex'),
+    createdAt: Date.now(),
+    createdBy,
+    lastUsedAt: null,
+  };
+  tokens.set(token.id, token);
+  log.info(`Token "${name}" (${role}) created by ${createdBy}`);
+  return { token: secret, ...publicToken(token) };
+}
+
+export function revokeToken(id) {
+  const token = tokens.get(id);
+  if (!token) return false;
+  tokens.delete(id);
+  log.info(`Token "${token.name}" revoked`);
+  return true;
+}
+
+function publicToken({ hash, ...rest }) {
+  return rest;
+}
+
+export function listTokens() {
+  return [...tokens.values()].map(publicToken);
+}
+
+export function validateTokenRequest(body) {
+  if (!body || typeof body.name !== 'string' || !/^[\w.-]{1,40}$/.test(body.name)) {
+    return 'name must be 1-40 letters, digits, _ . or -';
+  }
+  if (!ROLES.includes(body.role)) return `role must be one of: ${ROLES.join(', ')}`;
+  return null;
+}
+
+export function getTokenState() {
+  return [...tokens.values()];
+}
+
+export function hydrateTokens(saved) {
+  if (!Array.isArray(saved)) return;
+  for (const t of saved) {
+    if (t?.id && /^[0-9a-f]{64}$/.test(t.hash) && ROLES.includes(t.role)) tokens.set(t.id, t);
+  }
+  if (tokens.size > 0) log.info(`Loaded ${tokens.size} API token(s)`);
+}
+
+function findToken(secret) {
+  const hash = sha256(secret);
+  for (const token of tokens.values()) {
+    if (crypto.timingSafeEqual(Buffer.from(token.hash, 'hex'), hash)) return token;
+  }
+  return null;
+}
+
+// --- Express middleware ---
+
+function readCookie(req, name) {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) return value.join('=');
+  }
+  return null;
+}
+
+// Loopback and not forwarded by a proxy (fly.io's proxy sets X-Forwarded-For)
+function isLocalRequest(req) {
+  const addr = req.socket.remoteAddress;
+  return !req.headers['x-forwarded-for'] && (addr === '127.0.0.1' || addr === '::1' || addr === '::ffff:127.0.0.1');
+}
+
+/**
+ * Address the login lockout and the audit log key on. X-Forwarded-For is
+ * client-supplied (the proxy only appends to it), so it is never read. On fly.io
+ * (FLY_APP_NAME is set on every machine) the proxy overwrites Fly-Client-IP;
+ * anywhere else that header could be forged, so the socket peer is used.
+ */
+export function clientIp(req) {
+  const flyIp = process.env.FLY_APP_NAME && req.headers['fly-client-ip'];
+  return (flyIp && flyIp.trim()) || req.socket.remoteAddress;
+}
+
+/**
+ * Sets req.auth = { user, role, via: 'token' | 'session' | 'local' | 'open' }
+ * when the request carries valid credentials (or needs none), else null.
+ */
+export function authenticate(req, res, next) {
+  req.auth = null;
+  const bearer = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  if (bearer) {
+    const token = findToken(bearer[1]);
+    if (token) {
+      token.lastUsedAt = Date.now();
+      req.auth = { user: `token:${token.name}`, role: token.role, via: 'token' };
+    }
+    return next(); // a bad token is never upgraded by a cookie or localhost
+  }
+
+  const sid = readCookie(req, SESSION_COOKIE);
+  const session = sid && sessions.get(sid);
+  if (session && session.expires > Date.now()) {
+    req.auth = { user: session.user, role: session.role, via: 'session', sid };
+  } else if (session) {
+    sessions.delete(sid);
+  }
+
+  const mode = getAuthMode();
+  if (!req.auth && mode === 'disabled') req.auth = { user: 'anonymous', role: 'admin', via: 'open' };
+  if (!req.auth && mode === 'local' && isLocalRequest(req)) req.auth = { user: 'local', role: 'admin', via: 'local' };
+  next();
+}
+
+/**
+ * 401 without credentials, 403 below `role`.
+ */
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.auth) {
+      return res.status(401).json({ ok: false, error: 'Login required', mode: getAuthMode() });
+    }
+    if (!hasRole(req.auth.role, role)) {
+      return res.status(403).json({ ok: false, error: `Requires ${role} role (you are ${req.auth.role})` });
+    }
+    next();
+  };
+}
+
+// Reads need viewer, anything that changes state needs operator
+export function guardApi(req, res, next) {
+  return requireRole(READ_METHODS.includes(req.method) ? 'viewer' : 'operator')(req, res, next);
+}
+
+export function sessionCookie(sid, req, maxAgeSec) {
+  const secure = req.secure || req.headers['x-forwarded-proto'] === 'https' ? '; Secure' : '';
+  return `${SESSION_COOKIE}=${sid}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAgeSec}${secure}`;
+}
+
+export function logStartupMode() {
+  const mode = getAuthMode();
+  if (mode === 'disabled') log.warn('AUTH_DISABLED=true — the dashboard and API are open to anyone who can reach them');
+  else if (mode === 'local') log.warn(`No AUTH_USERS — only localhost and API tokens (${tokens.size}) get in`);
+  else log.info(`${users.size} user(s), ${tokens.size} API token(s), sessions last ${config.authSessionHours}h`);
+}
@@ -0,0 +1,225 @@
+import { getSymbolConfig } from './profiles.js';
+import { placeOrder, cancelOrder, getOrderbook, getOrderDetail } from '../api/bybit.js';
+import { placeOrderWs, isTradeWsReady } from '../api/ws-trade.js';
+import { getBestBidAsk } from '../api/ws-orderbook.js';
+import { instrumentCache } from './instruments.js';
+import { now, sleep } from './clock.js';
+import { allowsNewExposure, getTradingState } from './trading-state.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Chase-and-Reprice Limit Entry
+ *
+ * Posts a PostOnly order at the touch (best bid for Buy, best ask for Sell) and
+ * re-quotes it every ENTRY_CHASE_INTERVAL_MS while the touch moves away, for up
+ * to ENTRY_CHASE_MS in total. The chase never goes further from the first quote
+ * than ENTRY_CHASE_MAX_TICKS ticks or ENTRY_CHASE_MAX_ATR × ATR, whichever is
+ * tighter (0 disables a cap; both 0 = no repricing).
+ *
+ * Partial fills are kept: the caller sizes SL/TP to the filled qty. With
+ * ENTRY_CHASE_MARKET_FALLBACK the unfilled remainder is market-ordered when the
+ * budget runs out. Trading switched to reduce-only ends the chase (and the
+ * fallback) at the next step. A failed order read or placement ends the
+ * chase too: the working order is cancelled and the fills so far are returned,
+ * never thrown away.
+ */
+
+const log = createLogger('CHASE');
+
+/**
+ * Best bid (Buy) / best ask (Sell) for a PostOnly order. Reads the local book
+ * mirror when the symbol is synced, otherwise one REST orderbook call.
+ */
+export async function getPassivePrice(symbol, side) {
+  const top = getBestBidAsk(symbol);
+  if (top) {
+    return { price: instrumentCache.roundPrice(symbol, side === 'Buy' ? top.bid : top.ask), source: 'local' };
+  }
+  const ob = await getOrderbook(symbol, 1);
+  if (ob.retCode === 0 && ob.result) {
+    const level = side === 'Buy' ? ob.result.b[0] : ob.result.a[0];
+    return { price: instrumentCache.roundPrice(symbol, parseFloat(level[0])), source: 'rest' };
+  }
+  return { price: null, source: 'rest' };
+}
+
+// Price distance the order may chase from its first quote
+function maxChaseDistance(symbol, atr) {
+  const cfg = getSymbolConfig(symbol);
+  const tick = instrumentCache.get(symbol)?.tickSize || 0;
+  const caps = [];
+  if (cfg.entryChaseMaxTicks > 0 && tick > 0) caps.push(cfg.entryChaseMaxTicks * tick);
+  if (cfg.entryChaseMaxAtr > 0 && atr > 0) caps.push(cfg.entryChaseMaxAtr * atr);
+  return caps.length ? Math.min(...caps) : 0;
+}
+
+async function sendOrder(symbol, side, qty, orderType, params) {
+  const tag = orderType === 'Limit' ? 'limit' : 'mkt';
+  if (isTradeWsReady()) {
+    try {
+      return { res: await placeOrderWs(symbol, side, qty, orderType, params), via: `WS(${tag})` };
+    } catch {}
+  }
+  return { res: await placeOrder(symbol, side, qty, orderType, params), via: `REST(${tag})` };
+}
+
+async function readOrder(symbol, orderId) {
+  const res = await getOrderDetail(symbol, orderId);
+  const o = res.retCode === 0 ? res.result?.list?.[0] : null;
+  if (!o) return null;
+  return {
+    status: o.orderStatus,
+    filledQty: parseFloat(o.cumExecQty || '0'),
+    avgPrice: parseFloat(o.avgPrice || '0'),
+  };
+}
+
+/**
+ * Returns null if no quote is available and no order was placed (caller falls
+ * back to market), otherwise
+ * { filledQty, avgPrice, orderId, orderIds, reprices, via, rejectMsg, marketQty,
+ *   quoteMs, quoteSource, placeMs, failed }.
+ * orderId is the last order that filled.
+ */
+export async function chaseLimitEntry(symbol, side, qty, { atr = null } = {}) {
+  const start = now();
+  const cfg = getSymbolConfig(symbol);
+  const inst = instrumentCache.get(symbol);
+  const quote = await getPassivePrice(symbol, side).catch((err) => {
+    log.warn(`${symbol} no quote for the limit entry: ${err.message}`, { symbol });
+    return { price: null, source: 'rest' };
+  });
+  const result = {
+    filledQty: 0,
+    avgPrice: 0,
+    orderId: null,
+    orderIds: [],
+    reprices: 0,
+    via: null,
+    rejectMsg: null,
+    marketQty: 0,
+    quoteMs: now() - start,
+    quoteSource: quote.source,
+    placeMs: 0,
+    failed: false,
+  };
+  if (!quote.price) return null;
+
+  const anchor = quote.price;
+  const maxDist = maxChaseDistance(symbol, atr);
+  const bound = side === 'Buy' ? anchor + maxDist : anchor - maxDist;
+  let price = anchor;
+  let filledValue = 0;
+  let orderId = null;
+
+  const settle = async () => {
+    // Cancel can race a fill — the order detail after it is authoritative
+    await cancelOrder(symbol, orderId).catch(() => {});
+    const final = await readOrder(symbol, orderId).catch((err) => {
+      log.warn(`${symbol} could not read order ${orderId} after cancel: ${err.message}`, { symbol, orderId });
+      return null;
+    });
+    if (final?.filledQty > 0) {
+      result.filledQty += final.filledQty;
+      filledValue += final.filledQty * final.avgPrice;
+      result.orderId = orderId;
+    }
+    orderId = null;
+  };
+
+  // Both are lot multiples — nudge by half a lot so float error can't floor a step away
+  const remaining = () => instrumentCache.roundQty(symbol, qty - result.filledQty + (inst?.lotSize || 0) / 2);
+
+  try {
+    while (now() - start < cfg.entryChaseMs && remaining() >= (inst?.minQty || 0) && remaining() > 0) {
+      // Reduce-only / flatten switched on mid-chase — keep what filled, add nothing
+      if (!allowsNewExposure()) {
+        log.warn(`${symbol} chase stopped — trading is ${getTradingState().state}`, { symbol });
+        break;
+      }
+      if (!orderId) {
+        const placeStart = now();
+        const { res, via } = await sendOrder(symbol, side, remaining(), 'Limit', { price: String(price), timeInForce: 'PostOnly' });
+        if (!result.placeMs) result.placeMs = now() - placeStart;
+        if (res.retCode !== 0) {
+          // First order rejected → nothing to chase; later rejections end the chase
+          if (result.orderIds.length === 0) result.rejectMsg = res.retMsg;
+          log.warn(`${symbol} limit rejected @ ${price}: ${res.retMsg}`, { symbol });
+          break;
+        }
+        orderId = res.result.orderId;
+        result.orderIds.push(orderId);
+        result.via = via;
+      }
+
+      await sleep(cfg.entryChaseIntervalMs);
+
+      const state = await readOrder(symbol, orderId).catch(() => null);
+      if (state?.status === 'Filled') {
+        result.filledQty += state.filledQty;
+        filledValue += state.filledQty * state.avgPrice;
+        result.orderId = orderId;
+        orderId = null;
+        break;
+      }
+      // PostOnly cancelled for crossing (touch moved through us) → re-quote below
+      const done = state && ['Cancelled', 'Rejected', 'Deactivated'].includes(state.status);
+
+      let next = price;
+      try {
+        const touch = await getPassivePrice(symbol, side);
+        if (touch.price) {
+          next = side === 'Buy' ? Math.min(touch.price, bound) : Math.max(touch.price, bound);
+          next = instrumentCache.roundPrice(symbol, next);
+        }
+      } catch {}
+
+      if (done) {
+        if (state.filledQty > 0) {
+          result.filledQty += state.filledQty;
+          filledValue += state.filledQty * state.avgPrice;
+          result.orderId = orderId;
+        }
+        orderId = null;
+      } else if (next !== price) {
+        await settle();
+      } else {
+        continue;
+      }
+      if (next !== price) result.reprices++;
+      price = next;
+    }
+  } catch (err) {
+    log.warn(`${symbol} chase ended early: ${err.message}`, { symbol, orderId });
+    result.failed = true;
+  }
+
+  // The working order never outlives the chase
+  if (orderId) await settle();
+
+  // Budget spent — take the rest at market if allowed
+  if (cfg.entryChaseMarketFallback && !result.failed && allowsNewExposure() && result.orderIds.length > 0 && remaining() >= (inst?.minQty || 0) && remaining() > 0) {
+    const rest = remaining();
+    const { res, via } = await sendOrder(symbol, side, rest, 'Market', {})
+      .catch(err => ({ res: { retCode: -1, retMsg: err.message }, via: null }));
+    if (res.retCode === 0) {
+      const mkt = await readOrder(symbol, res.result.orderId).catch(() => null);
+      const mktQty = mkt?.filledQty || rest;
+      result.filledQty += mktQty;
+      filledValue += mktQty * (mkt?.avgPrice || price);
+      result.marketQty = mktQty;
+      result.orderId = res.result.orderId;
+      result.orderIds.push(res.result.orderId);
+      result.via = `${result.via}+${via}`;
+    } else {
+      log.warn(`${symbol} market fallback failed: ${res.retMsg}`, { symbol });
+    }
+  }
+
+  result.filledQty = parseFloat(result.filledQty.toFixed(8));
+  result.avgPrice = result.filledQty > 0 ? filledValue / result.filledQty : 0;
+  if (result.reprices > 0 || result.marketQty > 0 || (result.filledQty > 0 && result.filledQty < qty)) {
+    log.info(`${symbol} ${side} filled ${result.filledQty}/${qty} @ ${result.avgPrice.toFixed(6)} | ${result.reprices} reprice(s) from ${anchor}${result.marketQty ? ` | ${result.marketQty} at market` : ''} | ${now() - start}ms`, { symbol, orderId: result.orderId });
+  }
+  return result;
+}
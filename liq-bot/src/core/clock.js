@@ -0,0 +1,21 @@
+/**
+ * Clock — single source of "now" and sleeps for trading logic.
+ *
+ * Live trading uses wall-clock time. The backtester installs a virtual clock
+ * so executor/monitor timestamps, retry waits and indicator cache TTLs follow
+ * the replayed data instead of real time.
+ */
+
+let impl = null; // { now(), sleep(ms) } — null = wall clock
+
+export function now() {
+  return impl ? impl.now() : Date.now();
+}
+
+export function sleep(ms) {
+  return impl ? impl.sleep(ms) : new Promise(r => setTimeout(r, ms));
+}
+
+export function setClock(clock) {
+  impl = clock;
+}
@@ -0,0 +1,96 @@
+import { EventEmitter } from 'events';
+import { config } from '../config.js';
+import { now } from './clock.js';
+import { getLiqThreshold } from './threshold.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Liquidation Cluster Detector
+ *
+ * Sums same-side liquidation USD per symbol over a rolling CLUSTER_WINDOW_SEC
+ * window. When the window holds at least CLUSTER_MIN_COUNT events worth
+ * CLUSTER_MIN_VALUE_USD (default: the symbol's liquidation threshold) it emits a
+ * 'liquidationCluster' event and starts a fresh window, so a cascade that keeps
+ * going can fire again (DCA).
+ *
+ * Cluster events have the liqEvent shape executeTrade expects (price is the
+ * latest print, usdValue/qty the totals) plus count, durationMs, priceLow,
+ * priceHigh and firstAt.
+ *
+ * LIQ_TRIGGER_MODE picks what trades: 'single' events, 'cluster' events or
+ * 'both'. With 'both', a print that qualifies on its own is traded as a single
+ * and clears its window so the same move isn't entered twice.
+ */
+
+const log = createLogger('CLUSTER');
+
+const MAX_RECENT = 50;
+
+export class LiquidationClusterer extends EventEmitter {
+  constructor() {
+    super();
+    this.windows = new Map(); // `${symbol}:${side}` -> [liqEvent, ...] oldest first
+    this.recent = [];         // last clusters, newest first
+    this.stats = { clusters: 0 };
+  }
+
+  add(liqEvent) {
+    const key = `${liqEvent.symbol}:${liqEvent.side}`;
+    if (config.liqTriggerMode === 'both' && liqEvent.qualifies) {
+      this.windows.delete(key);
+      return null;
+    }
+
+    const t = liqEvent.timestamp ?? now();
+    const cutoff = t - config.clusterWindowSec * 1000;
+    const events = (this.windows.get(key) || []).filter(e => e.timestamp >= cutoff);
+    events.push({ ...liqEvent, timestamp: t });
+    this.windows.set(key, events);
+
+    const usdValue = events.reduce((s, e) => s + e.usdValue, 0);
+    const minValue = config.clusterMinValueUsd > 0 ? config.clusterMinValueUsd : getLiqThreshold(liqEvent.symbol).usd;
+    if (events.length < config.clusterMinCount || usdValue < minValue) return null;
+
+    this.windows.delete(key);
+    const prices = events.map(e => e.price);
+    const last = events[events.length - 1];
+    const cluster = {
+      symbol: liqEvent.symbol,
+      side: liqEvent.side,
+      price: last.price,
+      qty: events.reduce((s, e) => s + e.qty, 0),
+      usdValue,
+      qualifies: true,
+      threshold: minValue,
+      timestamp: t,
+      updatedTime: last.updatedTime,
+      cluster: true,
+      count: events.length,
+      durationMs: t - events[0].timestamp,
+      firstAt: events[0].timestamp,
+      priceLow: Math.min(...prices),
+      priceHigh: Math.max(...prices),
+    };
+
+    this.stats.clusters++;
+    this.recent.unshift(cluster);
+    if (this.recent.length > MAX_RECENT) this.recent.pop();
+    log.info(`${cluster.symbol} ${cluster.side === 'Buy' ? 'long' : 'short'} liqs: $${usdValue.toFixed(0)} in ${cluster.count} prints over ${(cluster.durationMs / 1000).toFixed(1)}s (${cluster.priceLow}–${cluster.priceHigh})`, { symbol: cluster.symbol });
+    this.emit('liquidationCluster', cluster);
+    return cluster;
+  }
+
+  reset() {
+    this.windows.clear();
+    this.recent = [];
+    this.stats.clusters = 0;
+  }
+}
+
+export function tradesSingles() {
+  return config.liqTriggerMode !== 'cluster';
+}
+
+export function tradesClusters() {
+  return config.liqTriggerMode !== 'single';
+}
@@ -0,0 +1,150 @@
+import { config } from '../config.js';
+import { HOT_KEYS } from '../config-schema.js';
+import { getProfiles, hydrateProfiles } from './profiles.js';
+import { now } from './clock.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Config Versions
+ *
+ * Every change to the runtime settings — the hot settings of the config
+ * schema and the symbol profiles — becomes a numbered version:
+ *
+ *   { version, t, actor, source, note?, changes: [{ key, from, to }], snapshot }
+ *
+ * `snapshot` holds all versioned settings as they were after the change, so any
+ * two versions can be diffed and any version rolled back to. Profiles diff per
+ * name ("profiles.BTCUSDT"). On startup a version is added when the settings
+ * differ from the last one recorded (env edited, overrides file restored…).
+ *
+ * Trades and PnL records carry the version they were opened under
+ * (configVersion). History is saved to config_history.json; the oldest
+ * versions beyond CONFIG_HISTORY_MAX are dropped, numbers keep counting.
+ */
+
+const log = createLogger('CONFIG');
+
+// Every setting that can change at runtime
+export const VERSIONED_KEYS = HOT_KEYS;
+
+let versions = []; // oldest first
+
+const clone = value => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+/**
+ * Current values of every versioned setting (deep copy).
+ */
+export function snapshotConfig() {
+  const snapshot = {};
+  for (const key of VERSIONED_KEYS) snapshot[key] = clone(config[key]);
+  snapshot.profiles = clone(getProfiles());
+  return snapshot;
+}
+
+// Flat key -> value, one entry per profile. Versions saved before a setting
+// became versioned just lack it.
+function flatten(snapshot) {
+  const flat = {};
+  for (const key of VERSIONED_KEYS) {
+    if (key in snapshot) flat[key] = snapshot[key];
+  }
+  for (const [name, profile] of Object.entries(snapshot.profiles || {})) flat[`profiles.${name}`] = profile;
+  return flat;
+}
+
+function diffSnapshots(a, b) {
+  const from = flatten(a);
+  const to = flatten(b);
+  const changes = [];
+  for (const key of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    if (JSON.stringify(from[key] ?? null) !== JSON.stringify(to[key] ?? null)) {
+      changes.push({ key, from: from[key] ?? null, to: to[key] ?? null });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Record the current settings as a new version if they differ from the latest.
+ * Returns the new version entry, or null when nothing changed.
+ */
+export function commitConfigVersion({ actor, source, note = null }) {
+  const snapshot = snapshotConfig();
+  const last = versions[versions.length - 1];
+  const changes = last ? diffSnapshots(last.snapshot, snapshot) : [];
+  if (last && changes.length === 0) return null;
+
+  const entry = { version: (last?.version || 0) + 1, t: now(), actor, source, note, changes, snapshot };
+  versions.push(entry);
+  if (versions.length > config.configHistoryMax) versions.splice(0, versions.length - config.configHistoryMax);
+
+  const summary = last ? changes.map(c => c.key).join(', ') : 'initial settings';
+  log.info(`v${entry.version} by ${actor} (${source}${note ? `: ${note}` : ''}) — ${summary}`);
+  return entry;
+}
+
+// Version now live, or null before the history is loaded (backtests)
+export function getConfigVersion() {
+  return versions[versions.length - 1]?.version ?? null;
+}
+
+// Version that was live at time `t` (ms)
+export function getConfigVersionAt(t) {
+  for (let i = versions.length - 1; i >= 0; i--) {
+    if (versions[i].t <= t) return versions[i].version;
+  }
+  return null;
+}
+
+export function getConfigVersionEntry(version) {
+  return versions.find(v => v.version === version) || null;
+}
+
+/**
+ * Versions without their snapshots, oldest first; at most `limit` of the
+ * newest, optionally only those touching `key` (a setting or "profiles.NAME").
+ */
+export function getConfigHistory({ key, limit = 100 } = {}) {
+  return versions
+    .filter(v => !key || v.changes.some(c => c.key === key))
+    .slice(-limit)
+    .map(({ snapshot, ...rest }) => rest);
+}
+
+/**
+ * Settings that differ between two versions, as [{ key, from, to }].
+ * Null when either version is unknown.
+ */
+export function diffConfigVersions(fromVersion, toVersion) {
+  const a = getConfigVersionEntry(fromVersion);
+  const b = getConfigVersionEntry(toVersion);
+  if (!a || !b) return null;
+  return diffSnapshots(a.snapshot, b.snapshot);
+}
+
+/**
+ * Make version `version`'s settings live again. Returns the changes applied
+ * ([{ key, from, to }]), or null for an unknown version. The caller persists
+ * the overrides and commits the result as a new version.
+ */
+export function applyConfigVersion(version) {
+  const entry = getConfigVersionEntry(version);
+  if (!entry) return null;
+  const changes = diffSnapshots(snapshotConfig(), entry.snapshot)
+    .filter(c => c.key.startsWith('profiles.') || c.key in entry.snapshot);
+  for (const key of VERSIONED_KEYS) {
+    if (changes.some(c => c.key === key)) config[key] = clone(entry.snapshot[key]);
+  }
+  if (changes.some(c => c.key.startsWith('profiles.'))) hydrateProfiles(clone(entry.snapshot.profiles));
+  return changes;
+}
+
+export function getConfigHistoryState() {
+  return versions;
+}
+
+export function hydrateConfigHistory(saved) {
+  if (!Array.isArray(saved)) return;
+  versions = saved.filter(v => Number.isInteger(v?.version) && v.snapshot);
+  if (versions.length > 0) log.info(`Loaded ${versions.length} config version(s), latest v${getConfigVersion()}`);
+}
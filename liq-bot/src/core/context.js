@@ -0,0 +1,103 @@
+import { getMarketData } from '../api/ws-ticker.js';
+import { CONFIG_SCHEMA } from '../config-schema.js';
+import { getSymbolConfig } from './profiles.js';
+import { now } from './clock.js';
+
+/**
+ * Market Context Filter
+ *
+ * Entry rules on open interest and funding (from api/ws-ticker.js), checked
+ * before entries and DCA adds:
+ * - CONTEXT_MAX_OI_RISE_PCT: skip while OI rose more than this % over the last
+ *   CONTEXT_OI_WINDOW_MIN minutes — positions are still piling in, the cascade
+ *   isn't done (0 = off)
+ * - CONTEXT_FUNDING=crowded: only counter-trade a crowded side — liquidated
+ *   longs need funding ≥ +CONTEXT_MIN_FUNDING_PCT %, liquidated shorts ≤ −it
+ * - CONTEXT_REQUIRE_DATA: skip when neither OI nor funding is known
+ *   (otherwise such trades go ahead)
+ *
+ * checkMarketContext() returns { allowed, reason, summary } — the summary
+ * ("OI +1.20%/5m, funding 0.0100%", null without data) goes into the trade
+ * log detail.
+ */
+
+export const CONTEXT_FUNDING_MODES = CONFIG_SCHEMA.contextFunding.values;
+
+export function isContextFilterOn(cfg) {
+  return cfg.contextMaxOiRisePct > 0 || cfg.contextFunding === 'crowded' || cfg.contextRequireData;
+}
+
+/**
+ * OI change in % over the last `windowMin` minutes: newest sample vs the last
+ * one at or before the window start (the oldest sample if none is that old).
+ */
+export function oiChange(samples, windowMin) {
+  if (samples.length < 2) return null;
+  const latest = samples[samples.length - 1];
+  const cutoff = now() - windowMin * 60 * 1000;
+  let base = samples[0];
+  for (const s of samples) {
+    if (s.t > cutoff) break;
+    base = s;
+  }
+  if (base === latest || !(base.oi > 0)) return null;
+  return { pct: ((latest.oi - base.oi) / base.oi) * 100, spanMs: latest.t - base.t };
+}
+
+/**
+ * OI change and funding for `symbol`, or null if nothing is known.
+ */
+export async function getMarketContext(symbol) {
+  const cfg = getSymbolConfig(symbol);
+  const data = await getMarketData(symbol);
+  if (!data) return null;
+  const change = oiChange(data.oi, cfg.contextOiWindowMin);
+  return {
+    symbol,
+    openInterest: data.oi[data.oi.length - 1]?.oi ?? null,
+    oiChangePct: change?.pct ?? null,
+    oiSpanMin: change ? change.spanMs / 60000 : null,
+    fundingRate: data.fundingRate,
+    nextFundingTime: data.nextFundingTime,
+    source: data.source,
+  };
+}
+
+function summarize(ctx) {
+  if (!ctx) return null;
+  const parts = [];
+  if (ctx.oiChangePct != null) parts.push(`OI ${ctx.oiChangePct >= 0 ? '+' : ''}${ctx.oiChangePct.toFixed(2)}%/${Math.round(ctx.oiSpanMin)}m`);
+  if (ctx.fundingRate != null) parts.push(`funding ${(ctx.fundingRate * 100).toFixed(4)}%`);
+  return parts.join(', ') || null;
+}
+
+/**
+ * Apply the context rules to a liquidation about to be counter-traded.
+ */
+export async function checkMarketContext(liqEvent) {
+  const { symbol, side } = liqEvent;
+  const cfg = getSymbolConfig(symbol);
+  const ctx = await getMarketContext(symbol).catch(() => null);
+  const summary = summarize(ctx);
+  const block = reason => ({ allowed: false, reason, summary, context: ctx });
+
+  if (!ctx || (ctx.oiChangePct == null && ctx.fundingRate == null)) {
+    if (cfg.contextRequireData) return block('No OI/funding data');
+    return { allowed: true, reason: null, summary, context: ctx };
+  }
+
+  if (cfg.contextMaxOiRisePct > 0 && ctx.oiChangePct != null && ctx.oiChangePct > cfg.contextMaxOiRisePct) {
+    return block(`OI still rising (+${ctx.oiChangePct.toFixed(2)}% > ${cfg.contextMaxOiRisePct}%)`);
+  }
+
+  if (cfg.contextFunding === 'crowded' && ctx.fundingRate != null) {
+    const fundingPct = ctx.fundingRate * 100;
+    // side 'Buy' = longs were liquidated — they should be the crowded (paying) side
+    const crowded = side === 'Buy' ? fundingPct >= cfg.contextMinFundingPct : fundingPct <= -cfg.contextMinFundingPct;
+    if (!crowded) {
+      return block(`Funding ${fundingPct.toFixed(4)}% — ${side === 'Buy' ? 'longs' : 'shorts'} not crowded`);
+    }
+  }
+
+  return { allowed: true, reason: null, summary, context: ctx };
+}
@@ -0,0 +1,98 @@
+import { config } from '../config.js';
+import { now } from './clock.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Per-Symbol Cooldowns
+ *
+ * Fed by the monitor's recordClose. executeTrade won't open a new position on
+ * a symbol until its cooldown has expired:
+ * - COOLDOWN_AFTER_CLOSE_SEC after any close
+ * - COOLDOWN_AFTER_LOSS_SEC after a losing close
+ * - LOSS_STREAK_LOCKOUT_HOURS after LOSS_STREAK_LIMIT consecutive losses on the symbol
+ *
+ * A win resets the symbol's loss streak.
+ */
+
+const log = createLogger('COOLDOWN');
+
+const registry = new Map(); // symbol -> { until, reason, lossStreak, lastPnl, lastClosedAt }
+
+export function recordCloseOutcome(symbol, pnl) {
+  const t = now();
+  const prev = registry.get(symbol);
+  const isLoss = pnl < 0;
+  const lossStreak = isLoss ? (prev?.lossStreak || 0) + 1 : 0;
+
+  let cooldownMs = config.cooldownAfterCloseSec * 1000;
+  let reason = 'Cooldown after close';
+  if (isLoss) {
+    cooldownMs = Math.max(cooldownMs, config.cooldownAfterLossSec * 1000);
+    reason = 'Cooldown after loss';
+  }
+  if (isLoss && config.lossStreakLimit > 0 && lossStreak >= config.lossStreakLimit) {
+    cooldownMs = Math.max(cooldownMs, config.lossStreakLockoutHours * 60 * 60 * 1000);
+    reason = `Locked out after ${lossStreak} straight losses`;
+  }
+
+  // Never shorten a cooldown that is already running (e.g. an active lockout)
+  const until = Math.max(t + cooldownMs, prev?.until || 0);
+  if (prev && prev.until > t + cooldownMs) reason = prev.reason;
+
+  registry.set(symbol, { until, reason, lossStreak, lastPnl: pnl, lastClosedAt: t });
+
+  if (cooldownMs > 0) {
+    log.info(`${symbol} ${reason.toLowerCase()} — no entries for ${((until - t) / 1000).toFixed(0)}s (loss streak: ${lossStreak})`, { symbol });
+  }
+}
+
+/**
+ * Active cooldown for `symbol`, or null if it can be traded.
+ */
+export function getCooldown(symbol) {
+  const entry = registry.get(symbol);
+  if (!entry || entry.until <= now()) return null;
+  return entry;
+}
+
+export function getActiveCooldowns() {
+  const t = now();
+  const list = [];
+  for (const [symbol, entry] of registry) {
+    if (entry.until <= t) continue;
+    list.push({
+      symbol,
+      reason: entry.reason,
+      until: entry.until,
+      remainingSec: Math.ceil((entry.until - t) / 1000),
+      lossStreak: entry.lossStreak,
+      lastPnl: entry.lastPnl,
+      lastClosedAt: entry.lastClosedAt,
+    });
+  }
+  return list.sort((a, b) => a.until - b.until);
+}
+
+export function clearCooldown(symbol) {
+  return registry.delete(symbol);
+}
+
+// Serializable state for persistence — expired entries still carry a loss streak
+export function getCooldownState() {
+  return Object.fromEntries(registry);
+}
+
+export function hydrateCooldowns(saved) {
+  if (!saved) return;
+  for (const [symbol, entry] of Object.entries(saved)) {
+    registry.set(symbol, entry);
+  }
+  const active = getActiveCooldowns().length;
+  if (active > 0) {
+    log.info(`Restored ${active} active cooldown(s) from disk.`);
+  }
+}
+
+export function resetCooldowns() {
+  registry.clear();
+}
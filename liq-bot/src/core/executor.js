@@ -1,10 +1,23 @@
 import { config } from '../config.js';
-import { placeOrder, setLeverage, setTradingStop, switchToOneWayMode, getOrderbook, getPositions, cancelOrder, getOrderDetail } from '../api/bybit.js';
+import { placeOrder, setLeverage, setTradingStop, switchToOneWayMode, getPositions, cancelOrder, closePosition } from '../api/bybit.js';
 import { placeOrderWs, isTradeWsReady } from '../api/ws-trade.js';
 import { instrumentCache } from './instruments.js';
 import { isLowVolume, getTurnover } from './volume-filter.js';
 import { getATR } from './atr.js';
-import { getVWAP } from './vwap.js';
+import { checkVwapBands } from './vwap.js';
+import { now, sleep } from './clock.js';
+import { isTradingHalted, getHaltMessage } from './risk.js';
+import { isTradingRunning, getTradingState } from './trading-state.js';
+import { getCooldown } from './cooldown.js';
+import { chaseLimitEntry } from './chase.js';
+import { getLiqThreshold } from './threshold.js';
+import { getSymbolConfig } from './profiles.js';
+import { getBlockReason } from './filters.js';
+import { isContextFilterOn, checkMarketContext } from './context.js';
+import { createLogger } from './logger.js';
+import { counter, histogram } from './metrics.js';
+import { notify } from './notifier.js';
+import { getConfigVersion, getConfigVersionAt } from './config-history.js';
 
 /**
  * Trade Executor
@@ -20,18 +33,32 @@ import { getVWAP } from './vwap.js';
  * - Price improvement required between entries
  * - After each add: recalculate SL and trailing stop from Bybit's new avgPrice
  *
+ * Partial take-profits (TP_LADDER, e.g. "40@1,30@2"):
+ * - Reduce-only limit orders: 40% of the position at 1x ATR, 30% at 2x ATR
+ * - The rest rides the trailing stop; SL moves to breakeven after the first fill
+ * - Re-placed from the new avgPrice after each DCA add
+ *
  * Stop-loss rule (funded trader):
  * - Every position MUST have a SL set immediately
  * - Max risk per position = SL_ACCOUNT_PCT% of initial account balance (default 3%)
  * - Uses Bybit TP/SL (not conditional triggers)
  */
 
+const log = createLogger('EXECUTOR');
+const latencyLog = createLogger('LATENCY');
+const tradeLogger = createLogger('TRADE');
+
+const phaseMs = histogram('liqbot_trade_phase_ms', 'executeTrade latency by phase (ms); total = liquidation to order done');
+const ordersTotal = counter('liqbot_orders_total', 'Entry / DCA orders by route (WS, REST, limit chase, fallbacks) and result');
+
+const TIMED_PHASES = ['preChecks', 'context', 'leverage', 'atr', 'orderbook', 'orderPlace', 'orderFillWait', 'positionFetch', 'tpSlSet', 'trailSet', 'tpLadder'];
+
 // DCA split ratios: 4 entries totaling 100% of position budget
 // Pyramid up: start small, add more as price extends
 const DCA_SPLITS = [0.10, 0.20, 0.30, 0.40];
 
 // Track which symbols we've already set leverage for
-const leverageSet = new Set();
+const leverageSet = new Map(); // symbol -> leverage applied on Bybit
 
 // Active positions tracking
 const activePositions = new Map(); // symbol -> position info
@@ -43,7 +70,7 @@ const MAX_LOG_SIZE = 500;
 export function hydrateTradeLog(saved) {
   if (saved && saved.length) {
     tradeLog = saved;
-    console.log(`[EXECUTOR] Restored ${saved.length} trade log entries from disk.`);
+    log.info(`Restored ${saved.length} trade log entries from disk.`);
   }
 }
 
@@ -54,9 +81,9 @@ export function setInitialBalance(balance) {
   const prev = initialBalance;
   initialBalance = balance;
   if (prev === 0) {
-    console.log(`[EXECUTOR] Account balance set: $${balance.toFixed(2)}`);
+    log.info(`Account balance set: $${balance.toFixed(2)}`);
   } else if (Math.abs(balance - prev) > 0.01) {
-    console.log(`[EXECUTOR] Account balance updated: $${prev.toFixed(2)} → $${balance.toFixed(2)}`);
+    log.info(`Account balance updated: $${prev.toFixed(2)} → $${balance.toFixed(2)}`);
   }
 }
 
@@ -77,6 +104,13 @@ export function getPositionState() {
       totalBudget: pos.totalBudget,
       lastEntryPrice: pos.lastEntryPrice,
       atr: pos.atr,
+      tpLadder: pos.tpLadder,
+      breakeven: pos.breakeven,
+      manualOrderIds: pos.manualOrderIds,
+      configVersion: pos.configVersion,
+      // Ties TP ladder / manual legs to the trade after a restart
+      orderId: pos.orderId,
+      openTime: pos.openTime,
     };
   }
   return state;
@@ -92,16 +126,22 @@ export function hydratePositionState(saved) {
     if (state.totalBudget != null) pos.totalBudget = state.totalBudget;
     if (state.lastEntryPrice != null) pos.lastEntryPrice = state.lastEntryPrice;
     if (state.atr != null) pos.atr = state.atr;
+    if (state.tpLadder != null) pos.tpLadder = state.tpLadder;
+    if (state.breakeven != null) pos.breakeven = state.breakeven;
+    if (state.manualOrderIds != null) pos.manualOrderIds = state.manualOrderIds;
+    if (state.configVersion != null) pos.configVersion = state.configVersion;
+    if (state.orderId != null) pos.orderId = state.orderId;
+    if (state.openTime != null) pos.openTime = state.openTime;
     count++;
   }
   if (count > 0) {
-    console.log(`[EXECUTOR] Restored DCA state for ${count} position(s) from disk.`);
+    log.info(`Restored DCA state for ${count} position(s) from disk.`);
   }
 }
 
 export function resetTradeLog() {
   tradeLog = [];
-  console.log('[EXECUTOR] Trade log reset.');
+  log.info('Trade log reset.');
 }
 
 // Shared risk budget: divide total risk across all open positions
@@ -114,11 +154,12 @@ async function tightenAllSLs(positionCount) {
   for (const [symbol, pos] of activePositions) {
     const inst = instrumentCache.get(symbol);
     if (!inst) continue;
+    if (pos.breakeven) continue; // partial TP filled — SL already at entry
 
     // ATR-based SL (consistent with entry SL calculation)
     let slOffset;
     if (pos.atr && pos.atr > 0) {
-      slOffset = pos.atr * config.slAtrMultiplier;
+      slOffset = pos.atr * getSymbolConfig(symbol).slAtrMultiplier;
     } else {
       // Fallback: risk-budget SL
       const maxLossUsd = getMaxLossPerPosition(positionCount);
@@ -140,11 +181,85 @@ async function tightenAllSLs(positionCount) {
     try {
       const res = await setTradingStop(symbol, { stopLoss: newSL });
       if (res.retCode === 0) {
-        console.log(`[EXECUTOR] Tightened SL for ${symbol}: ${pos.slPrice} → ${newSL}`);
+        log.info(`Tightened SL for ${symbol}: ${pos.slPrice} → ${newSL}`, { symbol });
         pos.slPrice = newSL;
       }
     } catch (err) {
-      console.error(`[EXECUTOR] Failed to tighten SL for ${symbol}:`, err.message);
+      log.error(`Failed to tighten SL for ${symbol}: ${err.message}`, { symbol });
+    }
+  }
+}
+
+// TP ladder rungs from config: "40@1,30@2" → [{ pct: 40, atrMult: 1 }, { pct: 30, atrMult: 2 }]
+function getTpLadderConfig(symbol) {
+  return (getSymbolConfig(symbol).tpLadder || '')
+    .split(',')
+    .map(s => s.trim().split('@').map(parseFloat))
+    .filter(([pct, atrMult]) => pct > 0 && atrMult > 0)
+    .map(([pct, atrMult]) => ({ pct, atrMult }));
+}
+
+/**
+ * Place the TP ladder as reduce-only limit orders (PostOnly) around position.entryPrice.
+ * Rungs that already filled — or are still open after a failed cancel — are kept.
+ */
+async function placeTpLadder(position) {
+  const rungs = getTpLadderConfig(position.symbol);
+  if (rungs.length === 0 || !position.atr) return;
+
+  const { symbol, side } = position;
+  const inst = instrumentCache.get(symbol);
+  const prev = position.tpLadder || [];
+  const filledQty = prev.filter(r => r.status === 'filled').reduce((s, r) => s + r.qty, 0);
+  const fullQty = position.qty + filledQty; // rung sizes are a share of the whole position
+
+  const ladder = [];
+  for (let i = 0; i < rungs.length; i++) {
+    const level = i + 1;
+    const existing = prev.find(r => r.level === level && r.status !== 'cancelled');
+    if (existing) {
+      ladder.push(existing);
+      continue;
+    }
+
+    const { pct, atrMult } = rungs[i];
+    const offset = position.atr * atrMult;
+    const price = side === 'Buy'
+      ? instrumentCache.roundPrice(symbol, position.entryPrice + offset)
+      : instrumentCache.roundPrice(symbol, position.entryPrice - offset);
+    const qty = instrumentCache.roundQty(symbol, fullQty * (pct / 100));
+    if (inst && qty < inst.minQty) {
+      log.warn(`${symbol} TP${level} qty ${qty} below minimum — skipped`, { symbol });
+      continue;
+    }
+
+    try {
+      const res = await closePosition(symbol, side, qty, 'Limit', price);
+      if (res.retCode !== 0) {
+        log.error(`Failed to place TP${level} for ${symbol}: ${res.retMsg}`, { symbol });
+        continue;
+      }
+      ladder.push({ level, pct, atrMult, price, qty, orderId: res.result.orderId, status: 'open' });
+    } catch (err) {
+      log.error(`TP${level} error for ${symbol}: ${err.message}`, { symbol });
+    }
+  }
+
+  position.tpLadder = ladder;
+  if (ladder.length > 0) {
+    log.info(`TP ladder for ${symbol}: ${ladder.map(r => `TP${r.level} ${r.qty} @ ${r.price}${r.status === 'filled' ? ' (filled)' : ''}`).join(' | ')}`, { symbol });
+  }
+}
+
+async function cancelTpLadder(position) {
+  for (const rung of position.tpLadder || []) {
+    if (rung.status !== 'open') continue;
+    try {
+      const res = await cancelOrder(position.symbol, rung.orderId);
+      // A failed cancel usually means it just filled — leave it for the monitor
+      if (res.retCode === 0) rung.status = 'cancelled';
+    } catch (err) {
+      log.warn(`Could not cancel TP${rung.level} for ${position.symbol}: ${err.message}`, { symbol: position.symbol, orderId: rung.orderId });
     }
   }
 }
@@ -158,7 +273,7 @@ export function resetExecutorState() {
   pendingSymbols.clear();
   tradeLog = [];
   initialBalance = 0;
-  console.log('[EXECUTOR] State reset for account switch.');
+  log.info('State reset for account switch.');
 }
 
 export function getActivePositions() {
@@ -174,7 +289,7 @@ export async function loadExistingPositions() {
   try {
     const res = await getPositions();
     if (res.retCode !== 0) {
-      console.error('[EXECUTOR] Failed to load existing positions:', res.retMsg);
+      log.error(`Failed to load existing positions: ${res.retMsg}`);
       return;
     }
 
@@ -208,7 +323,7 @@ export async function loadExistingPositions() {
         tpPrice: parseFloat(p.takeProfit || '0') || null,
         slPrice: parseFloat(p.stopLoss || '0') || null,
         orderId: null,
-        openTime: parseInt(p.createdTime) || Date.now(),
+        openTime: parseInt(p.createdTime) || now(),
         liqUsdValue: 0,
         execTimeMs: 0,
         atr: null,
@@ -218,33 +333,35 @@ export async function loadExistingPositions() {
         dcaLevel: 0,
         totalBudget,
         lastEntryPrice: entryPrice,
+        configVersion: getConfigVersionAt(parseInt(p.createdTime) || now()),
       };
       activePositions.set(symbol, position);
       count++;
 
-      console.log(
-        `[EXECUTOR] Loaded existing position: ${p.side} ${size} ${symbol} @ ${position.entryPrice} | TP: ${position.tpPrice || '-'} | SL: ${position.slPrice || '-'} | DCA: 0/${DCA_SPLITS.length}`
-      );
+      log.info(`Loaded existing position: ${p.side} ${size} ${symbol} @ ${position.entryPrice} | TP: ${position.tpPrice || '-'} | SL: ${position.slPrice || '-'} | DCA: 0/${DCA_SPLITS.length}`, { symbol });
     }
 
     if (count > 0) {
-      console.log(`[EXECUTOR] Loaded ${count} existing position(s) from Bybit.`);
+      log.info(`Loaded ${count} existing position(s) from Bybit.`);
     }
   } catch (err) {
-    console.error('[EXECUTOR] Error loading existing positions:', err.message);
+    log.error(`Error loading existing positions: ${err.message}`);
   }
 }
 
 export async function executeTrade(liqEvent) {
   const { symbol, side, price, usdValue } = liqEvent;
-  const startTime = Date.now();
+  const cfg = getSymbolConfig(symbol);
+  const startTime = now();
 
   // Granular latency tracking
   const timing = {
     preChecks: 0,
+    context: 0,
     leverage: 0,
     atr: 0,
     orderbook: 0,
+    orderbookSource: null,
     orderPlace: 0,
     orderFillWait: 0,
     positionFetch: 0,
@@ -252,6 +369,25 @@ export async function executeTrade(liqEvent) {
     trailSet: 0,
   };
 
+  // Operator kill switch: paused / reduce-only / flatten
+  if (!isTradingRunning()) {
+    logTrade(liqEvent, 'SKIPPED', `Trading ${getTradingState().state}`, 0);
+    return null;
+  }
+
+  // Risk governor: daily loss / drawdown limit breached
+  if (isTradingHalted()) {
+    logTrade(liqEvent, 'SKIPPED', `Risk halt: ${getHaltMessage()}`, 0);
+    return null;
+  }
+
+  // Per-symbol liquidation threshold — the scanner stamps the one it qualified against
+  const threshold = liqEvent.threshold ?? getLiqThreshold(symbol).usd;
+  if (usdValue < threshold) {
+    logTrade(liqEvent, 'SKIPPED', `Below ${symbol} threshold ($${usdValue.toFixed(0)} < $${threshold.toFixed(0)})`, 0);
+    return null;
+  }
+
   // Check max positions (count pending + active)
   if (activePositions.size + pendingSymbols.size >= config.maxPositions) {
     logTrade(liqEvent, 'SKIPPED', 'Max positions reached', 0);
@@ -272,22 +408,15 @@ export async function executeTrade(liqEvent) {
       logTrade(liqEvent, 'SKIPPED', `DCA fully filled (${DCA_SPLITS.length}/${DCA_SPLITS.length})`, 0);
       return null;
     }
-    // Price improvement check using VWAP bands
-    const vwapData = await getVWAP(symbol).catch(() => null);
-    if (vwapData) {
-      const { vwap, sd } = vwapData;
-      const lowerBand = vwap - sd * config.dcaVwapSdMultiplier;
-      const upperBand = vwap + sd * config.dcaVwapSdMultiplier;
-
-      const priceImproved = existingPos.side === 'Buy'
-        ? price <= lowerBand   // for longs, price must be at or below lower band
-        : price >= upperBand;  // for shorts, price must be at or above upper band
-
-      if (!priceImproved) {
-        logTrade(liqEvent, 'SKIPPED', `DCA: price ${price.toFixed(4)} not at VWAP band (${existingPos.side === 'Buy' ? lowerBand.toFixed(4) : upperBand.toFixed(4)})`, 0);
+    // Price improvement check using VWAP bands (every DCA_VWAP_TIMEFRAMES interval)
+    const bands = await checkVwapBands(symbol, existingPos.side, price, { position: existingPos, liqEvent }).catch(() => null);
+    if (bands) {
+      const describe = checks => checks.map(c => `${c.interval}${/^\d+$/.test(c.interval) ? 'm' : ''} ${c.band.toFixed(4)}`).join(', ');
+      if (!bands.passed) {
+        logTrade(liqEvent, 'SKIPPED', `DCA: price ${price.toFixed(4)} not at VWAP band (${describe(bands.checks.filter(c => !c.passed))})`, 0);
         return null;
       }
-      console.log(`[EXECUTOR] DCA VWAP check passed for ${symbol}: price ${price} ${existingPos.side === 'Buy' ? '<=' : '>='} band ${existingPos.side === 'Buy' ? lowerBand.toFixed(4) : upperBand.toFixed(4)}`);
+      log.info(`DCA VWAP check passed for ${symbol}: price ${price} ${existingPos.side === 'Buy' ? '<=' : '>='} band (${describe(bands.checks)}) [${bands.anchor}]`, { symbol });
     } else {
       // Fallback: simple price improvement
       const lastEntry = existingPos.lastEntryPrice || existingPos.entryPrice;
@@ -299,8 +428,25 @@ export async function executeTrade(liqEvent) {
         return null;
       }
     }
+    // Same OI / funding rules as new entries
+    let contextNote = null;
+    if (isContextFilterOn(cfg)) {
+      const ctx = await checkMarketContext(liqEvent);
+      if (!ctx.allowed) {
+        logTrade(liqEvent, 'SKIPPED', `DCA: ${ctx.reason}${ctx.summary ? ` | ${ctx.summary}` : ''}`, 0);
+        return null;
+      }
+      contextNote = ctx.summary;
+    }
     // Execute DCA add
-    return executeDCA(liqEvent, existingPos);
+    return executeDCA(liqEvent, existingPos, contextNote);
+  }
+
+  // Per-symbol cooldown after a recent close / loss streak
+  const cooldown = getCooldown(symbol);
+  if (cooldown) {
+    logTrade(liqEvent, 'SKIPPED', `${cooldown.reason} (${Math.ceil((cooldown.until - now()) / 1000)}s left)`, 0);
+    return null;
   }
 
   // Lock this symbol immediately (synchronous, before any await)
@@ -314,9 +460,10 @@ export async function executeTrade(liqEvent) {
       return null;
     }
 
-    // Skip pre-listing / non-Trading coins
-    if (instrumentCache.isBlocked(symbol)) {
-      logTrade(liqEvent, 'SKIPPED', 'Pre-listing/blocked coin', 0);
+    // Skip pre-listing / non-Trading / filtered-out coins
+    const blockReason = getBlockReason(symbol, liqEvent.price);
+    if (blockReason) {
+      logTrade(liqEvent, 'SKIPPED', `Blocked: ${blockReason}`, 0);
       return null;
     }
 
@@ -333,26 +480,39 @@ export async function executeTrade(liqEvent) {
       return null;
     }
 
-    timing.preChecks = Date.now() - startTime;
+    timing.preChecks = now() - startTime;
+
+    // OI / funding rules (recorded in the trade log either way)
+    let contextNote = null;
+    if (isContextFilterOn(cfg)) {
+      const contextStart = now();
+      const ctx = await checkMarketContext(liqEvent);
+      timing.context = now() - contextStart;
+      if (!ctx.allowed) {
+        logTrade(liqEvent, 'SKIPPED', `${ctx.reason}${ctx.summary ? ` | ${ctx.summary}` : ''}`, 0);
+        return null;
+      }
+      contextNote = ctx.summary;
+    }
 
     // Counter-trade direction:
     // If longs got liquidated (side='Buy'), price dumped -> we BUY (expect bounce)
     // If shorts got liquidated (side='Sell'), price pumped -> we SELL (expect pullback)
     const tradeSide = side === 'Buy' ? 'Buy' : 'Sell';
 
-    // Set one-way mode and leverage (only once per symbol)
-    const leverageStart = Date.now();
-    if (!leverageSet.has(symbol)) {
-      await switchToOneWayMode(symbol).catch(() => {});
-      const lev = Math.min(config.leverage, inst.maxLeverage);
+    // Set one-way mode and leverage (once per symbol, again if its profile changes leverage)
+    const leverageStart = now();
+    const lev = Math.min(cfg.leverage, inst.maxLeverage);
+    if (leverageSet.get(symbol) !== lev) {
+      if (!leverageSet.has(symbol)) await switchToOneWayMode(symbol).catch(() => {});
       await setLeverage(symbol, lev).catch(() => {});
-      leverageSet.add(symbol);
+      leverageSet.set(symbol, lev);
     }
-    timing.leverage = Date.now() - leverageStart;
+    timing.leverage = now() - leverageStart;
 
     // --- Fetch ATR first (needed for both position sizing and SL/TP) ---
 
-    const atrStart = Date.now();
+    const atrStart = now();
     let atrValue = null;
     let tpPrice, trailingStopDist;
     let tpMethod = 'fixed';
@@ -360,33 +520,33 @@ export async function executeTrade(liqEvent) {
     try {
       atrValue = await getATR(symbol);
     } catch (err) {
-      console.error(`[EXECUTOR] ATR fetch error for ${symbol}:`, err.message);
+      log.error(`ATR fetch error for ${symbol}: ${err.message}`, { symbol });
     }
-    timing.atr = Date.now() - atrStart;
+    timing.atr = now() - atrStart;
 
     // --- Position sizing: ATR-based to cap max loss per trade ---
     const positionCount = activePositions.size + 1;
     const maxLossUsd = getMaxLossPerPosition(positionCount);
 
     // Default budget (balance-based)
-    const minNotional = initialBalance * (config.minPositionPct / 100);
-    const configNotional = config.positionSizeUsd * config.leverage;
+    const minNotional = initialBalance * (cfg.minPositionPct / 100);
+    const configNotional = cfg.positionSizeUsd * cfg.leverage;
     let totalBudget = Math.max(configNotional, minNotional);
 
     // ATR-based cap: size position so full DCA hitting SL = maxLossUsd
     if (atrValue && atrValue > 0) {
-      const slDist = atrValue * config.slAtrMultiplier;
+      const slDist = atrValue * cfg.slAtrMultiplier;
       const maxQty = maxLossUsd / slDist; // max coins where SL hit = maxLossUsd
       const atrBudget = maxQty * price;
       if (atrBudget < totalBudget) {
-        console.log(`[EXECUTOR] ${symbol} ATR sizing: budget $${totalBudget.toFixed(0)} → $${atrBudget.toFixed(0)} (capped by ${config.slAtrMultiplier}x ATR SL, max loss $${maxLossUsd.toFixed(2)})`);
+        log.info(`${symbol} ATR sizing: budget $${totalBudget.toFixed(0)} → $${atrBudget.toFixed(0)} (capped by ${cfg.slAtrMultiplier}x ATR SL, max loss $${maxLossUsd.toFixed(2)})`, { symbol });
         totalBudget = atrBudget;
       }
     }
 
-    const notional = totalBudget * DCA_SPLITS[0]; // 10% for first DCA entry
+    let notional = totalBudget * DCA_SPLITS[0]; // 10% for first DCA entry
 
-    const qty = instrumentCache.roundQty(
+    let qty = instrumentCache.roundQty(
       symbol,
       notional / price
     );
@@ -398,33 +558,33 @@ export async function executeTrade(liqEvent) {
 
     if (atrValue && atrValue > 0) {
       // ATR-based TP: entry ± 1.5 × ATR
-      const tpOffset = atrValue * config.tpAtrMultiplier;
+      const tpOffset = atrValue * cfg.tpAtrMultiplier;
       tpPrice = tradeSide === 'Buy'
         ? instrumentCache.roundPrice(symbol, price + tpOffset)
         : instrumentCache.roundPrice(symbol, price - tpOffset);
 
       // Trailing stop distance = 0.5 × ATR (minimum 1 tick)
-      trailingStopDist = instrumentCache.roundPrice(symbol, atrValue * config.trailingAtrMultiplier);
+      trailingStopDist = instrumentCache.roundPrice(symbol, atrValue * cfg.trailingAtrMultiplier);
       if (!trailingStopDist && inst.tickSize) {
         trailingStopDist = inst.tickSize;
-        console.warn(`[EXECUTOR] ${symbol} trailing stop rounded to 0, using 1 tick: ${inst.tickSize}`);
+        log.warn(`${symbol} trailing stop rounded to 0, using 1 tick: ${inst.tickSize}`, { symbol });
       }
       tpMethod = 'ATR';
 
-      console.log(`[EXECUTOR] ATR for ${symbol}: ${atrValue.toFixed(6)} | TP offset: ${tpOffset.toFixed(6)} | Trailing: ${trailingStopDist}`);
+      log.info(`ATR for ${symbol}: ${atrValue.toFixed(6)} | TP offset: ${tpOffset.toFixed(6)} | Trailing: ${trailingStopDist}`, { symbol });
     } else {
       // Fallback: fixed percentage
       const tpMultiplier = tradeSide === 'Buy'
-        ? 1 + config.takeProfitPct / 100
-        : 1 - config.takeProfitPct / 100;
+        ? 1 + cfg.takeProfitPct / 100
+        : 1 - cfg.takeProfitPct / 100;
       tpPrice = instrumentCache.roundPrice(symbol, price * tpMultiplier);
       trailingStopDist = null;
 
-      console.log(`[EXECUTOR] ATR unavailable for ${symbol}, using fixed ${config.takeProfitPct}% TP`);
+      log.info(`ATR unavailable for ${symbol}, using fixed ${cfg.takeProfitPct}% TP`, { symbol });
     }
 
     // Enforce min TP: profit must be >= MIN_TP_PCT% of trade notional value
-    const minProfitUsd = notional * (config.minTpPct / 100);
+    const minProfitUsd = notional * (cfg.minTpPct / 100);
     const minTpOffset = minProfitUsd / qty;
     const currentTpOffset = Math.abs(tpPrice - price);
 
@@ -433,28 +593,28 @@ export async function executeTrade(liqEvent) {
       tpPrice = tradeSide === 'Buy'
         ? instrumentCache.roundPrice(symbol, price + minTpOffset)
         : instrumentCache.roundPrice(symbol, price - minTpOffset);
-      console.log(`[EXECUTOR] TP widened for ${symbol}: ${oldTp} → ${tpPrice} (min ${config.minTpPct}% of $${notional.toFixed(0)} = $${minProfitUsd.toFixed(2)} profit)`);
+      log.info(`TP widened for ${symbol}: ${oldTp} → ${tpPrice} (min ${cfg.minTpPct}% of $${notional.toFixed(0)} = $${minProfitUsd.toFixed(2)} profit)`, { symbol });
     }
 
     // Stop-loss: ATR-based (proportional to trailing stop for balanced risk/reward)
     // Fallback to risk-budget if ATR unavailable
     let slOffset;
     if (atrValue && atrValue > 0) {
-      slOffset = atrValue * config.slAtrMultiplier;
-      console.log(`[EXECUTOR] ${symbol} ATR-based SL: ${config.slAtrMultiplier}x ATR (${atrValue.toFixed(6)}) = ${slOffset.toFixed(6)}`);
+      slOffset = atrValue * cfg.slAtrMultiplier;
+      log.info(`${symbol} ATR-based SL: ${cfg.slAtrMultiplier}x ATR (${atrValue.toFixed(6)}) = ${slOffset.toFixed(6)}`, { symbol });
     } else {
       // Fallback: risk-budget SL
       const totalExpectedQty = instrumentCache.roundQty(symbol, totalBudget / price);
       slOffset = maxLossUsd / totalExpectedQty;
-      console.log(`[EXECUTOR] ${symbol} risk-budget SL fallback: ${slOffset.toFixed(6)}`);
+      log.info(`${symbol} risk-budget SL fallback: ${slOffset.toFixed(6)}`, { symbol });
     }
     if (inst.tickSize && slOffset < inst.tickSize) {
       slOffset = inst.tickSize;
-      console.warn(`[EXECUTOR] ${symbol} SL offset below tick size, using 1 tick: ${inst.tickSize}`);
+      log.warn(`${symbol} SL offset below tick size, using 1 tick: ${inst.tickSize}`, { symbol });
     }
     const maxSlOffset = price * 0.9;
     if (slOffset > maxSlOffset) {
-      console.warn(`[EXECUTOR] ${symbol} SL offset ${slOffset.toFixed(6)} > 90% of price ${price}, clamping to ${maxSlOffset.toFixed(6)}`);
+      log.warn(`${symbol} SL offset ${slOffset.toFixed(6)} > 90% of price ${price}, clamping to ${maxSlOffset.toFixed(6)}`, { symbol });
       slOffset = maxSlOffset;
     }
     const slPrice = tradeSide === 'Buy'
@@ -465,28 +625,24 @@ export async function executeTrade(liqEvent) {
     // --- EXECUTE ORDER (Limit PostOnly or Market) ---
     let orderResult;
     let orderVia;
-    const entryType = config.entryOrderType || 'Market';
+    const entryType = cfg.entryOrderType || 'Market';
 
     if (entryType === 'Limit') {
-      // Limit PostOnly at best bid (Buy) / best ask (Sell) for maker fees
-      let limitPrice = null;
-      const obStart = Date.now();
+      // Limit PostOnly at best bid (Buy) / best ask (Sell) for maker fees, re-quoted as the touch moves
+      const orderStart = now();
+      let chase;
       try {
-        const ob = await getOrderbook(symbol, 1);
-        if (ob.retCode === 0 && ob.result) {
-          limitPrice = tradeSide === 'Buy'
-            ? parseFloat(ob.result.b[0][0])   // best bid
-            : parseFloat(ob.result.a[0][0]);   // best ask
-          limitPrice = instrumentCache.roundPrice(symbol, limitPrice);
-        }
+        chase = await chaseLimitEntry(symbol, tradeSide, qty, { atr: atrValue });
       } catch (err) {
-        console.warn(`[EXECUTOR] Orderbook error for ${symbol}:`, err.message);
+        // Orders may have gone out — a market order on top could double the exposure
+        log.error(`Limit entry error for ${symbol}: ${err.message}`, { symbol });
+        logTrade(liqEvent, 'SKIPPED', `Limit entry error: ${err.message}`, now() - startTime);
+        ordersTotal.inc({ kind: 'entry', route: 'limit', result: 'failed' });
+        return null;
       }
-      timing.orderbook = Date.now() - obStart;
 
-      const orderStart = Date.now();
-      if (!limitPrice) {
-        // Fallback to market if orderbook unavailable
+      if (!chase) {
+        // No quote and nothing placed — fall back to market
         if (isTradeWsReady()) {
           try {
             orderResult = await placeOrderWs(symbol, tradeSide, qty);
@@ -499,53 +655,38 @@ export async function executeTrade(liqEvent) {
           orderResult = await placeOrder(symbol, tradeSide, qty);
           orderVia = 'REST(mkt-fallback)';
         }
+        timing.orderPlace = now() - orderStart;
       } else {
-        const limitParams = { price: String(limitPrice), timeInForce: 'PostOnly' };
-        if (isTradeWsReady()) {
-          try {
-            orderResult = await placeOrderWs(symbol, tradeSide, qty, 'Limit', limitParams);
-            orderVia = 'WS(limit)';
-          } catch {
-            orderResult = await placeOrder(symbol, tradeSide, qty, 'Limit', limitParams);
-            orderVia = 'REST(limit)';
-          }
-        } else {
-          orderResult = await placeOrder(symbol, tradeSide, qty, 'Limit', limitParams);
-          orderVia = 'REST(limit)';
+        timing.orderbook = chase.quoteMs;
+        timing.orderbookSource = chase.quoteSource;
+        timing.orderPlace = chase.placeMs;
+        timing.orderFillWait = now() - orderStart - chase.quoteMs - chase.placeMs;
+
+        if (chase.rejectMsg) {
+          log.error(`Limit rejected for ${symbol}: ${chase.rejectMsg}`, { symbol });
+          logTrade(liqEvent, 'SKIPPED', `Limit rejected: ${chase.rejectMsg}`, now() - startTime);
+          ordersTotal.inc({ kind: 'entry', route: chase.via || 'limit', result: 'rejected' });
+          return null;
         }
-        timing.orderPlace = Date.now() - orderStart;
-
-        if (orderResult.retCode !== 0) {
-          console.error(`[EXECUTOR] Limit rejected for ${symbol}: ${orderResult.retMsg} (code ${orderResult.retCode})`);
-          logTrade(liqEvent, 'SKIPPED', `Limit rejected: ${orderResult.retMsg}`, Date.now() - startTime);
+        if (chase.filledQty <= 0) {
+          logTrade(liqEvent, 'SKIPPED', `Limit not filled (${chase.reprices} reprice(s) in ${cfg.entryChaseMs}ms)`, now() - startTime);
+          ordersTotal.inc({ kind: 'entry', route: chase.via || 'limit', result: 'unfilled' });
           return null;
         }
 
-        // Wait for fill — PostOnly may sit on the book
-        const limitOrderId = orderResult.result.orderId;
-        const fillWaitStart = Date.now();
-        await new Promise(r => setTimeout(r, 2000));
-
-        try {
-          const orderCheck = await getOrderDetail(symbol, limitOrderId);
-          if (orderCheck.retCode === 0 && orderCheck.result?.list?.length) {
-            const status = orderCheck.result.list[0].orderStatus;
-            if (status !== 'Filled') {
-              await cancelOrder(symbol, limitOrderId).catch(() => {});
-              logTrade(liqEvent, 'SKIPPED', `Limit not filled (${status})`, Date.now() - startTime);
-              return null;
-            }
-          }
-        } catch (err) {
-          console.warn(`[EXECUTOR] Order status check failed for ${symbol}:`, err.message);
+        // Protection is sized to what actually filled
+        if (chase.filledQty < qty) {
+          log.info(`${symbol} partial entry: ${chase.filledQty}/${qty}`, { symbol });
+          notional = notional * (chase.filledQty / qty);
+          qty = chase.filledQty;
         }
-        timing.orderFillWait = Date.now() - fillWaitStart;
-
-        console.log(`[EXECUTOR] ${symbol} limit order filled @ ${limitPrice} (maker fee)`);
+        orderResult = { retCode: 0, result: { orderId: chase.orderId } };
+        orderVia = chase.via;
+        log.info(`${symbol} limit order filled @ ${chase.avgPrice} (${chase.marketQty ? 'partly taker' : 'maker fee'})`, { symbol });
       }
     } else {
       // Market order (existing flow)
-      const orderStart = Date.now();
+      const orderStart = now();
       if (isTradeWsReady()) {
         try {
           orderResult = await placeOrderWs(symbol, tradeSide, qty);
@@ -558,13 +699,14 @@ export async function executeTrade(liqEvent) {
         orderResult = await placeOrder(symbol, tradeSide, qty);
         orderVia = 'REST';
       }
-      timing.orderPlace = Date.now() - orderStart;
+      timing.orderPlace = now() - orderStart;
     }
 
-    const execTime = Date.now() - startTime;
+    const execTime = now() - startTime;
+    ordersTotal.inc({ kind: 'entry', route: orderVia, result: orderResult.retCode === 0 ? 'ok' : 'failed' });
 
     if (orderResult.retCode !== 0) {
-      console.error(`[EXECUTOR] Order FAILED for ${symbol}: ${orderResult.retMsg} (code ${orderResult.retCode}) | ${execTime}ms`);
+      log.error(`Order FAILED for ${symbol}: ${orderResult.retMsg} (code ${orderResult.retCode}) | ${execTime}ms`, { symbol });
       logTrade(liqEvent, 'FAILED', orderResult.retMsg, execTime);
       return null;
     }
@@ -572,7 +714,7 @@ export async function executeTrade(liqEvent) {
     const orderId = orderResult.result.orderId;
 
     // Fetch real fill price from Bybit position data
-    const posFetchStart = Date.now();
+    const posFetchStart = now();
     let fillPrice = price; // fallback to liq price
     try {
       const posRes = await getPositions();
@@ -580,13 +722,13 @@ export async function executeTrade(liqEvent) {
         const pos = posRes.result.list.find(p => p.symbol === symbol && parseFloat(p.size) > 0);
         if (pos) {
           fillPrice = parseFloat(pos.avgPrice);
-          console.log(`[EXECUTOR] ${symbol} fill price: ${fillPrice} (liq price was ${price})`);
+          log.info(`${symbol} fill price: ${fillPrice} (liq price was ${price})`, { symbol });
         }
       }
     } catch (err) {
-      console.warn(`[EXECUTOR] Could not fetch fill price for ${symbol}, using liq price`);
+      log.warn(`Could not fetch fill price for ${symbol}, using liq price`, { symbol });
     }
-    timing.positionFetch = Date.now() - posFetchStart;
+    timing.positionFetch = now() - posFetchStart;
 
     // Recalculate SL from fill price
     const slPrice2 = tradeSide === 'Buy'
@@ -597,23 +739,23 @@ export async function executeTrade(liqEvent) {
     if (trailingStopDist) {
       // Trailing stop active → no fixed TP, let winners run
       tpPrice = null;
-      console.log(`[EXECUTOR] ${symbol} using trailing stop only (no TP cap) | Trail: ${trailingStopDist} | SL: ${slPrice2}`);
+      log.info(`${symbol} using trailing stop only (no TP cap) | Trail: ${trailingStopDist} | SL: ${slPrice2}`, { symbol });
     } else {
       // No trailing → use fixed TP as exit
       if (atrValue && atrValue > 0) {
-        const tpOffset = atrValue * config.tpAtrMultiplier;
+        const tpOffset = atrValue * cfg.tpAtrMultiplier;
         tpPrice = tradeSide === 'Buy'
           ? instrumentCache.roundPrice(symbol, fillPrice + tpOffset)
           : instrumentCache.roundPrice(symbol, fillPrice - tpOffset);
       } else {
         const tpMultiplier = tradeSide === 'Buy'
-          ? 1 + config.takeProfitPct / 100
-          : 1 - config.takeProfitPct / 100;
+          ? 1 + cfg.takeProfitPct / 100
+          : 1 - cfg.takeProfitPct / 100;
         tpPrice = instrumentCache.roundPrice(symbol, fillPrice * tpMultiplier);
       }
 
       // Enforce min TP
-      const minTpOffset2 = (notional * (config.minTpPct / 100)) / qty;
+      const minTpOffset2 = (notional * (cfg.minTpPct / 100)) / qty;
       const currentTpOffset2 = Math.abs(tpPrice - fillPrice);
       if (currentTpOffset2 < minTpOffset2) {
         tpPrice = tradeSide === 'Buy'
@@ -627,7 +769,7 @@ export async function executeTrade(liqEvent) {
     if (tpPrice) {
       stopParams.takeProfit = tpPrice;
       // Limit TP: Bybit places limit order when TP triggers (maker fee on exit)
-      if (config.tpOrderType === 'Limit') {
+      if (cfg.tpOrderType === 'Limit') {
         stopParams.tpOrderType = 1;
         stopParams.tpLimitPrice = tpPrice;
       }
@@ -643,38 +785,41 @@ export async function executeTrade(liqEvent) {
       trailActivePrice = tradeSide === 'Buy'
         ? instrumentCache.roundPrice(symbol, fillPrice + trailingStopDist + feeBuffer)
         : instrumentCache.roundPrice(symbol, fillPrice - trailingStopDist - feeBuffer);
-      console.log(`[EXECUTOR] ${symbol} trail activation includes fee buffer: ${feeBuffer} (0.15% of ${fillPrice})`);
+      log.info(`${symbol} trail activation includes fee buffer: ${feeBuffer} (0.15% of ${fillPrice})`, { symbol });
     }
 
     // Set SL first, then trailing stop — using await for reliable sequential execution
-    const tpSlStart = Date.now();
+    const tpSlStart = now();
     try {
       const slRes = await setTradingStop(symbol, stopParams);
       if (slRes.retCode !== 0) {
-        console.error(`[EXECUTOR] Failed to set SL${tpPrice ? '/TP' : ''} for ${symbol}: ${slRes.retMsg}`);
+        log.error(`Failed to set SL${tpPrice ? '/TP' : ''} for ${symbol}: ${slRes.retMsg}`, { symbol });
+        notify('protection', { symbol, message: `Failed to set SL${tpPrice ? '/TP' : ''} after entry: ${slRes.retMsg}` });
       } else {
-        const tpType = tpPrice && config.tpOrderType === 'Limit' ? ' (limit)' : '';
-        console.log(`[EXECUTOR] SL${tpPrice ? '/TP' : ''} set for ${symbol} | SL: ${slPrice2}${tpPrice ? ` | TP: ${tpPrice}${tpType}` : ''}`);
+        const tpType = tpPrice && cfg.tpOrderType === 'Limit' ? ' (limit)' : '';
+        log.info(`SL${tpPrice ? '/TP' : ''} set for ${symbol} | SL: ${slPrice2}${tpPrice ? ` | TP: ${tpPrice}${tpType}` : ''}`, { symbol });
       }
-      timing.tpSlSet = Date.now() - tpSlStart;
+      timing.tpSlSet = now() - tpSlStart;
 
       // Set trailing stop with activePrice — activates once price moves by 1x trail distance
       if (trailingStopDist && trailActivePrice) {
-        const trailStart = Date.now();
+        const trailStart = now();
         const trailRes = await setTradingStop(symbol, { trailingStop: trailingStopDist, activePrice: trailActivePrice });
         if (trailRes.retCode !== 0) {
-          console.error(`[EXECUTOR] Failed to set trailing stop for ${symbol}: ${trailRes.retMsg}`);
+          log.error(`Failed to set trailing stop for ${symbol}: ${trailRes.retMsg}`, { symbol });
+          notify('protection', { symbol, message: `Failed to set trailing stop after entry: ${trailRes.retMsg}` });
         } else {
-          console.log(`[EXECUTOR] Trailing stop set for ${symbol} | Trail: ${trailingStopDist} | Activates @ ${trailActivePrice}`);
+          log.info(`Trailing stop set for ${symbol} | Trail: ${trailingStopDist} | Activates @ ${trailActivePrice}`, { symbol });
         }
-        timing.trailSet = Date.now() - trailStart;
+        timing.trailSet = now() - trailStart;
       }
     } catch (err) {
-      console.error(`[EXECUTOR] Failed to set SL/trailing for ${symbol}:`, err.message);
+      log.error(`Failed to set SL/trailing for ${symbol}: ${err.message}`, { symbol });
+      notify('protection', { symbol, message: `Failed to set SL/trailing after entry: ${err.message}` });
     }
 
     // Determine if entry was maker or taker
-    const entryOrderMode = orderVia.includes('limit') ? 'maker' : 'taker';
+    const entryOrderMode = orderVia.includes('limit') && !orderVia.includes('mkt') ? 'maker' : 'taker';
 
     // Track position
     const position = {
@@ -685,7 +830,7 @@ export async function executeTrade(liqEvent) {
       tpPrice,
       slPrice: slPrice2,
       orderId,
-      openTime: Date.now(),
+      openTime: now(),
       liqUsdValue: usdValue,
       execTimeMs: execTime,
       atr: atrValue,
@@ -696,51 +841,74 @@ export async function executeTrade(liqEvent) {
       dcaLevel: 0,
       totalBudget,
       lastEntryPrice: fillPrice,
+      configVersion: getConfigVersion(),
       timing, // granular latency breakdown
     };
     activePositions.set(symbol, position);
 
+    // Partial take-profits — the remainder stays on the trailing stop
+    if (trailingStopDist) {
+      const ladderStart = now();
+      await placeTpLadder(position);
+      if (position.tpLadder) timing.tpLadder = now() - ladderStart;
+    }
+
     // Tighten SLs on all existing positions (shared risk budget)
     if (activePositions.size > 1) {
       tightenAllSLs(activePositions.size);
     }
 
     const tpDisplay = tpPrice || 'TRAIL';
-    logTrade(liqEvent, 'FILLED', `Fill: ${fillPrice} | ${tpPrice ? `TP @ ${tpPrice}` : `Trail: ${trailingStopDist}`} | SL @ ${slPrice2} [${tpMethod}]`, execTime, position);
+    logTrade(liqEvent, 'FILLED', `Fill: ${fillPrice} | ${tpPrice ? `TP @ ${tpPrice}` : `Trail: ${trailingStopDist}`} | SL @ ${slPrice2} [${tpMethod}]${contextNote ? ` | ${contextNote}` : ''}`, execTime, position);
 
-    console.log(
-      `[TRADE] ${tradeSide} ${qty} ${symbol} @ ${fillPrice} (liq ${price}) | ${tpPrice ? `TP: ${tpPrice}` : `Trail: ${trailingStopDist}`} | SL: ${slPrice2} | ${tpMethod} | ${orderVia} | Exec: ${execTime}ms | Liq: $${usdValue.toFixed(0)}`
-    );
+    tradeLogger.info(`${tradeSide} ${qty} ${symbol} @ ${fillPrice} (liq ${price}) | ${tpPrice ? `TP: ${tpPrice}` : `Trail: ${trailingStopDist}`} | SL: ${slPrice2} | ${tpMethod} | ${orderVia} | Exec: ${execTime}ms | Liq: $${usdValue.toFixed(0)}`, { symbol, orderId });
+    notify('fill', {
+      symbol, side: tradeSide, qty, price: fillPrice, tp: tpPrice || `trail ${trailingStopDist}`, sl: slPrice2,
+      via: orderVia, execMs: execTime, liqUsd: usdValue.toFixed(0), orderId,
+    });
 
     // Log granular latency breakdown
     const timingParts = [];
     if (timing.preChecks) timingParts.push(`pre:${timing.preChecks}ms`);
+    if (timing.context) timingParts.push(`ctx:${timing.context}ms`);
     if (timing.leverage) timingParts.push(`lev:${timing.leverage}ms`);
     if (timing.atr) timingParts.push(`atr:${timing.atr}ms`);
-    if (timing.orderbook) timingParts.push(`ob:${timing.orderbook}ms`);
+    if (timing.orderbookSource) timingParts.push(`ob:${timing.orderbook}ms(${timing.orderbookSource})`);
     if (timing.orderPlace) timingParts.push(`order:${timing.orderPlace}ms`);
     if (timing.orderFillWait) timingParts.push(`fillWait:${timing.orderFillWait}ms`);
     if (timing.positionFetch) timingParts.push(`posFetch:${timing.positionFetch}ms`);
     if (timing.tpSlSet) timingParts.push(`tpSl:${timing.tpSlSet}ms`);
     if (timing.trailSet) timingParts.push(`trail:${timing.trailSet}ms`);
-    console.log(`[LATENCY] ${symbol} | ${timingParts.join(' | ')} | TOTAL: ${execTime}ms`);
+    if (timing.tpLadder) timingParts.push(`ladder:${timing.tpLadder}ms`);
+    latencyLog.info(`${symbol} | ${timingParts.join(' | ')} | TOTAL: ${execTime}ms`, { symbol });
+    for (const phase of TIMED_PHASES) {
+      if (timing[phase]) phaseMs.observe({ phase }, timing[phase]);
+    }
+    phaseMs.observe({ phase: 'total' }, execTime);
 
     return position;
   } catch (err) {
-    const execTime = Date.now() - startTime;
+    const execTime = now() - startTime;
     logTrade(liqEvent, 'ERROR', err.message, execTime);
-    console.error(`[EXECUTOR] Order error for ${symbol}:`, err.message);
+    log.error(`Order error for ${symbol}: ${err.message}`, { symbol });
     return null;
   } finally {
     pendingSymbols.delete(symbol);
   }
 }
 
-async function executeDCA(liqEvent, existingPos) {
+async function executeDCA(liqEvent, existingPos, contextNote = null) {
   const { symbol, price, usdValue } = liqEvent;
-  const startTime = Date.now();
+  const cfg = getSymbolConfig(symbol);
+  const startTime = now();
   const nextLevel = (existingPos.dcaLevel || 0) + 1;
 
+  // Paused while the VWAP / context checks ran
+  if (!isTradingRunning()) {
+    logTrade(liqEvent, 'SKIPPED', `DCA: trading ${getTradingState().state}`, 0);
+    return null;
+  }
+
   // Lock symbol
   pendingSymbols.add(symbol);
 
@@ -758,7 +926,7 @@ async function executeDCA(liqEvent, existingPos) {
 
     // Calculate qty for this DCA level
     const notional = existingPos.totalBudget * DCA_SPLITS[nextLevel];
-    const qty = instrumentCache.roundQty(symbol, notional / price);
+    let qty = instrumentCache.roundQty(symbol, notional / price);
 
     if (qty < inst.minQty) {
       logTrade(liqEvent, 'SKIPPED', 'DCA: Qty below minimum', 0);
@@ -770,23 +938,21 @@ async function executeDCA(liqEvent, existingPos) {
     // Place order (same side as existing position)
     let orderResult;
     let orderVia;
-    const entryType = config.entryOrderType || 'Market';
+    const entryType = cfg.entryOrderType || 'Market';
 
     if (entryType === 'Limit') {
-      let limitPrice = null;
+      let chase;
       try {
-        const ob = await getOrderbook(symbol, 1);
-        if (ob.retCode === 0 && ob.result) {
-          limitPrice = tradeSide === 'Buy'
-            ? parseFloat(ob.result.b[0][0])
-            : parseFloat(ob.result.a[0][0]);
-          limitPrice = instrumentCache.roundPrice(symbol, limitPrice);
-        }
+        chase = await chaseLimitEntry(symbol, tradeSide, qty, { atr: existingPos.atr });
       } catch (err) {
-        console.warn(`[EXECUTOR] DCA orderbook error for ${symbol}:`, err.message);
+        log.error(`DCA limit entry error for ${symbol}: ${err.message}`, { symbol });
+        logTrade(liqEvent, 'SKIPPED', `DCA limit error: ${err.message}`, now() - startTime);
+        ordersTotal.inc({ kind: 'dca', route: 'limit', result: 'failed' });
+        return null;
       }
 
-      if (!limitPrice) {
+      if (!chase) {
+        // No quote and nothing placed — fall back to market
         if (isTradeWsReady()) {
           try {
             orderResult = await placeOrderWs(symbol, tradeSide, qty);
@@ -800,42 +966,22 @@ async function executeDCA(liqEvent, existingPos) {
           orderVia = 'REST(mkt-fallback)';
         }
       } else {
-        const limitParams = { price: String(limitPrice), timeInForce: 'PostOnly' };
-        if (isTradeWsReady()) {
-          try {
-            orderResult = await placeOrderWs(symbol, tradeSide, qty, 'Limit', limitParams);
-            orderVia = 'WS(limit)';
-          } catch {
-            orderResult = await placeOrder(symbol, tradeSide, qty, 'Limit', limitParams);
-            orderVia = 'REST(limit)';
-          }
-        } else {
-          orderResult = await placeOrder(symbol, tradeSide, qty, 'Limit', limitParams);
-          orderVia = 'REST(limit)';
+        if (chase.rejectMsg) {
+          logTrade(liqEvent, 'SKIPPED', `DCA limit rejected: ${chase.rejectMsg}`, now() - startTime);
+          ordersTotal.inc({ kind: 'dca', route: chase.via || 'limit', result: 'rejected' });
+          return null;
         }
-
-        if (orderResult.retCode !== 0) {
-          logTrade(liqEvent, 'SKIPPED', `DCA limit rejected: ${orderResult.retMsg}`, Date.now() - startTime);
+        if (chase.filledQty <= 0) {
+          logTrade(liqEvent, 'SKIPPED', `DCA limit not filled (${chase.reprices} reprice(s) in ${cfg.entryChaseMs}ms)`, now() - startTime);
+          ordersTotal.inc({ kind: 'dca', route: chase.via || 'limit', result: 'unfilled' });
           return null;
         }
-
-        // Wait for fill
-        const limitOrderId = orderResult.result.orderId;
-        await new Promise(r => setTimeout(r, 2000));
-
-        try {
-          const orderCheck = await getOrderDetail(symbol, limitOrderId);
-          if (orderCheck.retCode === 0 && orderCheck.result?.list?.length) {
-            const status = orderCheck.result.list[0].orderStatus;
-            if (status !== 'Filled') {
-              await cancelOrder(symbol, limitOrderId).catch(() => {});
-              logTrade(liqEvent, 'SKIPPED', `DCA limit not filled (${status})`, Date.now() - startTime);
-              return null;
-            }
-          }
-        } catch (err) {
-          console.warn(`[EXECUTOR] DCA order status check failed for ${symbol}:`, err.message);
+        if (chase.filledQty < qty) {
+          log.info(`${symbol} partial DCA fill: ${chase.filledQty}/${qty}`, { symbol });
+          qty = chase.filledQty;
         }
+        orderResult = { retCode: 0, result: { orderId: chase.orderId } };
+        orderVia = chase.via;
       }
     } else {
       // Market order
@@ -853,10 +999,12 @@ async function executeDCA(liqEvent, existingPos) {
       }
     }
 
-    const execTime = Date.now() - startTime;
+    const execTime = now() - startTime;
+    ordersTotal.inc({ kind: 'dca', route: orderVia, result: orderResult.retCode === 0 ? 'ok' : 'failed' });
+    phaseMs.observe({ phase: 'dca' }, execTime);
 
     if (orderResult.retCode !== 0) {
-      console.error(`[EXECUTOR] DCA order FAILED for ${symbol}: ${orderResult.retMsg} (code ${orderResult.retCode}) | ${execTime}ms`);
+      log.error(`DCA order FAILED for ${symbol}: ${orderResult.retMsg} (code ${orderResult.retCode}) | ${execTime}ms`, { symbol });
       logTrade(liqEvent, 'FAILED', `DCA: ${orderResult.retMsg}`, execTime);
       return null;
     }
@@ -871,17 +1019,17 @@ async function executeDCA(liqEvent, existingPos) {
         if (pos) {
           newAvgPrice = parseFloat(pos.avgPrice);
           newTotalQty = parseFloat(pos.size);
-          console.log(`[EXECUTOR] DCA ${nextLevel + 1}/${DCA_SPLITS.length} ${symbol} | New avg: ${newAvgPrice} | Size: ${newTotalQty}`);
+          log.info(`DCA ${nextLevel + 1}/${DCA_SPLITS.length} ${symbol} | New avg: ${newAvgPrice} | Size: ${newTotalQty}`, { symbol });
         }
       }
     } catch (err) {
-      console.warn(`[EXECUTOR] DCA could not fetch position for ${symbol}, using estimates`);
+      log.warn(`DCA could not fetch position for ${symbol}, using estimates`, { symbol });
     }
 
     // Recalculate SL from new avgPrice — ATR-based (proportional to trailing)
     let slOffset;
     if (existingPos.atr && existingPos.atr > 0) {
-      slOffset = existingPos.atr * config.slAtrMultiplier;
+      slOffset = existingPos.atr * cfg.slAtrMultiplier;
     } else {
       // Fallback: risk-budget SL
       const maxLossUsd = getMaxLossPerPosition(activePositions.size);
@@ -893,7 +1041,7 @@ async function executeDCA(liqEvent, existingPos) {
     }
     const maxSlOffset = newAvgPrice * 0.9;
     if (slOffset > maxSlOffset) {
-      console.warn(`[EXECUTOR] DCA ${symbol} SL offset ${slOffset.toFixed(6)} > 90% of avgPrice ${newAvgPrice}, clamping`);
+      log.warn(`DCA ${symbol} SL offset ${slOffset.toFixed(6)} > 90% of avgPrice ${newAvgPrice}, clamping`, { symbol });
       slOffset = maxSlOffset;
     }
     const newSL = tradeSide === 'Buy'
@@ -914,21 +1062,21 @@ async function executeDCA(liqEvent, existingPos) {
     try {
       const slRes = await setTradingStop(symbol, { stopLoss: newSL });
       if (slRes.retCode !== 0) {
-        console.error(`[EXECUTOR] DCA SL set failed for ${symbol}: ${slRes.retMsg}`);
+        log.error(`DCA SL set failed for ${symbol}: ${slRes.retMsg}`, { symbol });
       } else {
-        console.log(`[EXECUTOR] DCA SL updated for ${symbol} @ ${newSL}`);
+        log.info(`DCA SL updated for ${symbol} @ ${newSL}`, { symbol });
       }
 
       if (trailDist && newTrailActive) {
         const trailRes = await setTradingStop(symbol, { trailingStop: trailDist, activePrice: newTrailActive });
         if (trailRes.retCode !== 0) {
-          console.error(`[EXECUTOR] DCA trailing stop failed for ${symbol}: ${trailRes.retMsg}`);
+          log.error(`DCA trailing stop failed for ${symbol}: ${trailRes.retMsg}`, { symbol });
         } else {
-          console.log(`[EXECUTOR] DCA trailing stop updated for ${symbol} | Trail: ${trailDist} | Activates @ ${newTrailActive}`);
+          log.info(`DCA trailing stop updated for ${symbol} | Trail: ${trailDist} | Activates @ ${newTrailActive}`, { symbol });
         }
       }
     } catch (err) {
-      console.error(`[EXECUTOR] DCA SL/trailing error for ${symbol}:`, err.message);
+      log.error(`DCA SL/trailing error for ${symbol}: ${err.message}`, { symbol });
     }
 
     // Update position in activePositions
@@ -938,19 +1086,28 @@ async function executeDCA(liqEvent, existingPos) {
     existingPos.trailActivePrice = newTrailActive || existingPos.trailActivePrice;
     existingPos.dcaLevel = nextLevel;
     existingPos.lastEntryPrice = price;
+    existingPos.breakeven = false; // SL was just recalculated from the new avgPrice
+
+    // Re-place unfilled TP rungs from the new avgPrice and size
+    if (existingPos.tpLadder) {
+      await cancelTpLadder(existingPos);
+      await placeTpLadder(existingPos);
+    }
 
     const dcaLabel = `DCA ${nextLevel + 1}/${DCA_SPLITS.length}`;
-    logTrade(liqEvent, 'FILLED', `${dcaLabel} | Avg: ${newAvgPrice} | SL: ${newSL} | Qty: ${newTotalQty}`, execTime, existingPos);
+    logTrade(liqEvent, 'FILLED', `${dcaLabel} | Avg: ${newAvgPrice} | SL: ${newSL} | Qty: ${newTotalQty}${contextNote ? ` | ${contextNote}` : ''}`, execTime, existingPos);
 
-    console.log(
-      `[TRADE] ${dcaLabel} ${tradeSide} +${qty} ${symbol} @ ${price} | Avg: ${newAvgPrice} | SL: ${newSL} | Total: ${newTotalQty} | ${orderVia} | ${execTime}ms`
-    );
+    tradeLogger.info(`${dcaLabel} ${tradeSide} +${qty} ${symbol} @ ${price} | Avg: ${newAvgPrice} | SL: ${newSL} | Total: ${newTotalQty} | ${orderVia} | ${execTime}ms`, { symbol, orderId: orderResult.result.orderId });
+    notify('dca', {
+      symbol, level: dcaLabel, side: tradeSide, qty, price, avgPrice: newAvgPrice, sl: newSL, totalQty: newTotalQty,
+      via: orderVia, execMs: execTime, orderId: orderResult.result.orderId,
+    });
 
     return existingPos;
   } catch (err) {
-    const execTime = Date.now() - startTime;
+    const execTime = now() - startTime;
     logTrade(liqEvent, 'ERROR', `DCA: ${err.message}`, execTime);
-    console.error(`[EXECUTOR] DCA error for ${symbol}:`, err.message);
+    log.error(`DCA error for ${symbol}: ${err.message}`, { symbol });
     return null;
   } finally {
     pendingSymbols.delete(symbol);
@@ -959,7 +1116,7 @@ async function executeDCA(liqEvent, existingPos) {
 
 function logTrade(liqEvent, status, detail, execTimeMs, position = null) {
   const entry = {
-    timestamp: Date.now(),
+    timestamp: now(),
     symbol: liqEvent.symbol,
     liqSide: liqEvent.side,
     liqPrice: liqEvent.price,
@@ -967,6 +1124,7 @@ function logTrade(liqEvent, status, detail, execTimeMs, position = null) {
     status,
     detail,
     execTimeMs,
+    configVersion: position?.configVersion ?? getConfigVersion(),
     position: position ? {
       orderId: position.orderId,
       side: position.side,
@@ -0,0 +1,124 @@
+import { config } from '../config.js';
+import { instrumentCache } from './instruments.js';
+import { now } from './clock.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Symbol Filters
+ *
+ * Decides which coins may be traded, on top of the exchange's own status
+ * (pre-listing / not Trading):
+ * - deny: symbols or globs ("*USDC*", "1000*") that never trade — wins over allow
+ * - allow: when non-empty, only matching symbols trade
+ * - minMaxLeverage: the instrument must offer at least this max leverage (0 = off)
+ * - maxTickPct: tick size may be at most this % of price (0 = off)
+ * - newListingDays: skip coins listed fewer than this many days ago (0 = off)
+ *
+ * Starts from the FILTER_* env vars; runtime edits (/api/filters) are saved to
+ * filters.json and replace them on restart.
+ */
+
+const log = createLogger('FILTERS');
+
+const DEFAULTS = {
+  allow: config.filterAllow,
+  deny: config.filterDeny,
+  minMaxLeverage: config.filterMinMaxLeverage,
+  maxTickPct: config.filterMaxTickPct,
+  newListingDays: config.filterNewListingDays,
+};
+
+let filters = { ...DEFAULTS };
+const patterns = new Map(); // glob -> RegExp
+
+// "*" matches any run of characters, "?" exactly one
+function toRegExp(glob) {
+  if (!patterns.has(glob)) {
+    const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    patterns.set(glob, new RegExp(`^${source}$`));
+  }
+  return patterns.get(glob);
+}
+
+function findMatch(list, symbol) {
+  return list.find(p => toRegExp(p).test(symbol));
+}
+
+/**
+ * Why `symbol` may not be traded, or null if it may. `price` (e.g. the
+ * liquidation price) is needed for the tick-size rule, which is skipped without it.
+ */
+export function getBlockReason(symbol, price = null) {
+  const inst = instrumentCache.get(symbol);
+  if (inst?.isPreListing) return 'Pre-listing';
+  if (inst && inst.status !== 'Trading') return `Status ${inst.status}`;
+
+  const denied = findMatch(filters.deny, symbol);
+  if (denied) return denied === symbol ? 'Denylisted' : `Denylisted (${denied})`;
+  if (filters.allow.length > 0 && !findMatch(filters.allow, symbol)) return 'Not allowlisted';
+
+  if (!inst) return null;
+  if (filters.minMaxLeverage > 0 && inst.maxLeverage < filters.minMaxLeverage) {
+    return `Max leverage ${inst.maxLeverage}x < ${filters.minMaxLeverage}x`;
+  }
+  if (filters.maxTickPct > 0 && price > 0) {
+    const tickPct = (inst.tickSize / price) * 100;
+    if (tickPct > filters.maxTickPct) return `Tick ${tickPct.toFixed(3)}% of price > ${filters.maxTickPct}%`;
+  }
+  if (filters.newListingDays > 0 && inst.launchTime > 0) {
+    const ageDays = (now() - inst.launchTime) / 86_400_000;
+    if (ageDays < filters.newListingDays) return `Listed ${ageDays.toFixed(1)}d ago (< ${filters.newListingDays}d)`;
+  }
+  return null;
+}
+
+/**
+ * Check a (partial) filter update. Returns an error message or null.
+ */
+export function validateFilters(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return 'Filters must be an object';
+  for (const [key, value] of Object.entries(body)) {
+    if (key === 'allow' || key === 'deny') {
+      if (!Array.isArray(value) || !value.every(p => typeof p === 'string' && /^[A-Za-z0-9*?]+$/.test(p))) {
+        return `${key} must be an array of symbols or globs (letters, digits, * and ?)`;
+      }
+    } else if (key === 'minMaxLeverage' || key === 'maxTickPct' || key === 'newListingDays') {
+      if (typeof value !== 'number' || value < 0) return `${key} must be a number ≥ 0`;
+    } else {
+      return `Unknown filter: ${key}`;
+    }
+  }
+  return null;
+}
+
+// Callers validate first
+export function updateFilters(body) {
+  const next = { ...filters, ...body };
+  next.allow = next.allow.map(p => p.toUpperCase());
+  next.deny = next.deny.map(p => p.toUpperCase());
+  filters = next;
+  log.info(`Updated: ${JSON.stringify(filters)}`);
+  return filters;
+}
+
+// Back to the FILTER_* env values
+export function resetFilters() {
+  filters = { ...DEFAULTS };
+  log.info('Reset to env defaults');
+  return filters;
+}
+
+export function getFilters() {
+  return filters;
+}
+
+export function hydrateFilters(saved) {
+  if (!saved) return;
+  const err = validateFilters(saved);
+  if (err) {
+    log.warn(`Ignoring saved filters: ${err}`);
+    return;
+  }
+  filters = { ...DEFAULTS, ...saved };
+  log.info(`Loaded: ${filters.allow.length} allowed, ${filters.deny.length} denied pattern(s)`);
+}
@@ -0,0 +1,95 @@
+/**
+ * Indicator math on kline arrays — no fetching, no caching.
+ *
+ * Candles are Bybit kline rows ([start, open, high, low, close, volume,
+ * turnover], strings) parsed by parseKlines() into oldest-first objects.
+ */
+
+export const INTERVAL_MS = {
+  '1': 60_000, '3': 180_000, '5': 300_000, '15': 900_000, '30': 1_800_000,
+  '60': 3_600_000, '120': 7_200_000, '240': 14_400_000, '360': 21_600_000,
+  '720': 43_200_000, D: 86_400_000, W: 604_800_000,
+};
+
+export const ATR_SMOOTHING = ['wilder', 'ema', 'sma', 'legacy'];
+
+/**
+ * Bybit's newest-first rows → oldest-first { start, open, high, low, close, volume }.
+ */
+export function parseKlines(list) {
+  return list.map(c => ({
+    start: parseInt(c[0]),
+    open: parseFloat(c[1]),
+    high: parseFloat(c[2]),
+    low: parseFloat(c[3]),
+    close: parseFloat(c[4]),
+    volume: parseFloat(c[5]),
+  })).sort((a, b) => a.start - b.start);
+}
+
+/**
+ * `candles` without the newest one if it is still forming at time `t`.
+ */
+export function closedCandles(candles, interval, t) {
+  const ms = INTERVAL_MS[String(interval)];
+  const last = candles[candles.length - 1];
+  if (!ms || !last || last.start + ms <= t) return candles;
+  return candles.slice(0, -1);
+}
+
+/**
+ * True range of each candle after the first:
+ * max(high - low, |high - prevClose|, |low - prevClose|).
+ */
+export function trueRanges(candles) {
+  const ranges = [];
+  for (let i = 1; i < candles.length; i++) {
+    const { high, low } = candles[i];
+    const prevClose = candles[i - 1].close;
+    ranges.push(Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose)));
+  }
+  return ranges;
+}
+
+// Mean of the last `period` values
+export function sma(values, period) {
+  if (values.length < period) return null;
+  let sum = 0;
+  for (let i = values.length - period; i < values.length; i++) sum += values[i];
+  return sum / period;
+}
+
+/**
+ * Exponential smoothing seeded with the SMA of the first `period` values, then
+ * run over the rest — the extra values are the warm-up. `alpha` 2/(n+1) is an
+ * EMA, 1/n is Wilder's RMA.
+ */
+function smooth(values, period, alpha) {
+  if (values.length < period) return null;
+  let value = sma(values.slice(0, period), period);
+  for (let i = period; i < values.length; i++) value += alpha * (values[i] - value);
+  return value;
+}
+
+export function ema(values, period) {
+  return smooth(values, period, 2 / (period + 1));
+}
+
+export function wilder(values, period) {
+  return smooth(values, period, 1 / period);
+}
+
+/**
+ * ATR over oldest-first candles, or null with too few of them.
+ * - wilder / ema / sma: smoothed true range (needs period + 1 candles)
+ * - legacy: mean high - low of the last `period` candles (the original calculation)
+ */
+export function computeATR(candles, period, smoothing = 'wilder') {
+  if (smoothing === 'legacy') {
+    return sma(candles.map(c => c.high - c.low), period);
+  }
+  const ranges = trueRanges(candles);
+  if (smoothing === 'sma') return sma(ranges, period);
+  if (smoothing === 'ema') return ema(ranges, period);
+  return wilder(ranges, period);
+}
@@ -1,20 +1,24 @@
 import { getInstrumentsInfo } from '../api/bybit.js';
+import { createLogger } from './logger.js';
 
 /**
  * Caches instrument info (tick size, lot size, min order qty) for fast lookups.
  * Refreshed on startup, then every 30 minutes.
  */
+
+const log = createLogger('INSTRUMENTS');
+
 class InstrumentCache {
   constructor() {
-    this.instruments = new Map(); // symbol -> { tickSize, lotSize, minQty, maxLeverage }
+    this.instruments = new Map(); // symbol -> { tickSize, lotSize, minQty, maxLeverage, launchTime, ... }
   }
 
   async load() {
-    console.log('[INSTRUMENTS] Loading instrument info...');
+    log.info('Loading instrument info...');
     const res = await getInstrumentsInfo();
 
     if (res.retCode !== 0) {
-      console.error('[INSTRUMENTS] Failed to load:', res.retMsg);
+      log.error(`Failed to load: ${res.retMsg}`);
       return;
     }
 
@@ -26,10 +30,11 @@ class InstrumentCache {
         maxLeverage: parseFloat(inst.leverageFilter.maxLeverage),
         isPreListing: inst.isPreListing === true || inst.isPreListing === 'true',
         status: inst.status,
+        launchTime: parseInt(inst.launchTime || '0'),
       });
     }
 
-    console.log(`[INSTRUMENTS] Loaded ${this.instruments.size} instruments.`);
+    log.info(`Loaded ${this.instruments.size} instruments.`);
   }
 
   get(symbol) {
@@ -44,14 +49,6 @@ class InstrumentCache {
     return [...this.instruments.keys()];
   }
 
-  isBlocked(symbol) {
-    // Block USDC pairs - only trade USDT pairs
-    if (symbol.includes('USDC')) return true;
-    const inst = this.instruments.get(symbol);
-    if (!inst) return false;
-    return inst.isPreListing || inst.status !== 'Trading';
-  }
-
   /**
    * Round qty to valid lot size
    */
@@ -0,0 +1,152 @@
+import fs from 'fs';
+import path from 'path';
+import { config } from '../config.js';
+import { CONFIG_SCHEMA } from '../config-schema.js';
+import { now } from './clock.js';
+
+/**
+ * Structured logger.
+ *
+ * Every record is { t, level, component, msg, symbol?, orderId?, ... }:
+ *
+ *   const log = createLogger('EXECUTOR');
+ *   log.info(`Order placed for ${symbol}`, { symbol, orderId });
+ *
+ * Records below LOG_LEVEL are dropped. The rest go to the console (the usual
+ * "[EXECUTOR] ..." lines, or one JSON object per line with LOG_FORMAT=json),
+ * to an in-memory ring buffer of LOG_BUFFER_SIZE records (GET /api/logs), to
+ * listeners (the dashboard SSE stream) and — after startLogFiles() — to
+ * <data>/logs/bot.log, rotated at LOG_FILE_MAX_MB into bot.1.log … bot.N.log.
+ */
+
+export const LOG_LEVELS = CONFIG_SCHEMA.logLevel.values;
+
+const CONSOLE = { debug: 'log', info: 'log', warn: 'warn', error: 'error' };
+
+const buffer = [];
+const listeners = new Set();
+let file = null; // { dir, stream, bytes }
+
+function rank(level) {
+  const i = LOG_LEVELS.indexOf(level);
+  return i === -1 ? 1 : i;
+}
+
+function write(level, component, msg, fields) {
+  if (rank(level) < rank(config.logLevel)) return;
+
+  const record = { t: now(), level, component, msg, ...fields };
+
+  if (config.logFormat === 'json') console[CONSOLE[level]](JSON.stringify(record));
+  else console[CONSOLE[level]](`[${component}] ${msg}`);
+
+  buffer.push(record);
+  if (buffer.length > config.logBufferSize) buffer.splice(0, buffer.length - config.logBufferSize);
+
+  if (file) writeFile(record);
+
+  for (const fn of listeners) {
+    try { fn(record); } catch {}
+  }
+}
+
+/**
+ * Logger for one component. `fields` (optional) is merged into the record —
+ * symbol and orderId are the ones /api/logs can filter on.
+ */
+export function createLogger(component) {
+  return {
+    debug: (msg, fields) => write('debug', component, msg, fields),
+    info: (msg, fields) => write('info', component, msg, fields),
+    warn: (msg, fields) => write('warn', component, msg, fields),
+    error: (msg, fields) => write('error', component, msg, fields),
+  };
+}
+
+/**
+ * Buffered records, oldest first, filtered by minimum level, component, symbol
+ * and/or orderId; at most `limit` of the newest.
+ */
+export function getLogs({ level, component, symbol, orderId, since, limit = 500 } = {}) {
+  const minRank = level ? rank(level) : 0;
+  const components = component ? component.toUpperCase().split(',') : null;
+  const out = buffer.filter(r =>
+    rank(r.level) >= minRank &&
+    (!components || components.includes(r.component)) &&
+    (!symbol || r.symbol === symbol) &&
+    (!orderId || r.orderId === orderId) &&
+    (!since || r.t > since));
+  return out.slice(-limit);
+}
+
+// Components seen so far (for the dashboard filter)
+export function getLogComponents() {
+  return [...new Set(buffer.map(r => r.component))].sort();
+}
+
+/**
+ * Call `fn(record)` for every record from now on. Returns an unsubscribe function.
+ */
+export function onLog(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+// --- Log files ---
+
+function openFile() {
+  const target = path.join(file.dir, 'bot.log');
+  file.bytes = fs.existsSync(target) ? fs.statSync(target).size : 0;
+  file.stream = fs.createWriteStream(target, { flags: 'a' });
+  file.stream.on('error', (err) => {
+    console.error('[LOGGER] Log file error:', err.message);
+    file = null;
+  });
+}
+
+// bot.log → bot.1.log → … → bot.N.log (oldest dropped)
+function rotate() {
+  file.stream.end();
+  const name = i => path.join(file.dir, i === 0 ? 'bot.log' : `bot.${i}.log`);
+  try {
+    fs.rmSync(name(config.logFileKeep), { force: true });
+    for (let i = config.logFileKeep - 1; i >= 0; i--) {
+      if (fs.existsSync(name(i))) fs.renameSync(name(i), name(i + 1));
+    }
+  } catch (err) {
+    console.error('[LOGGER] Rotation failed:', err.message);
+  }
+  openFile();
+}
+
+function writeFile(record) {
+  const line = JSON.stringify(record) + '\n';
+  file.stream.write(line);
+  file.bytes += Buffer.byteLength(line);
+  if (file.bytes >= config.logFileMaxMb * 1024 * 1024) rotate();
+}
+
+/**
+ * Start appending records to `<dataDir>/logs/bot.log` (JSON lines).
+ */
+export function startLogFiles(dataDir) {
+  if (file) return;
+  const dir = path.join(dataDir, 'logs');
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+  } catch (err) {
+    console.error('[LOGGER] Cannot create log dir:', err.message);
+    return;
+  }
+  file = { dir, stream: null, bytes: 0 };
+  openFile();
+}
+
+/**
+ * Stop writing log files; resolves once buffered lines are on disk.
+ */
+export function stopLogFiles() {
+  const stream = file?.stream;
+  file = null;
+  return new Promise(resolve => (stream ? stream.end(resolve) : resolve()));
+}
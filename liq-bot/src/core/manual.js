@@ -0,0 +1,196 @@
+import { closePosition, setTradingStop, getOrderDetail } from '../api/bybit.js';
+import { getStreamOrder } from '../api/ws-private.js';
+import { getActivePositions, getPendingSymbols } from './executor.js';
+import { recordManualReduce, moveStopToBreakeven } from './monitor.js';
+import { getPassivePrice } from './chase.js';
+import { instrumentCache } from './instruments.js';
+import { sleep } from './clock.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Manual Trading Controls
+ *
+ * Operator actions on a tracked position, from the API / dashboard:
+ * - close: reduce-only Market, or a PostOnly Limit at `price` (default: the
+ *   touch on the closing side). The monitor records the close with exit type
+ *   MANUAL once the position is gone.
+ * - reduce: Market-close `pct` % of the position. The fill is recorded right
+ *   away as a MANUAL leg of the trade (like a TP ladder rung).
+ * - breakeven: move the SL to the entry price.
+ * - trailing: new trailing stop distance, as a price `distance` or an
+ *   `atrMultiple` of the ATR the position was opened with.
+ *
+ * Every function returns { ok: true, ... } or { error, status } (404 not
+ * tracked, 400 bad input, 409 busy, 502 rejected by the exchange).
+ */
+
+const log = createLogger('MANUAL');
+
+const FILL_WAIT_POLLS = 10;
+const FILL_POLL_MS = 500;
+const DONE_STATUSES = ['Filled', 'Cancelled', 'Rejected', 'Deactivated'];
+
+const busy = new Set(); // symbols with a manual action in flight
+
+// Run `fn(tracked)` unless the symbol is untracked or already being worked on
+async function withPosition(symbol, fn) {
+  const tracked = getActivePositions().get(symbol);
+  if (!tracked) return { error: `No tracked position for ${symbol}`, status: 404 };
+  if (getPendingSymbols().has(symbol)) return { error: `${symbol} has an entry / DCA order in flight`, status: 409 };
+  if (busy.has(symbol)) return { error: `Another manual action on ${symbol} is in progress`, status: 409 };
+  busy.add(symbol);
+  try {
+    return await fn(tracked);
+  } catch (err) {
+    log.error(`${symbol} manual action failed: ${err.message}`, { symbol });
+    return { error: err.message, status: 502 };
+  } finally {
+    busy.delete(symbol);
+  }
+}
+
+function rememberOrder(tracked, orderId) {
+  tracked.manualOrderIds = [...(tracked.manualOrderIds || []), orderId];
+}
+
+async function readOrder(symbol, orderId) {
+  let order = getStreamOrder(orderId);
+  if (!order || !DONE_STATUSES.includes(order.orderStatus)) {
+    const res = await getOrderDetail(symbol, orderId);
+    order = res.result?.list?.[0] || order;
+  }
+  return order;
+}
+
+// Final state of a market order, or null if it isn't done within the wait
+async function waitForFill(symbol, orderId) {
+  for (let i = 0; i < FILL_WAIT_POLLS; i++) {
+    const order = await readOrder(symbol, orderId);
+    if (order && DONE_STATUSES.includes(order.orderStatus)) return order;
+    await sleep(FILL_POLL_MS);
+  }
+  return null;
+}
+
+/**
+ * Close the whole position. `orderType` is 'Market' (default) or 'Limit';
+ * a Limit close without `price` quotes the touch.
+ */
+export async function closeTrackedPosition(symbol, { orderType = 'Market', price } = {}) {
+  if (!['Market', 'Limit'].includes(orderType)) return { error: 'orderType must be Market or Limit', status: 400 };
+  if (price != null && !(Number(price) > 0)) return { error: 'price must be a positive number', status: 400 };
+
+  return withPosition(symbol, async (tracked) => {
+    const closeSide = tracked.side === 'Buy' ? 'Sell' : 'Buy';
+    let limitPrice = null;
+    if (orderType === 'Limit') {
+      limitPrice = price != null
+        ? instrumentCache.roundPrice(symbol, Number(price))
+        : (await getPassivePrice(symbol, closeSide)).price;
+      if (!limitPrice) return { error: `No orderbook for ${symbol} — give a price`, status: 502 };
+    }
+
+    const res = await closePosition(symbol, tracked.side, tracked.qty, orderType, limitPrice);
+    if (res.retCode !== 0) {
+      log.error(`${symbol} manual close rejected: ${res.retMsg}`, { symbol });
+      return { error: res.retMsg, status: 502 };
+    }
+    const orderId = res.result?.orderId;
+    rememberOrder(tracked, orderId);
+
+    if (orderType === 'Market') {
+      tracked.closeReason = 'MANUAL'; // monitor records the close with this exit type
+    } else {
+      // A PostOnly that would take is cancelled instead of filled
+      const order = await readOrder(symbol, orderId).catch(() => null);
+      if (order && ['Cancelled', 'Rejected'].includes(order.orderStatus)) {
+        log.warn(`${symbol} manual limit close @ ${limitPrice} ${order.orderStatus.toLowerCase()} — price would take`, { symbol, orderId });
+        return { error: `Limit close ${order.orderStatus.toLowerCase()} (PostOnly @ ${limitPrice} would take)`, status: 409 };
+      }
+    }
+
+    log.info(`${symbol} manual ${orderType.toLowerCase()} close | ${closeSide} ${tracked.qty}${limitPrice ? ` @ ${limitPrice}` : ''}`, { symbol, orderId });
+    return { ok: true, symbol, orderType, qty: tracked.qty, price: limitPrice, orderId };
+  });
+}
+
+/**
+ * Market-close `pct` % (0-100] of the position. 100 %, or a remainder below
+ * the minimum order size, closes it all.
+ */
+export async function reducePosition(symbol, pct) {
+  pct = Number(pct);
+  if (!(pct > 0 && pct <= 100)) return { error: 'pct must be a number in (0, 100]', status: 400 };
+
+  const tracked = getActivePositions().get(symbol);
+  const minQty = instrumentCache.get(symbol)?.minQty || 0;
+  const qty = tracked ? instrumentCache.roundQty(symbol, tracked.qty * pct / 100) : 0;
+  if (tracked && (pct === 100 || tracked.qty - qty < minQty)) return closeTrackedPosition(symbol);
+  if (tracked && (qty <= 0 || qty < minQty)) {
+    return { error: `${pct}% of ${tracked.qty} is below the minimum order size ${minQty}`, status: 400 };
+  }
+
+  return withPosition(symbol, async (tracked) => {
+    const res = await closePosition(symbol, tracked.side, qty, 'Market');
+    if (res.retCode !== 0) {
+      log.error(`${symbol} manual reduce rejected: ${res.retMsg}`, { symbol });
+      return { error: res.retMsg, status: 502 };
+    }
+    const orderId = res.result?.orderId;
+    rememberOrder(tracked, orderId);
+
+    const order = await waitForFill(symbol, orderId);
+    if (!order || !(parseFloat(order.cumExecQty || '0') > 0)) {
+      log.warn(`${symbol} manual reduce of ${qty} not filled (${order?.orderStatus || 'no answer'})`, { symbol, orderId });
+      return { error: `Reduce order ${order?.orderStatus?.toLowerCase() || 'not confirmed'}`, status: 502 };
+    }
+    await recordManualReduce(symbol, tracked, { ...order, orderId });
+    log.info(`${symbol} manually reduced by ${pct}% | ${order.cumExecQty} @ ${order.avgPrice} | Remaining: ${tracked.qty}`, { symbol, orderId });
+    return { ok: true, symbol, pct, qty: parseFloat(order.cumExecQty), price: parseFloat(order.avgPrice), remaining: tracked.qty, orderId };
+  });
+}
+
+/**
+ * Move the SL to the entry price.
+ */
+export async function setBreakeven(symbol) {
+  return withPosition(symbol, async (tracked) => {
+    const res = await moveStopToBreakeven(symbol, tracked);
+    if (res.retCode !== 0) return { error: res.retMsg, status: 502 };
+    return { ok: true, symbol, slPrice: tracked.slPrice };
+  });
+}
+
+/**
+ * New trailing stop distance — { distance } in price or { atrMultiple } × the
+ * position's ATR. The activation price is kept while the mark hasn't reached it.
+ */
+export async function setTrailingDistance(symbol, { distance, atrMultiple } = {}) {
+  if ((distance == null) === (atrMultiple == null)) return { error: 'Give either distance or atrMultiple', status: 400 };
+  if (!(Number(distance ?? atrMultiple) > 0)) return { error: `${distance != null ? 'distance' : 'atrMultiple'} must be a positive number`, status: 400 };
+
+  return withPosition(symbol, async (tracked) => {
+    if (atrMultiple != null && !tracked.atr) return { error: `No ATR known for ${symbol} — give a distance`, status: 400 };
+    const raw = distance != null ? Number(distance) : Number(atrMultiple) * tracked.atr;
+    const tick = instrumentCache.get(symbol)?.tickSize || 0;
+    const trail = Math.max(instrumentCache.roundPrice(symbol, raw), tick);
+    if (trail >= tracked.entryPrice) return { error: `Trailing distance ${trail} is not below the entry price`, status: 400 };
+
+    const params = { trailingStop: trail };
+    const mark = tracked.markPrice || 0;
+    const pending = tracked.trailActivePrice && mark > 0
+      && (tracked.side === 'Buy' ? mark < tracked.trailActivePrice : mark > tracked.trailActivePrice);
+    if (pending) params.activePrice = tracked.trailActivePrice;
+
+    const res = await setTradingStop(symbol, params);
+    if (res.retCode !== 0) {
+      log.error(`${symbol} trailing stop change rejected: ${res.retMsg}`, { symbol });
+      return { error: res.retMsg, status: 502 };
+    }
+    const from = tracked.trailingStop;
+    tracked.trailingStop = trail;
+    if (!pending) tracked.trailActivePrice = null;
+    log.info(`${symbol} trailing stop ${from ?? '—'} → ${trail}${pending ? ` (activates @ ${tracked.trailActivePrice})` : ''}`, { symbol });
+    return { ok: true, symbol, trailingStop: trail, activePrice: pending ? tracked.trailActivePrice : null };
+  });
+}
@@ -0,0 +1,172 @@
+/**
+ * Metrics Registry
+ *
+ * Counters, gauges and histograms keyed by label set, rendered in Prometheus
+ * text format at GET /metrics. Modules declare what they record at the top,
+ * like their logger:
+ *
+ *   const phaseMs = histogram('liqbot_trade_phase_ms', 'Trade execution latency by phase (ms)');
+ *   phaseMs.observe({ phase: 'atr' }, 42);
+ *
+ * Declaring a name twice returns the same metric. Histograms also keep their
+ * last RECENT_SAMPLES observations per label set for p50 / p95 / p99 (exported
+ * as <name>_recent{quantile=...} and shown on the dashboard latency panel).
+ * Values that live elsewhere (scanner.stats) are copied in by onCollect()
+ * callbacks right before each render.
+ */
+
+export const LATENCY_BUCKETS_MS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+const RECENT_SAMPLES = 1000;
+const QUANTILES = [0.5, 0.95, 0.99];
+
+const registry = new Map(); // name -> { name, type, help, series: Map(labelKey -> { labels, ... }) }
+const collectors = [];
+
+function labelKey(labels) {
+  return Object.keys(labels).sort().map(k => `${k}=${labels[k]}`).join(',');
+}
+
+function define(name, type, help, extra = {}) {
+  const existing = registry.get(name);
+  if (existing) return existing;
+  const metric = { name, type, help, series: new Map(), ...extra };
+  registry.set(name, metric);
+  return metric;
+}
+
+function seriesFor(metric, labels, init) {
+  const key = labelKey(labels);
+  let s = metric.series.get(key);
+  if (!s) {
+    s = { labels: { ...labels }, ...init() };
+    metric.series.set(key, s);
+  }
+  return s;
+}
+
+export function counter(name, help) {
+  const metric = define(name, 'counter', help);
+  return {
+    inc: (labels = {}, value = 1) => { seriesFor(metric, labels, () => ({ value: 0 })).value += value; },
+    // Mirror a cumulative count kept elsewhere
+    set: (labels = {}, value) => { seriesFor(metric, labels, () => ({ value: 0 })).value = value; },
+  };
+}
+
+export function gauge(name, help) {
+  const metric = define(name, 'gauge', help);
+  return {
+    set: (labels = {}, value) => { seriesFor(metric, labels, () => ({ value: 0 })).value = value; },
+  };
+}
+
+export function histogram(name, help, buckets = LATENCY_BUCKETS_MS) {
+  const metric = define(name, 'histogram', help, { buckets });
+  return {
+    observe: (labels = {}, value) => {
+      const s = seriesFor(metric, labels, () => ({
+        counts: new Array(metric.buckets.length).fill(0), sum: 0, count: 0, max: 0, recent: [],
+      }));
+      for (let i = 0; i < metric.buckets.length; i++) {
+        if (value <= metric.buckets[i]) s.counts[i]++;
+      }
+      s.sum += value;
+      s.count++;
+      s.max = Math.max(s.max, value);
+      s.recent.push(value);
+      if (s.recent.length > RECENT_SAMPLES) s.recent.shift();
+    },
+  };
+}
+
+/**
+ * Run `fn()` before every render / snapshot.
+ */
+export function onCollect(fn) {
+  collectors.push(fn);
+}
+
+function collect() {
+  for (const fn of collectors) {
+    try { fn(); } catch {}
+  }
+}
+
+// Nearest-rank quantile of an ascending sample
+function quantile(sorted, q) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil(q * sorted.length) - 1)];
+}
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels, extra = {}) {
+  const all = { ...labels, ...extra };
+  const parts = Object.keys(all).map(k => `${k}="${escapeLabel(all[k])}"`);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+/**
+ * Everything in Prometheus text exposition format (version 0.0.4).
+ */
+export function renderMetrics() {
+  collect();
+  const lines = [];
+  for (const m of registry.values()) {
+    lines.push(`# HELP ${m.name} ${m.help}`);
+    lines.push(`# TYPE ${m.name} ${m.type}`);
+    if (m.type !== 'histogram') {
+      for (const s of m.series.values()) lines.push(`${m.name}${formatLabels(s.labels)} ${s.value}`);
+      continue;
+    }
+    for (const s of m.series.values()) {
+      m.buckets.forEach((le, i) => lines.push(`${m.name}_bucket${formatLabels(s.labels, { le })} ${s.counts[i]}`));
+      lines.push(`${m.name}_bucket${formatLabels(s.labels, { le: '+Inf' })} ${s.count}`);
+      lines.push(`${m.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+      lines.push(`${m.name}_count${formatLabels(s.labels)} ${s.count}`);
+    }
+    lines.push(`# HELP ${m.name}_recent Quantiles of the last ${RECENT_SAMPLES} observations`);
+    lines.push(`# TYPE ${m.name}_recent gauge`);
+    for (const s of m.series.values()) {
+      const sorted = [...s.recent].sort((a, b) => a - b);
+      for (const q of QUANTILES) lines.push(`${m.name}_recent${formatLabels(s.labels, { quantile: q })} ${quantile(sorted, q)}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * One histogram as [{ labels, count, mean, p50, p95, p99, max }] (recent
+ * quantiles, all-time count / mean / max), for the dashboard.
+ */
+export function getHistogramSummary(name) {
+  const m = registry.get(name);
+  if (!m || m.type !== 'histogram') return [];
+  return [...m.series.values()].map((s) => {
+    const sorted = [...s.recent].sort((a, b) => a - b);
+    return {
+      labels: s.labels,
+      count: s.count,
+      mean: s.count ? s.sum / s.count : null,
+      p50: quantile(sorted, 0.5),
+      p95: quantile(sorted, 0.95),
+      p99: quantile(sorted, 0.99),
+      max: s.max,
+    };
+  });
+}
+
+/**
+ * Counter / gauge values as { name: [{ labels, value }] }.
+ */
+export function getMetricValues() {
+  collect();
+  const out = {};
+  for (const m of registry.values()) {
+    if (m.type === 'histogram') continue;
+    out[m.name] = [...m.series.values()].map(s => ({ labels: s.labels, value: s.value }));
+  }
+  return out;
+}
@@ -1,7 +1,19 @@
 import { config } from '../config.js';
-import { getPositions, closePosition, setTradingStop, getClosedPnl, getOrderbook, cancelOrder, getExecutionList } from '../api/bybit.js';
+import { getPositions, closePosition, setTradingStop, getClosedPnl, getOrderbook, cancelOrder, getExecutionList, getOrderDetail } from '../api/bybit.js';
 import { instrumentCache } from './instruments.js';
 import { getATR } from './atr.js';
+import { now, sleep } from './clock.js';
+import { isPrivateWsReady, onPrivateEvent, getStreamPositions, getStreamOrder, getStreamExecutions } from '../api/ws-private.js';
+import { checkRiskLimits } from './risk.js';
+import { recordCloseOutcome } from './cooldown.js';
+import { getSymbolConfig } from './profiles.js';
+import { getActivePositions, getTradeLog, getPendingSymbols, getInitialBalance } from './executor.js';
+import { createLogger } from './logger.js';
+import { notify } from './notifier.js';
+import { getConfigVersionAt } from './config-history.js';
+
+const log = createLogger('MONITOR');
+const reconcileLog = createLogger('RECONCILE');
 
 // Track recently closed symbols to prevent duplicate close records
 const recentlyClosedSymbols = new Map(); // symbol -> timestamp
@@ -33,8 +45,8 @@ async function fetchBybitCloseData(symbol, entryOrderId, trackedEntryPrice = 0,
 
   for (let attempt = 0; attempt < maxRetries; attempt++) {
     if (attempt > 0) {
-      await new Promise(r => setTimeout(r, retryDelayMs));
-      console.log(`[MONITOR] ${symbol} retry ${attempt + 1}/${maxRetries} for closed PnL match...`);
+      await sleep(retryDelayMs);
+      log.info(`${symbol} retry ${attempt + 1}/${maxRetries} for closed PnL match...`, { symbol });
     }
 
     try {
@@ -112,16 +124,16 @@ async function fetchBybitCloseData(symbol, entryOrderId, trackedEntryPrice = 0,
         data.closeOrderId = closeOrderId;
         usedCloseOrderIds.add(closeOrderId);
 
-        console.log(`[MONITOR] ${symbol} matched (tier ${matchTier}${attempt >= maxRetries - 2 ? ', relaxed time' : ''}) | Entry: ${data.avgEntryPrice} | Exit: ${data.avgExitPrice} | BybitPnL: ${data.bybitClosedPnl} | CloseOrderId: ${closeOrderId}`);
+        log.info(`${symbol} matched (tier ${matchTier}${attempt >= maxRetries - 2 ? ', relaxed time' : ''}) | Entry: ${data.avgEntryPrice} | Exit: ${data.avgExitPrice} | BybitPnL: ${data.bybitClosedPnl} | CloseOrderId: ${closeOrderId}`, { symbol, orderId: closeOrderId });
         break;
       }
     } catch (err) {
-      console.warn(`[MONITOR] Could not fetch closed PnL for ${symbol}:`, err.message);
+      log.warn(`Could not fetch closed PnL for ${symbol}: ${err.message}`, { symbol });
     }
   }
 
   if (!closeOrderId) {
-    console.warn(`[MONITOR] ${symbol} no matching closed PnL record found after ${maxRetries} retries`);
+    log.warn(`${symbol} no matching closed PnL record found after ${maxRetries} retries`, { symbol });
   }
 
   // 2. Entry executions — exact fee + isMaker from Bybit execution records
@@ -136,7 +148,7 @@ async function fetchBybitCloseData(symbol, entryOrderId, trackedEntryPrice = 0,
         data.entryIsMaker = first.isMaker === true || first.isMaker === 'true';
       }
     } catch (err) {
-      console.warn(`[MONITOR] Could not fetch entry executions for ${symbol}:`, err.message);
+      log.warn(`Could not fetch entry executions for ${symbol}: ${err.message}`, { symbol });
     }
   }
 
@@ -152,7 +164,7 @@ async function fetchBybitCloseData(symbol, entryOrderId, trackedEntryPrice = 0,
         data.exitIsMaker = first.isMaker === true || first.isMaker === 'true';
       }
     } catch (err) {
-      console.warn(`[MONITOR] Could not fetch close executions for ${symbol}:`, err.message);
+      log.warn(`Could not fetch close executions for ${symbol}: ${err.message}`, { symbol });
     }
   }
 
@@ -173,7 +185,7 @@ async function fetchBybitCloseData(symbol, entryOrderId, trackedEntryPrice = 0,
         : (entryPrice - exitPrice) * trackedQty;
       const calcPnl = calcGross - data.fees.total;
       if (Math.abs(calcPnl - data.pnl) > 0.5) {
-        console.warn(`[MONITOR] ${symbol} PnL mismatch: Bybit=${data.pnl.toFixed(4)} vs calc=${calcPnl.toFixed(4)} (using Bybit)`);
+        log.warn(`${symbol} PnL mismatch: Bybit=${data.pnl.toFixed(4)} vs calc=${calcPnl.toFixed(4)} (using Bybit)`, { symbol });
       }
     }
   } else if (entryPrice > 0 && exitPrice > 0 && trackedQty > 0 && trackedSide) {
@@ -182,10 +194,10 @@ async function fetchBybitCloseData(symbol, entryOrderId, trackedEntryPrice = 0,
       ? (exitPrice - entryPrice) * trackedQty
       : (entryPrice - exitPrice) * trackedQty;
     data.pnl = data.grossPnl - data.fees.total;
-    console.log(`[MONITOR] ${symbol} using calculated PnL (no Bybit closedPnl): ${data.pnl.toFixed(4)}`);
+    log.info(`${symbol} using calculated PnL (no Bybit closedPnl): ${data.pnl.toFixed(4)}`, { symbol });
   }
 
-  console.log(`[MONITOR] ${symbol} final | PnL: ${data.pnl.toFixed(4)} (Bybit: ${data.bybitClosedPnl ?? 'n/a'}) | Fees: ${data.fees.total.toFixed(6)} | Entry: ${entryPrice} | Exit: ${exitPrice}`);
+  log.info(`${symbol} final | PnL: ${data.pnl.toFixed(4)} (Bybit: ${data.bybitClosedPnl ?? 'n/a'}) | Fees: ${data.fees.total.toFixed(6)} | Entry: ${entryPrice} | Exit: ${exitPrice}`, { symbol });
 
   return data;
 }
@@ -193,7 +205,80 @@ async function fetchBybitCloseData(symbol, entryOrderId, trackedEntryPrice = 0,
 // Track close order IDs we've already recorded to prevent duplicate matching
 const usedCloseOrderIds = new Set();
 
-import { getActivePositions, getTradeLog, getPendingSymbols, getInitialBalance } from './executor.js';
+/**
+ * Close data from the private stream's execution fills — exact close order IDs,
+ * fees and maker/taker flags, no guessing. PnL comes from Bybit's closed PnL
+ * record for those exact order IDs, or is computed from the fills.
+ * Returns null if the stream didn't see the whole close (caller falls back to REST).
+ */
+async function fetchStreamCloseData(symbol, tracked) {
+  const fills = getStreamExecutions(symbol, (tracked.openTime || 0) - 5000)
+    .filter(e => !usedCloseOrderIds.has(e.orderId));
+  const closes = fills.filter(e => parseFloat(e.closedSize || '0') > 0);
+  const opens = fills.filter(e => !(parseFloat(e.closedSize || '0') > 0));
+  const closedQty = closes.reduce((s, e) => s + parseFloat(e.closedSize), 0);
+  if (closes.length === 0 || Math.abs(closedQty - tracked.qty) > tracked.qty * 0.01) return null;
+
+  const isMaker = e => e.isMaker === true || e.isMaker === 'true';
+  const closeOrderIds = [...new Set(closes.map(e => e.orderId))];
+  const data = {
+    pnl: 0,
+    grossPnl: 0,
+    fees: {
+      open: opens.reduce((s, e) => s + parseFloat(e.execFee || '0'), 0),
+      close: closes.reduce((s, e) => s + parseFloat(e.execFee || '0'), 0),
+      total: 0,
+    },
+    entryIsMaker: opens.length > 0 ? isMaker(opens[0]) : tracked.entryOrderMode === 'maker',
+    exitIsMaker: isMaker(closes[0]),
+    avgEntryPrice: tracked.entryPrice,
+    avgExitPrice: closes.reduce((s, e) => s + parseFloat(e.execPrice) * parseFloat(e.closedSize), 0) / closedQty,
+    closeOrderId: closeOrderIds[closeOrderIds.length - 1],
+  };
+
+  // Opened before the stream connected — entry fee from REST
+  if (opens.length === 0 && tracked.orderId) {
+    try {
+      const entryExecs = await getExecutionList(symbol, tracked.orderId);
+      for (const exec of entryExecs.result?.list || []) data.fees.open += parseFloat(exec.execFee || '0');
+    } catch {}
+  }
+  data.fees.total = data.fees.open + data.fees.close;
+
+  // Closed PnL records land shortly after the fill
+  for (let attempt = 0; attempt < 3 && data.bybitClosedPnl == null; attempt++) {
+    if (attempt > 0) await sleep(1000);
+    try {
+      const pnlRes = await getClosedPnl(symbol, 50);
+      const recs = (pnlRes.result?.list || []).filter(r => closeOrderIds.includes(r.orderId));
+      if (recs.length > 0) data.bybitClosedPnl = recs.reduce((s, r) => s + parseFloat(r.closedPnl || '0'), 0);
+    } catch (err) {
+      log.warn(`Could not fetch closed PnL for ${symbol}: ${err.message}`, { symbol });
+    }
+  }
+
+  const gross = tracked.side === 'Buy'
+    ? (data.avgExitPrice - tracked.entryPrice) * closedQty
+    : (tracked.entryPrice - data.avgExitPrice) * closedQty;
+  if (data.bybitClosedPnl != null) {
+    data.pnl = data.bybitClosedPnl;
+    data.grossPnl = data.pnl + data.fees.total;
+  } else {
+    data.grossPnl = gross;
+    data.pnl = gross - data.fees.total;
+  }
+  for (const id of closeOrderIds) usedCloseOrderIds.add(id);
+
+  log.info(`${symbol} close from stream | PnL: ${data.pnl.toFixed(4)} (Bybit: ${data.bybitClosedPnl ?? 'n/a'}) | Fees: ${data.fees.total.toFixed(6)} | Exit: ${data.avgExitPrice} | CloseOrderId: ${data.closeOrderId}`, { symbol, orderId: data.closeOrderId });
+  return data;
+}
+
+// One alert per naked position, with what could be restored
+function notifyNaked(symbol, missingSL, missingTrail, protection) {
+  const missing = [missingSL && 'SL', missingTrail && 'trailing stop'].filter(Boolean).join(' + ');
+  const set = [protection?.slPrice && `SL @ ${protection.slPrice}`, protection?.trailingStop && `trail ${protection.trailingStop}`].filter(Boolean);
+  notify('protection', { symbol, message: `NAKED POSITION missing ${missing} — ${set.length ? `set ${set.join(', ')}` : 'could not set protection'}` });
+}
 
 /**
  * Calculate and set SL + Trailing Stop for a naked position.
@@ -201,9 +286,10 @@ import { getActivePositions, getTradeLog, getPendingSymbols, getInitialBalance }
  * Returns { slPrice, trailingStop, trailActivePrice } or null on failure.
  */
 async function ensureProtectionOnPosition(symbol, side, entryPrice, qty) {
+  const cfg = getSymbolConfig(symbol);
   const inst = instrumentCache.get(symbol);
   if (!inst) {
-    console.warn(`[MONITOR] Cannot set protection for ${symbol} — unknown instrument`);
+    log.warn(`Cannot set protection for ${symbol} — unknown instrument`, { symbol });
     return null;
   }
 
@@ -212,18 +298,18 @@ async function ensureProtectionOnPosition(symbol, side, entryPrice, qty) {
   try {
     atrValue = await getATR(symbol);
   } catch (err) {
-    console.warn(`[MONITOR] ATR fetch failed for ${symbol}:`, err.message);
+    log.warn(`ATR fetch failed for ${symbol}: ${err.message}`, { symbol });
   }
 
   // Calculate SL: ATR-based (proportional to trailing), risk-budget fallback
   let slOffset;
   if (atrValue && atrValue > 0) {
-    slOffset = atrValue * config.slAtrMultiplier;
+    slOffset = atrValue * cfg.slAtrMultiplier;
   } else {
     // Fallback: risk-budget SL
     const balance = getInitialBalance();
     if (balance <= 0) {
-      console.warn(`[MONITOR] Cannot set protection for ${symbol} — no balance and no ATR`);
+      log.warn(`Cannot set protection for ${symbol} — no balance and no ATR`, { symbol });
       return null;
     }
     const activePositions = getActivePositions();
@@ -237,7 +323,7 @@ async function ensureProtectionOnPosition(symbol, side, entryPrice, qty) {
   }
   const maxSlOffset = entryPrice * 0.9;
   if (slOffset > maxSlOffset) {
-    console.warn(`[MONITOR] ${symbol} SL offset ${slOffset.toFixed(6)} > 90% of entry, clamping to ${maxSlOffset.toFixed(6)}`);
+    log.warn(`${symbol} SL offset ${slOffset.toFixed(6)} > 90% of entry, clamping to ${maxSlOffset.toFixed(6)}`, { symbol });
     slOffset = maxSlOffset;
   }
 
@@ -250,7 +336,7 @@ async function ensureProtectionOnPosition(symbol, side, entryPrice, qty) {
   let trailActivePrice = null;
 
   if (atrValue && atrValue > 0) {
-    trailingStop = instrumentCache.roundPrice(symbol, atrValue * config.trailingAtrMultiplier);
+    trailingStop = instrumentCache.roundPrice(symbol, atrValue * cfg.trailingAtrMultiplier);
 
     if (!trailingStop && inst.tickSize) {
       trailingStop = inst.tickSize;
@@ -264,7 +350,7 @@ async function ensureProtectionOnPosition(symbol, side, entryPrice, qty) {
     }
   }
 
-  console.log(`[MONITOR] Setting protection on ${symbol} | Side: ${side} | Entry: ${entryPrice} | SL: ${slPrice} (${atrValue ? config.slAtrMultiplier + 'x ATR' : 'budget'}) | Trail: ${trailingStop || '—'}`);
+  log.info(`Setting protection on ${symbol} | Side: ${side} | Entry: ${entryPrice} | SL: ${slPrice} (${atrValue ? cfg.slAtrMultiplier + 'x ATR' : 'budget'}) | Trail: ${trailingStop || '—'}`, { symbol });
 
   const result = { slPrice: null, trailingStop: null, trailActivePrice: null };
 
@@ -272,13 +358,13 @@ async function ensureProtectionOnPosition(symbol, side, entryPrice, qty) {
   try {
     const slRes = await setTradingStop(symbol, { stopLoss: slPrice });
     if (slRes.retCode !== 0) {
-      console.error(`[MONITOR] Failed to set SL on ${symbol}: ${slRes.retMsg}`);
+      log.error(`Failed to set SL on ${symbol}: ${slRes.retMsg}`, { symbol });
     } else {
-      console.log(`[MONITOR] SL successfully set on ${symbol} @ ${slPrice}`);
+      log.info(`SL successfully set on ${symbol} @ ${slPrice}`, { symbol });
       result.slPrice = slPrice;
     }
   } catch (err) {
-    console.error(`[MONITOR] Error setting SL on ${symbol}:`, err.message);
+    log.error(`Error setting SL on ${symbol}: ${err.message}`, { symbol });
   }
 
   // Set trailing stop if we have ATR data
@@ -286,14 +372,14 @@ async function ensureProtectionOnPosition(symbol, side, entryPrice, qty) {
     try {
       const trailRes = await setTradingStop(symbol, { trailingStop, activePrice: trailActivePrice });
       if (trailRes.retCode !== 0) {
-        console.error(`[MONITOR] Failed to set trailing stop on ${symbol}: ${trailRes.retMsg}`);
+        log.error(`Failed to set trailing stop on ${symbol}: ${trailRes.retMsg}`, { symbol });
       } else {
-        console.log(`[MONITOR] Trailing stop set on ${symbol} | Trail: ${trailingStop} | Activates @ ${trailActivePrice}`);
+        log.info(`Trailing stop set on ${symbol} | Trail: ${trailingStop} | Activates @ ${trailActivePrice}`, { symbol });
         result.trailingStop = trailingStop;
         result.trailActivePrice = trailActivePrice;
       }
     } catch (err) {
-      console.error(`[MONITOR] Error setting trailing stop on ${symbol}:`, err.message);
+      log.error(`Error setting trailing stop on ${symbol}: ${err.message}`, { symbol });
     }
   }
 
@@ -321,15 +407,15 @@ export function hydratePnl(savedHistory, savedTotal, savedResetTimestamp) {
     for (const rec of savedHistory) {
       if (rec.closeOrderId) usedCloseOrderIds.add(rec.closeOrderId);
     }
-    console.log(`[MONITOR] Restored ${savedHistory.length} PnL records from disk (${usedCloseOrderIds.size} close order IDs).`);
+    log.info(`Restored ${savedHistory.length} PnL records from disk (${usedCloseOrderIds.size} close order IDs).`);
   }
   if (typeof savedTotal === 'number') {
     totalPnl = savedTotal;
-    console.log(`[MONITOR] Restored total PnL: ${totalPnl.toFixed(4)}`);
+    log.info(`Restored total PnL: ${totalPnl.toFixed(4)}`);
   }
   if (typeof savedResetTimestamp === 'number' && savedResetTimestamp > 0) {
     resetTimestamp = savedResetTimestamp;
-    console.log(`[MONITOR] Restored reset timestamp: ${resetTimestamp} — ignoring trades before this.`);
+    log.info(`Restored reset timestamp: ${resetTimestamp} — ignoring trades before this.`);
   }
 }
 
@@ -346,8 +432,8 @@ export function resetPnl() {
   pnlHistory = [];
   totalPnl = 0;
   usedCloseOrderIds.clear();
-  resetTimestamp = Date.now();
-  console.log(`[MONITOR] PnL data reset to zero. Ignoring trades before ${resetTimestamp}.`);
+  resetTimestamp = now();
+  log.info(`PnL data reset to zero. Ignoring trades before ${resetTimestamp}.`);
 }
 
 export function getResetTimestamp() {
@@ -359,7 +445,7 @@ export function resetMonitorState() {
   totalPnl = 0;
   recentlyClosedSymbols.clear();
   usedCloseOrderIds.clear();
-  console.log('[MONITOR] State reset for account switch.');
+  log.info('State reset for account switch.');
 }
 
 export function getStats() {
@@ -393,15 +479,21 @@ export function getStats() {
   };
 }
 
-export async function syncPositions() {
+export async function syncPositions({ useStream = false } = {}) {
   const activePositions = getActivePositions();
 
   try {
-    const res = await getPositions();
-    if (res.retCode !== 0) return;
+    let list;
+    if (useStream && isPrivateWsReady()) {
+      list = getStreamPositions();
+    } else {
+      const res = await getPositions();
+      if (res.retCode !== 0) return;
+      list = res.result.list;
+    }
 
     const bybitPositions = new Map();
-    for (const p of res.result.list) {
+    for (const p of list) {
       if (parseFloat(p.size) > 0) {
         bybitPositions.set(p.symbol, p);
       }
@@ -432,7 +524,7 @@ export async function syncPositions() {
         tpPrice: parseFloat(p.takeProfit || '0') || null,
         slPrice: parseFloat(p.stopLoss || '0') || null,
         orderId: null,
-        openTime: parseInt(p.createdTime) || Date.now(),
+        openTime: parseInt(p.createdTime) || now(),
         liqUsdValue: 0,
         execTimeMs: 0,
         atr: null,
@@ -444,19 +536,19 @@ export async function syncPositions() {
         dcaLevel: 0,
         totalBudget: 0,
         lastEntryPrice: entryPrice,
+        configVersion: getConfigVersionAt(parseInt(p.createdTime) || now()),
       };
       activePositions.set(symbol, position);
 
-      console.log(
-        `[MONITOR] Detected untracked position: ${p.side} ${size} ${symbol} @ ${entryPrice} | TP: ${position.tpPrice || '—'} | SL: ${position.slPrice || '—'}`
-      );
+      log.info(`Detected untracked position: ${p.side} ${size} ${symbol} @ ${entryPrice} | TP: ${position.tpPrice || '—'} | SL: ${position.slPrice || '—'}`, { symbol });
 
       // CRITICAL: If detected position has no SL or trailing stop, set them immediately
       const needsSL = !position.slPrice;
       const needsTrail = !position.trailingStop;
       if (needsSL || needsTrail) {
-        console.warn(`[MONITOR] NAKED POSITION DETECTED: ${symbol} missing ${needsSL ? 'SL' : ''}${needsSL && needsTrail ? ' + ' : ''}${needsTrail ? 'trailing stop' : ''} — setting now`);
+        log.warn(`NAKED POSITION DETECTED: ${symbol} missing ${needsSL ? 'SL' : ''}${needsSL && needsTrail ? ' + ' : ''}${needsTrail ? 'trailing stop' : ''} — setting now`, { symbol });
         const protection = await ensureProtectionOnPosition(symbol, p.side, entryPrice, size);
+        notifyNaked(symbol, needsSL, needsTrail, protection);
         if (protection) {
           if (protection.slPrice) position.slPrice = protection.slPrice;
           if (protection.trailingStop) position.trailingStop = protection.trailingStop;
@@ -473,15 +565,15 @@ export async function syncPositions() {
 
       if (!bybitPos) {
         // Grace period: skip if position was opened less than 15s ago
-        const ageMs = Date.now() - (tracked.openTime || 0);
+        const ageMs = now() - (tracked.openTime || 0);
         if (ageMs < 15000) continue;
 
         // Guard: prevent duplicate close records
-        if (recentlyClosedSymbols.has(symbol) && Date.now() - recentlyClosedSymbols.get(symbol) < 10000) {
+        if (recentlyClosedSymbols.has(symbol) && now() - recentlyClosedSymbols.get(symbol) < 10000) {
           activePositions.delete(symbol);
           continue;
         }
-        recentlyClosedSymbols.set(symbol, Date.now());
+        recentlyClosedSymbols.set(symbol, now());
         closedEntries.push({ symbol, tracked });
         continue;
       }
@@ -490,6 +582,11 @@ export async function syncPositions() {
       tracked.unrealisedPnl = parseFloat(bybitPos.unrealisedPnl || '0');
       tracked.markPrice = parseFloat(bybitPos.markPrice || '0');
 
+      // Position shrank — a partial TP rung filled
+      if (tracked.tpLadder && parseFloat(bybitPos.size) < tracked.qty) {
+        await syncTpLadder(symbol, tracked);
+      }
+
       // Health check — re-apply SL and/or trailing stop if missing from Bybit
       const bybitSL = parseFloat(bybitPos.stopLoss || '0');
       const bybitTrail = parseFloat(bybitPos.trailingStop || '0');
@@ -500,8 +597,9 @@ export async function syncPositions() {
       const nakedSL = bybitSL === 0 && !tracked.slPrice;
       const nakedTrail = bybitTrail === 0 && !tracked.trailingStop;
       if (nakedSL || nakedTrail) {
-        console.warn(`[MONITOR] NAKED POSITION: ${symbol} missing ${nakedSL ? 'SL' : ''}${nakedSL && nakedTrail ? ' + ' : ''}${nakedTrail ? 'trailing stop' : ''} — setting now`);
+        log.warn(`NAKED POSITION: ${symbol} missing ${nakedSL ? 'SL' : ''}${nakedSL && nakedTrail ? ' + ' : ''}${nakedTrail ? 'trailing stop' : ''} — setting now`, { symbol });
         const protection = await ensureProtectionOnPosition(symbol, tracked.side, tracked.entryPrice, tracked.qty);
+        notifyNaked(symbol, nakedSL, nakedTrail, protection);
         if (protection) {
           if (protection.slPrice) tracked.slPrice = protection.slPrice;
           if (protection.trailingStop) tracked.trailingStop = protection.trailingStop;
@@ -511,19 +609,20 @@ export async function syncPositions() {
 
       if (slMissing || trailMissing) {
         if (slMissing) {
-          console.warn(`[MONITOR] SL missing on ${symbol} — will restore @ ${tracked.slPrice}`);
+          log.warn(`SL missing on ${symbol} — will restore @ ${tracked.slPrice}`, { symbol });
         }
         if (trailMissing) {
-          console.warn(`[MONITOR] Trailing stop missing on ${symbol} — will restore trail: ${tracked.trailingStop}`);
+          log.warn(`Trailing stop missing on ${symbol} — will restore trail: ${tracked.trailingStop}`, { symbol });
         }
 
         // First restore SL (critical), then trailing in a separate call
         if (slMissing) {
           setTradingStop(symbol, { stopLoss: tracked.slPrice }).then((slRes) => {
             if (slRes.retCode !== 0) {
-              console.error(`[MONITOR] SL restore failed for ${symbol}: ${slRes.retMsg}`);
+              log.error(`SL restore failed for ${symbol}: ${slRes.retMsg}`, { symbol });
+              notify('protection', { symbol, message: `SL restore failed: ${slRes.retMsg}` });
             } else {
-              console.log(`[MONITOR] SL restored for ${symbol} @ ${tracked.slPrice}`);
+              log.info(`SL restored for ${symbol} @ ${tracked.slPrice}`, { symbol });
             }
 
             if (trailMissing) {
@@ -531,37 +630,56 @@ export async function syncPositions() {
               if (tracked.trailActivePrice) trailParams.activePrice = tracked.trailActivePrice;
               setTradingStop(symbol, trailParams).then((trailRes) => {
                 if (trailRes.retCode !== 0) {
-                  console.error(`[MONITOR] Trailing stop restore failed for ${symbol}: ${trailRes.retMsg}`);
+                  log.error(`Trailing stop restore failed for ${symbol}: ${trailRes.retMsg}`, { symbol });
+                  notify('protection', { symbol, message: `Trailing stop restore failed: ${trailRes.retMsg}` });
                 } else {
-                  console.log(`[MONITOR] Trailing stop restored for ${symbol} | Trail: ${tracked.trailingStop}`);
+                  log.info(`Trailing stop restored for ${symbol} | Trail: ${tracked.trailingStop}`, { symbol });
                 }
-              }).catch(err => console.error(`[MONITOR] Trailing stop restore error for ${symbol}:`, err.message));
+              }).catch((err) => {
+                log.error(`Trailing stop restore error for ${symbol}: ${err.message}`, { symbol });
+                notify('protection', { symbol, message: `Trailing stop restore error: ${err.message}` });
+              });
             }
-          }).catch(err => console.error(`[MONITOR] SL restore error for ${symbol}:`, err.message));
+          }).catch((err) => {
+            log.error(`SL restore error for ${symbol}: ${err.message}`, { symbol });
+            notify('protection', { symbol, message: `SL restore error: ${err.message}` });
+          });
         } else if (trailMissing) {
           const trailParams = { trailingStop: tracked.trailingStop };
           if (tracked.trailActivePrice) trailParams.activePrice = tracked.trailActivePrice;
           setTradingStop(symbol, trailParams).then((trailRes) => {
             if (trailRes.retCode !== 0) {
-              console.error(`[MONITOR] Trailing stop restore failed for ${symbol}: ${trailRes.retMsg}`);
+              log.error(`Trailing stop restore failed for ${symbol}: ${trailRes.retMsg}`, { symbol });
+              notify('protection', { symbol, message: `Trailing stop restore failed: ${trailRes.retMsg}` });
             } else {
-              console.log(`[MONITOR] Trailing stop restored for ${symbol} | Trail: ${tracked.trailingStop}`);
+              log.info(`Trailing stop restored for ${symbol} | Trail: ${tracked.trailingStop}`, { symbol });
             }
-          }).catch(err => console.error(`[MONITOR] Trailing stop restore error for ${symbol}:`, err.message));
+          }).catch((err) => {
+            log.error(`Trailing stop restore error for ${symbol}: ${err.message}`, { symbol });
+            notify('protection', { symbol, message: `Trailing stop restore error: ${err.message}` });
+          });
         }
       }
     }
 
     // Process closures in parallel — don't block sync loop sequentially
     if (closedEntries.length > 0) {
-      await new Promise(r => setTimeout(r, 2000)); // Single shared wait for Bybit to settle
+      const streaming = isPrivateWsReady();
+      await sleep(streaming ? 500 : 2000); // Single shared wait for Bybit to settle
       await Promise.all(closedEntries.map(async ({ symbol, tracked }) => {
-        const closeData = await fetchBybitCloseData(symbol, tracked.orderId, tracked.entryPrice, tracked.qty, tracked.side, tracked.openTime);
-        recordClose(symbol, tracked, closeData, 'TP/SL/TRAIL');
+        // Record rungs that filled since the last sync before the final leg
+        if (tracked.tpLadder) await syncTpLadder(symbol, tracked, { cancelRest: true });
+        const closeData = (streaming && await fetchStreamCloseData(symbol, tracked))
+          || await fetchBybitCloseData(symbol, tracked.orderId, tracked.entryPrice, tracked.qty, tracked.side, tracked.openTime);
+        const manualClose = tracked.manualOrderIds?.includes(closeData.closeOrderId);
+        recordClose(symbol, tracked, closeData, tracked.closeReason || (manualClose ? 'MANUAL' : 'TP/SL/TRAIL'));
       }));
     }
+
+    // Daily loss / trailing drawdown limits against fresh unrealised PnL
+    await checkRiskLimits();
   } catch (err) {
-    console.error('[MONITOR] Sync error:', err.message);
+    log.error(`Sync error: ${err.message}`);
   }
 }
 
@@ -586,10 +704,11 @@ function recordClose(symbol, tracked, closeData, exitType) {
     trailingStop: tracked.trailingStop,
     tpMethod: tracked.tpMethod,
     openTime: tracked.openTime,
-    closedAt: Date.now(),
-    holdTimeMs: Date.now() - tracked.openTime,
+    closedAt: now(),
+    holdTimeMs: now() - tracked.openTime,
     liqUsdValue: tracked.liqUsdValue || 0,
     execTimeMs: tracked.execTimeMs || 0,
+    configVersion: tracked.configVersion ?? null,
     // From Bybit execution list isMaker field
     entryIsMaker: closeData.entryIsMaker,
     exitIsMaker: closeData.exitIsMaker,
@@ -597,10 +716,157 @@ function recordClose(symbol, tracked, closeData, exitType) {
 
   totalPnl += closeData.pnl;
   activePositions.delete(symbol);
+  // Cooldowns judge the whole trade, partial TP and manual legs included.
+  // Keyed on symbol + open time: adopted positions have no entry orderId
+  const legsPnl = pnlHistory
+    .filter(p => p.leg && p.symbol === symbol && p.openTime === tracked.openTime)
+    .reduce((s, p) => s + p.pnl, 0);
+  recordCloseOutcome(symbol, closeData.pnl + legsPnl);
+
+  log.info(`${symbol} closed (${exitType}) | PnL: ${closeData.pnl.toFixed(4)} USDT | Fees: ${closeData.fees.total.toFixed(6)} (entry: ${closeData.entryIsMaker ? 'maker' : 'taker'}, exit: ${closeData.exitIsMaker ? 'maker' : 'taker'}) | Total: ${totalPnl.toFixed(4)}`, { symbol, orderId: tracked.orderId });
+  notify('close', {
+    symbol, side: tracked.side, exitType, pnl: closeData.pnl.toFixed(4), totalPnl: totalPnl.toFixed(4),
+    entryPrice: tracked.entryPrice, exitPrice: closeData.avgExitPrice, orderId: tracked.orderId,
+  });
+}
+
+/**
+ * Check a position's open TP ladder rungs. Each filled rung becomes its own
+ * pnlHistory leg (tied to the parent by parentOrderId, and by symbol +
+ * openTime); the first fill moves the SL to breakeven. With cancelRest,
+ * unfilled rungs are cancelled.
+ */
+async function syncTpLadder(symbol, tracked, { cancelRest = false } = {}) {
+  for (const rung of tracked.tpLadder) {
+    if (rung.status !== 'open') continue;
+    try {
+      let order = getStreamOrder(rung.orderId);
+      if (!order || order.orderStatus !== 'Filled') {
+        const res = await getOrderDetail(symbol, rung.orderId);
+        order = res.result?.list?.[0] || order;
+      }
+      if (!order) continue;
+
+      if (order.orderStatus === 'Filled') {
+        rung.status = 'filled';
+        await recordPartialClose(symbol, tracked, {
+          orderId: rung.orderId,
+          qty: parseFloat(order.cumExecQty || rung.qty),
+          price: parseFloat(order.avgPrice || rung.price),
+          exitType: `TP${rung.level}`,
+          leg: rung.level,
+          tpPrice: rung.price,
+        });
+        // First partial banks profit — the rest can't turn into a loss
+        if (!tracked.breakeven && tracked.qty > 0) await moveStopToBreakeven(symbol, tracked);
+      } else if (['Cancelled', 'Rejected', 'Deactivated'].includes(order.orderStatus)) {
+        rung.status = 'cancelled';
+        // Expected once the position is gone — reduce-only orders die with it
+        if (!cancelRest) log.warn(`${symbol} TP${rung.level} ${order.orderStatus.toLowerCase()} @ ${rung.price}`, { symbol, orderId: rung.orderId });
+      } else if (cancelRest) {
+        await cancelOrder(symbol, rung.orderId).catch(() => {});
+        rung.status = 'cancelled';
+      }
+    } catch (err) {
+      log.warn(`TP${rung.level} check failed for ${symbol}: ${err.message}`, { symbol, orderId: rung.orderId });
+    }
+  }
+}
+
+/**
+ * Record a fill that shrank `tracked` without closing it (a TP rung, a manual
+ * reduce) as its own pnlHistory leg.
+ */
+async function recordPartialClose(symbol, tracked, { orderId, qty, price: exitPrice, exitType, leg, tpPrice = tracked.tpPrice }) {
+  const fees = { open: 0, close: 0, total: 0 };
+  let exitIsMaker = true;
+  let bybitPnl = null;
+
+  try {
+    const pnlRes = await getClosedPnl(symbol, 50);
+    const rec = pnlRes.result?.list?.find(r => r.orderId === orderId);
+    if (rec) bybitPnl = parseFloat(rec.closedPnl || '0');
+  } catch (err) {
+    log.warn(`Could not fetch closed PnL for ${symbol} ${exitType}: ${err.message}`, { symbol, orderId });
+  }
+  try {
+    const execs = await getExecutionList(symbol, orderId);
+    if (execs.retCode === 0 && execs.result?.list?.length) {
+      for (const exec of execs.result.list) fees.close += parseFloat(exec.execFee || '0');
+      exitIsMaker = execs.result.list[0].isMaker === true || execs.result.list[0].isMaker === 'true';
+    }
+  } catch {}
+  fees.total = fees.close;
+
+  const calcGross = tracked.side === 'Buy'
+    ? (exitPrice - tracked.entryPrice) * qty
+    : (tracked.entryPrice - exitPrice) * qty;
+  // Bybit's closedPnl is net of the leg's share of both fees — prefer it
+  const pnl = bybitPnl ?? calcGross - fees.total;
+  const grossPnl = bybitPnl != null ? calcGross : pnl + fees.total;
 
-  console.log(
-    `[MONITOR] ${symbol} closed (${exitType}) | PnL: ${closeData.pnl.toFixed(4)} USDT | Fees: ${closeData.fees.total.toFixed(6)} (entry: ${closeData.entryIsMaker ? 'maker' : 'taker'}, exit: ${closeData.exitIsMaker ? 'maker' : 'taker'}) | Total: ${totalPnl.toFixed(4)}`
-  );
+  pnlHistory.unshift({
+    symbol,
+    orderId: tracked.orderId || null,
+    parentOrderId: tracked.orderId || null,
+    closeOrderId: orderId,
+    leg,
+    side: tracked.side,
+    entryPrice: tracked.entryPrice,
+    exitPrice,
+    tpPrice,
+    slPrice: tracked.slPrice,
+    qty,
+    grossPnl,
+    pnl,
+    fees,
+    exitType,
+    atr: tracked.atr,
+    trailingStop: tracked.trailingStop,
+    tpMethod: tracked.tpMethod,
+    openTime: tracked.openTime,
+    closedAt: now(),
+    holdTimeMs: now() - tracked.openTime,
+    liqUsdValue: tracked.liqUsdValue || 0,
+    execTimeMs: tracked.execTimeMs || 0,
+    configVersion: tracked.configVersion ?? null,
+    entryIsMaker: tracked.entryOrderMode === 'maker',
+    exitIsMaker,
+  });
+  usedCloseOrderIds.add(orderId);
+  totalPnl += pnl;
+  tracked.qty = Math.max(0, tracked.qty - qty);
+
+  log.info(`${symbol} ${exitType} filled | ${qty} @ ${exitPrice} | PnL: ${pnl.toFixed(4)} USDT | Remaining: ${tracked.qty}`, { symbol, orderId });
+}
+
+/**
+ * Record a filled manual reduce-only order as a MANUAL leg of `tracked`.
+ */
+export async function recordManualReduce(symbol, tracked, order) {
+  await recordPartialClose(symbol, tracked, {
+    orderId: order.orderId,
+    qty: parseFloat(order.cumExecQty),
+    price: parseFloat(order.avgPrice),
+    exitType: 'MANUAL',
+    leg: 'manual',
+  });
+}
+
+/**
+ * Move the SL of `tracked` to its entry price. Returns Bybit's response.
+ */
+export async function moveStopToBreakeven(symbol, tracked) {
+  const breakeven = instrumentCache.roundPrice(symbol, tracked.entryPrice);
+  const slRes = await setTradingStop(symbol, { stopLoss: breakeven });
+  if (slRes.retCode === 0) {
+    tracked.slPrice = breakeven;
+    tracked.breakeven = true;
+    log.info(`${symbol} SL moved to breakeven @ ${breakeven}`, { symbol });
+  } else {
+    log.error(`Breakeven SL failed for ${symbol}: ${slRes.retMsg}`, { symbol });
+  }
+  return slRes;
 }
 
 /**
@@ -612,7 +878,7 @@ export async function reconcilePnl() {
   try {
     const pnlRes = await getClosedPnl(null, 200);
     if (pnlRes.retCode !== 0 || !pnlRes.result?.list?.length) {
-      console.log('[RECONCILE] No closed PnL records from Bybit or API error.');
+      reconcileLog.info('No closed PnL records from Bybit or API error.');
       return;
     }
 
@@ -631,6 +897,13 @@ export async function reconcilePnl() {
       }
     }
 
+    // Partial TP legs and manual reduces of open positions are recorded as they fill
+    const ladderOrderIds = new Set();
+    for (const pos of getActivePositions().values()) {
+      for (const rung of pos.tpLadder || []) ladderOrderIds.add(rung.orderId);
+      for (const id of pos.manualOrderIds || []) ladderOrderIds.add(id);
+    }
+
     let backfilled = 0;
     for (const rec of bybitRecords) {
       const closeOrderId = rec.orderId;
@@ -643,6 +916,7 @@ export async function reconcilePnl() {
 
       // Skip if we already have this trade (by closeOrderId or time proximity)
       if (usedCloseOrderIds.has(closeOrderId)) continue;
+      if (ladderOrderIds.has(closeOrderId)) continue;
       if (knownByTimeSymbol.has(`${symbol}_${bucket}`)) continue;
 
       // Missing trade — backfill from Bybit data, calculate PnL ourselves
@@ -695,7 +969,7 @@ export async function reconcilePnl() {
         existing.closeOrderId = closeOrderId;
         existing.fees = { open: existing.fees?.open || 0, close: fees.close, total: (existing.fees?.open || 0) + fees.close };
         existing.exitIsMaker = exitIsMaker;
-        console.log(`[RECONCILE] Updated existing pnl:0 record for ${symbol} | Gross: ${grossPnl.toFixed(4)} | Net: ${netPnl.toFixed(4)} | Entry: ${avgEntryPrice} | Exit: ${avgExitPrice}`);
+        reconcileLog.info(`Updated existing pnl:0 record for ${symbol} | Gross: ${grossPnl.toFixed(4)} | Net: ${netPnl.toFixed(4)} | Entry: ${avgEntryPrice} | Exit: ${avgExitPrice}`, { symbol });
       } else {
         pnlHistory.push({
           symbol,
@@ -719,10 +993,11 @@ export async function reconcilePnl() {
           holdTimeMs: 0,
           liqUsdValue: 0,
           execTimeMs: 0,
+          configVersion: getConfigVersionAt(createdTime),
           entryIsMaker,
           exitIsMaker,
         });
-        console.log(`[RECONCILE] Backfilled ${symbol} | Gross: ${grossPnl.toFixed(4)} | Net: ${netPnl.toFixed(4)} | Entry: ${avgEntryPrice} | Exit: ${avgExitPrice} | CloseOrderId: ${closeOrderId}`);
+        reconcileLog.info(`Backfilled ${symbol} | Gross: ${grossPnl.toFixed(4)} | Net: ${netPnl.toFixed(4)} | Entry: ${avgEntryPrice} | Exit: ${avgExitPrice} | CloseOrderId: ${closeOrderId}`, { symbol, orderId: closeOrderId });
       }
 
       usedCloseOrderIds.add(closeOrderId);
@@ -732,22 +1007,52 @@ export async function reconcilePnl() {
     if (backfilled > 0) {
       // Sort by closedAt descending (newest first)
       pnlHistory.sort((a, b) => (b.closedAt || 0) - (a.closedAt || 0));
-      console.log(`[RECONCILE] Backfilled ${backfilled} missing trades from Bybit.`);
+      reconcileLog.info(`Backfilled ${backfilled} missing trades from Bybit.`);
     } else {
-      console.log('[RECONCILE] All Bybit trades already in history — nothing to backfill.');
+      reconcileLog.info('All Bybit trades already in history — nothing to backfill.');
     }
   } catch (err) {
-    console.error('[RECONCILE] Error during reconciliation:', err.message);
+    reconcileLog.error(`Error during reconciliation: ${err.message}`);
   }
 }
 
-// Start polling positions every 2 seconds
+// Serialize syncs — stream events can arrive while a sync is still settling closes
+let syncing = false;
+let syncQueued = null;
+let lastRestSync = 0;
+
+async function runSync(opts = {}) {
+  if (syncing) {
+    syncQueued = syncQueued && !syncQueued.useStream ? syncQueued : opts;
+    return;
+  }
+  syncing = true;
+  try {
+    if (!opts.useStream) lastRestSync = now();
+    await syncPositions(opts);
+  } finally {
+    syncing = false;
+    if (syncQueued) {
+      const next = syncQueued;
+      syncQueued = null;
+      runSync(next);
+    }
+  }
+}
+
+// Sync on every private stream position update. The 2s tick reads the stream
+// cache while it is up (REST only every REST_SYNC_INTERVAL_SEC, as a
+// reconciliation) and falls back to REST polling while it is down.
 export function startMonitor() {
-  console.log(`[MONITOR] Starting position monitor (2s interval)...`);
-  setInterval(syncPositions, 2000);
+  log.info(`Starting position monitor (stream-driven, REST reconciliation every ${config.restSyncIntervalSec}s)...`);
+  onPrivateEvent('position', () => runSync({ useStream: true }));
+  setInterval(() => {
+    const restDue = now() - lastRestSync >= config.restSyncIntervalSec * 1000;
+    runSync({ useStream: isPrivateWsReady() && !restDue });
+  }, 2000);
 
   // Periodic reconciliation every 2 minutes to catch any missed PnL
   setInterval(() => {
-    reconcilePnl().catch(err => console.error('[MONITOR] Periodic reconciliation error:', err.message));
+    reconcilePnl().catch(err => log.error(`Periodic reconciliation error: ${err.message}`));
   }, 2 * 60 * 1000);
 }
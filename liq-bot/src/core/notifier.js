@@ -0,0 +1,273 @@
+import { config } from '../config.js';
+import { CONFIG_SCHEMA } from '../config-schema.js';
+import { now } from './clock.js';
+import { createLogger } from './logger.js';
+import { counter } from './metrics.js';
+
+/**
+ * Alerts
+ *
+ * notify(event, data) renders the event's template with `data` and sends it
+ * to every channel subscribed to the event:
+ * - webhook: POST { event, text, data, network, t } as JSON to ALERT_WEBHOOK_URL
+ * - telegram: Bot API sendMessage to ALERT_TELEGRAM_CHAT_ID
+ * - discord: POST { content } to ALERT_DISCORD_WEBHOOK_URL
+ * More can be plugged in with addChannel(name, send).
+ *
+ * Each channel sends at most ratePerMin messages a minute; the rest are dropped
+ * and counted in the next message. A repeat of the same protection / disconnect
+ * / risk alert (same symbol or stream) within dedupeSec is dropped too.
+ *
+ * Nothing is sent before startAlerts(), so backtests stay quiet. Events,
+ * templates and limits start from the ALERT_* env vars; runtime edits
+ * (/api/alerts) are saved to alerts.json and replace them on restart. Channel
+ * URLs and tokens only come from the env.
+ */
+
+const log = createLogger('ALERTS');
+const alertsTotal = counter('liqbot_alerts_total', 'Alerts by channel and result (sent / failed / suppressed)');
+
+export const ALERT_EVENTS = CONFIG_SCHEMA.alertEvents.values;
+const DEDUPED_EVENTS = ['protection', 'disconnect', 'risk'];
+const SEND_TIMEOUT_MS = 5000;
+
+// {placeholders} are filled from the notify() data; unknown ones are left as-is
+export const DEFAULT_TEMPLATES = {
+  fill: 'FILLED {side} {qty} {symbol} @ {price} | TP: {tp} | SL: {sl} | Liq: ${liqUsd} | {via} {execMs}ms',
+  dca: '{level} {side} +{qty} {symbol} @ {price} | Avg: {avgPrice} | SL: {sl} | Total: {totalQty}',
+  close: 'CLOSED {symbol} ({exitType}) | PnL: {pnl} USDT | Total: {totalPnl}',
+  protection: 'PROTECTION {symbol}: {message}',
+  disconnect: 'DISCONNECTED {stream} stream: {message}',
+  risk: 'TRADING HALTED ({reason}): {message}',
+  trading: 'TRADING {state} by {actor}: {message}',
+};
+
+const DEFAULTS = {
+  events: config.alertEvents,
+  templates: {}, // overrides of DEFAULT_TEMPLATES
+  ratePerMin: config.alertRatePerMin,
+  dedupeSec: config.alertDedupeSec,
+};
+
+let settings = { ...DEFAULTS };
+let started = false;
+const channels = new Map(); // name -> { name, events, send, sent, failed, suppressed, unreported, window, lastError, lastSentAt }
+const lastAlerted = new Map(); // "event:symbol|stream" -> timestamp
+
+// --- Channels ---
+
+async function post(url, body) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(SEND_TIMEOUT_MS),
+  });
+  if (!res.ok) {
+    const detail = (await res.text().catch(() => '')).slice(0, 200);
+    throw new Error(`HTTP ${res.status}${detail ? ` ${detail}` : ''}`);
+  }
+}
+
+export function webhookChannel(url) {
+  return (text, event, data) => post(url, { event, text, data, network: config.network, t: now() });
+}
+
+export function telegramChannel(token, chatId, apiUrl = 'https://api.telegram.org') {
+  return text => post(`${apiUrl}/bot${token}/sendMessage`, { chat_id: chatId, text, disable_web_page_preview: true });
+}
+
+export function discordChannel(url) {
+  return text => post(url, { content: text });
+}
+
+/**
+ * Register a channel. `send(text, event, data)` returns a promise that rejects
+ * on failure; `events` narrows the subscribed events (empty = all enabled ones).
+ */
+export function addChannel(name, send, events = []) {
+  channels.set(name, {
+    name, events, send,
+    sent: 0, failed: 0, suppressed: 0, unreported: 0,
+    window: [], lastError: null, lastSentAt: null,
+  });
+}
+
+/**
+ * Enable sending, with the channels configured in the env.
+ */
+export function startAlerts() {
+  if (started) return;
+  if (config.alertWebhookUrl) {
+    addChannel('webhook', webhookChannel(config.alertWebhookUrl), config.alertWebhookEvents);
+  }
+  if (config.alertTelegramToken && config.alertTelegramChatId) {
+    addChannel('telegram', telegramChannel(config.alertTelegramToken, config.alertTelegramChatId, config.alertTelegramApi), config.alertTelegramEvents);
+  } else if (config.alertTelegramToken || config.alertTelegramChatId) {
+    log.warn('Telegram needs both ALERT_TELEGRAM_TOKEN and ALERT_TELEGRAM_CHAT_ID — channel off');
+  }
+  if (config.alertDiscordWebhookUrl) {
+    addChannel('discord', discordChannel(config.alertDiscordWebhookUrl), config.alertDiscordEvents);
+  }
+  started = true;
+  log.info(channels.size > 0
+    ? `Channels: ${[...channels.keys()].join(', ')} | Events: ${settings.events.join(', ') || 'none'}`
+    : 'No channels configured');
+}
+
+// --- Sending ---
+
+function render(event, data) {
+  const template = settings.templates[event] || DEFAULT_TEMPLATES[event] || `${event.toUpperCase()}: {message}`;
+  const text = template.replace(/\{(\w+)\}/g, (match, key) => (data[key] ?? match));
+  return config.network === 'mainnet' ? text : `[${config.network.toUpperCase()}] ${text}`;
+}
+
+// Drop a repeat of the same safety alert within dedupeSec
+function isDuplicate(event, data) {
+  if (!DEDUPED_EVENTS.includes(event) || settings.dedupeSec <= 0) return false;
+  const key = `${event}:${data.symbol || data.stream || data.reason || ''}`;
+  const t = now();
+  const last = lastAlerted.get(key);
+  if (last && t - last < settings.dedupeSec * 1000) return true;
+  lastAlerted.set(key, t);
+  return false;
+}
+
+// Sliding one-minute window per channel
+function takeSlot(ch) {
+  if (settings.ratePerMin <= 0) return true;
+  const t = now();
+  while (ch.window.length > 0 && t - ch.window[0] >= 60000) ch.window.shift();
+  if (ch.window.length >= settings.ratePerMin) return false;
+  ch.window.push(t);
+  return true;
+}
+
+async function deliver(ch, event, text, data) {
+  try {
+    await ch.send(text, event, data);
+    ch.sent++;
+    ch.lastSentAt = now();
+    alertsTotal.inc({ channel: ch.name, result: 'sent' });
+    return { channel: ch.name, ok: true };
+  } catch (err) {
+    const message = err.name === 'TimeoutError' ? `timed out after ${SEND_TIMEOUT_MS}ms` : err.message;
+    ch.failed++;
+    ch.lastError = message;
+    alertsTotal.inc({ channel: ch.name, result: 'failed' });
+    log.warn(`${ch.name} ${event} alert failed: ${message}`, { symbol: data.symbol });
+    return { channel: ch.name, ok: false, error: message };
+  }
+}
+
+/**
+ * Send an alert for `event` (one of ALERT_EVENTS). Fire-and-forget: never
+ * throws and never waits on the network.
+ */
+export function notify(event, data = {}) {
+  if (!started || channels.size === 0) return;
+  if (!settings.events.includes(event)) return;
+  if (isDuplicate(event, data)) return;
+
+  const text = render(event, data);
+  for (const ch of channels.values()) {
+    if (ch.events.length > 0 && !ch.events.includes(event)) continue;
+    if (!takeSlot(ch)) {
+      ch.suppressed++;
+      ch.unreported++;
+      alertsTotal.inc({ channel: ch.name, result: 'suppressed' });
+      continue;
+    }
+    const suffix = ch.unreported > 0 ? `\n(${ch.unreported} alert${ch.unreported > 1 ? 's' : ''} suppressed by rate limit)` : '';
+    ch.unreported = 0;
+    deliver(ch, event, text + suffix, data);
+  }
+}
+
+/**
+ * Send a test message to one channel (or all), bypassing subscriptions and the
+ * rate limit. Resolves to [{ channel, ok, error? }].
+ */
+export async function sendTestAlert(channelName = null) {
+  const targets = [...channels.values()].filter(ch => !channelName || ch.name === channelName);
+  const text = render('test', { message: 'liq-bot alerts are working' });
+  return Promise.all(targets.map(ch => deliver(ch, 'test', text, {})));
+}
+
+// --- Settings (/api/alerts) ---
+
+export function validateAlertSettings(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return 'Alert settings must be an object';
+  for (const [key, value] of Object.entries(body)) {
+    if (key === 'events') {
+      if (!Array.isArray(value) || !value.every(e => ALERT_EVENTS.includes(e))) {
+        return `events must be an array of: ${ALERT_EVENTS.join(', ')}`;
+      }
+    } else if (key === 'templates') {
+      if (!value || typeof value !== 'object' || Array.isArray(value)) return 'templates must be an object';
+      for (const [event, template] of Object.entries(value)) {
+        if (!ALERT_EVENTS.includes(event)) return `Unknown alert event: ${event}`;
+        if (template !== null && typeof template !== 'string') return `templates.${event} must be a string (null = default)`;
+      }
+    } else if (key === 'ratePerMin' || key === 'dedupeSec') {
+      if (!Number.isInteger(value) || value < 0) return `${key} must be an integer ≥ 0`;
+    } else {
+      return `Unknown alert setting: ${key}`;
+    }
+  }
+  return null;
+}
+
+// Templates are merged per event; null or '' restores the default
+export function updateAlertSettings(body) {
+  const templates = { ...settings.templates, ...body.templates };
+  for (const [event, template] of Object.entries(templates)) {
+    if (!template) delete templates[event];
+  }
+  settings = { ...settings, ...body, templates };
+  log.info(`Updated: events ${settings.events.join(', ') || 'none'} | ${settings.ratePerMin}/min | dedupe ${settings.dedupeSec}s | ${Object.keys(templates).length} custom template(s)`);
+  return settings;
+}
+
+// Back to the ALERT_* env values
+export function resetAlertSettings() {
+  settings = { ...DEFAULTS };
+  log.info('Reset to env defaults');
+  return settings;
+}
+
+export function hydrateAlertSettings(saved) {
+  if (!saved) return;
+  const err = validateAlertSettings(saved);
+  if (err) {
+    log.warn(`Ignoring saved alert settings: ${err}`);
+    return;
+  }
+  settings = { ...DEFAULTS, ...saved };
+  log.info(`Loaded: events ${settings.events.join(', ') || 'none'}`);
+}
+
+/**
+ * Settings, effective templates and per-channel stats — no URLs or tokens.
+ */
+export function getAlertStatus() {
+  return {
+    enabled: started,
+    availableEvents: ALERT_EVENTS,
+    events: settings.events,
+    ratePerMin: settings.ratePerMin,
+    dedupeSec: settings.dedupeSec,
+    templates: { ...DEFAULT_TEMPLATES, ...settings.templates },
+    customTemplates: Object.keys(settings.templates),
+    channels: [...channels.values()].map(ch => ({
+      name: ch.name,
+      events: settings.events.filter(e => ch.events.length === 0 || ch.events.includes(e)),
+      sent: ch.sent,
+      failed: ch.failed,
+      suppressed: ch.suppressed,
+      lastSentAt: ch.lastSentAt,
+      lastError: ch.lastError,
+    })),
+  };
+}
@@ -1,12 +1,17 @@
 import fs from 'fs';
 import path from 'path';
+import { createLogger } from './logger.js';
 
 /**
  * File-based persistence for trade data.
  * Saves to /data (fly.io volume mount) or ./data (local fallback).
+ * Paper trading keeps its own history under <data>/paper.
  */
 
-const DATA_DIR = process.env.DATA_DIR || (fs.existsSync('/data') ? '/data' : './data');
+const log = createLogger('PERSIST');
+
+const BASE_DIR = fs.existsSync('/data') ? '/data' : './data';
+export const DATA_DIR = process.env.DATA_DIR || (process.env.NETWORK === 'paper' ? path.join(BASE_DIR, 'paper') : BASE_DIR);
 
 // Ensure directory exists
 try {
@@ -24,7 +29,7 @@ export function saveJSON(name, data) {
     fs.writeFileSync(tmp, JSON.stringify(data));
     fs.renameSync(tmp, target); // atomic write
   } catch (err) {
-    console.error(`[PERSIST] Failed to save ${name}:`, err.message);
+    log.error(`Failed to save ${name}: ${err.message}`);
   }
 }
 
@@ -35,7 +40,7 @@ export function loadJSON(name, fallback = null) {
     const raw = fs.readFileSync(target, 'utf8');
     return JSON.parse(raw);
   } catch (err) {
-    console.error(`[PERSIST] Failed to load ${name}:`, err.message);
+    log.error(`Failed to load ${name}: ${err.message}`);
     return fallback;
   }
 }
@@ -45,31 +50,49 @@ export function loadJSON(name, fallback = null) {
  * Expects getter functions for each data source.
  */
 let saveInterval = null;
+let saveAll = null;
 
-export function startPersistence({ getTradeLog, getPnlHistory, getTotalPnl, getPositionState, getResetTimestamp }) {
+export function startPersistence({ getTradeLog, getPnlHistory, getTotalPnl, getPositionState, getResetTimestamp, getRiskState, getCooldownState }) {
   // Load existing data on startup
   const savedPnl = loadJSON('pnl_history.json');
   const savedTrades = loadJSON('trade_log.json');
   const savedTotalPnl = loadJSON('total_pnl.json');
   const savedResetTimestamp = loadJSON('reset_timestamp.json');
+  const savedRiskState = loadJSON('risk_state.json');
+  const savedCooldowns = loadJSON('cooldowns.json');
 
-  console.log(`[PERSIST] Data dir: ${DATA_DIR}`);
-  if (savedPnl) console.log(`[PERSIST] Loaded ${savedPnl.length} PnL records from disk.`);
-  if (savedTrades) console.log(`[PERSIST] Loaded ${savedTrades.length} trade log entries from disk.`);
+  log.info(`Data dir: ${DATA_DIR}`);
+  if (savedPnl) log.info(`Loaded ${savedPnl.length} PnL records from disk.`);
+  if (savedTrades) log.info(`Loaded ${savedTrades.length} trade log entries from disk.`);
 
   // Save every 10 seconds
-  saveInterval = setInterval(() => {
+  saveAll = () => {
     saveJSON('trade_log.json', getTradeLog());
     saveJSON('pnl_history.json', getPnlHistory());
     saveJSON('total_pnl.json', getTotalPnl());
     if (getPositionState) saveJSON('position_state.json', getPositionState());
     if (getResetTimestamp) saveJSON('reset_timestamp.json', getResetTimestamp());
-  }, 10000);
+    if (getRiskState) saveJSON('risk_state.json', getRiskState());
+    if (getCooldownState) saveJSON('cooldowns.json', getCooldownState());
+  };
+  saveInterval = setInterval(saveAll, 10000);
 
   return {
     pnlHistory: savedPnl || [],
     tradeLog: savedTrades || [],
     totalPnl: savedTotalPnl || 0,
     resetTimestamp: savedResetTimestamp || 0,
+    riskState: savedRiskState,
+    cooldowns: savedCooldowns,
   };
 }
+
+// Save everything now — on shutdown, the last interval save may be 10 s old
+export function flushPersistence() {
+  if (saveAll) saveAll();
+}
+
+// True once startPersistence() ran — backtests never write the live data dir
+export function isPersisting() {
+  return saveInterval !== null;
+}
@@ -0,0 +1,118 @@
+import { config } from '../config.js';
+import { PROFILE_KEYS, checkConfigValue } from '../config-schema.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Per-Symbol Config Profiles
+ *
+ * A profile overrides any subset of the per-symbol params (the settings marked
+ * `profile` in src/config-schema.js) for the symbols it applies to. Its name
+ * is either a symbol ("PEPEUSDT") — applies to that symbol — or a tag
+ * ("majors", "high-vol") with a `symbols` member list:
+ *
+ *   { "majors": { "symbols": ["BTCUSDT", "ETHUSDT"], "leverage": 10, "slAtrMultiplier": 1.5 },
+ *     "PEPEUSDT": { "entryOrderType": "Market" } }
+ *
+ * getSymbolConfig(symbol) layers global config, then matching tag profiles in
+ * the order they were created, then the symbol's own profile. Profiles are
+ * stored under `profiles` in config_overrides.json.
+ */
+
+const log = createLogger('PROFILES');
+
+export const PROFILE_PARAMS = PROFILE_KEYS;
+
+let profiles = {}; // name -> { symbols?: [...], ...params }
+
+function isSymbolName(name) {
+  return /^[A-Z0-9]+USDT$/.test(name);
+}
+
+function overridesOf(profile) {
+  const params = {};
+  for (const key of PROFILE_PARAMS) {
+    if (profile[key] !== undefined) params[key] = profile[key];
+  }
+  return params;
+}
+
+/**
+ * Global config with every matching profile applied. Merged on every call so
+ * runtime config changes show through.
+ */
+export function getSymbolConfig(symbol) {
+  let merged = { ...config };
+  for (const [name, profile] of Object.entries(profiles)) {
+    if (!isSymbolName(name) && profile.symbols?.includes(symbol)) {
+      merged = { ...merged, ...overridesOf(profile) };
+    }
+  }
+  if (profiles[symbol]) merged = { ...merged, ...overridesOf(profiles[symbol]) };
+  return merged;
+}
+
+/**
+ * Names of the profiles that apply to `symbol`, least specific first.
+ */
+export function getSymbolProfiles(symbol) {
+  const names = Object.keys(profiles).filter(n => !isSymbolName(n) && profiles[n].symbols?.includes(symbol));
+  if (profiles[symbol]) names.push(symbol);
+  return names;
+}
+
+/**
+ * Check a profile body. Returns an error message or null.
+ */
+export function validateProfile(name, body) {
+  if (!name || !/^[A-Za-z0-9_-]+$/.test(name)) return 'Profile name must be a symbol or tag (letters, digits, - and _)';
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return 'Profile must be an object';
+  for (const [key, value] of Object.entries(body)) {
+    if (key === 'symbols') {
+      if (isSymbolName(name)) return 'Symbol profiles cannot have a symbols list';
+      if (!Array.isArray(value) || !value.every(s => typeof s === 'string')) return 'symbols must be an array of symbol names';
+      continue;
+    }
+    if (!PROFILE_PARAMS.includes(key)) return `Unknown profile param: ${key}`;
+    const { error } = checkConfigValue(key, value);
+    if (error) return error;
+  }
+  return null;
+}
+
+// Callers validate first
+export function setProfile(name, body) {
+  const profile = { ...body };
+  for (const key of PROFILE_PARAMS) {
+    if (profile[key] !== undefined) profile[key] = checkConfigValue(key, profile[key]).value;
+  }
+  if (profile.symbols) profile.symbols = profile.symbols.map(s => s.toUpperCase());
+  profiles[name] = profile;
+  log.info(`${name} set: ${JSON.stringify(profile)}`);
+  return profile;
+}
+
+export function deleteProfile(name) {
+  if (!profiles[name]) return false;
+  delete profiles[name];
+  log.info(`${name} removed`);
+  return true;
+}
+
+export function getProfiles() {
+  return profiles;
+}
+
+export function hydrateProfiles(saved) {
+  if (!saved) return;
+  profiles = {};
+  for (const [name, body] of Object.entries(saved)) {
+    const err = validateProfile(name, body);
+    if (err) {
+      log.warn(`Skipping saved profile ${name}: ${err}`);
+      continue;
+    }
+    profiles[name] = body;
+  }
+  const count = Object.keys(profiles).length;
+  if (count > 0) log.info(`Loaded ${count} profile(s).`);
+}
@@ -0,0 +1,205 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { config } from '../config.js';
+import { DATA_DIR } from './persistence.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Liquidation Tape Recorder
+ *
+ * Appends every scanner liqEvent (plus the dashboard's `blocked` reason) to
+ * day-rotated, gzip-compressed NDJSON files: <DATA_DIR>/tape/YYYY-MM-DD.ndjson.gz
+ *
+ * - Events are buffered and flushed every 5s as one gzip member per batch.
+ *   Concatenated members are valid gzip, so files can be appended forever.
+ * - Files older than TAPE_RETENTION_DAYS are deleted on start and hourly.
+ * - queryTape() reads a time range back (async — never blocks the scanner);
+ *   readTapeDays() does it one day at a time for long ranges.
+ */
+
+const log = createLogger('RECORDER');
+
+const TAPE_DIR = path.join(DATA_DIR, 'tape');
+const FLUSH_INTERVAL_MS = 5000;
+const RETENTION_CHECK_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const gunzip = promisify(zlib.gunzip);
+
+let buffer = []; // pending records, flushed in batches
+let flushInterval = null;
+let retentionInterval = null;
+const stats = { recorded: 0, flushed: 0, errors: 0 };
+
+function dayKey(ts) {
+  return new Date(ts).toISOString().slice(0, 10);
+}
+
+function dayFile(day) {
+  return path.join(TAPE_DIR, `${day}.ndjson.gz`);
+}
+
+export function recordLiquidation(liqEvent) {
+  if (!config.recordLiquidations) return;
+  buffer.push({
+    symbol: liqEvent.symbol,
+    side: liqEvent.side,
+    price: liqEvent.price,
+    qty: liqEvent.qty,
+    usdValue: liqEvent.usdValue,
+    updatedTime: liqEvent.updatedTime,
+    timestamp: liqEvent.timestamp,
+    qualifies: liqEvent.qualifies,
+    threshold: liqEvent.threshold ?? null,
+    blocked: liqEvent.blocked || null,
+  });
+  stats.recorded++;
+}
+
+export function flushRecorder() {
+  if (buffer.length === 0) return;
+  const batch = buffer;
+  buffer = [];
+
+  // Group by UTC day of receipt so a batch spanning midnight lands in both files
+  const byDay = new Map();
+  for (const rec of batch) {
+    const day = dayKey(rec.timestamp);
+    if (!byDay.has(day)) byDay.set(day, []);
+    byDay.get(day).push(JSON.stringify(rec));
+  }
+
+  for (const [day, lines] of byDay) {
+    try {
+      fs.appendFileSync(dayFile(day), zlib.gzipSync(lines.join('\n') + '\n'));
+      stats.flushed += lines.length;
+    } catch (err) {
+      stats.errors++;
+      log.error(`Failed to write tape for ${day}: ${err.message}`);
+    }
+  }
+}
+
+export function applyRetention() {
+  const cutoff = dayKey(Date.now() - config.tapeRetentionDays * DAY_MS);
+  let removed = 0;
+  try {
+    for (const name of fs.readdirSync(TAPE_DIR)) {
+      const day = name.slice(0, 10);
+      if (name.endsWith('.ndjson.gz') && day < cutoff) {
+        fs.unlinkSync(path.join(TAPE_DIR, name));
+        removed++;
+      }
+    }
+  } catch (err) {
+    log.error(`Retention sweep failed: ${err.message}`);
+  }
+  if (removed > 0) {
+    log.info(`Retention: removed ${removed} tape file(s) older than ${config.tapeRetentionDays} days.`);
+  }
+}
+
+// One day file's records in file order; a damaged file reads as empty
+async function readTapeFile(file) {
+  let raw;
+  try {
+    // SYNC_FLUSH tolerates a truncated last member (crash mid-append)
+    raw = await gunzip(await fs.promises.readFile(file), { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+  } catch (err) {
+    log.error(`Failed to read ${path.basename(file)}: ${err.message}`);
+    return [];
+  }
+  const records = [];
+  for (const line of raw.toString('utf8').split('\n')) {
+    if (!line) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // partial trailing line
+    }
+  }
+  return records;
+}
+
+/**
+ * Recorded events in [from, to] (ms, by receive timestamp), yielded one day
+ * file at a time plus the flush buffer — only one day is in memory. Days come
+ * oldest first, or newest first with `newestFirst`; records within a day are
+ * always oldest first.
+ */
+export async function* readTapeDays({ from = 0, to = Date.now(), newestFirst = false } = {}) {
+  const inRange = rec => rec.timestamp >= from && rec.timestamp <= to;
+  const pending = buffer.filter(inRange);
+  const files = listTapeFiles(from, to);
+  if (newestFirst) {
+    files.reverse();
+    if (pending.length > 0) yield pending;
+  }
+  for (const file of files) {
+    const records = (await readTapeFile(file)).filter(inRange);
+    if (records.length > 0) yield records;
+  }
+  if (!newestFirst && pending.length > 0) yield pending;
+}
+
+/**
+ * Read recorded events in [from, to] (ms, by receive timestamp), oldest first.
+ * Includes events still waiting in the flush buffer.
+ */
+export async function queryTape({ from = 0, to = Date.now(), symbol = null, qualifiesOnly = false, limit = Infinity } = {}) {
+  const matches = (rec) =>
+    (!symbol || rec.symbol === symbol) &&
+    (!qualifiesOnly || rec.qualifies);
+
+  const results = [];
+  for await (const records of readTapeDays({ from, to })) {
+    for (const rec of records) {
+      if (!matches(rec)) continue;
+      results.push(rec);
+      if (results.length >= limit) return results;
+    }
+  }
+  return results;
+}
+
+/**
+ * Tape files overlapping [from, to], oldest first. Omit the range to list all.
+ */
+export function listTapeFiles(from = 0, to = Infinity) {
+  const first = dayKey(from);
+  const last = Number.isFinite(to) ? dayKey(to) : '9999-12-31';
+  try {
+    return fs.readdirSync(TAPE_DIR)
+      .filter(name => name.endsWith('.ndjson.gz'))
+      .filter(name => name.slice(0, 10) >= first && name.slice(0, 10) <= last)
+      .sort()
+      .map(name => path.join(TAPE_DIR, name));
+  } catch {
+    return [];
+  }
+}
+
+export function getRecorderStats() {
+  return {
+    enabled: config.recordLiquidations,
+    retentionDays: config.tapeRetentionDays,
+    buffered: buffer.length,
+    files: listTapeFiles().length,
+    ...stats,
+  };
+}
+
+export function startRecorder() {
+  if (!config.recordLiquidations) {
+    log.info('Liquidation tape disabled (RECORD_LIQUIDATIONS=false).');
+    return;
+  }
+  fs.mkdirSync(TAPE_DIR, { recursive: true });
+  applyRetention();
+  flushInterval = setInterval(flushRecorder, FLUSH_INTERVAL_MS);
+  retentionInterval = setInterval(applyRetention, RETENTION_CHECK_MS);
+
+  log.info(`Recording liquidation tape to ${TAPE_DIR} (retention ${config.tapeRetentionDays} days).`);
+}
@@ -0,0 +1,232 @@
+import { config } from '../config.js';
+import { closePosition, getPositions } from '../api/bybit.js';
+import { getActivePositions, getInitialBalance } from './executor.js';
+import { getPnlHistory, getTotalPnl } from './monitor.js';
+import { now, sleep } from './clock.js';
+import { createLogger } from './logger.js';
+import { notify } from './notifier.js';
+import { saveJSON, isPersisting } from './persistence.js';
+
+/**
+ * Risk Governor (funded trader rules)
+ *
+ * Checked after every monitor sync. Equity is tracked as realized PnL from
+ * pnlHistory plus unrealised PnL from activePositions:
+ * - Daily loss: today's realized (UTC day) + unrealised PnL vs DAILY_LOSS_LIMIT_PCT
+ *   of the day's starting balance. Clears automatically at the next UTC day.
+ * - Trailing drawdown: distance from the equity high-water mark vs
+ *   MAX_DRAWDOWN_PCT of the peak equity. Stays halted until reset via the API.
+ *
+ * While halted, executeTrade skips every event. With RISK_FLATTEN_ON_HALT all
+ * open positions are market-closed when the halt trips.
+ * A limit of 0 disables it.
+ */
+
+const log = createLogger('RISK');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FLATTEN_ATTEMPTS = 3;
+const FLATTEN_CHECK_MS = 1000;
+
+let halted = false;
+let haltReason = null;   // 'DAILY_LOSS' | 'MAX_DRAWDOWN'
+let haltMessage = null;
+let haltedAt = null;
+let peakPnl = null;      // high-water mark of cumulative realized + unrealised PnL
+let lastStatus = null;
+const listeners = [];
+
+export function hydrateRiskState(saved) {
+  if (!saved) return;
+  halted = !!saved.halted;
+  haltReason = saved.haltReason || null;
+  haltMessage = saved.haltMessage || null;
+  haltedAt = saved.haltedAt || null;
+  if (typeof saved.peakPnl === 'number') peakPnl = saved.peakPnl;
+  if (halted) {
+    log.warn(`Restored HALT from disk: ${haltMessage}`);
+  }
+}
+
+// Serializable state for persistence (survives deploys)
+export function getRiskState() {
+  return { halted, haltReason, haltMessage, haltedAt, peakPnl };
+}
+
+export function isTradingHalted() {
+  return halted;
+}
+
+export function getHaltMessage() {
+  return haltMessage;
+}
+
+// Called with getRiskStatus() when a halt trips or clears
+export function onRiskChange(fn) {
+  listeners.push(fn);
+}
+
+function emitChange() {
+  for (const fn of listeners) fn(getRiskStatus());
+}
+
+export function getRiskStatus() {
+  return {
+    halted,
+    haltReason,
+    haltMessage,
+    haltedAt,
+    dailyLossLimitPct: config.dailyLossLimitPct,
+    maxDrawdownPct: config.maxDrawdownPct,
+    flattenOnHalt: config.riskFlattenOnHalt,
+    ...(lastStatus || {}),
+  };
+}
+
+/**
+ * Clear a halt (and optionally restart the drawdown high-water mark from current equity).
+ */
+export function resetRisk({ resetPeak = false } = {}) {
+  const was = haltMessage;
+  halted = false;
+  haltReason = null;
+  haltMessage = null;
+  haltedAt = null;
+  if (resetPeak) resetRiskPeak();
+  if (was) {
+    log.info(`Halt cleared (was: ${was})`);
+    emitChange();
+  }
+}
+
+// Cumulative PnL was reset — the high-water mark restarts from current equity
+export function resetRiskPeak() {
+  peakPnl = null;
+}
+
+function dayStart(ts) {
+  return Math.floor(ts / DAY_MS) * DAY_MS;
+}
+
+export async function checkRiskLimits() {
+  const t = now();
+  const balance = getInitialBalance();
+  if (balance <= 0) return;
+
+  const todayStart = dayStart(t);
+  const realizedToday = getPnlHistory()
+    .filter(p => p.closedAt >= todayStart)
+    .reduce((s, p) => s + p.pnl, 0);
+  let unrealised = 0;
+  for (const pos of getActivePositions().values()) {
+    unrealised += pos.unrealisedPnl || 0;
+  }
+
+  // Balance already includes realized PnL — back it out for the baselines
+  const dailyPnl = realizedToday + unrealised;
+  const dayStartBalance = balance - realizedToday;
+  const equityPnl = getTotalPnl() + unrealised;
+  if (peakPnl == null || equityPnl > peakPnl) peakPnl = equityPnl;
+  const peakEquity = balance - getTotalPnl() + peakPnl;
+  const drawdown = peakPnl - equityPnl;
+
+  const dailyLimitUsd = dayStartBalance * (config.dailyLossLimitPct / 100);
+  const drawdownLimitUsd = peakEquity * (config.maxDrawdownPct / 100);
+
+  lastStatus = {
+    day: new Date(todayStart).toISOString().slice(0, 10),
+    dailyPnl: dailyPnl.toFixed(2),
+    dailyLimitUsd: dailyLimitUsd.toFixed(2),
+    dayStartBalance: dayStartBalance.toFixed(2),
+    equity: (balance + unrealised).toFixed(2),
+    peakEquity: peakEquity.toFixed(2),
+    drawdownUsd: drawdown.toFixed(2),
+    drawdownPct: peakEquity > 0 ? ((drawdown / peakEquity) * 100).toFixed(2) : '0',
+    drawdownLimitUsd: drawdownLimitUsd.toFixed(2),
+  };
+
+  // A daily halt expires with the day it was tripped on
+  if (halted && haltReason === 'DAILY_LOSS' && haltedAt < todayStart) {
+    resetRisk();
+  }
+  if (halted) return;
+
+  if (config.maxDrawdownPct > 0 && drawdown >= drawdownLimitUsd) {
+    await halt('MAX_DRAWDOWN', `Trailing drawdown $${drawdown.toFixed(2)} ≥ ${config.maxDrawdownPct}% of peak equity $${peakEquity.toFixed(2)}`);
+  } else if (config.dailyLossLimitPct > 0 && -dailyPnl >= dailyLimitUsd) {
+    await halt('DAILY_LOSS', `Daily loss $${(-dailyPnl).toFixed(2)} ≥ ${config.dailyLossLimitPct}% of day start balance $${dayStartBalance.toFixed(2)}`);
+  }
+}
+
+async function halt(reason, message) {
+  halted = true;
+  haltReason = reason;
+  haltMessage = message;
+  haltedAt = now();
+  log.error(`TRADING HALTED — ${message}`);
+  // On disk before anything else — a crash while flattening must not lose the halt
+  if (isPersisting()) saveJSON('risk_state.json', getRiskState());
+  emitChange();
+  notify('risk', { reason, message: config.riskFlattenOnHalt ? `${message} — flattening open positions` : message });
+
+  if (config.riskFlattenOnHalt && !(await flattenAll())) {
+    notify('risk', { reason, message: 'Flatten incomplete — positions still open' });
+  }
+}
+
+/**
+ * Market-close every open position; tracked ones are recorded by the monitor
+ * with exit type `reason`. Sizes are re-read from the exchange before each
+ * round, so a close that was rejected or didn't fill is sent again — up to
+ * FLATTEN_ATTEMPTS rounds. Returns true once nothing is left open; the
+ * caller alerts on false (a risk halt and the kill switch alert differently).
+ */
+export async function flattenAll(reason = 'RISK_HALT') {
+  for (let attempt = 1; attempt <= FLATTEN_ATTEMPTS; attempt++) {
+    const open = await openPositions();
+    if (open.length === 0) {
+      if (attempt > 1) log.info('All positions flattened');
+      return true;
+    }
+    log.warn(`Flattening ${open.length} position(s)${attempt > 1 ? ` (attempt ${attempt}/${FLATTEN_ATTEMPTS})` : ''}...`);
+
+    await Promise.all(open.map(async ({ symbol, side, size }) => {
+      try {
+        const res = await closePosition(symbol, side, size, 'Market');
+        const tracked = getActivePositions().get(symbol);
+        if (res.retCode === 0) {
+          // monitor records the close with this exit type
+          if (tracked && !tracked.closeReason) tracked.closeReason = reason;
+          log.info(`Closed ${side} ${size} ${symbol}`, { symbol });
+        } else {
+          log.error(`Failed to close ${symbol}: ${res.retMsg}`, { symbol });
+        }
+      } catch (err) {
+        log.error(`Close error for ${symbol}: ${err.message}`, { symbol });
+      }
+    }));
+    await sleep(FLATTEN_CHECK_MS);
+  }
+
+  const left = await openPositions();
+  if (left.length === 0) return true;
+  const list = left.map(p => `${p.side} ${p.size} ${p.symbol}`).join(', ');
+  log.error(`Flatten incomplete after ${FLATTEN_ATTEMPTS} attempts — still open: ${list}`);
+  return false;
+}
+
+// Open positions as the exchange sees them; the tracked ones if it can't be asked
+async function openPositions() {
+  try {
+    const res = await getPositions();
+    if (res.retCode === 0) {
+      return res.result.list
+        .filter(p => parseFloat(p.size) > 0)
+        .map(p => ({ symbol: p.symbol, side: p.side, size: parseFloat(p.size) }));
+    }
+    log.warn(`Position list failed (${res.retMsg}) — using tracked positions`);
+  } catch (err) {
+    log.warn(`Position list failed (${err.message}) — using tracked positions`);
+  }
+  return [...getActivePositions().values()].map(p => ({ symbol: p.symbol, side: p.side, size: p.qty }));
+}
@@ -2,6 +2,10 @@ import WebSocket from 'ws';
 import { config } from '../config.js';
 import { EventEmitter } from 'events';
 import { instrumentCache } from './instruments.js';
+import { evaluateLiq } from './threshold.js';
+import { createLogger } from './logger.js';
+import { counter } from './metrics.js';
+import { notify } from './notifier.js';
 
 /**
  * Liquidation Scanner
@@ -12,6 +16,10 @@ import { instrumentCache } from './instruments.js';
  * Subscribes per-symbol using allLiquidation.{SYMBOL} topic.
  * Bybit allows max 10 args per subscribe message, so we batch them.
  */
+
+const log = createLogger('SCANNER');
+const wsReconnects = counter('liqbot_ws_reconnects_total', 'WebSocket disconnects (each followed by a reconnect), by stream');
+
 export class LiquidationScanner extends EventEmitter {
   constructor() {
     super();
@@ -22,7 +30,7 @@ export class LiquidationScanner extends EventEmitter {
   }
 
   connect() {
-    console.log(`[SCANNER] Connecting to ${config.endpoints.ws_public}...`);
+    log.info(`Connecting to ${config.endpoints.ws_public}...`);
 
     this.ws = new WebSocket(config.endpoints.ws_public, {
       perMessageDeflate: false,
@@ -30,7 +38,7 @@ export class LiquidationScanner extends EventEmitter {
     });
 
     this.ws.on('open', () => {
-      console.log('[SCANNER] Connected. Subscribing to allLiquidation for all symbols...');
+      log.info('Connected. Subscribing to allLiquidation for all symbols...');
       this.alive = true;
       this.reconnectDelay = 1000;
 
@@ -46,7 +54,7 @@ export class LiquidationScanner extends EventEmitter {
         batchCount++;
       }
 
-      console.log(`[SCANNER] Sent ${batchCount} subscription batches for ${symbols.length} symbols.`);
+      log.info(`Sent ${batchCount} subscription batches for ${symbols.length} symbols.`);
 
       this._startHeartbeat();
     });
@@ -70,7 +78,7 @@ export class LiquidationScanner extends EventEmitter {
           const qty = parseFloat(d.v);
           const usdValue = price * qty;
 
-          const qualifies = usdValue >= config.minLiqValueUsd;
+          const { qualifies, threshold } = evaluateLiq(d.s, usdValue);
           if (!qualifies) this.stats.filtered++;
 
           const liqEvent = {
@@ -80,6 +88,7 @@ export class LiquidationScanner extends EventEmitter {
             qty,
             usdValue,
             qualifies,
+            threshold,
             timestamp: Date.now(),
             updatedTime: d.T,
           };
@@ -92,13 +101,15 @@ export class LiquidationScanner extends EventEmitter {
     });
 
     this.ws.on('close', () => {
-      console.log('[SCANNER] Disconnected. Reconnecting...');
+      wsReconnects.inc({ stream: 'liquidations' });
+      log.info('Disconnected. Reconnecting...');
+      notify('disconnect', { stream: 'liquidations', message: 'no new liquidations until it reconnects' });
       this.alive = false;
       this._reconnect();
     });
 
     this.ws.on('error', (err) => {
-      console.error('[SCANNER] WS error:', err.message);
+      log.error(`WS error: ${err.message}`);
       this.stats.errors++;
     });
   }
@@ -0,0 +1,106 @@
+import { config } from '../config.js';
+import { getTurnover } from './volume-filter.js';
+import { readTapeDays } from './recorder.js';
+import { now } from './clock.js';
+import { createLogger } from './logger.js';
+
+/**
+ * Per-Symbol Liquidation Thresholds
+ *
+ * The USD size a liquidation must reach to qualify, per symbol:
+ * 1. An explicit override from LIQ_THRESHOLD_OVERRIDES / POST /api/config wins.
+ * 2. Otherwise LIQ_THRESHOLD_MODE:
+ *    - 'fixed' (default): MIN_LIQ_VALUE_USD for every symbol
+ *    - 'turnover': LIQ_TURNOVER_PCT % of the symbol's 24h turnover
+ *    - 'percentile': the LIQ_PERCENTILE-th percentile of the symbol's last
+ *      LIQ_PERCENTILE_SAMPLES liquidation sizes (seeded from the tape on startup)
+ *    Relative modes never go below LIQ_THRESHOLD_FLOOR_USD and fall back to
+ *    MIN_LIQ_VALUE_USD while a symbol has no turnover / too few samples.
+ */
+
+const log = createLogger('THRESHOLD');
+
+const samples = new Map(); // symbol -> [usdValue, ...] oldest first
+
+export function getLiqThreshold(symbol) {
+  const override = config.liqThresholdOverrides[symbol];
+  if (override != null) return { usd: override, source: 'override' };
+
+  let usd = null;
+  if (config.liqThresholdMode === 'turnover') {
+    const turnover = getTurnover(symbol);
+    if (turnover > 0) usd = turnover * (config.liqTurnoverPct / 100);
+  } else if (config.liqThresholdMode === 'percentile') {
+    const list = samples.get(symbol);
+    if (list && list.length >= config.liqPercentileMinSamples) usd = percentile(list, config.liqPercentile);
+  }
+
+  if (usd == null) return { usd: config.minLiqValueUsd, source: 'fixed' };
+  return { usd: Math.max(usd, config.liqThresholdFloorUsd), source: config.liqThresholdMode };
+}
+
+/**
+ * Qualify a liquidation against its symbol's threshold, then add it to the
+ * symbol's size history (after, so a print never raises its own bar).
+ */
+export function evaluateLiq(symbol, usdValue) {
+  const threshold = getLiqThreshold(symbol).usd;
+  recordLiqSize(symbol, usdValue);
+  return { qualifies: usdValue >= threshold, threshold };
+}
+
+export function recordLiqSize(symbol, usdValue) {
+  if (!samples.has(symbol)) samples.set(symbol, []);
+  const list = samples.get(symbol);
+  list.push(usdValue);
+  if (list.length > config.liqPercentileSamples) list.shift();
+}
+
+function percentile(values, pct) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const idx = Math.min(sorted.length - 1, Math.max(0, Math.ceil((pct / 100) * sorted.length) - 1));
+  return sorted[idx];
+}
+
+/**
+ * Current threshold for every symbol with an override or recorded sizes.
+ */
+export function getThresholdTable() {
+  const symbols = new Set([...Object.keys(config.liqThresholdOverrides), ...samples.keys()]);
+  return [...symbols].sort().map(symbol => ({
+    symbol,
+    ...getLiqThreshold(symbol),
+    samples: samples.get(symbol)?.length || 0,
+  }));
+}
+
+// Percentile mode needs history — start from the recorded tape instead of empty.
+// Days are read newest first, one at a time, and each symbol stops collecting
+// once it holds LIQ_PERCENTILE_SAMPLES sizes.
+export async function seedThresholdsFromTape(days = 7) {
+  if (config.liqThresholdMode !== 'percentile') return;
+  try {
+    const newest = new Map(); // symbol -> sizes, newest first
+    let count = 0;
+    for await (const records of readTapeDays({ from: now() - days * 24 * 60 * 60 * 1000, to: now(), newestFirst: true })) {
+      for (let i = records.length - 1; i >= 0; i--) {
+        const ev = records[i];
+        if (!newest.has(ev.symbol)) newest.set(ev.symbol, []);
+        const list = newest.get(ev.symbol);
+        if (list.length >= config.liqPercentileSamples) continue;
+        list.push(ev.usdValue);
+        count++;
+      }
+    }
+    for (const [symbol, sizes] of newest) {
+      for (let i = sizes.length - 1; i >= 0; i--) recordLiqSize(symbol, sizes[i]);
+    }
+    log.info(`Seeded ${samples.size} symbol(s) with ${count} recorded liquidation(s).`);
+  } catch (err) {
+    log.error(`Tape seed failed: ${err.message}`);
+  }
+}
+
+export function resetThresholds() {
+  samples.clear();
+}
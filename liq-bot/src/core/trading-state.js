@@ -0,0 +1,96 @@
+import { flattenAll } from './risk.js';
+import { getPendingSymbols } from './executor.js';
+import { now, sleep } from './clock.js';
+import { createLogger } from './logger.js';
+import { notify } from './notifier.js';
+
+/**
+ * Trading State (kill switch)
+ *
+ * What the operator lets the bot do, independent of the Risk Governor:
+ * - running: normal trading
+ * - paused: new liquidations are skipped (entries and DCA adds); an order
+ *   already in flight finishes, open positions keep being managed
+ * - reduce-only: as paused, and an entry chase in flight stops re-quoting
+ *   (no market fallback) — from the switch on only reduce-only orders
+ *   (TP, SL, trailing, manual closes) go out
+ * - flatten: stop in-flight entries, market-close every position (exit type
+ *   FLATTEN), then pause. Transient — it ends in paused.
+ *
+ * Changes reach listeners (persistence, SSE) through onTradingStateChange.
+ */
+
+const log = createLogger('TRADING');
+
+export const TRADING_STATES = ['running', 'paused', 'reduce-only', 'flatten'];
+const PENDING_WAIT_MS = 10000;
+
+let current = { state: 'running', reason: null, changedAt: null, changedBy: null };
+const listeners = [];
+
+export function getTradingState() {
+  return { ...current };
+}
+
+// New entries and DCA adds allowed
+export function isTradingRunning() {
+  return current.state === 'running';
+}
+
+// Orders that add exposure may still go out (an entry chase in flight)
+export function allowsNewExposure() {
+  return current.state === 'running' || current.state === 'paused';
+}
+
+export function onTradingStateChange(fn) {
+  listeners.push(fn);
+}
+
+function set(state, { actor, reason }) {
+  const from = current.state;
+  current = { state, reason, changedAt: now(), changedBy: actor };
+  const line = `${from} → ${state} by ${actor}${reason ? ` (${reason})` : ''}`;
+  if (state === 'running') log.info(line);
+  else log.warn(line);
+  notify('trading', { state, actor, message: reason || `${from} → ${state}` });
+  for (const fn of listeners) fn(getTradingState());
+}
+
+/**
+ * Switch to `state`. Returns the new state right away, or { error } for an
+ * unknown one. Flatten runs in the background; listeners see it end in paused.
+ */
+export function setTradingState(state, { actor = 'api', reason = null } = {}) {
+  if (!TRADING_STATES.includes(state)) return { error: `state must be one of: ${TRADING_STATES.join(', ')}` };
+  if (current.state === 'flatten') return { error: 'Flatten in progress' };
+  if (state === current.state) return getTradingState();
+
+  set(state, { actor, reason });
+  if (state === 'flatten') {
+    flatten().then(
+      (flat) => set('paused', { actor, reason: flat ? reason || 'flattened' : 'flatten incomplete — positions still open' }),
+      (err) => {
+        log.error(`Flatten failed: ${err.message}`);
+        set('paused', { actor, reason: `flatten failed: ${err.message}` });
+      },
+    );
+  }
+  return getTradingState();
+}
+
+// Close everything, wait for entries in flight to land, close those too
+async function flatten() {
+  await flattenAll('FLATTEN');
+  // Entries in flight stop at the next re-quote and land in activePositions
+  const start = now();
+  while (getPendingSymbols().size > 0 && now() - start < PENDING_WAIT_MS) await sleep(500);
+  return flattenAll('FLATTEN');
+}
+
+export function hydrateTradingState(saved) {
+  if (!saved || !TRADING_STATES.includes(saved.state)) return;
+  current = { state: saved.state, reason: saved.reason ?? null, changedAt: saved.changedAt ?? null, changedBy: saved.changedBy ?? null };
+  // Stopped mid-flatten — don't close on startup, just stay out of the market
+  if (current.state === 'flatten') current = { ...current, state: 'paused', reason: 'flatten interrupted by restart' };
+  if (current.state !== 'running') log.warn(`Restored trading state from disk: ${current.state}${current.reason ? ` (${current.reason})` : ''}`);
+}
@@ -1,5 +1,6 @@
 import { getAllTickers } from '../api/bybit.js';
 import { config } from '../config.js';
+import { createLogger } from './logger.js';
 
 /**
  * Volume filter — skips trades on low-volume coins.
@@ -9,14 +10,16 @@ import { config } from '../config.js';
  * refreshes every 5 minutes.
  */
 
+const log = createLogger('VOLUME');
+
 const volumeCache = new Map(); // symbol -> turnover24h (USDT)
 let refreshInterval = null;
 
-async function fetchVolumes() {
+export async function fetchVolumes() {
   try {
     const res = await getAllTickers();
     if (res.retCode !== 0) {
-      console.error('[VOLUME] Failed to fetch tickers:', res.retMsg);
+      log.error(`Failed to fetch tickers: ${res.retMsg}`);
       return;
     }
 
@@ -26,9 +29,9 @@ async function fetchVolumes() {
       count++;
     }
 
-    console.log(`[VOLUME] Loaded volume data for ${count} symbols`);
+    log.info(`Loaded volume data for ${count} symbols`);
   } catch (err) {
-    console.error('[VOLUME] Fetch error:', err.message);
+    log.error(`Fetch error: ${err.message}`);
   }
 }
 
@@ -1,5 +1,9 @@
-import { getKlines } from '../api/bybit.js';
-import { config } from '../config.js';
+import { getCandles, isSeriesLive } from '../api/ws-kline.js';
+import { CONFIG_SCHEMA } from '../config-schema.js';
+import { getSymbolConfig } from './profiles.js';
+import { now } from './clock.js';
+import { INTERVAL_MS } from './indicators.js';
+import { createLogger } from './logger.js';
 
 /**
  * VWAP with Standard Deviation Bands.
@@ -11,41 +15,79 @@ import { config } from '../config.js';
  *
  * DCA only triggers when price is beyond the band — statistically extended
  * from fair value based on each asset's own volatility around VWAP.
+ *
+ * VWAP_ANCHOR sets where the average starts:
+ * - 'rolling' (default): the last VWAP_LOOKBACK candles
+ * - 'session': UTC midnight
+ * - 'position': when the position was opened
+ * - 'cluster': the first print of the liquidation cluster being traded
+ *   (the position's open time for single liquidations)
+ * Anchored windows always span at least VWAP_MIN_BARS candles, reaching back
+ * before the anchor if it is that recent.
+ *
+ * Includes the forming candle, so a live kline series (api/ws-kline.js) is
+ * recomputed from memory on every read; REST-fetched results are cached 30s.
  */
 
-const vwapCache = new Map(); // symbol -> { vwap, sd, timestamp }
+const log = createLogger('VWAP');
+
+export const VWAP_ANCHORS = CONFIG_SCHEMA.vwapAnchor.values;
+
+const vwapCache = new Map(); // `${symbol}:${interval}` -> { vwap, sd, window, timestamp, ... }
 const CACHE_TTL_MS = 30_000; // 30s cache
+const MAX_KLINES = 1000;     // one kline page — anchors further back are cut off
+
+function sessionStart(t) {
+  return Math.floor(t / 86_400_000) * 86_400_000;
+}
+
+/**
+ * Anchor time for `anchor`, or null for a rolling window. `position` and
+ * `liqEvent` supply the position / cluster anchors.
+ */
+export function getAnchorTime(anchor, { position = null, liqEvent = null } = {}) {
+  if (anchor === 'session') return sessionStart(now());
+  if (anchor === 'cluster' && liqEvent?.cluster) return liqEvent.firstAt;
+  if (anchor === 'position' || anchor === 'cluster') return position?.openTime ?? null;
+  return null;
+}
+
+// Candles from `anchorTime` to now on `interval` (at least `minBars`, at most one page)
+function barsSince(anchorTime, interval, minBars) {
+  const ms = INTERVAL_MS[String(interval)] || 60_000;
+  const bars = Math.floor(now() / ms) - Math.floor(anchorTime / ms) + 1;
+  return Math.min(Math.max(bars, minBars), MAX_KLINES);
+}
+
+/**
+ * { vwap, sd, interval, from, bars, timestamp } or null. `anchorTime` null
+ * means a rolling `lookback`-candle window.
+ */
+export async function getVWAP(symbol, { interval, anchorTime = null, lookback } = {}) {
+  const cfg = getSymbolConfig(symbol);
+  interval = String(interval ?? cfg.vwapInterval);
+  const limit = anchorTime == null ? (lookback ?? cfg.vwapLookback) : barsSince(anchorTime, interval, cfg.vwapMinBars);
+  const key = `${symbol}:${interval}`;
+  const window = `${anchorTime ?? 'rolling'}:${limit}`;
 
-export async function getVWAP(symbol, interval = config.atrInterval, limit = 50) {
   // Check cache
-  const cached = vwapCache.get(symbol);
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL_MS) {
+  const cached = vwapCache.get(key);
+  if (cached && cached.window === window && !isSeriesLive(symbol, interval) && now() - cached.timestamp < CACHE_TTL_MS) {
     return cached;
   }
 
   try {
-    const res = await getKlines(symbol, interval, limit);
+    const res = await getCandles(symbol, interval, limit);
+    if (!res) return null;
+    const candles = res.candles.slice(-limit);
 
-    if (res.retCode !== 0 || !res.result?.list?.length) {
-      console.error(`[VWAP] Failed to fetch klines for ${symbol}:`, res.retMsg);
-      return null;
-    }
-
-    const candles = res.result.list;
-
-    // Bybit returns candles newest-first: [timestamp, open, high, low, close, volume, turnover]
     // Pass 1: Calculate VWAP
     let sumTPV = 0;
     let sumVol = 0;
     const tps = []; // store typical prices and volumes for SD calculation
     const vols = [];
 
-    for (const c of candles) {
-      const high = parseFloat(c[2]);
-      const low = parseFloat(c[3]);
-      const close = parseFloat(c[4]);
-      const volume = parseFloat(c[5]);
-
+    for (const { high, low, close, volume } of candles) {
       const tp = (high + low + close) / 3;
       sumTPV += tp * volume;
       sumVol += volume;
@@ -67,12 +109,42 @@ export async function getVWAP(symbol, interval = config.atrInterval, limit = 50)
     }
     const sd = Math.sqrt(sumWeightedSqDev / sumVol);
 
-    const result = { vwap, sd, timestamp: Date.now() };
-    vwapCache.set(symbol, result);
+    const result = { vwap, sd, interval, from: candles[0].start, bars: candles.length, timestamp: now() };
+    vwapCache.set(key, { ...result, window });
 
     return result;
   } catch (err) {
-    console.error(`[VWAP] Error calculating VWAP for ${symbol}:`, err.message);
+    log.error(`Error calculating VWAP for ${symbol}: ${err.message}`, { symbol });
     return null;
   }
 }
+
+/**
+ * DCA gate: is `price` beyond the VWAP band (longs below the lower band, shorts
+ * above the upper) on every DCA_VWAP_TIMEFRAMES interval? Timeframes without
+ * data are left out; returns null if none had any.
+ * → { passed, anchor, checks: [{ interval, vwap, sd, band, passed }] }
+ */
+export async function checkVwapBands(symbol, side, price, { position = null, liqEvent = null } = {}) {
+  const cfg = getSymbolConfig(symbol);
+  const anchorTime = getAnchorTime(cfg.vwapAnchor, { position, liqEvent });
+  const timeframes = cfg.dcaVwapTimeframes.length > 0 ? cfg.dcaVwapTimeframes : [cfg.vwapInterval];
+
+  const checks = [];
+  for (const interval of timeframes) {
+    const data = await getVWAP(symbol, { interval, anchorTime }).catch(() => null);
+    if (!data) continue;
+    const band = side === 'Buy'
+      ? data.vwap - data.sd * cfg.dcaVwapSdMultiplier
+      : data.vwap + data.sd * cfg.dcaVwapSdMultiplier;
+    checks.push({
+      interval: data.interval,
+      vwap: data.vwap,
+      sd: data.sd,
+      band,
+      passed: side === 'Buy' ? price <= band : price >= band,
+    });
+  }
+  if (checks.length === 0) return null;
+  return { passed: checks.every(c => c.passed), anchor: cfg.vwapAnchor, checks };
+}
@@ -1,19 +1,70 @@
 import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { config } from './config.js';
+import { config, validateConfigUpdate, applyConfigUpdate, restoreConfigOverrides, getPublicConfig } from './config.js';
+import { CONFIG_SCHEMA, describeConfigSchema } from './config-schema.js';
 import { LiquidationScanner } from './core/scanner.js';
+import { LiquidationClusterer, tradesSingles, tradesClusters } from './core/cluster.js';
+import { seedThresholdsFromTape, getThresholdTable } from './core/threshold.js';
+import { PROFILE_PARAMS, getProfiles, getSymbolConfig, getSymbolProfiles, validateProfile, setProfile, deleteProfile, hydrateProfiles } from './core/profiles.js';
+import { compareATR } from './core/atr.js';
+import { checkVwapBands } from './core/vwap.js';
+import { isContextFilterOn, checkMarketContext } from './core/context.js';
+import { closeTrackedPosition, reducePosition, setBreakeven, setTrailingDistance } from './core/manual.js';
+import { getBlockReason, getFilters, validateFilters, updateFilters, resetFilters, hydrateFilters } from './core/filters.js';
 import { executeTrade, getTradeLog, resetTradeLog, getActivePositions, setInitialBalance, loadExistingPositions, hydrateTradeLog, getPositionState, hydratePositionState } from './core/executor.js';
 import { startMonitor, getStats, getPnlHistory, getTotalPnl, hydratePnl, resetPnl, reconcilePnl, getResetTimestamp } from './core/monitor.js';
-import { startPersistence, saveJSON, loadJSON } from './core/persistence.js';
+import { startPersistence, flushPersistence, saveJSON, loadJSON, DATA_DIR } from './core/persistence.js';
 import { instrumentCache } from './core/instruments.js';
+import { hydrateRiskState, getRiskState, getRiskStatus, resetRisk, resetRiskPeak, onRiskChange } from './core/risk.js';
+import { hydrateCooldowns, getCooldownState, getActiveCooldowns } from './core/cooldown.js';
+import { TRADING_STATES, getTradingState, setTradingState, onTradingStateChange, hydrateTradingState } from './core/trading-state.js';
+import { startRecorder, flushRecorder, recordLiquidation, queryTape, getRecorderStats } from './core/recorder.js';
 import { loadVolumes, isLowVolume } from './core/volume-filter.js';
 import { getWalletBalance } from './api/bybit.js';
 import { connectTradeWs } from './api/ws-trade.js';
+import { connectPrivateWs, isPrivateWsReady, onPrivateEvent } from './api/ws-private.js';
+import { connectKlineWs, watchKlines, setPinnedKlines, getKlineStats } from './api/ws-kline.js';
+import { connectTickerWs, watchTicker, setPinnedTickers, getTickerStats } from './api/ws-ticker.js';
+import { connectOrderbookWs, watchOrderbook, setPinnedOrderbooks, getOrderbookLevels, getBestBidAsk, getDepth, getOrderbookStats } from './api/ws-orderbook.js';
+import { startPaper, TapeScanner } from './sim/paper.js';
+import { counter, gauge, onCollect, renderMetrics, getHistogramSummary, getMetricValues } from './core/metrics.js';
+import { createLogger, startLogFiles, stopLogFiles, getLogs, getLogComponents, onLog, LOG_LEVELS } from './core/logger.js';
+import { authenticate, requireRole, guardApi, login, logout, sessionCookie, createToken, revokeToken, listTokens, validateTokenRequest, getTokenState, hydrateTokens, getAuthMode, logStartupMode, clientIp } from './core/auth.js';
+import { auditRequests, getAuditLog, startAuditLog, stopAuditLog } from './core/audit.js';
+import { commitConfigVersion, getConfigVersion, getConfigHistory, getConfigVersionEntry, diffConfigVersions, applyConfigVersion, snapshotConfig, getConfigHistoryState, hydrateConfigHistory } from './core/config-history.js';
+import { startAlerts, sendTestAlert, getAlertStatus, validateAlertSettings, updateAlertSettings, resetAlertSettings, hydrateAlertSettings } from './core/notifier.js';
+
+const log = createLogger('MAIN');
+const accountLog = createLogger('ACCOUNT');
+const apiLog = createLogger('API');
+const configLog = createLogger('CONFIG');
+const initLog = createLogger('INIT');
+const serverLog = createLogger('SERVER');
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+/**
+ * The one exit path on SIGTERM (deploy / restart) and SIGINT: flush the tape,
+ * save state, close the log and audit files, then exit.
+ */
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  log.warn(`${signal} received — saving state and shutting down`);
+  flushRecorder();
+  flushPersistence();
+  await Promise.all([stopAuditLog(), stopLogFiles()]);
+  process.exit(signal === 'SIGINT' ? 130 : 0);
+}
+
 async function main() {
+  if (config.logFile) startLogFiles(DATA_DIR);
+  startAuditLog(DATA_DIR);
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+
   console.log('===========================================');
   console.log('  BYBIT LIQUIDATION COUNTERTRADER');
   console.log(`  Network: ${config.network.toUpperCase()}`);
@@ -21,43 +72,58 @@ async function main() {
   console.log(`  Min TP profit: ${config.minTpPct}% of trade value`);
   console.log(`  TP fallback: ${config.takeProfitPct}%`);
   console.log(`  Max positions: ${config.maxPositions}`);
-  console.log(`  Min liq value: $${config.minLiqValueUsd}`);
+  console.log(`  Min liq value: $${config.minLiqValueUsd} (threshold mode: ${config.liqThresholdMode})`);
+  console.log(`  Liq trigger: ${config.liqTriggerMode} (clusters: ${config.clusterMinCount}+ events ≥ $${config.clusterMinValueUsd || config.minLiqValueUsd} in ${config.clusterWindowSec}s)`);
   console.log(`  Min 24h volume: $${(config.minTurnover24h / 1e6).toFixed(1)}M`);
   console.log(`  Leverage: ${config.leverage}x`);
   console.log(`  Total risk budget: ${config.totalRiskPct}% of balance`);
-  console.log(`  ATR period: ${config.atrPeriod} (${config.atrInterval}m candles)`);
+  console.log(`  ATR period: ${config.atrPeriod} (${config.atrInterval}m candles, ${config.atrSmoothing}${config.atrClosedOnly ? ', closed only' : ''})`);
   console.log(`  TP multiplier: ${config.tpAtrMultiplier}x ATR`);
   console.log(`  SL multiplier: ${config.slAtrMultiplier}x ATR`);
   console.log(`  Trailing stop: ${config.trailingAtrMultiplier}x ATR`);
+  console.log(`  Daily loss limit: ${config.dailyLossLimitPct}% | Max drawdown: ${config.maxDrawdownPct}%${config.riskFlattenOnHalt ? ' (flatten on halt)' : ''}`);
   console.log('===========================================');
 
-  // 0. Restore persisted data from disk
-  const saved = startPersistence({ getTradeLog, getPnlHistory, getTotalPnl, getPositionState, getResetTimestamp });
+  // 0. Paper trading: simulated exchange behind bybit.js (before anything calls it)
+  const paper = config.network === 'paper';
+  if (paper) await startPaper();
+
+  // 0a. Restore persisted data from disk
+  const saved = startPersistence({ getTradeLog, getPnlHistory, getTotalPnl, getPositionState, getResetTimestamp, getRiskState, getCooldownState });
   hydrateTradeLog(saved.tradeLog);
   hydratePnl(saved.pnlHistory, saved.totalPnl, saved.resetTimestamp);
+  hydrateRiskState(saved.riskState);
+  hydrateCooldowns(saved.cooldowns);
+  hydrateTradingState(loadJSON('trading_state.json'));
+  startRecorder();
 
   // 0b. Restore runtime config overrides from disk
   const savedConfig = loadJSON('config_overrides.json');
   if (savedConfig) {
-    if (savedConfig.minLiqValueUsd != null) config.minLiqValueUsd = savedConfig.minLiqValueUsd;
-    if (savedConfig.maxPositions != null) config.maxPositions = savedConfig.maxPositions;
-    if (savedConfig.leverage != null) config.leverage = savedConfig.leverage;
-    if (savedConfig.slAtrMultiplier != null) config.slAtrMultiplier = savedConfig.slAtrMultiplier;
-    if (savedConfig.trailingAtrMultiplier != null) config.trailingAtrMultiplier = savedConfig.trailingAtrMultiplier;
-    if (savedConfig.atrInterval != null) config.atrInterval = String(savedConfig.atrInterval);
-    if (savedConfig.entryOrderType != null) config.entryOrderType = savedConfig.entryOrderType;
-    if (savedConfig.tpOrderType != null) config.tpOrderType = savedConfig.tpOrderType;
-    if (savedConfig.minTurnover24h != null) config.minTurnover24h = savedConfig.minTurnover24h;
-    console.log(`[CONFIG] Restored overrides from disk: minLiq=$${config.minLiqValueUsd}`);
+    const { restored, errors } = restoreConfigOverrides(savedConfig);
+    for (const error of errors) configLog.warn(`Ignoring saved override: ${error}`);
+    hydrateProfiles(savedConfig.profiles);
+    if (restored.length > 0) configLog.info(`Restored overrides from disk: ${restored.join(', ')}`);
   }
+  hydrateFilters(loadJSON('filters.json'));
+
+  // 0c. Config versions — a new one when the settings changed since the last run
+  hydrateConfigHistory(loadJSON('config_history.json'));
+  if (commitConfigVersion({ actor: 'startup', source: 'startup' })) saveJSON('config_history.json', getConfigHistoryState());
+
+  hydrateAlertSettings(loadJSON('alerts.json'));
+  hydrateTokens(loadJSON('api_tokens.json'));
+  logStartupMode();
+  startAlerts();
 
   // API credentials come from environment secrets only (fly secrets)
 
   // 1. Load instrument info
   await instrumentCache.load();
 
-  // 1a. Load volume data for low-cap filter
+  // 1a. Load volume data for low-cap filter (and turnover-relative thresholds)
   await loadVolumes();
+  await seedThresholdsFromTape();
 
   // 1b. Fetch initial account balance for SL calculation
   try {
@@ -66,10 +132,10 @@ async function main() {
       const balance = parseFloat(walletRes.result.list[0].totalWalletBalance);
       setInitialBalance(balance);
     } else {
-      console.error('[INIT] Failed to fetch wallet balance:', walletRes.retMsg);
+      initLog.error(`Failed to fetch wallet balance: ${walletRes.retMsg}`);
     }
   } catch (err) {
-    console.error('[INIT] Wallet balance error:', err.message);
+    initLog.error(`Wallet balance error: ${err.message}`);
   }
 
   // 1c. Load any existing positions from Bybit into tracking
@@ -86,30 +152,86 @@ async function main() {
   setInterval(() => instrumentCache.load(), 30 * 60 * 1000);
 
   // 2. Connect trade WebSocket (orders via WS for lower latency)
-  connectTradeWs();
+  //    and the private stream (positions, orders, fills, wallet in real time)
+  if (!paper) {
+    connectTradeWs();
+    connectPrivateWs();
+  }
+
+  // 2b. Local order book mirror for open positions + recently liquidated symbols
+  //     (tape paper mode serves its own simulated book)
+  if (!(paper && config.paperTape)) {
+    connectOrderbookWs();
+    setPinnedOrderbooks([...getActivePositions().keys()]);
+    setInterval(() => setPinnedOrderbooks([...getActivePositions().keys()]), 2000);
+  }
+
+  // 2c. Live candles for ATR / VWAP — open positions + recently liquidated symbols
+  if (!(paper && config.paperTape)) {
+    // ATR interval plus every DCA VWAP timeframe
+    const pinKlines = () => setPinnedKlines([...getActivePositions().keys()].flatMap((s) => {
+      const cfg = getSymbolConfig(s);
+      const intervals = new Set([cfg.atrInterval, cfg.vwapInterval, ...cfg.dcaVwapTimeframes]);
+      return [...intervals].map(interval => [s, interval]);
+    }));
+    connectKlineWs();
+    pinKlines();
+    setInterval(pinKlines, 2000);
+  }
+
+  // 2d. Open interest / funding for the market context filter
+  if (!(paper && config.paperTape)) {
+    connectTickerWs();
+    setPinnedTickers([...getActivePositions().keys()]);
+    setInterval(() => setPinnedTickers([...getActivePositions().keys()]), 2000);
+  }
 
   // 3. Start position monitor
   startMonitor();
 
   // 3. Start liquidation scanner
-  const scanner = new LiquidationScanner();
+  const scanner = paper && config.paperTape ? new TapeScanner() : new LiquidationScanner();
+  const clusterer = new LiquidationClusterer();
+
+  clusterer.on('liquidationCluster', (cluster) => {
+    if (tradesClusters()) {
+      watchOrderbook(cluster.symbol);
+      executeTrade(cluster).catch((err) => {
+        log.error(`Unhandled trade error: ${err.message}`);
+      });
+    }
+    broadcastToClients({ type: 'liquidationCluster', data: cluster });
+  });
 
   scanner.on('liquidation', (liqEvent) => {
     // Only trade on qualifying liquidations (above threshold)
-    if (liqEvent.qualifies) {
+    if (liqEvent.qualifies && tradesSingles()) {
+      watchOrderbook(liqEvent.symbol);
       executeTrade(liqEvent).catch((err) => {
-        console.error('[MAIN] Unhandled trade error:', err.message);
+        log.error(`Unhandled trade error: ${err.message}`);
       });
     }
 
+    // Bursts of smaller prints on one symbol/side add up to a cluster
+    clusterer.add(liqEvent);
+
     // Enrich with filter status for dashboard
     const enriched = { ...liqEvent };
-    if (instrumentCache.isBlocked(liqEvent.symbol)) {
-      enriched.blocked = 'Pre-listing/blocked';
+    const blockReason = getBlockReason(liqEvent.symbol, liqEvent.price);
+    if (blockReason) {
+      enriched.blocked = blockReason;
     } else if (isLowVolume(liqEvent.symbol)) {
       enriched.blocked = 'Low volume';
+    } else {
+      // Liquidations come in bursts — have candles in memory before one qualifies
+      const cfg = getSymbolConfig(liqEvent.symbol);
+      watchKlines(liqEvent.symbol, cfg.atrInterval);
+      if (isContextFilterOn(cfg)) watchTicker(liqEvent.symbol);
     }
 
+    // Record to the on-disk tape (with the blocked reason)
+    recordLiquidation(enriched);
+
     // Broadcast ALL liquidations to dashboard
     broadcastToClients({
       type: 'liquidation',
@@ -119,17 +241,115 @@ async function main() {
 
   scanner.connect();
 
+  // Metrics kept elsewhere, copied in on each /metrics scrape
+  const scannerMessages = counter('liqbot_scanner_messages_total', 'Liquidation messages seen by the scanner (total, filtered below threshold, errors)');
+  const clustersTotal = counter('liqbot_clusters_total', 'Liquidation clusters detected');
+  const openPositions = gauge('liqbot_open_positions', 'Open positions');
+  onCollect(() => {
+    for (const [kind, value] of Object.entries(scanner.stats)) scannerMessages.set({ kind }, value);
+    clustersTotal.set({}, clusterer.stats.clusters);
+    openPositions.set({}, getActivePositions().size);
+  });
+
   // 4. Start HTTP server (API + Dashboard)
   const app = express();
 
-  // Serve dashboard
+  // Serve dashboard (the page itself is public; it asks for a login when the API says 401)
   app.use(express.static(path.join(__dirname, '..', 'frontend')));
+  app.use(express.json());
+  app.use(authenticate);
+  app.use(auditRequests);
+
+  // Auth: session login / logout and who am I — open to everyone
+  app.post('/api/auth/login', (req, res) => {
+    const { username, password } = req.body || {};
+    const result = login(String(username ?? ''), password, clientIp(req));
+    if (result.error) return res.status(result.status).json({ ok: false, error: result.error });
+    req.auth = { user: result.user, role: result.role, via: 'session' }; // audited as the new user
+    res.setHeader('Set-Cookie', sessionCookie(result.sid, req, Math.round(config.authSessionHours * 3600)));
+    res.json({ ok: true, user: result.user, role: result.role, expires: result.expires });
+  });
+
+  app.post('/api/auth/logout', (req, res) => {
+    if (req.auth?.sid) logout(req.auth.sid);
+    res.setHeader('Set-Cookie', sessionCookie('', req, 0));
+    res.json({ ok: true });
+  });
+
+  app.get('/api/auth/me', (req, res) => {
+    if (!req.auth) return res.status(401).json({ ok: false, error: 'Login required', mode: getAuthMode() });
+    res.json({ user: req.auth.user, role: req.auth.role, via: req.auth.via, mode: getAuthMode() });
+  });
+
+  // Everything below: reads need viewer, changes operator; admin routes say so
+  app.use(['/api', '/metrics'], guardApi);
+
+  // API tokens (Authorization: Bearer ...) — the secret is only shown on creation
+  app.get('/api/auth/tokens', requireRole('admin'), (req, res) => {
+    res.json(listTokens());
+  });
+
+  // Body: { name, role }
+  app.post('/api/auth/tokens', requireRole('admin'), (req, res) => {
+    const error = validateTokenRequest(req.body);
+    if (error) return res.status(400).json({ ok: false, error });
+    const token = createToken(req.body.name, req.body.role, req.auth.user);
+    saveJSON('api_tokens.json', getTokenState());
+    res.json({ ok: true, ...token });
+  });
+
+  app.delete('/api/auth/tokens/:id', requireRole('admin'), (req, res) => {
+    if (!revokeToken(req.params.id)) return res.status(404).json({ ok: false, error: `No token ${req.params.id}` });
+    saveJSON('api_tokens.json', getTokenState());
+    res.json({ ok: true });
+  });
+
+  // Mutating requests, newest last — ?user=&since=&limit=
+  app.get('/api/audit', requireRole('admin'), (req, res) => {
+    res.json(getAuditLog({
+      user: req.query.user || undefined,
+      since: req.query.since ? parseInt(req.query.since) : undefined,
+      limit: req.query.limit ? parseInt(req.query.limit) : undefined,
+    }));
+  });
 
   // API endpoints for dashboard
   app.get('/api/stats', (req, res) => {
     res.json(getStats());
   });
 
+  // Buffered log records — ?level= (minimum), &component=A,B, &symbol=, &orderId=, &since= (ms), &limit=
+  app.get('/api/logs', (req, res) => {
+    const { level, component, symbol, orderId, since, limit } = req.query;
+    if (level && !LOG_LEVELS.includes(level)) {
+      return res.status(400).json({ error: `level must be one of ${LOG_LEVELS.join(', ')}` });
+    }
+    res.json({
+      components: getLogComponents(),
+      logs: getLogs({
+        level,
+        component,
+        symbol: symbol?.toUpperCase(),
+        orderId,
+        since: since ? parseInt(since) : null,
+        limit: Math.min(parseInt(limit) || 500, config.logBufferSize),
+      }),
+    });
+  });
+
+  // Prometheus scrape endpoint
+  app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(renderMetrics());
+  });
+
+  // Latency percentiles per executeTrade phase + counters, for the dashboard
+  app.get('/api/latency', (req, res) => {
+    res.json({
+      phases: getHistogramSummary('liqbot_trade_phase_ms').map(({ labels, ...stats }) => ({ phase: labels.phase, ...stats })),
+      counters: getMetricValues(),
+    });
+  });
+
   app.get('/api/trades', (req, res) => {
     res.json(getTradeLog().slice(0, 100));
   });
@@ -138,6 +358,37 @@ async function main() {
     res.json([...getActivePositions().values()]);
   });
 
+  // Manual controls on a tracked position — closes are recorded with exit type MANUAL
+  const sendManual = (res, result) => {
+    if (result.error) return res.status(result.status).json({ ok: false, error: result.error });
+    res.json(result);
+  };
+
+  // Body: { orderType: 'Market' | 'Limit', price? } — a Limit without price quotes the touch
+  app.post('/api/positions/:symbol/close', async (req, res) => {
+    const { orderType, price } = req.body || {};
+    sendManual(res, await closeTrackedPosition(req.params.symbol.toUpperCase(), { orderType, price }));
+  });
+
+  // Body: { pct } — market-close that share of the position
+  app.post('/api/positions/:symbol/reduce', async (req, res) => {
+    sendManual(res, await reducePosition(req.params.symbol.toUpperCase(), req.body?.pct));
+  });
+
+  app.post('/api/positions/:symbol/breakeven', async (req, res) => {
+    sendManual(res, await setBreakeven(req.params.symbol.toUpperCase()));
+  });
+
+  // Body: { distance } in price, or { atrMultiple } of the position's ATR
+  app.post('/api/positions/:symbol/trailing', async (req, res) => {
+    const { distance, atrMultiple } = req.body || {};
+    sendManual(res, await setTrailingDistance(req.params.symbol.toUpperCase(), { distance, atrMultiple }));
+  });
+
+  app.get('/api/cooldowns', (req, res) => {
+    res.json(getActiveCooldowns());
+  });
+
   app.get('/api/pnl', (req, res) => {
     res.json({
       total: getPnlHistory().reduce((s, p) => s + p.pnl, 0),
@@ -149,121 +400,329 @@ async function main() {
     res.json({
       connected: scanner.alive,
       stats: scanner.stats,
+      privateStream: isPrivateWsReady(),
+      orderbooks: getOrderbookStats(),
+      klines: getKlineStats(),
+      tickers: getTickerStats(),
+      clusters: clusterer.stats,
     });
   });
 
-  app.get('/api/config', (req, res) => {
+  // Per-symbol liquidation thresholds (overrides + symbols seen so far)
+  app.get('/api/thresholds', (req, res) => {
     res.json({
-      network: config.network,
-      positionSizeUsd: config.positionSizeUsd,
-      takeProfitPct: config.takeProfitPct,
-      maxPositions: config.maxPositions,
+      mode: config.liqThresholdMode,
       minLiqValueUsd: config.minLiqValueUsd,
-      leverage: config.leverage,
-      atrPeriod: config.atrPeriod,
-      atrInterval: config.atrInterval,
-      tpAtrMultiplier: config.tpAtrMultiplier,
-      slAtrMultiplier: config.slAtrMultiplier,
-      trailingAtrMultiplier: config.trailingAtrMultiplier,
-      maxPositions: config.maxPositions,
-      entryOrderType: config.entryOrderType,
-      tpOrderType: config.tpOrderType,
-      minTurnover24h: config.minTurnover24h,
-      leverage: config.leverage,
+      floorUsd: config.liqThresholdFloorUsd,
+      symbols: getThresholdTable(),
     });
   });
 
-  // API: update min liq threshold at runtime
-  app.use(express.json());
-  app.post('/api/config', (req, res) => {
-    const updates = {};
-
-    const { minLiqValueUsd, maxPositions, leverage, slAtrMultiplier, trailingAtrMultiplier, atrInterval, entryOrderType, tpOrderType, minTurnover24h } = req.body;
+  // ATR under every smoothing mode (legacy = the original high-low mean)
+  app.get('/api/atr/:symbol', async (req, res) => {
+    const result = await compareATR(req.params.symbol.toUpperCase()).catch(() => null);
+    if (!result) return res.status(404).json({ error: 'No kline data' });
+    res.json(result);
+  });
 
-    if (minLiqValueUsd != null && typeof minLiqValueUsd === 'number' && minLiqValueUsd >= 0) {
-      const old = config.minLiqValueUsd;
-      config.minLiqValueUsd = minLiqValueUsd;
-      console.log(`[CONFIG] Min liq threshold changed: $${old} → $${minLiqValueUsd}`);
-      updates.minLiqValueUsd = minLiqValueUsd;
+  // DCA VWAP bands for a symbol (anchored to its open position, if any) — ?price= runs the DCA gate
+  app.get('/api/vwap/:symbol', async (req, res) => {
+    const symbol = req.params.symbol.toUpperCase();
+    const position = getActivePositions().get(symbol) || null;
+    const side = position?.side || (req.query.side === 'Sell' ? 'Sell' : 'Buy');
+    const price = req.query.price ? parseFloat(req.query.price) : null;
+    const bands = await checkVwapBands(symbol, side, price ?? 0, { position }).catch(() => null);
+    if (!bands) return res.status(404).json({ error: 'No kline data' });
+    if (price == null) {
+      delete bands.passed;
+      for (const c of bands.checks) delete c.passed;
     }
+    res.json({ symbol, side, position: !!position, price, ...bands });
+  });
 
-    if (maxPositions != null && typeof maxPositions === 'number' && maxPositions >= 1) {
-      const old = config.maxPositions;
-      config.maxPositions = maxPositions;
-      console.log(`[CONFIG] Max positions changed: ${old} → ${maxPositions}`);
-      updates.maxPositions = maxPositions;
-    }
+  // Market context (OI change, funding) and the entry rules for a liquidation — ?side=Buy|Sell
+  app.get('/api/context/:symbol', async (req, res) => {
+    const symbol = req.params.symbol.toUpperCase();
+    const side = req.query.side === 'Sell' ? 'Sell' : 'Buy';
+    const check = await checkMarketContext({ symbol, side });
+    if (!check.context) return res.status(404).json({ error: 'No OI/funding data' });
+    res.json({ ...check.context, side, allowed: check.allowed, reason: check.reason });
+  });
 
-    if (leverage != null && typeof leverage === 'number' && leverage >= 1) {
-      const old = config.leverage;
-      config.leverage = leverage;
-      console.log(`[CONFIG] Leverage changed: ${old}x → ${leverage}x`);
-      updates.leverage = leverage;
-    }
+  // Recent liquidation clusters, newest first
+  app.get('/api/clusters', (req, res) => {
+    res.json(clusterer.recent);
+  });
 
-    if (slAtrMultiplier != null && typeof slAtrMultiplier === 'number' && slAtrMultiplier > 0) {
-      const old = config.slAtrMultiplier;
-      config.slAtrMultiplier = slAtrMultiplier;
-      console.log(`[CONFIG] SL ATR multiplier changed: ${old} → ${slAtrMultiplier}`);
-      updates.slAtrMultiplier = slAtrMultiplier;
-    }
+  // Local order book mirror — ?levels=N (default 10), &depthPct= (default 0.5)
+  app.get('/api/orderbook/:symbol', (req, res) => {
+    const symbol = req.params.symbol.toUpperCase();
+    const levels = getOrderbookLevels(symbol, parseInt(req.query.levels) || 10);
+    if (!levels) return res.status(404).json({ error: `${symbol} is not mirrored` });
+    res.json({
+      symbol,
+      ...getBestBidAsk(symbol),
+      depth: getDepth(symbol, parseFloat(req.query.depthPct) || 0.5),
+      ...levels,
+    });
+  });
 
-    if (trailingAtrMultiplier != null && typeof trailingAtrMultiplier === 'number' && trailingAtrMultiplier > 0) {
-      const old = config.trailingAtrMultiplier;
-      config.trailingAtrMultiplier = trailingAtrMultiplier;
-      console.log(`[CONFIG] Trailing ATR multiplier changed: ${old} → ${trailingAtrMultiplier}`);
-      updates.trailingAtrMultiplier = trailingAtrMultiplier;
+  // Recorded liquidation tape — ?from=&to= (ms or ISO), &symbol=, &qualifies=true, &limit=
+  app.get('/api/tape', async (req, res) => {
+    const parseTime = (v, fallback) => {
+      if (v == null) return fallback;
+      const t = /^\d+$/.test(v) ? parseInt(v) : Date.parse(v);
+      return Number.isNaN(t) ? null : t;
+    };
+    const from = parseTime(req.query.from, Date.now() - 60 * 60 * 1000);
+    const to = parseTime(req.query.to, Date.now());
+    if (from == null || to == null) {
+      return res.status(400).json({ ok: false, error: 'Invalid from/to' });
     }
+    const limit = Math.min(parseInt(req.query.limit) || 1000, 10000);
+    const events = await queryTape({
+      from,
+      to,
+      symbol: req.query.symbol || null,
+      qualifiesOnly: req.query.qualifies === 'true',
+      limit,
+    });
+    res.json({ from, to, count: events.length, events });
+  });
 
-    if (atrInterval != null && String(atrInterval).length > 0) {
-      const old = config.atrInterval;
-      config.atrInterval = String(atrInterval);
-      console.log(`[CONFIG] ATR interval changed: ${old} → ${atrInterval}m`);
-      updates.atrInterval = String(atrInterval);
-    }
+  app.get('/api/tape/stats', (req, res) => {
+    res.json(getRecorderStats());
+  });
 
-    if (entryOrderType != null && (entryOrderType === 'Market' || entryOrderType === 'Limit')) {
-      const old = config.entryOrderType;
-      config.entryOrderType = entryOrderType;
-      console.log(`[CONFIG] Entry order type changed: ${old} → ${entryOrderType}`);
-      updates.entryOrderType = entryOrderType;
-    }
+  app.get('/api/risk', (req, res) => {
+    res.json(getRiskStatus());
+  });
 
-    if (tpOrderType != null && (tpOrderType === 'Market' || tpOrderType === 'Limit')) {
-      const old = config.tpOrderType;
-      config.tpOrderType = tpOrderType;
-      console.log(`[CONFIG] TP order type changed: ${old} → ${tpOrderType}`);
-      updates.tpOrderType = tpOrderType;
-    }
+  // Every setting but the secrets
+  app.get('/api/config', (req, res) => {
+    res.json({ ...getPublicConfig(), version: getConfigVersion() });
+  });
+
+  // Settings with their schema (type, range, unit, hot / restart) — drives the dashboard form
+  app.get('/api/config/schema', (req, res) => {
+    const settings = describeConfigSchema().map(spec => (spec.secret
+      ? { ...spec, value: null, isSet: config[spec.key] != null && config[spec.key] !== '' }
+      : { ...spec, value: config[spec.key] }));
+    res.json({ version: getConfigVersion(), settings });
+  });
 
-    if (minTurnover24h != null && typeof minTurnover24h === 'number' && minTurnover24h >= 0) {
-      const old = config.minTurnover24h;
-      config.minTurnover24h = minTurnover24h;
-      console.log(`[CONFIG] Min turnover 24h changed: $${old} → $${minTurnover24h}`);
-      updates.minTurnover24h = minTurnover24h;
+  // New config version if the settings changed, saved with the history
+  function commitVersion(req, source, note = null) {
+    const entry = commitConfigVersion({ actor: req.auth?.user || 'anonymous', source, note });
+    if (entry) saveJSON('config_history.json', getConfigHistoryState());
+    return entry;
+  }
+
+  // Config versions, oldest first, without snapshots — ?key=leverage&limit=50
+  app.get('/api/config/history', (req, res) => {
+    res.json({
+      current: getConfigVersion(),
+      versions: getConfigHistory({ key: req.query.key, limit: req.query.limit ? parseInt(req.query.limit) : undefined }),
+    });
+  });
+
+  // One version with the full settings snapshot
+  app.get('/api/config/versions/:version', (req, res) => {
+    const entry = getConfigVersionEntry(parseInt(req.params.version));
+    if (!entry) return res.status(404).json({ ok: false, error: `No config version ${req.params.version}` });
+    res.json(entry);
+  });
+
+  // What differs between two versions — ?from=3&to=7 (to defaults to the current one)
+  app.get('/api/config/diff', (req, res) => {
+    const from = parseInt(req.query.from);
+    const to = req.query.to ? parseInt(req.query.to) : getConfigVersion();
+    const changes = diffConfigVersions(from, to);
+    if (!changes) return res.status(404).json({ ok: false, error: `Unknown config version (from=${req.query.from}, to=${to})` });
+    res.json({ from, to, changes });
+  });
+
+  // Make an earlier version's settings live again — recorded as a new version
+  app.post('/api/config/rollback/:version', (req, res) => {
+    const target = parseInt(req.params.version);
+    const changes = applyConfigVersion(target);
+    if (!changes) return res.status(404).json({ ok: false, error: `No config version ${req.params.version}` });
+    if (changes.length > 0) {
+      const overrides = loadJSON('config_overrides.json') || {};
+      const snapshot = snapshotConfig();
+      for (const { key } of changes) {
+        if (key.startsWith('profiles.')) overrides.profiles = snapshot.profiles;
+        else overrides[key] = snapshot[key];
+      }
+      saveJSON('config_overrides.json', overrides);
+      commitVersion(req, 'rollback', `to v${target}`);
     }
+    res.json({ ok: true, version: getConfigVersion(), changes });
+  });
+
+  // "5000000 USD", "1.5 ATR", "5x", "1,15", "-" for empty
+  function formatSetting(key, value) {
+    if (Array.isArray(value)) return value.join(',') || '-';
+    if (value && typeof value === 'object') return JSON.stringify(value);
+    if (value === '' || value == null) return '-';
+    const { unit } = CONFIG_SCHEMA[key];
+    if (!unit) return String(value);
+    return unit === '%' || unit === 'x' ? `${value}${unit}` : `${value} ${unit}`;
+  }
 
-    if (Object.keys(updates).length > 0) {
+  // Change hot settings at runtime — body: { <setting>: value, ... }, all or nothing
+  app.post('/api/config', (req, res) => {
+    const { updates, error } = validateConfigUpdate(req.body);
+    if (error) return res.status(400).json({ ok: false, error });
+
+    const changes = applyConfigUpdate(updates);
+    for (const { key, from, to } of changes) {
+      configLog.info(`${CONFIG_SCHEMA[key].label} changed: ${formatSetting(key, from)} → ${formatSetting(key, to)}`);
+    }
+    if (changes.length > 0) {
       // Persist overrides to disk so they survive restarts/deploys
       const existing = loadJSON('config_overrides.json') || {};
       saveJSON('config_overrides.json', { ...existing, ...updates });
-      res.json({ ok: true, ...updates });
-    } else {
-      res.status(400).json({ ok: false, error: 'No valid config fields provided' });
+      commitVersion(req, 'api');
+    }
+    res.json({ ok: true, ...updates, changes, version: getConfigVersion() });
+  });
+
+  // Per-symbol / tag profiles (stored with the other overrides)
+  const saveProfiles = (req) => {
+    const existing = loadJSON('config_overrides.json') || {};
+    saveJSON('config_overrides.json', { ...existing, profiles: getProfiles() });
+    commitVersion(req, 'profiles');
+  };
+  // Symbol profile names are upper case; tags keep their case
+  const profileName = (name) => /usdt$/i.test(name) ? name.toUpperCase() : name;
+
+  app.get('/api/profiles', (req, res) => {
+    res.json({ profiles: getProfiles(), params: PROFILE_PARAMS });
+  });
+
+  // Effective params for a symbol after all matching profiles
+  app.get('/api/profiles/effective/:symbol', (req, res) => {
+    const symbol = req.params.symbol.toUpperCase();
+    const cfg = getSymbolConfig(symbol);
+    const params = Object.fromEntries(PROFILE_PARAMS.map(k => [k, cfg[k]]));
+    res.json({ symbol, profiles: getSymbolProfiles(symbol), params });
+  });
+
+  // Create or replace a profile — body: { symbols?: [...], <param>: value, ... }
+  app.put('/api/profiles/:name', (req, res) => {
+    const name = profileName(req.params.name);
+    const error = validateProfile(name, req.body);
+    if (error) return res.status(400).json({ ok: false, error });
+    const profile = setProfile(name, req.body);
+    saveProfiles(req);
+    res.json({ ok: true, name, profile });
+  });
+
+  app.delete('/api/profiles/:name', (req, res) => {
+    const name = profileName(req.params.name);
+    if (!deleteProfile(name)) return res.status(404).json({ ok: false, error: `No profile named ${name}` });
+    saveProfiles(req);
+    res.json({ ok: true, name });
+  });
+
+  // Symbol filters (allow/deny globs, leverage / tick / listing-age rules)
+  app.get('/api/filters', (req, res) => {
+    res.json(getFilters());
+  });
+
+  // Why a symbol is or isn't blocked — ?price= enables the tick-size rule
+  app.get('/api/filters/check/:symbol', (req, res) => {
+    const symbol = req.params.symbol.toUpperCase();
+    const price = req.query.price ? parseFloat(req.query.price) : null;
+    res.json({ symbol, blocked: getBlockReason(symbol, price) });
+  });
+
+  // Partial update — body: { allow?, deny?, minMaxLeverage?, maxTickPct?, newListingDays? }
+  app.post('/api/filters', (req, res) => {
+    const error = validateFilters(req.body);
+    if (error) return res.status(400).json({ ok: false, error });
+    const filters = updateFilters(req.body);
+    saveJSON('filters.json', filters);
+    res.json({ ok: true, ...filters });
+  });
+
+  // Back to the FILTER_* env values
+  app.delete('/api/filters', (req, res) => {
+    const filters = resetFilters();
+    saveJSON('filters.json', null);
+    res.json({ ok: true, ...filters });
+  });
+
+  // Alerts: settings, effective templates and per-channel stats (no URLs / tokens)
+  app.get('/api/alerts', (req, res) => {
+    res.json(getAlertStatus());
+  });
+
+  // Partial update — body: { events?, templates?: { event: text | null }, ratePerMin?, dedupeSec? }
+  app.post('/api/alerts', (req, res) => {
+    const error = validateAlertSettings(req.body);
+    if (error) return res.status(400).json({ ok: false, error });
+    saveJSON('alerts.json', updateAlertSettings(req.body));
+    res.json({ ok: true, ...getAlertStatus() });
+  });
+
+  // Back to the ALERT_* env values
+  app.delete('/api/alerts', (req, res) => {
+    resetAlertSettings();
+    saveJSON('alerts.json', null);
+    res.json({ ok: true, ...getAlertStatus() });
+  });
+
+  // Send a test message — ?channel=telegram for just one
+  app.post('/api/alerts/test', async (req, res) => {
+    const channel = req.query.channel || null;
+    const results = await sendTestAlert(channel);
+    if (results.length === 0) {
+      return res.status(404).json({ ok: false, error: channel ? `No channel named ${channel}` : 'No alert channels configured' });
     }
+    res.json({ ok: results.every(r => r.ok), results });
+  });
+
+  // API: kill switch — running / paused / reduce-only / flatten (closes everything, then paused)
+  app.get('/api/trading-state', (req, res) => {
+    res.json({ ...getTradingState(), states: TRADING_STATES });
+  });
+
+  // Flatten answers with state 'flatten' at once; the switch to paused arrives on the stream
+  app.post('/api/trading-state', (req, res) => {
+    const { state, reason } = req.body || {};
+    if (reason != null && typeof reason !== 'string') return res.status(400).json({ ok: false, error: 'reason must be a string' });
+    try {
+      const result = setTradingState(state, { actor: req.auth?.user || 'api', reason: reason || null });
+      if (result.error) return res.status(400).json({ ok: false, error: result.error });
+      res.json({ ok: true, ...result });
+    } catch (err) {
+      log.error(`Trading state change failed: ${err.message}`);
+      res.status(500).json({ ok: false, error: err.message });
+    }
+  });
+
+  // API: clear a risk halt — ?resetPeak=true also restarts the drawdown high-water mark
+  app.post('/api/risk/reset', (req, res) => {
+    resetRisk({ resetPeak: req.query.resetPeak === 'true' || req.body?.resetPeak === true });
+    saveJSON('risk_state.json', getRiskState());
+    res.json({ ok: true, ...getRiskStatus() });
   });
 
   // API: reset all PnL and trade log data
-  app.post('/api/reset', (req, res) => {
+  app.post('/api/reset', requireRole('admin'), (req, res) => {
     resetPnl();
     resetTradeLog();
+    resetRiskPeak(); // cumulative PnL restarts at zero — so does the drawdown high-water mark
     // Clear persisted files and save reset timestamp so reconcilePnl ignores old trades
     saveJSON('total_pnl.json', 0);
     saveJSON('pnl_history.json', []);
     saveJSON('trade_log.json', []);
     saveJSON('position_state.json', {});
     saveJSON('reset_timestamp.json', getResetTimestamp());
-    console.log('[API] All PnL, trade log, and position state reset.');
+    saveJSON('risk_state.json', getRiskState());
+    apiLog.info('All PnL, trade log, and position state reset.');
     res.json({ ok: true });
   });
 
@@ -271,36 +730,47 @@ async function main() {
   // Account balance
   let cachedAccount = null;
 
+  function applyAccount(acct) {
+    const coins = acct.coin || [];
+    const usdt = coins.find(c => c.coin === 'USDT') || {};
+    cachedAccount = {
+      totalEquity: acct.totalEquity,
+      totalWalletBalance: acct.totalWalletBalance,
+      totalAvailableBalance: acct.totalAvailableBalance,
+      totalMarginBalance: acct.totalMarginBalance,
+      totalPerpUPL: acct.totalPerpUPL,
+      usdtBalance: usdt.walletBalance || '0',
+      usdtAvailable: usdt.availableToWithdraw || '0',
+      usdtUPL: usdt.unrealisedPnl || '0',
+    };
+
+    // Keep executor balance in sync for position sizing
+    const balance = parseFloat(acct.totalWalletBalance);
+    if (balance > 0) setInitialBalance(balance);
+  }
+
   async function fetchAccount() {
     try {
       const res = await getWalletBalance();
       if (res.retCode === 0 && res.result?.list?.[0]) {
-        const acct = res.result.list[0];
-        const coins = acct.coin || [];
-        const usdt = coins.find(c => c.coin === 'USDT') || {};
-        cachedAccount = {
-          totalEquity: acct.totalEquity,
-          totalWalletBalance: acct.totalWalletBalance,
-          totalAvailableBalance: acct.totalAvailableBalance,
-          totalMarginBalance: acct.totalMarginBalance,
-          totalPerpUPL: acct.totalPerpUPL,
-          usdtBalance: usdt.walletBalance || '0',
-          usdtAvailable: usdt.availableToWithdraw || '0',
-          usdtUPL: usdt.unrealisedPnl || '0',
-        };
-
-        // Keep executor balance in sync for position sizing
-        const balance = parseFloat(acct.totalWalletBalance);
-        if (balance > 0) setInitialBalance(balance);
+        applyAccount(res.result.list[0]);
       }
     } catch (err) {
-      console.error('[ACCOUNT] Balance fetch error:', err.message);
+      accountLog.error(`Balance fetch error: ${err.message}`);
     }
   }
 
-  // Fetch immediately, then every 5 seconds
+  // Wallet updates arrive on the private stream; poll every 5s only while it is down
+  onPrivateEvent('wallet', (items) => {
+    if (items[0]) applyAccount(items[0]);
+  });
+  let lastAccountFetch = 0;
   fetchAccount();
-  setInterval(fetchAccount, 5000);
+  setInterval(() => {
+    if (isPrivateWsReady() && Date.now() - lastAccountFetch < 60000) return;
+    lastAccountFetch = Date.now();
+    fetchAccount();
+  }, 5000);
 
   app.get('/api/account', (req, res) => {
     res.json(cachedAccount || {});
@@ -328,6 +798,18 @@ async function main() {
     }
   }
 
+  // Log records as they happen (the dashboard log console filters client-side)
+  onLog(record => broadcastToClients({ type: 'log', data: record }));
+
+  // Risk halts and resets are pushed right away, not just on the 2s tick
+  onRiskChange(status => broadcastToClients({ type: 'risk', data: status }));
+
+  // Kill switch changes — persisted and pushed right away
+  onTradingStateChange((state) => {
+    saveJSON('trading_state.json', state);
+    broadcastToClients({ type: 'tradingState', data: state });
+  });
+
   // Broadcast stats every 2 seconds
   setInterval(() => {
     broadcastToClients({
@@ -338,6 +820,14 @@ async function main() {
       type: 'positions',
       data: [...getActivePositions().values()],
     });
+    broadcastToClients({
+      type: 'risk',
+      data: getRiskStatus(),
+    });
+    broadcastToClients({
+      type: 'tradingState',
+      data: getTradingState(),
+    });
     if (cachedAccount) {
       broadcastToClients({
         type: 'account',
@@ -348,7 +838,7 @@ async function main() {
 
   const port = config.dashboardPort;
   app.listen(port, '0.0.0.0', () => {
-    console.log(`[SERVER] Dashboard + API running on http://0.0.0.0:${port}`);
+    serverLog.info(`Dashboard + API running on http://0.0.0.0:${port}`);
   });
 }
 
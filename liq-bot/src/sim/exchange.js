@@ -0,0 +1,655 @@
+import { now } from '../core/clock.js';
+
+/**
+ * Simulated Exchange
+ *
+ * In-process stand-in for the Bybit v5 endpoints used by the executor and
+ * monitor. Each method mirrors the bybit.js function of the same name and
+ * returns the same { retCode, retMsg, result } shape, so trading logic runs
+ * unmodified once installed with setExchange().
+ *
+ * Price path: 1m candles are replayed as open → extreme → extreme → close,
+ * each leg taking a third of the candle and interpolated linearly in between.
+ * The extreme adverse to an open position is visited first (pessimistic).
+ * Along the path the simulator fills resting limit orders (only when price
+ * trades THROUGH the limit — queue position is unknown), then checks TP, SL
+ * and trailing stops.
+ *
+ * For paper trading the same engine is fed live: onTrade() for public trade
+ * prints and setQuote() for best bid/ask, instead of candles.
+ *
+ * Fees: taker for market orders, SL and trailing exits; maker for resting
+ * limits and limit TPs. closedPnl is net of the open and close fees, like Bybit.
+ */
+
+const EPS = 1e-9;
+
+const INTERVAL_MS = {
+  '1': 60_000, '3': 180_000, '5': 300_000, '15': 900_000, '30': 1_800_000,
+  '60': 3_600_000, '120': 7_200_000, '240': 14_400_000, '360': 21_600_000,
+  '720': 43_200_000, D: 86_400_000,
+};
+
+const ok = (result = {}) => ({ retCode: 0, retMsg: 'OK', result });
+const fail = (retCode, retMsg) => ({ retCode, retMsg, result: {} });
+
+export class SimExchange {
+  constructor({ balance = 10000, makerFee = 0.0002, takerFee = 0.00055, instruments = [] } = {}) {
+    this.balance = balance;
+    this.makerFee = makerFee;
+    this.takerFee = takerFee;
+    this.instruments = instruments; // raw Bybit instruments-info list
+    this.tickSizes = new Map(instruments.map(i => [i.symbol, parseFloat(i.priceFilter.tickSize)]));
+
+    this.candles = new Map();   // symbol -> [[start, o, h, l, c, volume, turnover], ...] oldest first
+    this.turnoverSums = new Map(); // symbol -> prefix sums of candle turnover
+    this.cursor = new Map();    // symbol -> { idx, path } for the candle being replayed
+    this.prices = new Map();    // symbol -> last price
+    this.partial = new Map();   // symbol -> forming candle { start, o, h, l, c, volume, turnover }
+    this.quotes = new Map();    // symbol -> { bid, ask } from a live feed (paper trading)
+
+    this.positions = new Map(); // symbol -> position
+    this.orders = new Map();    // orderId -> order
+    this.resting = new Set();   // open limit orders
+    this.executions = [];       // oldest first
+    this.closedPnl = [];        // oldest first
+    this.leverage = new Map();
+    this.orderSeq = 0;
+  }
+
+  // --- Market data feed ---
+
+  loadCandles(symbol, list) {
+    const candles = list
+      .map(c => c.map(Number))
+      .sort((a, b) => a[0] - b[0]);
+    const sums = [0];
+    for (const c of candles) sums.push(sums[sums.length - 1] + (c[6] || 0));
+    this.candles.set(symbol, candles);
+    this.turnoverSums.set(symbol, sums);
+    this.cursor.set(symbol, { idx: 0, path: null });
+  }
+
+  /**
+   * Live feed (paper trading): a public trade print.
+   */
+  onTrade(symbol, price) {
+    this._onPrice(symbol, price, false);
+  }
+
+  /**
+   * Live feed (paper trading): best bid/ask. PostOnly checks and market fills use it.
+   */
+  setQuote(symbol, bid, ask) {
+    this.quotes.set(symbol, { bid, ask });
+    if (!this.prices.has(symbol)) this.prices.set(symbol, (bid + ask) / 2);
+  }
+
+  hasPrice(symbol) {
+    return this.prices.has(symbol);
+  }
+
+  lastCandleTime() {
+    let last = 0;
+    for (const candles of this.candles.values()) {
+      if (candles.length) last = Math.max(last, candles[candles.length - 1][0] + 60_000);
+    }
+    return last;
+  }
+
+  /**
+   * Replay every loaded symbol's price path up to `ts`.
+   */
+  advanceTo(ts) {
+    for (const [symbol, candles] of this.candles) {
+      const cur = this.cursor.get(symbol);
+      while (cur.idx < candles.length) {
+        const c = candles[cur.idx];
+        const dur = this._candleMs(candles, cur.idx);
+        if (c[0] > ts) break;
+
+        if (!cur.path) {
+          cur.path = this._buildPath(symbol, c, dur);
+          cur.next = 0;
+          this.partial.set(symbol, { start: c[0], o: c[1], h: c[1], l: c[1], c: c[1], volume: 0, turnover: 0 });
+        }
+
+        // Visit every path point reached by ts
+        while (cur.next < cur.path.length && cur.path[cur.next].t <= ts) {
+          const p = cur.path[cur.next];
+          this._onPrice(symbol, p.px, cur.next === 0);
+          cur.next++;
+        }
+
+        if (c[0] + dur <= ts) {
+          this.partial.delete(symbol);
+          cur.idx++;
+          cur.path = null;
+          continue;
+        }
+
+        // Mid-leg: interpolate between the last visited point and the next one
+        const prev = cur.path[cur.next - 1];
+        const next = cur.path[cur.next];
+        if (prev && next) {
+          const frac = (ts - prev.t) / (next.t - prev.t);
+          this._onPrice(symbol, prev.px + (next.px - prev.px) * frac, false);
+        }
+        const part = this.partial.get(symbol);
+        const elapsed = Math.min(1, (ts - c[0]) / dur);
+        part.volume = c[5] * elapsed;
+        part.turnover = c[6] * elapsed;
+        break;
+      }
+    }
+  }
+
+  _candleMs(candles, idx) {
+    if (idx + 1 < candles.length) return Math.min(candles[idx + 1][0] - candles[idx][0], 60_000) || 60_000;
+    if (idx > 0) return Math.min(candles[idx][0] - candles[idx - 1][0], 60_000) || 60_000;
+    return 60_000;
+  }
+
+  _buildPath(symbol, c, dur) {
+    const [start, o, h, l, cl] = c;
+    const pos = this.positions.get(symbol);
+    let lowFirst;
+    if (pos) lowFirst = pos.side === 'Buy';   // adverse extreme first
+    else lowFirst = cl >= o;                  // green candle: dip then rally
+    const [a, b] = lowFirst ? [l, h] : [h, l];
+    return [
+      { t: start, px: o },
+      { t: start + dur / 3, px: a },
+      { t: start + (dur * 2) / 3, px: b },
+      { t: start + dur - 1, px: cl },
+    ];
+  }
+
+  _onPrice(symbol, px, gap) {
+    this.prices.set(symbol, px);
+    const part = this.partial.get(symbol);
+    if (part) {
+      part.h = Math.max(part.h, px);
+      part.l = Math.min(part.l, px);
+      part.c = px;
+    }
+
+    // 1. Resting limit orders
+    for (const order of this.resting) {
+      if (order.symbol !== symbol) continue;
+      const through = order.side === 'Buy' ? px < order.price : px > order.price;
+      if (through) this._fill(order, gap ? px : order.price, true);
+    }
+
+    // 2. Position TP / SL / trailing stop
+    const pos = this.positions.get(symbol);
+    if (!pos) return;
+    const isLong = pos.side === 'Buy';
+
+    if (pos.takeProfit && (isLong ? px >= pos.takeProfit : px <= pos.takeProfit)) {
+      const exitPx = pos.tpLimit ? (pos.tpLimitPrice || pos.takeProfit) : (gap ? px : pos.takeProfit);
+      this._closeBy(pos, exitPx, pos.tpLimit, 'TakeProfit');
+      return;
+    }
+
+    if (pos.stopLoss && (isLong ? px <= pos.stopLoss : px >= pos.stopLoss)) {
+      this._closeBy(pos, gap ? px : pos.stopLoss, false, 'StopLoss');
+      return;
+    }
+
+    if (pos.trailingStop) {
+      if (!pos.trailActive && (!pos.activePrice || (isLong ? px >= pos.activePrice : px <= pos.activePrice))) {
+        pos.trailActive = true;
+        pos.trailExtreme = px;
+      }
+      if (pos.trailActive) {
+        pos.trailExtreme = isLong ? Math.max(pos.trailExtreme, px) : Math.min(pos.trailExtreme, px);
+        const stop = isLong ? pos.trailExtreme - pos.trailingStop : pos.trailExtreme + pos.trailingStop;
+        if (isLong ? px <= stop : px >= stop) {
+          this._closeBy(pos, gap ? px : stop, false, 'TrailingStop');
+        }
+      }
+    }
+  }
+
+  _closeBy(pos, px, isMaker, stopOrderType) {
+    const order = this._newOrder(pos.symbol, pos.side === 'Buy' ? 'Sell' : 'Buy', pos.size, isMaker ? 'Limit' : 'Market', {
+      price: px,
+      reduceOnly: true,
+      stopOrderType,
+    });
+    this._fill(order, px, isMaker);
+  }
+
+  _newOrder(symbol, side, qty, orderType, { price = null, timeInForce = 'GTC', reduceOnly = false, stopOrderType = '' } = {}) {
+    const order = {
+      orderId: `sim-${++this.orderSeq}`,
+      symbol,
+      side,
+      orderType,
+      qty,
+      price,
+      timeInForce,
+      reduceOnly,
+      stopOrderType,
+      orderStatus: 'New',
+      avgPrice: 0,
+      cumExecQty: 0,
+      cumExecFee: 0,
+      createdTime: now(),
+      updatedTime: now(),
+    };
+    this.orders.set(order.orderId, order);
+    return order;
+  }
+
+  _fill(order, px, isMaker) {
+    this.resting.delete(order);
+    const pos = this.positions.get(order.symbol);
+    let qty = order.qty;
+    if (order.reduceOnly) {
+      if (!pos || pos.side === order.side) {
+        order.orderStatus = 'Cancelled';
+        return;
+      }
+      qty = Math.min(qty, pos.size);
+    }
+
+    const fee = px * qty * (isMaker ? this.makerFee : this.takerFee);
+    const t = now();
+    this.executions.push({
+      symbol: order.symbol,
+      orderId: order.orderId,
+      side: order.side,
+      execPrice: px,
+      execQty: qty,
+      execFee: fee,
+      isMaker,
+      execTime: t,
+    });
+    order.orderStatus = 'Filled';
+    order.avgPrice = px;
+    order.cumExecQty = qty;
+    order.cumExecFee = fee;
+    order.updatedTime = t;
+
+    if (!pos) {
+      this._open(order.symbol, order.side, qty, px, fee);
+      return;
+    }
+
+    if (pos.side === order.side) {
+      pos.avgPrice = (pos.avgPrice * pos.size + px * qty) / (pos.size + qty);
+      pos.size += qty;
+      pos.openFee += fee;
+      pos.updatedTime = t;
+      return;
+    }
+
+    // Opposite side: reduce / close (and flip with any remainder)
+    const closeQty = Math.min(qty, pos.size);
+    const closeFee = fee * (closeQty / qty);
+    const gross = (pos.side === 'Buy' ? px - pos.avgPrice : pos.avgPrice - px) * closeQty;
+    const openShare = pos.openFee * (closeQty / pos.size);
+    const closedPnl = gross - openShare - closeFee;
+
+    this.closedPnl.push({
+      symbol: order.symbol,
+      orderId: order.orderId,
+      side: pos.side,
+      qty: closeQty,
+      orderType: order.orderType,
+      avgEntryPrice: pos.avgPrice,
+      avgExitPrice: px,
+      closedPnl,
+      createdTime: t,
+      updatedTime: t,
+    });
+    this.balance += closedPnl;
+
+    pos.openFee -= openShare;
+    pos.size -= closeQty;
+    pos.updatedTime = t;
+    if (pos.size <= EPS) {
+      this.positions.delete(order.symbol);
+      // Like Bybit: resting reduce-only orders die with the position
+      for (const o of this.resting) {
+        if (o.symbol === order.symbol && o.reduceOnly) {
+          o.orderStatus = 'Cancelled';
+          o.updatedTime = t;
+          this.resting.delete(o);
+        }
+      }
+    }
+
+    const remainder = qty - closeQty;
+    if (remainder > EPS && !order.reduceOnly) {
+      this._open(order.symbol, order.side, remainder, px, fee - closeFee);
+    }
+  }
+
+  _open(symbol, side, size, px, fee) {
+    const t = now();
+    this.positions.set(symbol, {
+      symbol,
+      side,
+      size,
+      avgPrice: px,
+      openFee: fee,
+      takeProfit: 0,
+      tpLimit: false,
+      tpLimitPrice: 0,
+      stopLoss: 0,
+      trailingStop: 0,
+      activePrice: 0,
+      trailActive: false,
+      trailExtreme: 0,
+      createdTime: t,
+      updatedTime: t,
+    });
+  }
+
+  _bidAsk(symbol) {
+    const quote = this.quotes.get(symbol);
+    if (quote) return quote;
+    const last = this.prices.get(symbol);
+    if (last == null) return null;
+    const tick = this.tickSizes.get(symbol);
+    if (!tick) return { bid: last, ask: last };
+    const bid = Math.floor(last / tick + EPS) * tick;
+    return { bid, ask: bid + tick };
+  }
+
+  _unrealised(pos) {
+    const mark = this.prices.get(pos.symbol) ?? pos.avgPrice;
+    return (pos.side === 'Buy' ? mark - pos.avgPrice : pos.avgPrice - mark) * pos.size;
+  }
+
+  // --- bybit.js surface: trading ---
+
+  async switchToOneWayMode() {
+    return ok();
+  }
+
+  async setLeverage(symbol, leverage) {
+    this.leverage.set(symbol, leverage);
+    return ok();
+  }
+
+  async placeOrder(symbol, side, qty, orderType = 'Market', extraParams = {}) {
+    const quote = this._bidAsk(symbol);
+    if (!quote) return fail(10001, `No simulated market data for ${symbol}`);
+    qty = parseFloat(qty);
+    if (!(qty > 0)) return fail(10001, 'Qty invalid');
+
+    const reduceOnly = extraParams.reduceOnly === true;
+    const pos = this.positions.get(symbol);
+    if (reduceOnly && (!pos || pos.side === side)) {
+      return fail(110017, 'current position is zero, cannot fix reduce-only order qty');
+    }
+
+    if (orderType === 'Market') {
+      const order = this._newOrder(symbol, side, qty, 'Market', { reduceOnly });
+      this._fill(order, side === 'Buy' ? quote.ask : quote.bid, false);
+      return ok({ orderId: order.orderId, orderLinkId: '' });
+    }
+
+    const price = parseFloat(extraParams.price);
+    if (!(price > 0)) return fail(10001, 'Price invalid');
+    const timeInForce = extraParams.timeInForce || 'GTC';
+    const order = this._newOrder(symbol, side, qty, 'Limit', { price, timeInForce, reduceOnly });
+    const crosses = side === 'Buy' ? price >= quote.ask : price <= quote.bid;
+
+    if (crosses) {
+      if (timeInForce === 'PostOnly') {
+        order.orderStatus = 'Cancelled'; // Bybit accepts, then cancels a PostOnly that would take
+      } else {
+        this._fill(order, side === 'Buy' ? quote.ask : quote.bid, false);
+      }
+    } else {
+      this.resting.add(order);
+    }
+    return ok({ orderId: order.orderId, orderLinkId: '' });
+  }
+
+  async cancelOrder(symbol, orderId) {
+    const order = this.orders.get(orderId);
+    if (!order || order.orderStatus !== 'New') {
+      return fail(110001, 'order not exists or too late to cancel');
+    }
+    order.orderStatus = 'Cancelled';
+    order.updatedTime = now();
+    this.resting.delete(order);
+    return ok({ orderId, orderLinkId: '' });
+  }
+
+  async setTradingStop(symbol, { takeProfit, stopLoss, trailingStop, activePrice, tpOrderType, tpLimitPrice } = {}) {
+    const pos = this.positions.get(symbol);
+    if (!pos) return fail(10001, 'can not set tp/sl/ts for zero position');
+    const last = this.prices.get(symbol) ?? pos.avgPrice;
+    const isLong = pos.side === 'Buy';
+
+    if (takeProfit != null) {
+      const tp = parseFloat(takeProfit);
+      if (tp > 0 && (isLong ? tp <= last : tp >= last)) {
+        return fail(10001, `TakeProfit:${tp} set for ${pos.side} position should be ${isLong ? 'higher' : 'lower'} than base_price:${last}`);
+      }
+      pos.takeProfit = tp;
+      pos.tpLimit = tpOrderType != null && tpOrderType !== 'Market';
+      pos.tpLimitPrice = tpLimitPrice != null ? parseFloat(tpLimitPrice) : 0;
+    }
+
+    if (stopLoss != null) {
+      const sl = parseFloat(stopLoss);
+      if (sl > 0 && (isLong ? sl >= last : sl <= last)) {
+        return fail(10001, `StopLoss:${sl} set for ${pos.side} position should be ${isLong ? 'lower' : 'higher'} than base_price:${last}`);
+      }
+      pos.stopLoss = sl;
+    }
+
+    if (trailingStop != null) {
+      pos.trailingStop = parseFloat(trailingStop);
+      pos.activePrice = activePrice != null ? parseFloat(activePrice) : 0;
+      pos.trailActive = false;
+      pos.trailExtreme = 0;
+      if (pos.trailingStop > 0 && !pos.activePrice) {
+        pos.trailActive = true;
+        pos.trailExtreme = last;
+      }
+    }
+
+    pos.updatedTime = now();
+    return ok();
+  }
+
+  // --- bybit.js surface: account / history ---
+
+  async getPositions() {
+    const list = [...this.positions.values()].map(p => ({
+      symbol: p.symbol,
+      side: p.side,
+      size: String(p.size),
+      avgPrice: String(p.avgPrice),
+      positionIdx: 0,
+      leverage: String(this.leverage.get(p.symbol) || 1),
+      markPrice: String(this.prices.get(p.symbol) ?? p.avgPrice),
+      unrealisedPnl: String(this._unrealised(p)),
+      takeProfit: String(p.takeProfit || 0),
+      stopLoss: String(p.stopLoss || 0),
+      trailingStop: String(p.trailingStop || 0),
+      createdTime: String(p.createdTime),
+      updatedTime: String(p.updatedTime),
+    }));
+    return ok({ category: 'linear', list });
+  }
+
+  async getWalletBalance() {
+    let upl = 0;
+    for (const p of this.positions.values()) upl += this._unrealised(p);
+    const equity = this.balance + upl;
+    return ok({
+      list: [{
+        accountType: 'UNIFIED',
+        totalEquity: String(equity),
+        totalWalletBalance: String(this.balance),
+        totalAvailableBalance: String(equity),
+        totalMarginBalance: String(equity),
+        totalPerpUPL: String(upl),
+        coin: [{
+          coin: 'USDT',
+          walletBalance: String(this.balance),
+          availableToWithdraw: String(this.balance),
+          unrealisedPnl: String(upl),
+        }],
+      }],
+    });
+  }
+
+  async getClosedPnl(symbol, limit = 5) {
+    const list = [];
+    for (let i = this.closedPnl.length - 1; i >= 0 && list.length < limit; i--) {
+      const r = this.closedPnl[i];
+      if (symbol && r.symbol !== symbol) continue;
+      list.push({
+        ...r,
+        qty: String(r.qty),
+        avgEntryPrice: String(r.avgEntryPrice),
+        avgExitPrice: String(r.avgExitPrice),
+        closedPnl: String(r.closedPnl),
+        createdTime: String(r.createdTime),
+        updatedTime: String(r.updatedTime),
+      });
+    }
+    return ok({ category: 'linear', list });
+  }
+
+  async getExecutionList(symbol, orderId = null, limit = 20) {
+    const list = [];
+    for (let i = this.executions.length - 1; i >= 0 && list.length < limit; i--) {
+      const e = this.executions[i];
+      if (e.symbol !== symbol) continue;
+      if (orderId && e.orderId !== orderId) continue;
+      list.push({
+        ...e,
+        execPrice: String(e.execPrice),
+        execQty: String(e.execQty),
+        execFee: String(e.execFee),
+        execTime: String(e.execTime),
+      });
+    }
+    return ok({ category: 'linear', list });
+  }
+
+  async getOrderDetail(symbol, orderId) {
+    const o = this.orders.get(orderId);
+    if (!o || o.symbol !== symbol) return ok({ category: 'linear', list: [] });
+    return ok({
+      category: 'linear',
+      list: [{
+        ...o,
+        qty: String(o.qty),
+        price: String(o.price ?? 0),
+        avgPrice: String(o.avgPrice),
+        cumExecQty: String(o.cumExecQty),
+        cumExecFee: String(o.cumExecFee),
+        createdTime: String(o.createdTime),
+        updatedTime: String(o.updatedTime),
+      }],
+    });
+  }
+
+  // --- bybit.js surface: market data ---
+
+  async getInstrumentsInfo() {
+    return ok({ category: 'linear', list: this.instruments });
+  }
+
+  async getOrderbook(symbol) {
+    const quote = this._bidAsk(symbol);
+    if (!quote) return fail(10001, `No simulated market data for ${symbol}`);
+    return ok({ s: symbol, b: [[String(quote.bid), '1000000']], a: [[String(quote.ask), '1000000']], ts: now() });
+  }
+
+  _ticker(symbol) {
+    const candles = this.candles.get(symbol) || [];
+    const sums = this.turnoverSums.get(symbol) || [0];
+    const t = now();
+    const hi = upperBound(candles, t - 60_000);           // candles closed by now
+    const lo = upperBound(candles, t - 86_400_000 - 60_000);
+    const last = this.prices.get(symbol);
+    return {
+      symbol,
+      lastPrice: String(last ?? 0),
+      markPrice: String(last ?? 0),
+      turnover24h: String(sums[hi] - sums[lo]),
+    };
+  }
+
+  async getTickers(symbol) {
+    return ok({ category: 'linear', list: [this._ticker(symbol)] });
+  }
+
+  // Not in the recorded data — market context rules see no open interest
+  async getOpenInterest(symbol) {
+    return fail(10001, `No simulated open interest for ${symbol}`);
+  }
+
+  async getAllTickers() {
+    return ok({ category: 'linear', list: [...this.candles.keys()].map(s => this._ticker(s)) });
+  }
+
+  /**
+   * Klines aggregated from the 1m feed, newest first like Bybit. The newest
+   * bucket is the forming one, built only from prices replayed so far.
+   */
+  async getKlines(symbol, interval = '1', limit = 20) {
+    const candles = this.candles.get(symbol);
+    const ms = INTERVAL_MS[String(interval)];
+    if (!candles || !ms) return fail(10001, `No simulated klines for ${symbol} (${interval})`);
+
+    const t = now();
+    const buckets = new Map(); // bucketStart -> [start, o, h, l, c, volume, turnover]
+    const add = (start, o, h, l, c, v, to) => {
+      const key = Math.floor(start / ms) * ms;
+      const b = buckets.get(key);
+      if (!b) {
+        buckets.set(key, [key, o, h, l, c, v, to]);
+      } else {
+        // Walking backwards: this candle is older, so it owns the open
+        b[1] = o;
+        b[2] = Math.max(b[2], h);
+        b[3] = Math.min(b[3], l);
+        b[5] += v;
+        b[6] += to;
+      }
+    };
+
+    const part = this.partial.get(symbol);
+    if (part) add(part.start, part.o, part.h, part.l, part.c, part.volume, part.turnover);
+
+    for (let i = upperBound(candles, t - 60_000) - 1; i >= 0; i--) {
+      const c = candles[i];
+      const key = Math.floor(c[0] / ms) * ms;
+      if (!buckets.has(key) && buckets.size >= limit) break;
+      add(c[0], c[1], c[2], c[3], c[4], c[5], c[6]);
+    }
+
+    const list = [...buckets.values()]
+      .sort((a, b) => b[0] - a[0])
+      .slice(0, limit)
+      .map(b => b.map(String));
+    return ok({ category: 'linear', symbol, list });
+  }
+}
+
+// Index of the first candle starting after `ts` (candles sorted by start)
+function upperBound(candles, ts) {
+  let lo = 0;
+  let hi = candles.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (candles[mid][0] <= ts) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
@@ -0,0 +1,246 @@
+import path from 'path';
+import WebSocket from 'ws';
+import { EventEmitter } from 'events';
+import { config } from '../config.js';
+import { now, setClock } from '../core/clock.js';
+import { DATA_DIR } from '../core/persistence.js';
+import { setExchange, getTickers } from '../api/bybit.js';
+import { SimExchange } from './exchange.js';
+import { readEvents, eventTime, warmupMs, loadInstruments, loadKlines } from '../backtest/data.js';
+import { evaluateLiq } from '../core/threshold.js';
+import { createLogger } from '../core/logger.js';
+import { counter } from '../core/metrics.js';
+
+/**
+ * Paper Trading (NETWORK=paper)
+ *
+ * Installs a SimExchange behind bybit.js so the executor and monitor run
+ * unmodified without exchange credentials. Two feeds:
+ *
+ * - Live (default): only the account/order endpoints are simulated. Market data
+ *   (orderbook, tickers, klines, instruments) still comes from Bybit public REST,
+ *   and each traded symbol gets public tickers + publicTrade streams that drive
+ *   fills, TP/SL and trailing stops. Liquidations come from the normal scanner.
+ * - Tape (PAPER_TAPE): everything is simulated from a recorded liquidation tape
+ *   and cached 1m klines, on a clock running PAPER_SPEED× real time. Use
+ *   TapeScanner in place of LiquidationScanner.
+ *
+ * The paper account lives in memory and starts from PAPER_BALANCE on every restart.
+ */
+
+const log = createLogger('PAPER');
+const scannerLog = createLogger('SCANNER');
+const wsReconnects = counter('liqbot_ws_reconnects_total', 'WebSocket disconnects (each followed by a reconnect), by stream');
+
+const PRIVATE_METHODS = [
+  'switchToOneWayMode', 'setLeverage', 'placeOrder', 'cancelOrder', 'setTradingStop',
+  'getPositions', 'getWalletBalance', 'getClosedPnl', 'getExecutionList', 'getOrderDetail',
+];
+const TAPE_TICK_MS = 250;
+
+let sim = null;
+let tapeEvents = [];
+
+export function startPaper() {
+  return config.paperTape ? startTapePaper() : startLivePaper();
+}
+
+async function startLivePaper() {
+  sim = new SimExchange({
+    balance: config.paperBalance,
+    makerFee: config.paperMakerFee,
+    takerFee: config.paperTakerFee,
+  });
+  const feed = new MarketFeed(sim);
+
+  const adapter = {};
+  for (const method of PRIVATE_METHODS) adapter[method] = sim[method].bind(sim);
+  adapter.placeOrder = async (symbol, ...args) => {
+    await feed.ensure(symbol);
+    return sim.placeOrder(symbol, ...args);
+  };
+  setExchange(adapter);
+
+  log.info(`Simulated account: $${config.paperBalance} (live market data)`);
+}
+
+async function startTapePaper() {
+  const events = readEvents(config.paperTape).sort((a, b) => eventTime(a) - eventTime(b));
+  if (events.length === 0) throw new Error(`No liquidation events in ${config.paperTape}`);
+  const symbols = [...new Set(events.map(e => e.symbol))];
+  const first = eventTime(events[0]);
+  const last = eventTime(events[events.length - 1]);
+
+  // Must load before the simulator is installed — it serves its own instruments
+  const klinesDir = path.join(DATA_DIR, 'klines');
+  const instruments = await loadInstruments(path.join(klinesDir, 'instruments.json'));
+  sim = new SimExchange({
+    balance: config.paperBalance,
+    makerFee: config.paperMakerFee,
+    takerFee: config.paperTakerFee,
+    instruments,
+  });
+  await loadKlines(sim, symbols, klinesDir, { fetch: true, from: first - warmupMs(), to: last + 60 * 60 * 1000 });
+
+  // Tape time starts at the first event and runs paperSpeed× wall time
+  const speed = config.paperSpeed;
+  const wallStart = Date.now();
+  setClock({
+    now: () => first + (Date.now() - wallStart) * speed,
+    // Replay the price path the sleeper waited through (limit fill waits)
+    sleep: ms => new Promise(r => setTimeout(() => {
+      sim.advanceTo(now());
+      r();
+    }, ms / speed)),
+  });
+  setExchange(sim);
+  sim.advanceTo(first);
+  setInterval(() => sim.advanceTo(now()), TAPE_TICK_MS);
+
+  // Replayed events are already on a tape
+  config.recordLiquidations = false;
+  tapeEvents = events;
+
+  log.info(`Replaying ${events.length} events (${symbols.length} symbols) from ${config.paperTape} at ${speed}x`);
+}
+
+/**
+ * Public tickers + publicTrade streams for the symbols the paper account trades.
+ * Best bid/ask and trade prints go straight into the simulator.
+ */
+class MarketFeed {
+  constructor(exchange) {
+    this.exchange = exchange;
+    this.symbols = new Set();
+    this.ws = null;
+    this.reconnectDelay = 1000;
+  }
+
+  async ensure(symbol) {
+    if (this.symbols.has(symbol)) return;
+    this.symbols.add(symbol);
+
+    // Seed a price so the first order can fill before the stream delivers
+    if (!this.exchange.hasPrice(symbol)) {
+      try {
+        const res = await getTickers(symbol);
+        const t = res.result?.list?.[0];
+        if (t?.bid1Price && t?.ask1Price) {
+          this.exchange.setQuote(symbol, parseFloat(t.bid1Price), parseFloat(t.ask1Price));
+        }
+      } catch (err) {
+        log.warn(`Ticker seed failed for ${symbol}: ${err.message}`, { symbol });
+      }
+    }
+
+    if (!this.ws) this.connect();
+    else if (this.ws.readyState === WebSocket.OPEN) this._subscribe([symbol]);
+  }
+
+  connect() {
+    this.ws = new WebSocket(config.endpoints.ws_public, { perMessageDeflate: false });
+
+    this.ws.on('open', () => {
+      this.reconnectDelay = 1000;
+      this._subscribe([...this.symbols]);
+      this._hbInterval = setInterval(() => {
+        if (this.ws?.readyState === WebSocket.OPEN) {
+          this.ws.send(JSON.stringify({ op: 'ping' }));
+        }
+      }, 20000);
+    });
+
+    this.ws.on('message', (raw) => {
+      try {
+        const msg = JSON.parse(raw);
+        if (!msg.topic) return;
+
+        if (msg.topic.startsWith('tickers.')) {
+          // Deltas only carry changed fields
+          const d = msg.data;
+          const prev = this.exchange.quotes.get(d.symbol) || {};
+          const bid = d.bid1Price ? parseFloat(d.bid1Price) : prev.bid;
+          const ask = d.ask1Price ? parseFloat(d.ask1Price) : prev.ask;
+          if (bid && ask) this.exchange.setQuote(d.symbol, bid, ask);
+        } else if (msg.topic.startsWith('publicTrade.')) {
+          for (const t of msg.data) this.exchange.onTrade(t.s, parseFloat(t.p));
+        }
+      } catch (err) {
+        log.error(`Feed message error: ${err.message}`);
+      }
+    });
+
+    this.ws.on('close', () => {
+      wsReconnects.inc({ stream: 'paper-feed' });
+      clearInterval(this._hbInterval);
+      setTimeout(() => {
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, 30000);
+        this.connect();
+      }, this.reconnectDelay);
+    });
+
+    this.ws.on('error', (err) => {
+      log.error(`Feed WS error: ${err.message}`);
+    });
+  }
+
+  _subscribe(symbols) {
+    // Bybit allows max 10 args per subscribe message
+    const args = symbols.flatMap(s => [`tickers.${s}`, `publicTrade.${s}`]);
+    for (let i = 0; i < args.length; i += 10) {
+      this.ws.send(JSON.stringify({ op: 'subscribe', args: args.slice(i, i + 10) }));
+    }
+  }
+}
+
+/**
+ * Drop-in for LiquidationScanner that emits the paper tape's events on the
+ * scaled clock. `qualifies` is re-evaluated against the symbol's current threshold.
+ */
+export class TapeScanner extends EventEmitter {
+  constructor() {
+    super();
+    this.alive = false;
+    this.stats = { total: 0, filtered: 0, errors: 0 };
+    this.idx = 0;
+  }
+
+  connect() {
+    scannerLog.info('Replaying paper tape.');
+    this.alive = true;
+    this._interval = setInterval(() => this._emitDue(), TAPE_TICK_MS);
+  }
+
+  _emitDue() {
+    const t = now();
+    while (this.idx < tapeEvents.length && eventTime(tapeEvents[this.idx]) <= t) {
+      const ev = tapeEvents[this.idx++];
+      const usdValue = ev.usdValue ?? ev.price * ev.qty;
+      const { qualifies, threshold } = evaluateLiq(ev.symbol, usdValue);
+      this.stats.total++;
+      if (!qualifies) this.stats.filtered++;
+
+      this.emit('liquidation', {
+        symbol: ev.symbol,
+        side: ev.side,
+        price: ev.price,
+        qty: ev.qty,
+        usdValue,
+        qualifies,
+        threshold,
+        timestamp: t,
+        updatedTime: ev.updatedTime,
+      });
+    }
+
+    if (this.idx >= tapeEvents.length) {
+      scannerLog.info('Paper tape finished. Open positions keep running on the remaining klines.');
+      this.disconnect();
+    }
+  }
+
+  disconnect() {
+    clearInterval(this._interval);
+    this.alive = false;
+  }
+}
@@ -0,0 +1,128 @@
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setClock } from '../src/core/clock.js';
+
+/**
+ * Limit entry chase against a scripted exchange: a failed read or placement
+ * mid-chase cancels the working order and returns the fills so far.
+ */
+
+let chaseLimitEntry;
+let setExchange;
+let t = 1_700_000_000_000;
+let ex;
+
+// Each hook may be replaced per test; orders remember their fills
+function scriptedExchange() {
+  const ex = {
+    ask: 100,
+    orders: new Map(),
+    placed: [],
+    cancelled: [],
+    nextId: 1,
+    onPlace: null,
+    onRead: null,
+    async placeOrder(symbol, side, qty, orderType, params) {
+      if (ex.onPlace) await ex.onPlace(ex.placed.length);
+      const orderId = `o${ex.nextId++}`;
+      ex.orders.set(orderId, { status: 'New', filled: 0, price: Number(params.price ?? ex.ask), qty, orderType });
+      ex.placed.push(orderId);
+      return { retCode: 0, result: { orderId } };
+    },
+    async cancelOrder(symbol, orderId) {
+      ex.cancelled.push(orderId);
+      ex.orders.get(orderId).status = 'Cancelled';
+      return { retCode: 0 };
+    },
+    async getOrderDetail(symbol, orderId) {
+      if (ex.onRead) await ex.onRead(orderId);
+      const o = ex.orders.get(orderId);
+      return { retCode: 0, result: { list: [{ orderStatus: o.status, cumExecQty: String(o.filled), avgPrice: String(o.price) }] } };
+    },
+    async getOrderbook() {
+      return { retCode: 0, result: { b: [[String(ex.ask - 0.1), '1']], a: [[String(ex.ask), '1']] } };
+    },
+  };
+  return ex;
+}
+
+before(async () => {
+  Object.assign(process.env, {
+    LOG_LEVEL: 'error',
+    ENTRY_CHASE_MS: '2000',
+    ENTRY_CHASE_INTERVAL_MS: '250',
+    ENTRY_CHASE_MAX_TICKS: '50',
+    ENTRY_CHASE_MAX_ATR: '0',
+    ENTRY_CHASE_MARKET_FALLBACK: 'true',
+  });
+  setClock({ now: () => t, sleep: async (ms) => { t += ms; } });
+  // config.js reads the env on import
+  ({ setExchange } = await import('../src/api/bybit.js'));
+  const { instrumentCache } = await import('../src/core/instruments.js');
+  instrumentCache.instruments.set('FOOUSDT', { tickSize: 0.1, lotSize: 1, minQty: 1 });
+  ({ chaseLimitEntry } = await import('../src/core/chase.js'));
+});
+
+after(() => {
+  setExchange(null);
+  setClock(null);
+});
+
+beforeEach(() => {
+  ex = scriptedExchange();
+  setExchange(ex);
+});
+
+test('fills at the touch without repricing', async () => {
+  ex.onRead = (id) => { Object.assign(ex.orders.get(id), { status: 'Filled', filled: 10 }); };
+  const result = await chaseLimitEntry('FOOUSDT', 'Sell', 10);
+  assert.equal(result.filledQty, 10);
+  assert.equal(result.avgPrice, 100);
+  assert.equal(result.reprices, 0);
+  assert.equal(result.failed, false);
+});
+
+test('a failed re-quote keeps the partial fill and skips the market fallback', async () => {
+  // o1 fills 4, then the touch moves away and the re-quote throws
+  ex.onRead = (id) => {
+    const o = ex.orders.get(id);
+    if (o.status === 'New') Object.assign(o, { status: 'PartiallyFilled', filled: 4 });
+    ex.ask = 99;
+  };
+  ex.onPlace = (n) => { if (n > 0) throw new Error('socket hang up'); };
+
+  const result = await chaseLimitEntry('FOOUSDT', 'Sell', 10);
+  assert.equal(result.failed, true);
+  assert.equal(result.filledQty, 4);
+  assert.equal(result.avgPrice, 100);
+  assert.equal(result.orderId, 'o1');
+  assert.deepEqual(ex.cancelled, ['o1']);
+  assert.equal(result.marketQty, 0);
+  assert.deepEqual(ex.placed, ['o1']);
+});
+
+test('an unreadable order is still cancelled and the chase returns', async () => {
+  ex.onRead = () => { throw new Error('HTTP 502'); };
+  ex.ask = 100;
+  let moved = false;
+  const getOrderbook = ex.getOrderbook;
+  ex.getOrderbook = async () => {
+    // first call quotes, the next one moves the touch
+    if (moved) ex.ask = 98;
+    moved = true;
+    return getOrderbook();
+  };
+  ex.onPlace = (n) => { if (n > 0) throw new Error('timeout'); };
+
+  const result = await chaseLimitEntry('FOOUSDT', 'Sell', 10);
+  assert.equal(result.failed, true);
+  assert.equal(result.filledQty, 0);
+  assert.deepEqual(ex.cancelled, ['o1']);
+  assert.deepEqual(result.orderIds, ['o1']);
+});
+
+test('no quote and nothing placed returns null', async () => {
+  ex.getOrderbook = async () => { throw new Error('ECONNRESET'); };
+  assert.equal(await chaseLimitEntry('FOOUSDT', 'Sell', 10), null);
+  assert.deepEqual(ex.placed, []);
+});
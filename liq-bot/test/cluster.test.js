@@ -0,0 +1,91 @@
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setClock } from '../src/core/clock.js';
+
+/**
+ * Same-side liquidations summed over the rolling window: count and value
+ * thresholds, window expiry, and 'both' mode handing qualifying prints off.
+ */
+
+const t = 1_700_000_000_000;
+let config;
+let clusterer;
+
+const liq = (ageSec, usdValue, extra = {}) => ({
+  symbol: 'BTCUSDT', side: 'Buy', price: 100 - ageSec, qty: usdValue / 100, usdValue, timestamp: t - ageSec * 1000, ...extra,
+});
+
+before(async () => {
+  Object.assign(process.env, {
+    LOG_LEVEL: 'error',
+    LIQ_TRIGGER_MODE: 'cluster',
+    CLUSTER_WINDOW_SEC: '30',
+    CLUSTER_MIN_COUNT: '3',
+    CLUSTER_MIN_VALUE_USD: '0',
+    LIQ_THRESHOLD_MODE: 'fixed',
+    MIN_LIQ_VALUE_USD: '10000',
+  });
+  setClock({ now: () => t, sleep: async () => {} });
+  ({ config } = await import('../src/config.js'));
+  const { LiquidationClusterer } = await import('../src/core/cluster.js');
+  clusterer = new LiquidationClusterer();
+});
+
+beforeEach(() => {
+  clusterer.reset();
+  config.liqTriggerMode = 'cluster';
+  config.clusterMinValueUsd = 0;
+});
+
+after(() => setClock(null));
+
+test('fires once the window holds enough prints worth the threshold', () => {
+  const emitted = [];
+  clusterer.once('liquidationCluster', c => emitted.push(c));
+  assert.equal(clusterer.add(liq(20, 5000)), null);
+  assert.equal(clusterer.add(liq(10, 6000)), null); // $11k but only 2 prints
+  const cluster = clusterer.add(liq(0, 1000));
+  assert.deepEqual(emitted, [cluster]);
+  assert.equal(cluster.count, 3);
+  assert.equal(cluster.usdValue, 12000);
+  assert.equal(cluster.qty, 120);
+  assert.equal(cluster.threshold, 10000); // the symbol's fixed threshold
+  assert.equal(cluster.price, 100);
+  assert.equal(cluster.priceLow, 80);
+  assert.equal(cluster.priceHigh, 100);
+  assert.equal(cluster.firstAt, t - 20_000);
+  assert.equal(cluster.durationMs, 20_000);
+  assert.equal(clusterer.stats.clusters, 1);
+
+  // A fired cluster starts a fresh window
+  assert.equal(clusterer.add(liq(0, 20000)), null);
+});
+
+test('enough prints below the value stay pending', () => {
+  for (let i = 0; i < 5; i++) assert.equal(clusterer.add(liq(5 - i, 1000)), null);
+  config.clusterMinValueUsd = 5000;
+  assert.equal(clusterer.add(liq(0, 1)).usdValue, 5001);
+});
+
+test('prints older than the window drop out', () => {
+  clusterer.add(liq(45, 9000)); // outside the 30s window by the time the last print lands
+  clusterer.add(liq(20, 3000));
+  assert.equal(clusterer.add(liq(0, 3000)), null);
+  assert.equal(clusterer.windows.get('BTCUSDT:Buy').length, 2);
+});
+
+test('sides and symbols are summed apart', () => {
+  clusterer.add(liq(2, 5000));
+  clusterer.add(liq(1, 5000, { side: 'Sell' }));
+  assert.equal(clusterer.add(liq(0, 5000, { symbol: 'ETHUSDT' })), null);
+  assert.equal(clusterer.windows.size, 3);
+});
+
+test("'both' clears the window when a print qualifies on its own", () => {
+  config.liqTriggerMode = 'both';
+  clusterer.add(liq(20, 5000));
+  clusterer.add(liq(10, 5000));
+  assert.equal(clusterer.add(liq(5, 50000, { qualifies: true })), null);
+  assert.equal(clusterer.windows.has('BTCUSDT:Buy'), false);
+  assert.equal(clusterer.add(liq(0, 5000)), null);
+});
@@ -0,0 +1,82 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setClock } from '../src/core/clock.js';
+
+/**
+ * OI change over the window and the context rules, with REST data served by
+ * a scripted exchange (no stream — every read is a one-off REST read).
+ */
+
+const MIN = 60_000;
+const t = 1_700_000_000_000;
+let context;
+let setExchange;
+
+before(async () => {
+  Object.assign(process.env, {
+    LOG_LEVEL: 'error',
+    CONTEXT_MAX_OI_RISE_PCT: '2',
+    CONTEXT_OI_WINDOW_MIN: '15',
+    CONTEXT_FUNDING: 'crowded',
+    CONTEXT_MIN_FUNDING_PCT: '0.01',
+  });
+  setClock({ now: () => t, sleep: async () => {} });
+  ({ setExchange } = await import('../src/api/bybit.js'));
+  context = await import('../src/core/context.js');
+});
+
+after(() => {
+  setExchange(null);
+  setClock(null);
+});
+
+test('oiChange compares the newest sample with the last one at the window start', () => {
+  const samples = [
+    { t: t - 30 * MIN, oi: 50 },
+    { t: t - 20 * MIN, oi: 100 },
+    { t: t - 15 * MIN, oi: 110 }, // the window start → baseline
+    { t: t - 5 * MIN, oi: 200 },
+    { t, oi: 121 },
+  ];
+  const change = context.oiChange(samples, 15);
+  assert.ok(Math.abs(change.pct - 10) < 1e-9);
+  assert.equal(change.spanMs, 15 * MIN);
+});
+
+test('oiChange falls back to the oldest sample when none is that old', () => {
+  const change = context.oiChange([{ t: t - 5 * MIN, oi: 100 }, { t, oi: 95 }], 15);
+  assert.ok(Math.abs(change.pct + 5) < 1e-9);
+  assert.equal(change.spanMs, 5 * MIN);
+});
+
+test('oiChange needs two usable samples', () => {
+  assert.equal(context.oiChange([], 15), null);
+  assert.equal(context.oiChange([{ t, oi: 100 }], 15), null);
+  assert.equal(context.oiChange([{ t: t - MIN, oi: 0 }, { t, oi: 100 }], 15), null);
+});
+
+function market({ oi, fundingRate }) {
+  setExchange({
+    // Newest first, 5-minute steps
+    getOpenInterest: async () => ({
+      retCode: 0,
+      result: { list: oi.map((v, i) => ({ openInterest: String(v), timestamp: String(t - (i + 1) * 5 * MIN) })) },
+    }),
+    getTickers: async () => ({ retCode: 0, result: { list: [{ openInterest: String(oi[0]), fundingRate: String(fundingRate) }] } }),
+  });
+}
+
+test('rising OI blocks, funding on the liquidated side is required', async () => {
+  market({ oi: [105, 102, 100, 100], fundingRate: 0.0002 }); // +5% over 15 min
+  let res = await context.checkMarketContext({ symbol: 'FOOUSDT', side: 'Buy' });
+  assert.equal(res.allowed, false);
+  assert.match(res.reason, /^OI still rising \(\+5\.00% > 2%\)/);
+  assert.equal(res.summary, 'OI +5.00%/15m, funding 0.0200%');
+
+  market({ oi: [100, 100, 100, 100], fundingRate: 0.0002 });
+  res = await context.checkMarketContext({ symbol: 'FOOUSDT', side: 'Buy' }); // longs pay → crowded
+  assert.equal(res.allowed, true);
+  res = await context.checkMarketContext({ symbol: 'FOOUSDT', side: 'Sell' }); // shorts don't
+  assert.equal(res.allowed, false);
+  assert.match(res.reason, /shorts not crowded/);
+});
@@ -0,0 +1,67 @@
+import { test, before, beforeEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setClock } from '../src/core/clock.js';
+
+/**
+ * Symbol filters: glob matching on allow / deny, then the instrument rules.
+ */
+
+const DAY_MS = 86_400_000;
+const t = 1_700_000_000_000;
+let filters;
+
+before(async () => {
+  process.env.LOG_LEVEL = 'error';
+  setClock({ now: () => t, sleep: async () => {} });
+  filters = await import('../src/core/filters.js');
+  const { instrumentCache } = await import('../src/core/instruments.js');
+  const inst = { tickSize: 0.01, lotSize: 1, minQty: 1, maxLeverage: 50, isPreListing: false, status: 'Trading', launchTime: t - 100 * DAY_MS };
+  instrumentCache.instruments.set('BTCUSDT', { ...inst, maxLeverage: 100 });
+  instrumentCache.instruments.set('1000PEPEUSDT', { ...inst, maxLeverage: 25, tickSize: 0.0000001 });
+  instrumentCache.instruments.set('NEWUSDT', { ...inst, launchTime: t - 2 * DAY_MS });
+  instrumentCache.instruments.set('PREUSDT', { ...inst, isPreListing: true });
+  instrumentCache.instruments.set('HALTUSDT', { ...inst, status: 'Settling' });
+});
+
+beforeEach(() => {
+  filters.updateFilters({ allow: [], deny: [], minMaxLeverage: 0, maxTickPct: 0, newListingDays: 0 });
+});
+
+after(() => setClock(null));
+
+test('"*" matches any run, "?" exactly one character, the whole symbol', () => {
+  filters.updateFilters({ deny: ['1000*', '?TCUSDT'] });
+  assert.equal(filters.getBlockReason('1000PEPEUSDT'), 'Denylisted (1000*)');
+  assert.equal(filters.getBlockReason('BTCUSDT'), 'Denylisted (?TCUSDT)');
+  assert.equal(filters.getBlockReason('XBTCUSDT'), null); // ? is one character, anchored
+  assert.equal(filters.getBlockReason('PEPE1000USDT'), null);
+});
+
+test('an exact deny entry, case-insensitive input', () => {
+  filters.updateFilters({ deny: ['btcusdt'] });
+  assert.equal(filters.getBlockReason('BTCUSDT'), 'Denylisted');
+});
+
+test('allow limits trading to matches, deny wins over allow', () => {
+  filters.updateFilters({ allow: ['*USDT'], deny: ['NEW*'] });
+  assert.equal(filters.getBlockReason('BTCUSDT'), null);
+  assert.equal(filters.getBlockReason('BTCUSDC'), 'Not allowlisted');
+  assert.equal(filters.getBlockReason('NEWUSDT'), 'Denylisted (NEW*)');
+});
+
+test('only letters, digits, * and ? are valid patterns', () => {
+  assert.equal(filters.validateFilters({ deny: ['BTC*', '1000?EPE'] }), null);
+  assert.match(filters.validateFilters({ deny: ['BTC.*'] }), /letters, digits/);
+  assert.match(filters.validateFilters({ allow: 'BTCUSDT' }), /must be an array/);
+});
+
+test('exchange status and instrument rules', () => {
+  assert.equal(filters.getBlockReason('PREUSDT'), 'Pre-listing');
+  assert.equal(filters.getBlockReason('HALTUSDT'), 'Status Settling');
+
+  filters.updateFilters({ minMaxLeverage: 50, maxTickPct: 0.05, newListingDays: 7 });
+  assert.equal(filters.getBlockReason('BTCUSDT', 60000), null);
+  assert.equal(filters.getBlockReason('1000PEPEUSDT', 0.00001), 'Max leverage 25x < 50x');
+  assert.equal(filters.getBlockReason('NEWUSDT'), 'Listed 2.0d ago (< 7d)');
+  assert.equal(filters.getBlockReason('BTCUSDT', 10), 'Tick 0.100% of price > 0.05%');
+});
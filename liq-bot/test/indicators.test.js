@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseKlines, closedCandles, trueRanges, sma, ema, wilder, computeATR } from '../src/core/indicators.js';
+
+/**
+ * ATR math: legacy equals the original calculation, the smoothed variants
+ * seed with the SMA of the first `period` true ranges.
+ */
+
+// Bybit rows, newest first: [start, open, high, low, close, volume, turnover]
+const rows = [
+  ['1700000600000', '10.6', '11.2', '10.4', '11.0', '50', '0'],
+  ['1700000540000', '10.2', '10.8', '10.0', '10.6', '40', '0'],
+  ['1700000480000', '10.9', '11.0', '10.1', '10.2', '30', '0'],
+  ['1700000420000', '10.5', '11.1', '10.4', '10.9', '20', '0'],
+  ['1700000360000', '10.0', '10.6', '9.8', '10.5', '10', '0'],
+  ['1700000300000', '10.3', '10.4', '9.9', '10.0', '10', '0'],
+];
+const candles = parseKlines(rows);
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+// The pre-smoothing getATR(): mean high - low of the newest `period` rows
+function baselineATR(list, period) {
+  let sumRange = 0;
+  for (let i = 0; i < period; i++) sumRange += parseFloat(list[i][2]) - parseFloat(list[i][3]);
+  return sumRange / period;
+}
+
+test('parseKlines sorts oldest first', () => {
+  assert.deepEqual(candles.map(c => c.start), rows.map(r => parseInt(r[0])).reverse());
+  assert.equal(candles[0].close, 10.0);
+});
+
+test('legacy ATR equals the original calculation', () => {
+  for (const period of [1, 3, 5, 6]) {
+    close(computeATR(candles, period, 'legacy'), baselineATR(rows, period));
+  }
+  assert.equal(computeATR(candles, 7, 'legacy'), null);
+});
+
+test('true range uses the previous close', () => {
+  const ranges = trueRanges(candles);
+  assert.equal(ranges.length, candles.length - 1);
+  close(ranges[0], 0.8); // previous close within the range: high - low
+  // Gap up: prevClose 1, candle 2.5 - 3 → |high - prevClose| = 2
+  const gap = trueRanges([{ high: 1, low: 1, close: 1 }, { high: 3, low: 2.5, close: 3 }]);
+  close(gap[0], 2);
+  // Gap down: prevClose 3, candle 1 - 1.5 → |low - prevClose| = 2
+  const drop = trueRanges([{ high: 3, low: 3, close: 3 }, { high: 1.5, low: 1, close: 1 }]);
+  close(drop[0], 2);
+});
+
+test('wilder and ema seed with the SMA of the first period values', () => {
+  const values = [2, 4, 6, 8, 10];
+  // seed (2+4+6)/3 = 4, then 4 + (8-4)/3, then + (10 - that)/3
+  const w1 = 4 + (8 - 4) / 3;
+  close(wilder(values, 3), w1 + (10 - w1) / 3);
+  // alpha 2/(3+1) = 0.5
+  close(ema(values, 3), 4 + 0.5 * (8 - 4) + 0.5 * (10 - (4 + 0.5 * (8 - 4))));
+  // exactly `period` values is just the seed
+  close(wilder(values.slice(0, 3), 3), 4);
+  close(ema(values.slice(0, 3), 3), 4);
+  assert.equal(wilder([1, 2], 3), null);
+  close(sma(values, 2), 9);
+});
+
+test('smoothed ATR runs over true ranges and needs period + 1 candles', () => {
+  const ranges = trueRanges(candles);
+  close(computeATR(candles, 3, 'wilder'), wilder(ranges, 3));
+  close(computeATR(candles, 3, 'ema'), ema(ranges, 3));
+  close(computeATR(candles, 3, 'sma'), sma(ranges, 3));
+  assert.notEqual(computeATR(candles, 5, 'wilder'), null);
+  assert.equal(computeATR(candles, 6, 'wilder'), null);
+});
+
+test('closedCandles drops only a candle still forming', () => {
+  const lastStart = candles[candles.length - 1].start;
+  assert.equal(closedCandles(candles, '1', lastStart + 30_000).length, candles.length - 1);
+  assert.equal(closedCandles(candles, '1', lastStart + 60_000).length, candles.length);
+});
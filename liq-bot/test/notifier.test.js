@@ -0,0 +1,134 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { setClock } from '../src/core/clock.js';
+
+/**
+ * Alert channels against a local HTTP stub: every channel posts where its env
+ * var points, and the rate limit / dedupe / failure paths are counted.
+ */
+
+const requests = []; // { path, body }
+let failPath = null;
+let server;
+let alerts;
+let t = 1_700_000_000_000;
+
+async function waitFor(check, ms = 2000) {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > ms) throw new Error('timed out waiting for the stub');
+    await new Promise(r => setTimeout(r, 10));
+  }
+}
+
+const received = path => requests.filter(r => r.path === path);
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      requests.push({ path: req.url, body: JSON.parse(raw) });
+      res.writeHead(req.url === failPath ? 500 : 200, { 'Content-Type': 'application/json' });
+      res.end(req.url === failPath ? 'stub failure' : '{"ok":true}');
+    });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  // Read by config.js on import
+  Object.assign(process.env, {
+    NETWORK: 'mainnet',
+    ALERT_EVENTS: 'fill,close,risk',
+    ALERT_WEBHOOK_URL: `${base}/webhook`,
+    ALERT_TELEGRAM_TOKEN: 'TOKEN',
+    ALERT_TELEGRAM_CHAT_ID: '42',
+    ALERT_TELEGRAM_API: base,
+    ALERT_DISCORD_WEBHOOK_URL: `${base}/discord`,
+    ALERT_DISCORD_EVENTS: 'close',
+    ALERT_RATE_PER_MIN: '2',
+    ALERT_DEDUPE_SEC: '60',
+    LOG_LEVEL: 'error',
+  });
+  setClock({ now: () => t, sleep: ms => new Promise(r => setTimeout(r, ms)) });
+  alerts = await import('../src/core/notifier.js');
+  alerts.startAlerts();
+});
+
+after(() => {
+  server.close();
+  setClock(null);
+});
+
+test('each channel posts its own payload', async () => {
+  alerts.notify('close', { symbol: 'BTCUSDT', exitType: 'TP/SL/TRAIL', pnl: '1.2345', totalPnl: '9.0000' });
+  await waitFor(() => requests.length === 3);
+
+  const text = 'CLOSED BTCUSDT (TP/SL/TRAIL) | PnL: 1.2345 USDT | Total: 9.0000';
+  const [webhook] = received('/webhook');
+  assert.equal(webhook.body.event, 'close');
+  assert.equal(webhook.body.text, text);
+  assert.equal(webhook.body.data.symbol, 'BTCUSDT');
+  assert.equal(webhook.body.network, 'mainnet');
+
+  const [telegram] = received('/botTOKEN/sendMessage');
+  assert.deepEqual(telegram.body, { chat_id: '42', text, disable_web_page_preview: true });
+
+  const [discord] = received('/discord');
+  assert.deepEqual(discord.body, { content: text });
+});
+
+test('per-channel event lists and disabled events are respected', async () => {
+  requests.length = 0;
+  t += 60_000;
+  alerts.notify('fill', { symbol: 'ETHUSDT' }); // discord only takes close
+  alerts.notify('dca', { symbol: 'ETHUSDT' }); // not in ALERT_EVENTS
+  await waitFor(() => requests.length === 2);
+  await new Promise(r => setTimeout(r, 50));
+  assert.equal(received('/discord').length, 0);
+  assert.ok(requests.every(r => !JSON.stringify(r.body).includes('DCA')));
+});
+
+test('a repeated safety alert is deduped within dedupeSec', async () => {
+  requests.length = 0;
+  t += 60_000;
+  alerts.notify('risk', { reason: 'DAILY_LOSS', message: 'limit hit' });
+  alerts.notify('risk', { reason: 'DAILY_LOSS', message: 'limit hit' });
+  await waitFor(() => requests.length === 2);
+  await new Promise(r => setTimeout(r, 50));
+  assert.equal(received('/webhook').length, 1);
+
+  t += 61_000;
+  alerts.notify('risk', { reason: 'DAILY_LOSS', message: 'limit hit' });
+  await waitFor(() => received('/webhook').length === 2);
+});
+
+test('the rate limit drops the excess and reports it in the next message', async () => {
+  requests.length = 0;
+  t += 60_000;
+  const before = alerts.getAlertStatus().channels.find(c => c.name === 'webhook').suppressed;
+  for (const symbol of ['A', 'B', 'C']) alerts.notify('fill', { symbol });
+  await waitFor(() => received('/webhook').length === 2);
+  await new Promise(r => setTimeout(r, 50));
+  assert.equal(received('/webhook').length, 2);
+  assert.equal(alerts.getAlertStatus().channels.find(c => c.name === 'webhook').suppressed, before + 1);
+
+  t += 60_000; // window slid past
+  alerts.notify('fill', { symbol: 'D' });
+  await waitFor(() => received('/webhook').length === 3);
+  assert.match(received('/webhook')[2].body.text, /\(1 alert suppressed by rate limit\)$/);
+});
+
+test('a failing channel is counted, the others still send', async () => {
+  requests.length = 0;
+  t += 60_000;
+  failPath = '/discord';
+  const results = await alerts.sendTestAlert();
+  failPath = null;
+
+  assert.deepEqual(results.map(r => [r.channel, r.ok]), [['webhook', true], ['telegram', true], ['discord', false]]);
+  const discord = alerts.getAlertStatus().channels.find(c => c.name === 'discord');
+  assert.equal(discord.failed, 1);
+  assert.match(discord.lastError, /HTTP 500 stub failure/);
+});
@@ -0,0 +1,74 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { setClock } from '../src/core/clock.js';
+
+/**
+ * Percentile thresholds seeded from a recorded tape: newest sizes per symbol,
+ * kept oldest first, capped at LIQ_PERCENTILE_SAMPLES.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const t = Date.UTC(2026, 0, 10, 12);
+let dataDir;
+let threshold;
+
+function writeDay(dayStart, records) {
+  const file = path.join(dataDir, 'tape', `${new Date(dayStart).toISOString().slice(0, 10)}.ndjson.gz`);
+  fs.appendFileSync(file, zlib.gzipSync(records.map(r => JSON.stringify(r)).join('\n') + '\n'));
+}
+
+before(async () => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'liqbot-threshold-'));
+  fs.mkdirSync(path.join(dataDir, 'tape'));
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    LOG_LEVEL: 'error',
+    LIQ_THRESHOLD_MODE: 'percentile',
+    LIQ_PERCENTILE_SAMPLES: '5',
+    LIQ_PERCENTILE_MIN_SAMPLES: '3',
+    LIQ_PERCENTILE: '50',
+    LIQ_THRESHOLD_FLOOR_USD: '0',
+  });
+  setClock({ now: () => t, sleep: async () => {} });
+
+  // BTC: 4 sizes three days ago, 4 today (two gzip members) → the newest 5 are 40, 100..400
+  const old = t - 3 * DAY_MS;
+  writeDay(old, [10, 20, 30, 40].map((usdValue, i) => ({ symbol: 'BTCUSDT', usdValue, timestamp: old + i })));
+  writeDay(t, [100, 200].map((usdValue, i) => ({ symbol: 'BTCUSDT', usdValue, timestamp: t - 1000 + i })));
+  writeDay(t, [300, 400].map((usdValue, i) => ({ symbol: 'BTCUSDT', usdValue, timestamp: t - 500 + i })));
+  // ETH: 2 sizes, outside the window and inside it
+  writeDay(t - 10 * DAY_MS, [{ symbol: 'ETHUSDT', usdValue: 1, timestamp: t - 10 * DAY_MS }]);
+  writeDay(t - DAY_MS, [{ symbol: 'ETHUSDT', usdValue: 7, timestamp: t - DAY_MS }]);
+
+  threshold = await import('../src/core/threshold.js');
+  await threshold.seedThresholdsFromTape(7);
+});
+
+after(() => {
+  setClock(null);
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('keeps the newest samples per symbol, oldest first', () => {
+  const table = Object.fromEntries(threshold.getThresholdTable().map(r => [r.symbol, r]));
+  assert.equal(table.BTCUSDT.samples, 5);
+  assert.equal(table.ETHUSDT.samples, 1);
+  // median of [40, 100, 200, 300, 400]
+  assert.deepEqual(threshold.getLiqThreshold('BTCUSDT'), { usd: 200, source: 'percentile' });
+});
+
+test('new prints push out the oldest seeded size', () => {
+  threshold.recordLiqSize('BTCUSDT', 500); // drops 40
+  threshold.recordLiqSize('BTCUSDT', 600); // drops 100
+  assert.equal(threshold.getThresholdTable().find(r => r.symbol === 'BTCUSDT').samples, 5);
+  // median of [200, 300, 400, 500, 600]
+  assert.equal(threshold.getLiqThreshold('BTCUSDT').usd, 400);
+});
+
+test('too few samples fall back to the fixed threshold', () => {
+  assert.equal(threshold.getLiqThreshold('ETHUSDT').source, 'fixed');
+});
@@ -0,0 +1,127 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSocketServer } from 'ws';
+import { setClock } from '../src/core/clock.js';
+
+/**
+ * Shared public-stream subscription manager against a local WebSocket server:
+ * batched subscribes, pinned / recent keys and resubscribe on reconnect.
+ */
+
+let server;
+let createTopicStream;
+let t = 1_700_000_000_000;
+const frames = []; // { op, args } received by the server
+let sockets = [];
+
+async function waitFor(check, ms = 3000) {
+  const start = Date.now();
+  while (!check()) {
+    if (Date.now() - start > ms) throw new Error('timed out waiting for the server');
+    await new Promise(r => setTimeout(r, 10));
+  }
+}
+
+const topicsSent = op => frames.filter(f => f.op === op).flatMap(f => f.args);
+const silent = { info() {}, warn() {}, error() {} };
+
+function stream(overrides = {}) {
+  const watched = [];
+  const messages = [];
+  let disconnects = 0;
+  const topics = createTopicStream({
+    stream: 'test',
+    log: silent,
+    topicPrefix: 'tickers.',
+    topicOf: symbol => `tickers.${symbol}`,
+    watchMin: () => 5,
+    maxRecent: () => 3,
+    onMessage: msg => messages.push(msg),
+    onWatch: symbol => watched.push(`+${symbol}`),
+    onUnwatch: symbol => watched.push(`-${symbol}`),
+    onDisconnect: () => { disconnects++; },
+    ...overrides,
+  });
+  return { topics, watched, messages, disconnects: () => disconnects };
+}
+
+before(async () => {
+  server = new WebSocketServer({ port: 0, host: '127.0.0.1' });
+  server.on('connection', (socket) => {
+    sockets.push(socket);
+    socket.on('message', (raw) => {
+      const msg = JSON.parse(raw);
+      if (msg.op !== 'ping') frames.push(msg);
+    });
+  });
+  await new Promise(r => server.on('listening', r));
+
+  process.env.LOG_LEVEL = 'error';
+  const { config } = await import('../src/config.js');
+  config.endpoints = { ...config.endpoints, ws_public: `ws://127.0.0.1:${server.address().port}` };
+  setClock({ now: () => t, sleep: ms => new Promise(r => setTimeout(r, ms)) });
+  ({ createTopicStream } = await import('../src/api/ws-public-topics.js'));
+});
+
+after(() => {
+  for (const s of sockets) s.terminate();
+  server.close();
+  setClock(null);
+});
+
+test('pinned keys subscribe on connect in batches of 10', async () => {
+  frames.length = 0;
+  const { topics, watched } = stream({ maxRecent: () => 20 });
+  const symbols = Array.from({ length: 12 }, (_, i) => `S${i}USDT`);
+  topics.setPinned(symbols);
+  assert.equal(watched.length, 12); // state exists before the socket is up
+  topics.connect();
+  await waitFor(() => topicsSent('subscribe').length === 12);
+  assert.deepEqual(frames.map(f => f.args.length), [10, 2]);
+  assert.equal(topics.watchedCount(), 12);
+  assert.equal(topics.pinnedCount(), 12);
+  topics.disconnect();
+});
+
+test('recent keys are capped and messages on other topics are ignored', async () => {
+  frames.length = 0;
+  sockets = [];
+  const { topics, watched, messages } = stream();
+  topics.connect();
+  await waitFor(() => topics.isConnected());
+
+  for (const s of ['A', 'B', 'C', 'D']) topics.watch(s); // cap 3 → A dropped
+  await waitFor(() => topicsSent('unsubscribe').length === 1);
+  assert.deepEqual(topicsSent('unsubscribe'), ['tickers.A']);
+  assert.deepEqual(watched, ['+A', '+B', '+C', '-A', '+D']);
+
+  sockets[0].send(JSON.stringify({ topic: 'tickers.B', data: {} }));
+  sockets[0].send(JSON.stringify({ topic: 'orderbook.50.B', data: {} }));
+  await waitFor(() => messages.length === 1);
+
+  topics.setPinned(['B']); // pinned outlives the recent cap
+  topics.watch('E');
+  assert.equal(topics.watchedCount(), 4);
+  assert.deepEqual(watched.slice(5), ['+E']);
+  await waitFor(() => topicsSent('subscribe').includes('tickers.E'));
+  topics.disconnect();
+});
+
+test('a dropped socket reconnects and resubscribes every key', async () => {
+  frames.length = 0;
+  sockets = [];
+  const s = stream();
+  s.topics.setPinned(['X', 'Y']);
+  s.topics.connect();
+  await waitFor(() => topicsSent('subscribe').length === 2);
+
+  sockets[0].terminate();
+  await waitFor(() => s.disconnects() === 1);
+  await waitFor(() => topicsSent('subscribe').length === 4);
+  assert.deepEqual(topicsSent('subscribe').slice(2).sort(), ['tickers.X', 'tickers.Y']);
+
+  s.topics.resubscribe('X');
+  await waitFor(() => topicsSent('subscribe').length === 5);
+  assert.deepEqual(topicsSent('unsubscribe'), ['tickers.X']);
+  s.topics.disconnect();
+});